@@ -0,0 +1,186 @@
+/**
+ * Builds src/inpage.js, the script injected into the page's main world
+ *
+ * The page world cannot load extension modules, so the RPC core in src/inpage/
+ * and the framework adapters in src/adapters/ are bundled into one classic
+ * script. Every module keeps its own function scope and its imports become
+ * reads from the modules it depends on, evaluated dependency-first.
+ *
+ * Supported module syntax: named imports/exports (including `as`), namespace
+ * imports, side-effect imports and `export { ... } from`. Exports are bound
+ * once after the module runs, so export functions rather than reassigned lets.
+ *
+ * Usage: npm run build:inpage (also run by npm run build)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const srcDir = path.join(__dirname, 'src');
+const ENTRY = 'inpage/index.js';
+const OUTPUT = path.join(srcDir, 'inpage.js');
+const MODULES_VAR = 'bundledModules';
+
+const IMPORT_PATTERN =
+  /^import\s+(?:\{([^}]*)\}\s+from\s+|\*\s+as\s+(\w+)\s+from\s+)?'([^']+)';?[ \t]*\n?/gm;
+const REEXPORT_PATTERN = /^export\s+\{([^}]*)\}\s+from\s+'([^']+)';?[ \t]*\n?/gm;
+const EXPORT_LIST_PATTERN = /^export\s+\{([^}]*)\};?[ \t]*\n?/gm;
+const EXPORT_DECLARATION_PATTERN =
+  /^export\s+((?:async\s+)?function\*?\s+|const\s+|class\s+)(\w+)/gm;
+
+/**
+ * Parse `a, b as c` into [['a', 'a'], ['b', 'c']]
+ */
+function parseSpecifiers(list) {
+  return list
+    .split(',')
+    .map((specifier) => specifier.trim())
+    .filter(Boolean)
+    .map((specifier) => {
+      const [imported, local = imported] = specifier.split(/\s+as\s+/);
+      return [imported, local];
+    });
+}
+
+function resolveModule(fromId, specifier, fileName) {
+  if (!specifier.startsWith('.')) {
+    throw new Error(`${fileName}: only relative imports can be bundled (${specifier})`);
+  }
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromId), specifier));
+}
+
+/**
+ * Read one module and rewrite its import/export statements
+ */
+function loadModule(id) {
+  const fileName = path.join('src', id);
+  let code = fs.readFileSync(path.join(srcDir, id), 'utf8');
+  const dependencies = [];
+  const bindings = [];
+  const exportsList = [];
+
+  const unsupported = code.match(/^export\s+(default|\*|let|var)\b/m);
+  if (unsupported) {
+    throw new Error(
+      `${fileName}: "export ${unsupported[1]}" is not supported in page-world modules`
+    );
+  }
+
+  code = code.replace(REEXPORT_PATTERN, (_match, list, specifier) => {
+    const dependency = resolveModule(id, specifier, fileName);
+    dependencies.push(dependency);
+    parseSpecifiers(list).forEach(([imported, exported]) => {
+      exportsList.push([exported, `${MODULES_VAR}['${dependency}'].${imported}`]);
+    });
+    return '';
+  });
+
+  code = code.replace(IMPORT_PATTERN, (_match, list, namespace, specifier) => {
+    const dependency = resolveModule(id, specifier, fileName);
+    dependencies.push(dependency);
+    if (namespace) {
+      bindings.push(`const ${namespace} = ${MODULES_VAR}['${dependency}'];`);
+    } else if (list) {
+      const names = parseSpecifiers(list).map(([imported, local]) =>
+        imported === local ? imported : `${imported}: ${local}`
+      );
+      bindings.push(`const { ${names.join(', ')} } = ${MODULES_VAR}['${dependency}'];`);
+    }
+    return '';
+  });
+
+  code = code.replace(EXPORT_LIST_PATTERN, (_match, list) => {
+    parseSpecifiers(list).forEach(([local, exported]) => exportsList.push([exported, local]));
+    return '';
+  });
+
+  code = code.replace(EXPORT_DECLARATION_PATTERN, (_match, keyword, name) => {
+    exportsList.push([name, name]);
+    return keyword + name;
+  });
+
+  if (/^\s*(import|export)\s/m.test(code)) {
+    throw new Error(`${fileName}: unsupported import/export statement`);
+  }
+
+  return { id, code: code.trim(), dependencies, bindings, exportsList };
+}
+
+/**
+ * Load the entry and everything it imports, dependencies first
+ */
+function collectModules(entry) {
+  const ordered = [];
+  const loaded = new Map();
+  const visiting = [];
+
+  function visit(id) {
+    if (loaded.has(id)) return;
+    if (visiting.includes(id)) {
+      throw new Error(`Circular import: ${[...visiting, id].join(' -> ')}`);
+    }
+    visiting.push(id);
+    const module = loadModule(id);
+    module.dependencies.forEach(visit);
+    visiting.pop();
+    loaded.set(id, module);
+    ordered.push(module);
+  }
+
+  visit(entry);
+  return ordered;
+}
+
+function renderModule({ id, code, bindings, exportsList }) {
+  const exported = exportsList.map(([name, value]) =>
+    name === value ? name : `${name}: ${value}`
+  );
+  return [
+    `// src/${id}`,
+    `${MODULES_VAR}['${id}'] = (function () {`,
+    ...bindings,
+    code,
+    `return { ${exported.join(', ')} };`,
+    '})();',
+  ].join('\n');
+}
+
+/**
+ * Build the page-world bundle
+ * @returns {string} Contents of src/inpage.js
+ */
+function buildInpage() {
+  const modules = collectModules(ENTRY);
+  return [
+    '/**',
+    ' * In-page script that runs in the main world context',
+    ' * Has access to framework DevTools hooks and global objects',
+    ' *',
+    ' * Generated by build-inpage.js from src/inpage/ and src/adapters/ - do not edit.',
+    ' * Run `npm run build:inpage` after changing those modules.',
+    ' */',
+    '',
+    '(function () {',
+    "'use strict';",
+    '',
+    `const ${MODULES_VAR} = {};`,
+    '',
+    modules.map(renderModule).join('\n\n'),
+    '})();',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Regenerate src/inpage.js
+ */
+function writeInpage() {
+  fs.writeFileSync(OUTPUT, buildInpage(), 'utf8');
+  console.log(`Built: ${path.relative(__dirname, OUTPUT)}`);
+}
+
+if (require.main === module) {
+  writeInpage();
+}
+
+module.exports = { buildInpage, writeInpage };
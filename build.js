@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const { minify } = require('terser');
+const { writeInpage } = require('./build-inpage.js');
 
 const srcDir = path.join(__dirname, 'src');
 const distDir = path.join(__dirname, 'dist');
@@ -78,6 +79,9 @@ async function processDirectory(dir, baseDir, outputBaseDir) {
 async function build() {
   console.log('Building extension for production...\n');
 
+  // Bundle the page-world script from src/inpage/ and src/adapters/
+  writeInpage();
+
   // Process src directory
   await processDirectory(srcDir, srcDir, path.join(distDir, 'src'));
 
@@ -0,0 +1,304 @@
+/**
+ * Angular adapter (Ivy)
+ * The dev-mode `ng` global gives components, metadata, injectors and directives;
+ * production builds only expose __ngContext__. Fields are assigned and writable
+ * signals set, then ng.applyChanges() runs change detection for the component
+ * (OnPush included).
+ */
+
+import { MAX_COMPONENT_HIERARCHY_DEPTH, MAX_CONTEXTS } from '../config/constants.js';
+import { sanitizeValue } from '../utils/componentHelpers.js';
+
+function getAngularComponent(node) {
+  const ng = window.ng;
+  if (ng && typeof ng.getComponent === 'function') {
+    // Host elements belong to their component; anything else to the template's owner
+    const component =
+      ng.getComponent(node) ||
+      (typeof ng.getOwningComponent === 'function' ? ng.getOwningComponent(node) : null);
+    if (component) return component;
+  }
+
+  const context = node.__ngContext__;
+  if (Array.isArray(context) && context[8] && typeof context[8] === 'object') {
+    return context[8];
+  }
+  return null;
+}
+
+function getAngularName(component) {
+  return component.constructor?.name || 'Anonymous';
+}
+
+function getAngularParent(component) {
+  const ng = window.ng;
+  if (
+    !ng ||
+    typeof ng.getHostElement !== 'function' ||
+    typeof ng.getOwningComponent !== 'function'
+  ) {
+    return null;
+  }
+  const host = ng.getHostElement(component);
+  return host ? ng.getOwningComponent(host) : null;
+}
+
+/**
+ * The node behind an Angular 16+ signal (signal(), computed(), input()), or null
+ */
+function getAngularSignalNode(value) {
+  if (typeof value !== 'function') return null;
+  const symbol = Object.getOwnPropertySymbols(value).find((s) => s.description === 'SIGNAL');
+  return symbol ? value[symbol] : null;
+}
+
+// ɵcmp input/output maps changed shape between versions (property -> alias,
+// alias -> property, alias -> [property, flags]); keep whichever side is the class field
+function readAngularBindings(map, component) {
+  const bindings = {};
+  Object.keys(map || {}).forEach((key) => {
+    const entry = Array.isArray(map[key]) ? map[key][0] : map[key];
+    const property = key in component ? key : entry;
+    bindings[property] = property === key ? entry : key;
+  });
+  return bindings;
+}
+
+function getAngularMetadata(component) {
+  const ng = window.ng;
+  if (ng && typeof ng.getDirectiveMetadata === 'function') {
+    const metadata = ng.getDirectiveMetadata(component);
+    if (metadata) return metadata;
+  }
+  return component.constructor?.ɵcmp || {};
+}
+
+// Constructor-injected services: Angular's own injectable classes carry ɵprov/ɵfac
+function isAngularService(value, injector) {
+  if (!value || typeof value !== 'object' || value.constructor === Object) return false;
+  const ctor = value.constructor;
+  if (!ctor || !(ctor.ɵprov || ctor.ɵfac)) return false;
+  if (!injector || typeof injector.get !== 'function') return true;
+  try {
+    return injector.get(ctor, null) === value;
+  } catch (e) {
+    return true;
+  }
+}
+
+function getAngularInjector(component) {
+  const ng = window.ng;
+  if (!ng || typeof ng.getInjector !== 'function' || typeof ng.getHostElement !== 'function') {
+    return null;
+  }
+  try {
+    return ng.getInjector(ng.getHostElement(component));
+  } catch (e) {
+    return null;
+  }
+}
+
+function isSkippedAngularKey(key) {
+  return key.startsWith('__') || key.startsWith('ɵ');
+}
+
+/**
+ * Read an Angular component's inputs, outputs, fields and signals.
+ * Writable signals are state; computed signals are read-only computed values.
+ */
+function extractAngularDetails(component) {
+  const metadata = getAngularMetadata(component);
+  const inputs = readAngularBindings(metadata.inputs, component);
+  const outputBindings = readAngularBindings(metadata.outputs, component);
+  const injector = getAngularInjector(component);
+  const props = {};
+  const state = {};
+  const computed = {};
+  const sources = {};
+
+  const readInto = (target, key, read) => {
+    try {
+      target[key] = sanitizeValue(read());
+    } catch (e) {
+      target[key] = '[Error: ' + e.message + ']';
+    }
+  };
+
+  Object.keys(inputs).forEach((key) => {
+    const signalNode = getAngularSignalNode(component[key]);
+    readInto(props, key, () => (signalNode ? component[key]() : component[key]));
+  });
+
+  Object.keys(component).forEach((key) => {
+    if (key in inputs || key in outputBindings || isSkippedAngularKey(key)) return;
+    const value = component[key];
+
+    if (getAngularSignalNode(value)) {
+      const writable = typeof value.set === 'function';
+      sources[key] = writable ? 'Signal' : 'Computed signal';
+      readInto(writable ? state : computed, key, () => value());
+    } else if (typeof value !== 'function' && !isAngularService(value, injector)) {
+      readInto(state, key, () => value);
+    }
+  });
+
+  const outputs = Object.keys(outputBindings).map((key) =>
+    outputBindings[key] && outputBindings[key] !== key ? `${key} (${outputBindings[key]})` : key
+  );
+
+  return { props, state, computed, stateSources: sources, outputs };
+}
+
+function getAngularDirectives(node) {
+  const ng = window.ng;
+  if (!ng || typeof ng.getDirectives !== 'function') return [];
+  try {
+    return (ng.getDirectives(node) || []).map((directive) => getAngularName(directive));
+  } catch (e) {
+    return [];
+  }
+}
+
+function getAngularDetail(component, metadata) {
+  const selector = component.constructor?.ɵcmp?.selectors?.[0]?.[0] || '';
+  // ChangeDetectionStrategy.OnPush is 0
+  return metadata.changeDetection === 0 ? `${selector} • OnPush`.trim() : selector;
+}
+
+function getAngularHierarchy(component) {
+  const hierarchy = [];
+  for (
+    let current = component;
+    current && hierarchy.length < MAX_COMPONENT_HIERARCHY_DEPTH;
+    current = getAngularParent(current)
+  ) {
+    hierarchy.push(getAngularName(current));
+  }
+  return hierarchy.reverse();
+}
+
+function detectAngular(node) {
+  try {
+    const component = getAngularComponent(node);
+    if (!component) return null;
+
+    const ng = window.ng;
+    const canApplyChanges = !!ng && typeof ng.applyChanges === 'function';
+    return {
+      framework: 'Angular',
+      name: getAngularName(component),
+      detail: getAngularDetail(component, getAngularMetadata(component)),
+      isUserComponent: true,
+      hierarchy: getAngularHierarchy(component),
+      directives: getAngularDirectives(node),
+      componentInstance: component,
+      canOverrideProps: canApplyChanges,
+      computedIsReadOnly: true,
+      ...extractAngularDetails(component),
+    };
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+function buildAngularTree(node, maxDepth) {
+  let component = getAngularComponent(node);
+  if (!component) return null;
+
+  const tree = [];
+  while (component && tree.length < maxDepth) {
+    tree.push({
+      name: getAngularName(component),
+      isUserComponent: true,
+      hasState: Object.keys(component).length > 0,
+      hasProps: Object.keys(getAngularMetadata(component).inputs || {}).length > 0,
+    });
+    component = getAngularParent(component);
+  }
+  return tree;
+}
+
+// Services injected into the component (constructor parameters or inject() fields)
+function detectAngularServices(node) {
+  const component = getAngularComponent(node);
+  if (!component) return [];
+
+  const injector = getAngularInjector(component);
+  const services = [];
+  Object.keys(component).forEach((key) => {
+    const value = component[key];
+    if (services.length >= MAX_CONTEXTS || !isAngularService(value, injector)) return;
+    services.push({
+      name: key,
+      type: 'Inject',
+      value: sanitizeValue(value),
+      from: getAngularName(value),
+    });
+  });
+  return services;
+}
+
+// Production builds have no ng.applyChanges: check before writing anything, so a
+// failed edit leaves the component as it was
+function getAngularDebugApi() {
+  const ng = window.ng;
+  if (!ng || typeof ng.applyChanges !== 'function') {
+    throw new Error('Angular edits need a development build (ng.applyChanges is missing)');
+  }
+  return ng;
+}
+
+/**
+ * Update an Angular field or writable signal
+ */
+function updateAngularState(component, key, value) {
+  if (!(key in component)) {
+    throw new Error('State not found');
+  }
+
+  const ng = getAngularDebugApi();
+  const current = component[key];
+  if (getAngularSignalNode(current)) {
+    if (typeof current.set !== 'function') {
+      throw new Error(`${key} is a computed signal and cannot be set`);
+    }
+    current.set(value);
+  } else {
+    component[key] = value;
+  }
+  ng.applyChanges(component);
+  return true;
+}
+
+/**
+ * Set an @Input (or input() signal) until the parent binds a new value
+ */
+function updateAngularInput(component, key, value) {
+  const ng = getAngularDebugApi();
+  const signalNode = getAngularSignalNode(component[key]);
+  if (signalNode) {
+    if (typeof signalNode.applyValueToInputSignal !== 'function') {
+      throw new Error(`${key} is a signal input and can only be set by its parent`);
+    }
+    signalNode.applyValueToInputSignal(signalNode, value);
+  } else {
+    component[key] = value;
+  }
+  ng.applyChanges(component);
+  return true;
+}
+
+export const angularAdapter = {
+  name: 'angular',
+  detect: detectAngular,
+  getHierarchy: getAngularHierarchy,
+  update({ componentInstance }, { kind, key, value }) {
+    if (!componentInstance) return false;
+    if (kind === 'state') return updateAngularState(componentInstance, key, value);
+    if (kind === 'prop') return updateAngularInput(componentInstance, key, value);
+    return false;
+  },
+  getTree: buildAngularTree,
+  getContext: detectAngularServices,
+};
@@ -0,0 +1,26 @@
+/**
+ * Built-in framework adapters, registered in detection order
+ * React is tried before Preact, and the generic Web Component adapter comes last
+ * so custom elements rendered by a framework are reported as that framework.
+ */
+
+import { registerAdapter } from './registry.js';
+import { reactAdapter } from './react.js';
+import { preactAdapter } from './preact.js';
+import { vueAdapter } from './vue.js';
+import { svelteAdapter } from './svelte.js';
+import { angularAdapter } from './angular.js';
+import { solidAdapter } from './solid.js';
+import { webComponentAdapter } from './webComponent.js';
+
+export const builtInAdapters = [
+  reactAdapter,
+  preactAdapter,
+  vueAdapter,
+  svelteAdapter,
+  angularAdapter,
+  solidAdapter,
+  webComponentAdapter,
+];
+
+builtInAdapters.forEach((adapter) => registerAdapter(adapter));
@@ -0,0 +1,158 @@
+/**
+ * Preact adapter
+ * Preact 10. render() keeps the root vnode on its container; vnode fields are
+ * mangled: __k children, __ parent, __e DOM node, __c component, __H hooks.
+ * Hooks are edited through their own dispatch ([value, dispatch] in __H) and
+ * class state through setState; both schedule Preact's normal re-render.
+ * Updates are seen through the component's own componentDidUpdate: Preact's `options`
+ * hooks (__b, diffed) are module-private and only handed to preact/devtools when
+ * Preact loads, which is before inpage.js is injected.
+ */
+
+import { MAX_COMPONENT_HIERARCHY_DEPTH } from '../config/constants.js';
+import { sanitizeValue, sanitizeProps } from '../utils/componentHelpers.js';
+import { getJsxSourceLocation } from '../utils/reactHelpers.js';
+import { getOriginalName, getOriginalLocation } from '../inpage/sourceMaps.js';
+
+const MAX_PREACT_VNODES = 5000;
+
+function isPreactVNode(value) {
+  return !!value && typeof value === 'object' && 'type' in value && '__e' in value;
+}
+
+function findPreactVNode(node) {
+  for (let container = node.parentNode; container; container = container.parentNode) {
+    if (!isPreactVNode(container.__k)) continue;
+
+    const stack = [container.__k];
+    let visited = 0;
+    while (stack.length > 0 && visited++ < MAX_PREACT_VNODES) {
+      const vnode = stack.pop();
+      if (!vnode) continue;
+      if (vnode.__e === node && typeof vnode.type === 'string') return vnode;
+      if (Array.isArray(vnode.__k)) stack.push(...vnode.__k);
+    }
+  }
+  return null;
+}
+
+function getPreactName(vnode) {
+  return getOriginalName(vnode.type, vnode.type.displayName || vnode.type.name || 'Anonymous');
+}
+
+function isPreactComponent(vnode) {
+  // Fragment is a function component too
+  return typeof vnode.type === 'function' && getPreactName(vnode) !== 'Fragment';
+}
+
+// useState/useReducer keep [value, dispatch]; useRef/useMemo keep a value plus deps (__H)
+function extractPreactHooks(component) {
+  const list = component.__H && Array.isArray(component.__H.__) ? component.__H.__ : [];
+  const hooks = [];
+  list.forEach((hookState, index) => {
+    const value = hookState && hookState.__;
+    if (Array.isArray(value) && typeof value[1] === 'function') {
+      hooks.push({ type: 'useState', index, value: sanitizeValue(value[0]) });
+    } else if (hookState && hookState.__H && typeof value !== 'function') {
+      const isRef = !!value && typeof value === 'object' && Object.keys(value).join() === 'current';
+      hooks.push({
+        type: isRef ? 'useRef' : 'useMemo',
+        index,
+        value: sanitizeValue(isRef ? value.current : value),
+      });
+    }
+  });
+  return hooks;
+}
+
+function isPreactClass(type) {
+  return !!(type.prototype && type.prototype.render);
+}
+
+// Function components get a Component instance too; only classes have their own state
+function getPreactState(component, isClass = isPreactClass(component.constructor)) {
+  return isClass && component.state ? sanitizeValue(component.state) : {};
+}
+
+function detectPreact(node) {
+  try {
+    let vnode = findPreactVNode(node);
+    while (vnode && !isPreactComponent(vnode)) vnode = vnode.__;
+    if (!vnode || !vnode.__c) return null;
+
+    const hierarchy = [];
+    for (let current = vnode; current; current = current.__) {
+      if (isPreactComponent(current)) hierarchy.push(getPreactName(current));
+    }
+
+    const component = vnode.__c;
+    const isClass = isPreactClass(vnode.type);
+    return {
+      framework: 'Preact',
+      name: getPreactName(vnode),
+      detail: isClass ? 'Class component' : '',
+      isUserComponent: true,
+      hierarchy: hierarchy.slice(0, MAX_COMPONENT_HIERARCHY_DEPTH).reverse(),
+      componentInstance: component,
+      props: sanitizeProps(vnode.props || {}, { framework: 'jsx' }),
+      state: getPreactState(component, isClass),
+      hooks: extractPreactHooks(component),
+      sourceLocation: getJsxSourceLocation(vnode.__source) || getOriginalLocation(vnode.type),
+    };
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+function updatePreactHook(component, hookIndex, value) {
+  const hookState = component.__H && component.__H.__ && component.__H.__[hookIndex];
+  const pair = hookState && hookState.__;
+  if (!Array.isArray(pair) || typeof pair[1] !== 'function') {
+    throw new Error('Only useState/useReducer hooks can be edited');
+  }
+  pair[1](value);
+  return true;
+}
+
+function updatePreactState(component, key, value) {
+  if (!component.state || !(key in component.state) || typeof component.setState !== 'function') {
+    throw new Error('State not found');
+  }
+  component.setState({ [key]: value });
+  return true;
+}
+
+// Preact queues componentDidUpdate after every re-render of an existing component,
+// function components included (it checks the instance, not the type)
+function watchPreactComponent(component, onChange) {
+  const hadOwn = Object.prototype.hasOwnProperty.call(component, 'componentDidUpdate');
+  const original = component.componentDidUpdate;
+  component.componentDidUpdate = function (...args) {
+    const result = original ? original.apply(this, args) : undefined;
+    onChange();
+    return result;
+  };
+  return () => {
+    if (hadOwn) {
+      component.componentDidUpdate = original;
+    } else {
+      delete component.componentDidUpdate;
+    }
+  };
+}
+
+export const preactAdapter = {
+  name: 'preact',
+  detect: detectPreact,
+  getProps: (component) => sanitizeProps(component.props || {}, { framework: 'jsx' }),
+  getState: (component) => getPreactState(component),
+  getHooks: extractPreactHooks,
+  update({ componentInstance }, { kind, key, value }) {
+    if (!componentInstance) return false;
+    if (kind === 'hook') return updatePreactHook(componentInstance, key, value);
+    if (kind === 'state') return updatePreactState(componentInstance, key, value);
+    return false;
+  },
+  subscribeToUpdates: watchPreactComponent,
+};
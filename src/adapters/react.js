@@ -0,0 +1,715 @@
+/**
+ * React adapter
+ * Reads fibers through the DevTools hook (or the __reactFiber expando), scores
+ * components to find the user's own, and edits hooks and class state in place.
+ */
+
+import { getReactScoreBonus, extractHooks, getJsxSourceLocation } from '../utils/reactHelpers.js';
+import {
+  isFromNodeModules,
+  isKnownFrameworkComponent,
+  hasFrameworkPattern,
+  calculateComponentScore,
+  isUserComponent,
+  sanitizeValue,
+  sanitizeProps,
+} from '../utils/componentHelpers.js';
+import { MAX_CONTEXTS, MAX_CONTEXT_WALK_DEPTH } from '../config/constants.js';
+import { addCommitListener, removeCommitListener } from '../inpage/commits.js';
+import { getOriginalName, getOriginalLocation } from '../inpage/sourceMaps.js';
+
+const HOST_ROOT_TAG = 3;
+
+// React DevTools Global Hook utilities
+// React DevTools Global Hook utilities
+function getDevToolsHook() {
+  try {
+    const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    if (!hook || !hook.renderers) return null;
+    // Get the first renderer (usually the only one)
+    const renderer = hook.renderers.get(1) || hook.renderers.values().next().value;
+    return renderer || null;
+  } catch {
+    return null;
+  }
+}
+
+function getDisplayNameFromDevTools(fiber, renderer) {
+  try {
+    if (renderer && typeof renderer.getDisplayNameForFiber === 'function') {
+      return renderer.getDisplayNameForFiber(fiber);
+    }
+  } catch {
+    /* ignored */
+  }
+  return null;
+}
+
+function findFiberByDevTools(node) {
+  try {
+    const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    if (!hook) return null;
+    // Try to find fiber via DevTools internals
+    if (typeof hook.getFiberForNative === 'function') {
+      return hook.getFiberForNative(node);
+    }
+    // Some versions use different method names
+    const renderer = getDevToolsHook();
+    if (renderer && typeof renderer.findFiberByHostInstance === 'function') {
+      return renderer.findFiberByHostInstance(node);
+    }
+  } catch {
+    /* ignored */
+  }
+  return null;
+}
+
+function getFiberFromNode(node) {
+  const fiber = findFiberByDevTools(node);
+  if (fiber) return fiber;
+  const fiberKey = Object.keys(node).find(
+    (key) => key.startsWith('__reactFiber') || key.startsWith('__reactInternalInstance')
+  );
+  return fiberKey ? node[fiberKey] : null;
+}
+
+function getReactFiber(element) {
+  const fiberKey = Object.keys(element).find((key) => key.startsWith('__reactFiber'));
+  if (!fiberKey) {
+    throw new Error('No React fiber on target element');
+  }
+  return element[fiberKey];
+}
+
+function findDomNodeForFiber(fiber) {
+  // Try to find a DOM node by traversing down the fiber tree
+  let current = fiber;
+
+  // First, try the current fiber's stateNode
+  if (current.stateNode && current.stateNode instanceof HTMLElement) {
+    return current.stateNode;
+  }
+
+  // Traverse children to find a DOM node
+  current = fiber.child;
+  let depth = 0;
+  const MAX_DEPTH = 100; // Prevent infinite loops
+
+  while (current && depth < MAX_DEPTH) {
+    if (current.stateNode && current.stateNode instanceof HTMLElement) {
+      return current.stateNode;
+    }
+    // Go deeper if needed
+    if (current.child) {
+      current = current.child;
+      depth++;
+    } else if (current.sibling) {
+      current = current.sibling;
+    } else {
+      // No more nodes to check
+      break;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Score one component fiber (higher = more likely the user's own component)
+ */
+function scoreComponentFiber(fiber, name) {
+  const componentType = fiber.type;
+  // Better detection: Check file path from source location
+  const debugSource = fiber._debugSource || componentType.__source;
+  const debugOwner = fiber._debugOwner;
+  const fileName = debugSource?.fileName || componentType._source?.fileName || '';
+
+  // Check owner's file path (who created this component)
+  let ownerFileName = '';
+  if (debugOwner && debugOwner.type) {
+    const ownerSource = debugOwner._debugSource || debugOwner.type.__source;
+    ownerFileName = ownerSource?.fileName || '';
+  }
+
+  const isKnownFramework = isKnownFrameworkComponent(name, fileName);
+  const frameworkPattern = hasFrameworkPattern(name, fileName);
+  const score = calculateComponentScore({
+    fileName,
+    parentFileName: ownerFileName,
+    isKnownFramework,
+    hasFrameworkPattern: frameworkPattern,
+    isFromNodeModules: isFromNodeModules(fileName),
+    isFrameworkBuild: fileName.includes('next/dist'),
+    bonus: getReactScoreBonus({
+      name,
+      fileName,
+      hasDebugSource: !!debugSource,
+      source: componentType.toString(),
+      componentType,
+    }),
+  });
+
+  return {
+    isUserComponent: isUserComponent(score, isKnownFramework, frameworkPattern),
+    score,
+    source: debugSource || componentType._source || null,
+    fileName: fileName,
+    ownerFileName: ownerFileName,
+    isFromNodeModules: isFromNodeModules(fileName),
+    isKnownFramework: isKnownFramework,
+    hasFrameworkPattern: frameworkPattern,
+  };
+}
+
+/**
+ * Score one component fiber and read its props, state and hooks
+ */
+function describeComponentFiber(fiber, name) {
+  // Distinguish between class components (with state) and functional components (with hooks)
+  const classState = fiber.stateNode && fiber.stateNode.state;
+
+  return {
+    fiber,
+    name,
+    props: sanitizeProps(fiber.memoizedProps || {}, { framework: 'jsx' }),
+    state: classState ? sanitizeValue(classState) : null,
+    hooks: classState ? [] : extractHooks(fiber),
+    ...scoreComponentFiber(fiber, name),
+  };
+}
+
+/**
+ * Display name of a component fiber, or null for host fibers, built-ins and unnamed components
+ */
+function getComponentFiberName(fiber, renderer = getDevToolsHook()) {
+  const componentType = fiber.type;
+  // Skip host components (strings), built-ins and fibers without a type
+  if (typeof componentType !== 'function') return null;
+
+  const name = getOriginalName(
+    componentType,
+    getDisplayNameFromDevTools(fiber, renderer) ||
+      componentType.displayName ||
+      componentType.name ||
+      'Component'
+  );
+
+  // Production build support: use more permissive filtering
+  const isValidName =
+    name &&
+    name.length > 0 &&
+    name !== 'Anonymous' &&
+    name !== 'String' &&
+    name !== 'Number' &&
+    name !== 'Boolean' &&
+    !name.startsWith('_');
+  return isValidName ? name : null;
+}
+
+/**
+ * Describe a fiber and each component above it, innermost first
+ */
+function collectComponentHierarchy(fiber) {
+  const devToolsRenderer = getDevToolsHook();
+  const componentHierarchy = [];
+  for (let current = fiber; current; current = current.return) {
+    const name = getComponentFiberName(current, devToolsRenderer);
+    if (name) {
+      componentHierarchy.push(describeComponentFiber(current, name));
+    }
+  }
+  return componentHierarchy;
+}
+
+function toReactInfo(targetComponent, componentHierarchy, userComponents, componentDomNode) {
+  // Filter hierarchy to show only user components or key library components
+  const filteredHierarchy = componentHierarchy
+    .filter((c) => c.isUserComponent || c.name.match(/^(App|Layout|Page|Document|Main)$/))
+    .map((c) => `${c.name}${c.score ? ` (${c.score})` : ''}`);
+
+  return {
+    framework: 'React',
+    name: targetComponent.name,
+    detail: targetComponent.source?.fileName || '',
+    props: targetComponent.props,
+    state: targetComponent.state,
+    hooks: targetComponent.hooks,
+    hierarchy: filteredHierarchy.length > 0 ? filteredHierarchy : [targetComponent.name],
+    isUserComponent: targetComponent.isUserComponent,
+    score: targetComponent.score,
+    allUserComponents: userComponents.map((c) => `${c.name} (${c.score})`),
+    fileName: targetComponent.fileName,
+    sourceLocation:
+      getJsxSourceLocation(targetComponent.source) ||
+      getOriginalLocation(targetComponent.fiber.type),
+    ownerFileName: targetComponent.ownerFileName,
+    isFromNodeModules: targetComponent.isFromNodeModules,
+    componentDomNode: componentDomNode,
+    componentFiber: targetComponent.fiber,
+  };
+}
+
+function detectReact(node) {
+  try {
+    // Find Fiber - try DevTools first, then fallback to DOM properties
+    const fiber = getFiberFromNode(node);
+    if (!fiber) {
+      return null;
+    }
+    const componentHierarchy = collectComponentHierarchy(fiber);
+
+    // Select the best user component based on score
+    const userComponents = componentHierarchy.filter((c) => c.isUserComponent);
+
+    // Sort by score (highest first), then by position (outermost first)
+    userComponents.sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      // If scores equal, prefer outermost (later in array)
+      return componentHierarchy.indexOf(b) - componentHierarchy.indexOf(a);
+    });
+
+    // Select highest scored user component, or fallback to non-framework with positive score
+    const targetComponent =
+      userComponents[0] ||
+      componentHierarchy.find(
+        (c) => !c.isKnownFramework && !c.hasFrameworkPattern && c.score >= 0
+      ) ||
+      componentHierarchy[0];
+
+    if (targetComponent) {
+      // Find React component's root DOM node
+      const fiberKey = Object.keys(node).find((key) => key.startsWith('__reactFiber'));
+      let componentDomNode = null;
+      if (fiberKey) {
+        let fiber = node[fiberKey];
+        // Walk up to find the target component fiber (either copy of it)
+        while (fiber) {
+          if (fiber === targetComponent.fiber || fiber.alternate === targetComponent.fiber) {
+            // Found the component, now find its DOM node
+            componentDomNode = findDomNodeForFiber(fiber);
+            break;
+          }
+          fiber = fiber.return;
+        }
+      }
+
+      return toReactInfo(targetComponent, componentHierarchy, userComponents, componentDomNode);
+    }
+  } catch (e) {
+    // Silent fail - React detection errors are expected on non-React pages
+  }
+  return null;
+}
+
+/**
+ * Info for one component fiber (picked with tree navigation rather than by score)
+ */
+function describeReactComponent(fiber) {
+  const current = getCurrentFiber(fiber);
+  const componentHierarchy = collectComponentHierarchy(current);
+  if (componentHierarchy.length === 0) return null;
+
+  const userComponents = componentHierarchy.filter((c) => c.isUserComponent);
+  return toReactInfo(
+    componentHierarchy[0],
+    componentHierarchy,
+    userComponents,
+    findDomNodeForFiber(current)
+  );
+}
+
+function getParentComponentFiber(fiber) {
+  let parent = getCurrentFiber(fiber).return;
+  while (parent && !getComponentFiberName(parent)) {
+    parent = parent.return;
+  }
+  return parent || null;
+}
+
+// Nearest component fibers below this one; host elements and built-ins in between are skipped
+function getChildComponentFibers(fiber) {
+  const children = [];
+  const devToolsRenderer = getDevToolsHook();
+  const visit = (first) => {
+    for (let child = first; child; child = child.sibling) {
+      if (getComponentFiberName(child, devToolsRenderer)) {
+        children.push(child);
+      } else {
+        visit(child.child);
+      }
+    }
+  };
+  visit(getCurrentFiber(fiber).child);
+  return children;
+}
+
+/**
+ * Top-level components of every React root on the page. The DevTools hook lists the
+ * roots when it is installed; otherwise they are found from their container elements.
+ */
+function getReactRoots() {
+  const hostRoots = new Set();
+  const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+  if (hook && hook.renderers && typeof hook.getFiberRoots === 'function') {
+    hook.renderers.forEach((_renderer, rendererId) => {
+      hook.getFiberRoots(rendererId)?.forEach((fiberRoot) => hostRoots.add(fiberRoot.current));
+    });
+  }
+  if (hostRoots.size === 0) {
+    document.querySelectorAll('*').forEach((element) => {
+      const containerKey = Object.keys(element).find((key) => key.startsWith('__reactContainer'));
+      // createRoot() containers point at the root fiber, legacy render() ones at the root
+      const hostRoot = containerKey
+        ? element[containerKey]
+        : element._reactRootContainer?._internalRoot?.current;
+      if (hostRoot) hostRoots.add(getCurrentFiber(hostRoot));
+    });
+  }
+  return [...hostRoots].flatMap((hostRoot) => getChildComponentFibers(hostRoot));
+}
+
+function summarizeReactComponent(fiber) {
+  const name = getComponentFiberName(fiber);
+  return {
+    name,
+    framework: 'React',
+    isUserComponent: scoreComponentFiber(fiber, name).isUserComponent,
+  };
+}
+
+function buildReactTree(node, maxDepth) {
+  let fiber = getFiberFromNode(node);
+  if (!fiber) return null;
+
+  const tree = [];
+  while (fiber && tree.length < maxDepth) {
+    const componentType = fiber.type;
+    if (componentType && typeof componentType === 'function') {
+      const name = getOriginalName(componentType, componentType.displayName || componentType.name);
+      if (name && !name.startsWith('_')) {
+        tree.push({
+          name,
+          isUserComponent:
+            !/^(Fragment|Suspense|StrictMode|Provider|Consumer|Context|Profiler)$/.test(name),
+          hasState: !!fiber.memoizedState,
+          hasProps: !!fiber.memoizedProps,
+          key: fiber.key,
+        });
+      }
+    }
+    fiber = fiber.return;
+  }
+  return tree;
+}
+
+function detectReactContexts(node) {
+  const contexts = [];
+  const seen = new Set();
+  let fiber = getFiberFromNode(node);
+  let depth = 0;
+
+  const addContext = (context, type) => {
+    if (!context || seen.has(context) || contexts.length >= MAX_CONTEXTS) return;
+    seen.add(context);
+    contexts.push({
+      name: context.displayName || 'Context',
+      type,
+      value: sanitizeValue(context._currentValue),
+      defaultValue:
+        context._defaultValue !== undefined ? sanitizeValue(context._defaultValue) : undefined,
+    });
+  };
+
+  while (fiber && depth < MAX_CONTEXT_WALK_DEPTH) {
+    depth++;
+    // React 18 providers carry the context on type._context, React 19 on type itself
+    if (fiber.type && fiber.type._context) {
+      addContext(fiber.type._context, 'Provider');
+    }
+    let dependency = fiber.dependencies?.firstContext;
+    while (dependency) {
+      addContext(dependency.context, 'Consumer');
+      dependency = dependency.next;
+    }
+    fiber = fiber.return;
+  }
+  return contexts;
+}
+
+// Pick whichever of fiber/alternate is in the committed tree: a current fiber
+// walks up to the HostRoot that its FiberRoot points at.
+export function getCurrentFiber(fiber) {
+  let node = fiber;
+  while (node.return) node = node.return;
+  const fiberRoot = node.tag === HOST_ROOT_TAG ? node.stateNode : null;
+  if (!fiberRoot || fiberRoot.current === node || !fiber.alternate) return fiber;
+  return fiber.alternate;
+}
+
+// Re-read the component after each commit that touched it
+function subscribeToCommits(componentFiber, onChange) {
+  let lastProps = null;
+  let lastState = null;
+  const onCommit = () => {
+    const fiber = getCurrentFiber(componentFiber);
+    if (fiber.memoizedProps === lastProps && fiber.memoizedState === lastState) return;
+    lastProps = fiber.memoizedProps;
+    lastState = fiber.memoizedState;
+    onChange();
+  };
+
+  addCommitListener(onCommit);
+  return () => removeCommitListener(onCommit);
+}
+
+/**
+ * Update a hook value (function components)
+ */
+function updateReactHook(fiber, hookIndex, parsedValue) {
+  // Find the component fiber
+  let componentFiber = fiber;
+  while (componentFiber) {
+    if (componentFiber.type && typeof componentFiber.type === 'function') {
+      // Navigate to the specific hook
+      let hook = componentFiber.memoizedState;
+      let currentIndex = 0;
+
+      while (hook && currentIndex <= hookIndex) {
+        if (currentIndex === hookIndex) {
+          // Found the target hook: update the memoizedState
+          hook.memoizedState = parsedValue;
+
+          // Also update baseState if it exists
+          if (hook.baseState !== undefined) {
+            hook.baseState = parsedValue;
+          }
+
+          // Try to find and call the setState function
+          if (hook.queue && hook.queue.dispatch) {
+            try {
+              // Temporarily suppress React warnings
+              const originalError = console.error;
+              console.error = (...args) => {
+                if (args[0]?.includes?.('optimistic state update')) {
+                  return; // Suppress this specific warning
+                }
+                originalError.apply(console, args);
+              };
+
+              try {
+                // Also update alternate fiber BEFORE dispatch
+                if (componentFiber.alternate && componentFiber.alternate.memoizedState) {
+                  let altHook = componentFiber.alternate.memoizedState;
+                  let altIndex = 0;
+                  while (altHook && altIndex < hookIndex) {
+                    altHook = altHook.next;
+                    altIndex++;
+                  }
+                  if (altHook && altIndex === hookIndex) {
+                    altHook.memoizedState = parsedValue;
+                    if (altHook.baseState !== undefined) {
+                      altHook.baseState = parsedValue;
+                    }
+                  }
+                }
+
+                // Mark fiber as needing update
+                componentFiber.lanes = 1;
+                if (componentFiber.alternate) {
+                  componentFiber.alternate.lanes = 1;
+                }
+
+                // Schedule update on root fiber
+                let rootFiber = componentFiber;
+                while (rootFiber.return) {
+                  rootFiber = rootFiber.return;
+                }
+
+                // Try to get React's scheduler
+                const fiberRoot = rootFiber.stateNode;
+                if (fiberRoot && fiberRoot.current) {
+                  // Mark root as having pending updates
+                  if (typeof fiberRoot.ensureRootIsScheduled === 'function') {
+                    fiberRoot.ensureRootIsScheduled(fiberRoot);
+                  }
+                }
+
+                // Call dispatch to trigger re-render
+                hook.queue.dispatch(parsedValue);
+
+                return true;
+              } finally {
+                // Restore console.error
+                console.error = originalError;
+              }
+            } catch (err) {
+              // Silent fail
+            }
+          }
+
+          // Fallback: Force update using React internals
+          hook.memoizedState = parsedValue;
+          if (hook.baseState !== undefined) {
+            hook.baseState = parsedValue;
+          }
+
+          // Mark both fibers for update
+          componentFiber.lanes = 1;
+          if (componentFiber.alternate) {
+            componentFiber.alternate.lanes = 1;
+
+            // Update alternate hook too
+            let altHook = componentFiber.alternate.memoizedState;
+            let altIndex = 0;
+            while (altHook && altIndex < hookIndex) {
+              altHook = altHook.next;
+              altIndex++;
+            }
+            if (altHook && altIndex === hookIndex) {
+              altHook.memoizedState = parsedValue;
+              if (altHook.baseState !== undefined) {
+                altHook.baseState = parsedValue;
+              }
+            }
+          }
+
+          // Force schedule update on root
+          let rootFiber = componentFiber;
+          while (rootFiber.return) {
+            rootFiber = rootFiber.return;
+          }
+          const fiberRoot = rootFiber.stateNode;
+          if (fiberRoot && fiberRoot.current) {
+            try {
+              // Try to schedule update
+              if (typeof fiberRoot.ensureRootIsScheduled === 'function') {
+                fiberRoot.ensureRootIsScheduled(fiberRoot);
+              }
+
+              // Try to mark as having pending work
+              if (
+                fiberRoot.callbackNode === null &&
+                typeof fiberRoot.scheduleRefresh === 'function'
+              ) {
+                fiberRoot.scheduleRefresh();
+              }
+            } catch (e) {
+              // Silent fail
+            }
+          }
+
+          return true;
+        }
+        hook = hook.next;
+        currentIndex++;
+      }
+      break;
+    }
+    componentFiber = componentFiber.return;
+  }
+
+  throw new Error('Hook not found');
+}
+
+/**
+ * Update class component state
+ */
+function updateReactState(fiber, stateKey, parsedValue) {
+  // Find the component fiber with state
+  let componentFiber = fiber;
+  while (componentFiber) {
+    if (
+      componentFiber.stateNode &&
+      componentFiber.stateNode.state &&
+      stateKey in componentFiber.stateNode.state
+    ) {
+      // Found the component with state: update it
+      const newState = { ...componentFiber.stateNode.state, [stateKey]: parsedValue };
+      componentFiber.stateNode.state = newState;
+
+      // Try to use setState if available
+      if (typeof componentFiber.stateNode.setState === 'function') {
+        componentFiber.stateNode.setState({ [stateKey]: parsedValue });
+        return true;
+      }
+
+      // Fallback: Update memoizedState and force re-render
+      if (componentFiber.memoizedState) {
+        componentFiber.memoizedState = newState;
+      }
+
+      // Update alternate fiber
+      if (componentFiber.alternate) {
+        if (componentFiber.alternate.stateNode) {
+          componentFiber.alternate.stateNode.state = newState;
+        }
+        if (componentFiber.alternate.memoizedState) {
+          componentFiber.alternate.memoizedState = newState;
+        }
+      }
+
+      // Mark for update and schedule
+      componentFiber.lanes = 1;
+      if (componentFiber.alternate) {
+        componentFiber.alternate.lanes = 1;
+      }
+
+      // Schedule update on root
+      let rootFiber = componentFiber;
+      while (rootFiber.return) {
+        rootFiber = rootFiber.return;
+      }
+      const fiberRoot = rootFiber.stateNode;
+      if (fiberRoot && fiberRoot.current) {
+        try {
+          if (typeof fiberRoot.ensureRootIsScheduled === 'function') {
+            fiberRoot.ensureRootIsScheduled(fiberRoot);
+          }
+        } catch (e) {
+          console.log('[HoverComp] Could not schedule root update:', e.message);
+        }
+      }
+
+      console.log('[HoverComp] State updated (fallback method)');
+      return true;
+    }
+    componentFiber = componentFiber.return;
+  }
+
+  throw new Error('State not found');
+}
+
+function getClassState(fiber) {
+  return getCurrentFiber(fiber).stateNode?.state || null;
+}
+
+export const reactAdapter = {
+  name: 'react',
+  detect: detectReact,
+  getProps: (fiber) =>
+    sanitizeProps(getCurrentFiber(fiber).memoizedProps || {}, { framework: 'jsx' }),
+  getState: (fiber) => {
+    const classState = getClassState(fiber);
+    return classState ? sanitizeValue(classState) : null;
+  },
+  getHooks: (fiber) => (getClassState(fiber) ? [] : extractHooks(getCurrentFiber(fiber))),
+  update(info, { kind, key, value }, element) {
+    // Start at the component the panel shows, which may not be the innermost one
+    const fiber = info.componentFiber
+      ? getCurrentFiber(info.componentFiber)
+      : getReactFiber(element);
+    if (kind === 'hook') return updateReactHook(fiber, key, value);
+    if (kind === 'state') return updateReactState(fiber, key, value);
+    return false;
+  },
+  getTree: buildReactTree,
+  getContext: detectReactContexts,
+  subscribeToUpdates: subscribeToCommits,
+  getParent: getParentComponentFiber,
+  getChildren: getChildComponentFibers,
+  getElement: (fiber) => findDomNodeForFiber(getCurrentFiber(fiber)),
+  describe: describeReactComponent,
+  isSameComponent: (a, b) => a === b || a.alternate === b,
+  getRoots: getReactRoots,
+  summarize: summarizeReactComponent,
+};
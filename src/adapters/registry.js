@@ -0,0 +1,86 @@
+/**
+ * Framework adapter registry
+ *
+ * Everything framework-specific the page-world script does (detection, editing,
+ * component tree, contexts, update subscriptions) goes through an adapter.
+ * Adapters are tried in registration order and the first detect() hit wins.
+ * Built-in adapters are registered by src/adapters/index.js.
+ */
+
+/**
+ * @typedef {Object} FrameworkAdapter
+ * @property {string} name - Unique adapter name, e.g. 'react'
+ * @property {function(HTMLElement): ?Object} detect - Component info for a node, or null.
+ *   The info needs `framework` and `name`; `componentInstance` (or `componentFiber` for
+ *   React) is the component handed to the methods below. `sourceLocation`
+ *   ({ fileName, line, column }) enables Open in editor.
+ * @property {function(Object): Array<string>} [getHierarchy] - Component and ancestor
+ *   names, outermost first
+ * @property {function(Object, string): Object} [getProps] - Sanitized props
+ * @property {function(Object, string): ?Object} [getState] - Sanitized state
+ * @property {function(Object): Array} [getHooks] - Hooks as { type, index, value }
+ * @property {function(Object, Object, HTMLElement): boolean} [update] - Apply
+ *   { kind: 'state'|'prop'|'hook', key, value } to (info, change, element). Returns false
+ *   when the adapter cannot edit that kind, throws when the edit fails.
+ * @property {function(Object, string): boolean} [resetOverride] - Undo an override (info, key)
+ * @property {function(Object): Array<string>} [getOverrides] - Keys currently overridden
+ * @property {function(HTMLElement, number): ?Array} [getTree] - Ancestor tree, innermost first
+ * @property {function(HTMLElement): Array} [getContext] - Contexts, injections or services
+ * @property {function(HTMLElement): Object} [getStores] - { stores, hasStores }
+ * @property {function(Object, Function, Object): Function} [subscribeToUpdates] - Call
+ *   onChange after every update of the component; ({ framework, read }) is passed as the
+ *   third argument. Returns the unsubscribe function.
+ * @property {function(Object): ?Object} [getParent] - Nearest ancestor component. Arrow-key
+ *   tree navigation needs this, getChildren, getElement and describe.
+ * @property {function(Object): Array<Object>} [getChildren] - Nearest descendant components,
+ *   in render order
+ * @property {function(Object): ?HTMLElement} [getElement] - First element the component renders
+ * @property {function(Object): ?Object} [describe] - Info for this exact component, shaped
+ *   like detect()'s
+ * @property {function(Object, Object): boolean} [isSameComponent] - Whether two values name
+ *   the same component (defaults to ===)
+ * @property {function(): Array<Object>} [getRoots] - Top-level components of every app on
+ *   the page, for the component tree drawer (which also needs getChildren and summarize)
+ * @property {function(Object): Object} [summarize] - { name, framework, isUserComponent }
+ *   without reading props or state
+ */
+
+const adapters = [];
+
+/**
+ * Register a framework adapter
+ * @param {FrameworkAdapter} adapter - Adapter to add
+ * @param {Object} [options]
+ * @param {boolean} [options.prepend] - Try this adapter before the registered ones
+ */
+export function registerAdapter(adapter, { prepend = false } = {}) {
+  if (!adapter || typeof adapter.name !== 'string' || typeof adapter.detect !== 'function') {
+    throw new Error('Framework adapters need a name and a detect(node) function');
+  }
+  if (getAdapter(adapter.name)) {
+    throw new Error(`A framework adapter named "${adapter.name}" is already registered`);
+  }
+
+  if (prepend) {
+    adapters.unshift(adapter);
+  } else {
+    adapters.push(adapter);
+  }
+}
+
+/**
+ * Registered adapters in detection order
+ * @returns {Array<FrameworkAdapter>}
+ */
+export function getAdapters() {
+  return adapters.slice();
+}
+
+/**
+ * Find an adapter by name
+ * @param {string} name - Adapter name
+ * @returns {FrameworkAdapter|null}
+ */
+export function getAdapter(name) {
+  return adapters.find((adapter) => adapter.name === name) || null;
+}
@@ -0,0 +1,84 @@
+/**
+ * Solid adapter
+ * Solid islands (<solid-island>, or Astro islands rendered by @astrojs/solid-js).
+ * Solid keeps no back-references on DOM nodes, so props come from the island markup.
+ */
+
+import { MAX_COMPONENT_HIERARCHY_DEPTH } from '../config/constants.js';
+import { isPlainObject, sanitizeProps } from '../utils/componentHelpers.js';
+
+const SOLID_ISLAND_SELECTOR = 'solid-island, astro-island[renderer-url*="solid"]';
+
+function getSolidIslandName(island) {
+  const url =
+    island.getAttribute('component-url') || island.dataset.component || island.dataset.island || '';
+  const fileName = url
+    .split('?')[0]
+    .split('/')
+    .pop()
+    .replace(/\.[jt]sx?$/, '');
+  const exportName = island.getAttribute('component-export');
+  return exportName && exportName !== 'default' ? exportName : fileName || 'SolidIsland';
+}
+
+// Astro serializes each prop as [type, value]; 0 = value (objects nested), 1 = array
+function decodeAstroProp(entry) {
+  if (!Array.isArray(entry)) return entry;
+  const [type, value] = entry;
+  if (type === 1 && Array.isArray(value)) return value.map(decodeAstroProp);
+  if (type === 0 && isPlainObject(value)) return decodeAstroProps(value);
+  return value;
+}
+
+function decodeAstroProps(encoded) {
+  const props = {};
+  Object.keys(encoded).forEach((key) => {
+    props[key] = decodeAstroProp(encoded[key]);
+  });
+  return props;
+}
+
+function readSolidIslandProps(island) {
+  try {
+    if (island.localName === 'astro-island') {
+      return decodeAstroProps(JSON.parse(island.getAttribute('props') || '{}'));
+    }
+    return JSON.parse(island.dataset.props || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+function detectSolid(node) {
+  try {
+    const island = node.closest(SOLID_ISLAND_SELECTOR);
+    if (!island) return null;
+
+    const hierarchy = [];
+    let current = island;
+    while (current && hierarchy.length < MAX_COMPONENT_HIERARCHY_DEPTH) {
+      hierarchy.push(getSolidIslandName(current));
+      current = current.parentElement?.closest(SOLID_ISLAND_SELECTOR);
+    }
+
+    const fileName = (island.getAttribute('component-url') || '').split('?')[0];
+    return {
+      framework: 'Solid',
+      name: getSolidIslandName(island),
+      detail: fileName ? '' : 'Island',
+      fileName,
+      isUserComponent: !fileName.includes('node_modules'),
+      hierarchy: hierarchy.reverse(),
+      props: sanitizeProps(readSolidIslandProps(island), { framework: 'jsx' }),
+      state: {},
+    };
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+export const solidAdapter = {
+  name: 'solid',
+  detect: detectSolid,
+};
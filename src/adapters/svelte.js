@@ -0,0 +1,504 @@
+/**
+ * Svelte adapter
+ * Svelte 3/4 components are found through $$, Svelte 5 ones through __svelte_meta.
+ * Edits use $inject_state (dev builds) or a ctx write plus what $$invalidate
+ * would do; Svelte 5 state goes through accessors or in-place $state proxy writes.
+ * Svelte 5 `let x = $state()` locals live in the component's closure, not on the
+ * instance, so they can't be read or edited from outside.
+ */
+
+import { MAX_CONTEXTS } from '../config/constants.js';
+import { sanitizeValue, isPlainObject, assignReactive } from '../utils/componentHelpers.js';
+
+function getSvelteComponent(node) {
+  let current = node;
+  while (current && current !== document.documentElement) {
+    const svelteKey = Object.keys(current).find(
+      (key) => key.startsWith('__svelte_') || key === '__svelte'
+    );
+    if (svelteKey && current[svelteKey]?.$$) return current[svelteKey];
+    if (current.$$) return current;
+    current = current.parentElement;
+  }
+  return null;
+}
+
+function getSvelteName(component) {
+  const fileName = component.$$.ctx?.__file || '';
+  return (
+    component.constructor?.name ||
+    fileName.split('/').pop()?.replace('.svelte', '') ||
+    'SvelteComponent'
+  );
+}
+
+function isSvelteWrapper(component) {
+  const name = getSvelteName(component);
+  return name === 'SvelteComponent' || name === 'ProxyComponent';
+}
+
+function isSvelteStore(value) {
+  return !!value && typeof value === 'object' && typeof value.subscribe === 'function';
+}
+
+function isSvelteStateValue(value) {
+  return (
+    value !== null &&
+    value !== undefined &&
+    typeof value !== 'function' &&
+    !(value instanceof Node) &&
+    !isSvelteStore(value) // Listed in the Stores section
+  );
+}
+
+/**
+ * Read a Svelte 3/4 component's props and state.
+ * Dev builds name state through $capture_state(); production only has ctx indices (state_N).
+ */
+function extractSvelteDetails(component) {
+  const $$ = component.$$;
+  const ctx = Array.isArray($$.ctx) ? $$.ctx : [];
+  const propIndices = $$.props || {};
+  const props = {};
+  const state = {};
+
+  Object.keys(propIndices).forEach((name) => {
+    props[name] = sanitizeValue(ctx[propIndices[name]]);
+  });
+
+  if (typeof component.$capture_state === 'function') {
+    const captured = component.$capture_state() || {};
+    Object.keys(captured).forEach((key) => {
+      if (key in props || key.startsWith('$') || !isSvelteStateValue(captured[key])) return;
+      state[key] = sanitizeValue(captured[key]);
+    });
+  } else {
+    const indices = new Set(Object.values(propIndices));
+    ctx.forEach((value, index) => {
+      if (indices.has(index) || !isSvelteStateValue(value)) return;
+      state[`state_${index}`] = sanitizeValue(value);
+    });
+  }
+
+  return { props, state };
+}
+
+function getSvelte5Instance(node) {
+  let current = node;
+  while (current && current !== document.documentElement) {
+    const meta = current.__svelte_meta;
+    const instance = meta && (meta.instance || meta.component);
+    if (instance && typeof instance === 'object') return { instance, meta };
+    current = current.parentElement;
+  }
+  return null;
+}
+
+/**
+ * Where the hovered markup is in its component: dev builds tag elements with
+ * __svelte_meta.loc (1-based line, 0-based column)
+ */
+function getSvelteSourceLocation(node, fileName) {
+  for (let current = node; current; current = current.parentElement) {
+    const loc = current.__svelte_meta?.loc;
+    if (loc && loc.file && (!fileName || loc.file === fileName)) {
+      const column = typeof loc.column === 'number' ? loc.column + 1 : null;
+      return { fileName: loc.file, line: loc.line || null, column };
+    }
+  }
+  return fileName ? { fileName, line: null, column: null } : null;
+}
+
+/**
+ * Read a Svelte 5 instance's props and state from its own (accessor) properties
+ */
+function extractSvelte5Details(instance, meta) {
+  const props = {};
+  const state = {};
+  Object.getOwnPropertyNames(instance).forEach((key) => {
+    if (key.startsWith('$') || key.startsWith('__') || key === 'constructor') return;
+    try {
+      const value = instance[key];
+      if (typeof value === 'function') return;
+      const target = meta.props && meta.props.includes(key) ? props : state;
+      target[key] = sanitizeValue(value);
+    } catch (e) {
+      // Skip inaccessible properties
+    }
+  });
+  return { props, state };
+}
+
+// Svelte 3/4 components carry $$; Svelte 5 instances only their accessors
+function readSvelteDetails(component) {
+  if (component.$$) return extractSvelteDetails(component);
+  return extractSvelte5Details(component, getSvelteElement(component)?.__svelte_meta || {});
+}
+
+function toSvelteInfo(target, node) {
+  const hierarchy = [];
+  for (let current = target; current && current.$$; current = current.$$.parent) {
+    if (!isSvelteWrapper(current)) hierarchy.push(getSvelteName(current));
+  }
+
+  const fileName = target.$$.ctx?.__file || '';
+  return {
+    framework: 'Svelte',
+    name: getSvelteName(target),
+    detail: fileName,
+    fileName,
+    isUserComponent: !fileName.includes('node_modules'),
+    hierarchy: hierarchy.reverse(),
+    sourceLocation: getSvelteSourceLocation(node, fileName),
+    componentInstance: target,
+    canOverrideProps: typeof target.$set === 'function',
+    ...extractSvelteDetails(target),
+  };
+}
+
+function toSvelte5Info({ instance, meta }, node) {
+  const fileName = meta.file || meta.loc?.file || '';
+  const name = meta.name || fileName.split('/').pop()?.replace('.svelte', '') || 'SvelteComponent';
+  return {
+    framework: 'Svelte 5',
+    name,
+    detail: fileName,
+    fileName,
+    isUserComponent: !fileName.includes('node_modules'),
+    hierarchy: [name],
+    sourceLocation: getSvelteSourceLocation(node, fileName),
+    componentInstance: instance,
+    canOverrideProps: typeof instance.$set === 'function',
+    ...extractSvelte5Details(instance, meta),
+  };
+}
+
+// HMR wraps components in ProxyComponent; report the nearest real one
+function unwrapSvelteComponent(component) {
+  let target = component;
+  while (target && target.$$ && isSvelteWrapper(target)) {
+    target = target.$$.parent;
+  }
+  return target && target.$$ ? target : component;
+}
+
+function detectSvelte(node) {
+  try {
+    const component = getSvelteComponent(node);
+    if (component) {
+      return toSvelteInfo(unwrapSvelteComponent(component), node);
+    }
+
+    const svelte5 = getSvelte5Instance(node);
+    if (svelte5) {
+      return toSvelte5Info(svelte5, node);
+    }
+  } catch (e) {
+    // Silent fail - Svelte internals differ between versions
+  }
+  return null;
+}
+
+/**
+ * The component an element itself is tagged with (not one inherited from an ancestor)
+ */
+function getOwnSvelteComponent(element) {
+  const svelteKey = Object.keys(element).find(
+    (key) => key.startsWith('__svelte_') || key === '__svelte'
+  );
+  if (svelteKey && element[svelteKey]?.$$) return unwrapSvelteComponent(element[svelteKey]);
+  if (element.$$) return unwrapSvelteComponent(element);
+  const meta = element.__svelte_meta;
+  const instance = meta && (meta.instance || meta.component);
+  return instance && typeof instance === 'object' ? instance : null;
+}
+
+// Reused until the current request has been answered; the DOM can change after that
+let svelteElements = null;
+
+/**
+ * Svelte keeps no list of a component's children or DOM nodes, so tree navigation
+ * maps each component to the first element it owns, in document order
+ */
+function mapSvelteElements() {
+  if (svelteElements) return svelteElements;
+
+  const elements = new Map();
+  document.querySelectorAll('*').forEach((element) => {
+    const component = getOwnSvelteComponent(element);
+    if (component && !elements.has(component)) elements.set(component, element);
+  });
+  svelteElements = elements;
+  queueMicrotask(() => {
+    svelteElements = null;
+  });
+  return elements;
+}
+
+function getSvelteParent(component) {
+  if (component.$$) {
+    let parent = component.$$.parent;
+    while (parent && parent.$$ && isSvelteWrapper(parent)) {
+      parent = parent.$$.parent;
+    }
+    return parent || null;
+  }
+
+  // Svelte 5: the owner of the nearest ancestor element tagged with another instance
+  const element = mapSvelteElements().get(component);
+  for (let current = element?.parentElement; current; current = current.parentElement) {
+    const owner = getOwnSvelteComponent(current);
+    if (owner && owner !== component) return owner;
+  }
+  return null;
+}
+
+function getSvelteChildren(component) {
+  return [...mapSvelteElements().keys()].filter(
+    (other) => other !== component && getSvelteParent(other) === component
+  );
+}
+
+function getSvelteElement(component) {
+  return mapSvelteElements().get(component) || null;
+}
+
+function getSvelteRoots() {
+  return [...mapSvelteElements().keys()].filter((component) => !getSvelteParent(component));
+}
+
+function summarizeSvelteComponent(component) {
+  if (component.$$) {
+    const fileName = component.$$.ctx?.__file || '';
+    return {
+      name: getSvelteName(component),
+      framework: 'Svelte',
+      isUserComponent: !fileName.includes('node_modules'),
+    };
+  }
+  const meta = getSvelteElement(component)?.__svelte_meta || {};
+  const fileName = meta.file || meta.loc?.file || '';
+  return {
+    name: meta.name || fileName.split('/').pop()?.replace('.svelte', '') || 'SvelteComponent',
+    framework: 'Svelte 5',
+    isUserComponent: !fileName.includes('node_modules'),
+  };
+}
+
+function describeSvelteComponent(component) {
+  const element = getSvelteElement(component);
+  if (component.$$) return toSvelteInfo(component, element);
+  const meta = element?.__svelte_meta;
+  return meta ? toSvelte5Info({ instance: component, meta }, element) : null;
+}
+
+function buildSvelteTree(node, maxDepth) {
+  let component = getSvelteComponent(node);
+  if (!component) return null;
+
+  const tree = [];
+  while (component && component.$$ && tree.length < maxDepth) {
+    const fileName = component.$$.ctx?.__file || '';
+    const name =
+      component.constructor?.name ||
+      fileName.split('/').pop()?.replace('.svelte', '') ||
+      'SvelteComponent';
+    if (name !== 'SvelteComponent' && name !== 'ProxyComponent') {
+      tree.push({
+        name,
+        isUserComponent: !fileName.includes('node_modules'),
+        hasState: true,
+        hasProps: !!(component.$$.props && Object.keys(component.$$.props).length > 0),
+      });
+    }
+    component = component.$$.parent;
+  }
+  return tree;
+}
+
+function detectSvelteContexts(node) {
+  const component = getSvelteComponent(node);
+  const contextMap = component?.$$?.context;
+  if (!(contextMap instanceof Map)) return [];
+
+  const contexts = [];
+  for (const [key, value] of contextMap) {
+    if (contexts.length >= MAX_CONTEXTS) break;
+    contexts.push({ name: String(key), type: 'Context', value: sanitizeValue(value) });
+  }
+  return contexts;
+}
+
+function getStoreType(store) {
+  if (typeof store.set === 'function' && typeof store.update === 'function') return 'writable';
+  if (!store.set) return store.sources || store.deps ? 'derived' : 'readable';
+  return 'custom';
+}
+
+function readStoreValue(store) {
+  let value;
+  try {
+    // Svelte stores call the subscriber synchronously with the current value
+    const unsubscribe = store.subscribe((v) => {
+      value = v;
+    });
+    if (typeof unsubscribe === 'function') unsubscribe();
+    else if (unsubscribe && typeof unsubscribe.unsubscribe === 'function')
+      unsubscribe.unsubscribe();
+  } catch (e) {
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Detect Svelte stores referenced from the component context
+ */
+function detectSvelteStores(node) {
+  try {
+    const ctx = getSvelteComponent(node)?.$$?.ctx;
+    if (!Array.isArray(ctx)) return { stores: [], hasStores: false };
+
+    const stores = [];
+    ctx.forEach((value, index) => {
+      if (value && typeof value === 'object' && typeof value.subscribe === 'function') {
+        stores.push({
+          index,
+          type: getStoreType(value),
+          value: sanitizeValue(readStoreValue(value)),
+          hasSet: typeof value.set === 'function',
+          hasUpdate: typeof value.update === 'function',
+        });
+      }
+    });
+    return { stores, hasStores: stores.length > 0 };
+  } catch (e) {
+    return { stores: [], hasStores: false };
+  }
+}
+
+// Write ctx[index], mark it dirty and patch the fragment like a scheduled flush would
+function invalidateSvelteCtx(component, index, value) {
+  const $$ = component.$$;
+  if (!Array.isArray($$.ctx) || index >= $$.ctx.length) {
+    throw new Error('State not found');
+  }
+
+  $$.ctx[index] = value;
+  const word = (index / 31) | 0;
+  const bit = 1 << (index % 31);
+
+  // An update is already scheduled; it will pick this bit up
+  if (Array.isArray($$.dirty) && $$.dirty[0] !== -1) {
+    $$.dirty[word] |= bit;
+    return true;
+  }
+
+  $$.dirty = new Array(Math.ceil($$.ctx.length / 31)).fill(0);
+  $$.dirty[word] |= bit;
+  if (typeof $$.update === 'function') $$.update(); // Reactive ($:) statements
+  const dirty = $$.dirty;
+  $$.dirty = [-1];
+  if ($$.fragment && typeof $$.fragment.p === 'function') {
+    $$.fragment.p($$.ctx, dirty);
+  }
+  $$.after_update?.forEach((callback) => callback());
+  return true;
+}
+
+function updateSvelte5State(instance, key, value) {
+  let owner = instance;
+  let descriptor = null;
+  while (owner && !descriptor) {
+    descriptor = Object.getOwnPropertyDescriptor(owner, key);
+    owner = Object.getPrototypeOf(owner);
+  }
+
+  if (!descriptor) {
+    throw new Error(
+      `${key} is not on the component instance: Svelte 5 \`let\` $state locals can't be ` +
+        'edited, only exported accessors and $state objects'
+    );
+  }
+  if (descriptor.set || descriptor.writable) {
+    instance[key] = value; // Accessor writes the $state signal
+    return true;
+  }
+  const current = instance[key];
+  if (isPlainObject(current) && isPlainObject(value)) {
+    assignReactive(current, value); // $state proxies react to property writes
+    return true;
+  }
+  throw new Error('Svelte 5 state is only writable through component accessors or $state objects');
+}
+
+/**
+ * Update Svelte component state
+ */
+function updateSvelteState({ component, isSvelte5 }, key, value) {
+  if (isSvelte5) {
+    return updateSvelte5State(component, key, value);
+  }
+
+  if (
+    typeof component.$inject_state === 'function' &&
+    typeof component.$capture_state === 'function' &&
+    key in (component.$capture_state() || {})
+  ) {
+    component.$inject_state({ [key]: value }); // Calls $$invalidate for us
+    return true;
+  }
+
+  const match = /^state_(\d+)$/.exec(key);
+  if (match) {
+    return invalidateSvelteCtx(component, Number(match[1]), value);
+  }
+  throw new Error('State not found');
+}
+
+// Svelte 3/4 runs after_update callbacks after every update of the component
+function watchSvelteComponent(component, onChange, { framework }) {
+  const afterUpdate = component.$$ && component.$$.after_update;
+  if (!Array.isArray(afterUpdate)) {
+    throw new Error(`History is not available for ${framework}`);
+  }
+
+  const onUpdate = () => onChange();
+  afterUpdate.push(onUpdate);
+  return () => {
+    const index = afterUpdate.indexOf(onUpdate);
+    if (index !== -1) afterUpdate.splice(index, 1);
+  };
+}
+
+export const svelteAdapter = {
+  name: 'svelte',
+  detect: detectSvelte,
+  getProps: (component) => readSvelteDetails(component).props,
+  getState: (component) => readSvelteDetails(component).state,
+  update({ framework, componentInstance }, { kind, key, value }) {
+    if (!componentInstance) return false;
+    if (kind === 'state') {
+      return updateSvelteState(
+        { component: componentInstance, isSvelte5: framework === 'Svelte 5' },
+        key,
+        value
+      );
+    }
+    if (kind === 'prop' && typeof componentInstance.$set === 'function') {
+      componentInstance.$set({ [key]: value });
+      return true;
+    }
+    return false;
+  },
+  getTree: buildSvelteTree,
+  getContext: detectSvelteContexts,
+  getStores: detectSvelteStores,
+  subscribeToUpdates: watchSvelteComponent,
+  getParent: getSvelteParent,
+  getChildren: getSvelteChildren,
+  getElement: getSvelteElement,
+  describe: describeSvelteComponent,
+  getRoots: getSvelteRoots,
+  summarize: summarizeSvelteComponent,
+};
@@ -0,0 +1,734 @@
+/**
+ * Vue adapter (Vue 2 and Vue 3)
+ * Data and setup state are written through Vue's reactivity. Props and
+ * computed values can only be overridden until the parent passes a new
+ * value or the override is reset.
+ */
+
+import {
+  MAX_COMPONENT_HIERARCHY_DEPTH,
+  MAX_CONTEXTS,
+  MAX_CONTEXT_WALK_DEPTH,
+} from '../config/constants.js';
+import {
+  sanitizeValue,
+  isPlainObject,
+  assignReactive,
+  calculateComponentScore,
+  isUserComponent,
+  isFromNodeModules,
+  isKnownFrameworkComponent,
+} from '../utils/componentHelpers.js';
+import { getVueScoreBonus } from '../utils/vueHelpers.js';
+
+// Marks the stand-in ref that replaces an overridden Vue computed
+const COMPUTED_OVERRIDE_FLAG = '__hovercompOverride';
+
+function getVue3Instance(node) {
+  let current = node;
+  while (current && current !== document.documentElement) {
+    const vueInstance = current.__vueParentComponent || current.__vnode;
+    if (vueInstance) return vueInstance.component || vueInstance;
+    current = current.parentElement;
+  }
+  return null;
+}
+
+function getVue2Instance(node) {
+  let current = node;
+  while (current && current !== document.documentElement) {
+    if (current.__vue__) return current.__vue__;
+    current = current.parentElement;
+  }
+  return null;
+}
+
+function isVueRef(value) {
+  return !!value && value.__v_isRef === true;
+}
+
+function isVueComputedRef(value) {
+  return (
+    isVueRef(value) &&
+    (!!value.effect || typeof value.fn === 'function' || value[COMPUTED_OVERRIDE_FLAG] === true)
+  );
+}
+
+function isVueComponentDefinition(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    (typeof value.render === 'function' || typeof value.setup === 'function' || '__name' in value)
+  );
+}
+
+// Pinia stores (and storeToRefs() refs, which point back at their store)
+function getPiniaSource(value) {
+  const store = isVueRef(value) ? value._object : value;
+  if (store && typeof store.$id === 'string' && typeof store.$patch === 'function') {
+    return `Pinia: ${store.$id}`;
+  }
+  return null;
+}
+
+function isSkippedVueKey(key) {
+  return key.startsWith('$') || key.startsWith('_');
+}
+
+/**
+ * Read a Vue instance's props, data/setup state and computed values.
+ * `sources` marks keys backed by Pinia or Vuex.
+ */
+function extractVueDetails(framework, instance) {
+  const props = {};
+  const state = {};
+  const computed = {};
+  const sources = {};
+
+  const readInto = (target, key, read) => {
+    try {
+      target[key] = sanitizeValue(read());
+    } catch (e) {
+      target[key] = '[Error: ' + e.message + ']';
+    }
+  };
+
+  try {
+    const isVue3 = framework === 'Vue 3';
+    const proxy = isVue3 ? instance.proxy : instance;
+    const instanceProps = (isVue3 ? instance.props : instance.$props) || {};
+    Object.keys(instanceProps).forEach((key) => readInto(props, key, () => instanceProps[key]));
+
+    // Raw setup bindings keep their refs, so computed refs can be told apart
+    const setupState = isVue3 ? instance.setupState : instance._setupState;
+    const rawSetupState = (isVue3 && instance.devtoolsRawSetupState) || setupState || {};
+    Object.keys(rawSetupState).forEach((key) => {
+      const raw = rawSetupState[key];
+      if (isSkippedVueKey(key) || typeof raw === 'function' || isVueComponentDefinition(raw))
+        return;
+
+      const source = getPiniaSource(raw);
+      if (source) sources[key] = source;
+      readInto(isVueComputedRef(raw) ? computed : state, key, () => proxy[key]);
+    });
+
+    const data = (isVue3 ? instance.data : instance.$data) || {};
+    Object.keys(data).forEach((key) => {
+      if (!isSkippedVueKey(key)) readInto(state, key, () => data[key]);
+    });
+
+    const computedOptions = (isVue3 ? instance.type.computed : instance.$options.computed) || {};
+    Object.keys(computedOptions).forEach((key) => {
+      const definition = computedOptions[key];
+      // mapState/mapGetters flag their functions with `vuex`
+      if (definition && (definition.vuex || definition.get?.vuex)) sources[key] = 'Vuex';
+      readInto(computed, key, () => proxy[key]);
+    });
+  } catch (e) {
+    // Silent fail
+  }
+
+  return { props, state, computed, stateSources: sources };
+}
+
+// SFCs record their file (__file in dev builds) but no line
+function getVueSourceLocation(fileName) {
+  return fileName ? { fileName, line: null, column: null } : null;
+}
+
+function getVue2Name(vm) {
+  return (
+    vm.$options.name || vm.$options._componentTag || vm.$options.__name || vm.constructor?.name
+  );
+}
+
+function toVue2Info(vm) {
+  return {
+    framework: 'Vue 2',
+    name: getVue2Name(vm) || 'Anonymous',
+    detail: vm.$options._componentTag || '',
+    sourceLocation: getVueSourceLocation(vm.$options.__file),
+    componentInstance: vm,
+    canOverrideProps: true,
+    ...extractVueDetails('Vue 2', vm),
+  };
+}
+
+function detectVue2(node) {
+  try {
+    const vue = node.__vue__;
+    if (vue) {
+      return toVue2Info(vue);
+    }
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+/**
+ * Name and score of a Vue 3 instance, or null for fragments, built-ins and unnamed components
+ */
+function describeVue3Instance(instance) {
+  const component = instance.type;
+  if (!component) return null;
+  const name = component.name || component.__name || component.displayName;
+
+  // Filter out framework components and fragments
+  if (
+    !name ||
+    name.startsWith('_') ||
+    name === 'Fragment' ||
+    name === 'Teleport' ||
+    name === 'KeepAlive' ||
+    name === 'Suspense' ||
+    name === 'Transition' ||
+    name === 'TransitionGroup'
+  ) {
+    return null;
+  }
+
+  const fileName = component.__file || '';
+  const isKnownFramework = isKnownFrameworkComponent(name, fileName);
+  const score = calculateComponentScore({
+    fileName,
+    isKnownFramework,
+    isFromNodeModules: isFromNodeModules(fileName),
+    bonus: getVueScoreBonus({
+      isKnownFramework,
+      hasSetup: !!component.setup,
+      hasProps: !!instance.props && Object.keys(instance.props).length > 0,
+    }),
+  });
+  return {
+    name,
+    isUserComponent: isUserComponent(score, isKnownFramework, false),
+    score,
+    fileName,
+    instance,
+  };
+}
+
+function toVue3Info(targetComponent, componentHierarchy) {
+  return {
+    framework: 'Vue 3',
+    name: targetComponent.name,
+    detail: targetComponent.fileName || '',
+    sourceLocation: getVueSourceLocation(targetComponent.fileName),
+    isUserComponent: targetComponent.isUserComponent,
+    hierarchy: componentHierarchy.map((c) => c.name),
+    componentInstance: targetComponent.instance,
+    canOverrideProps: true,
+    ...extractVueDetails('Vue 3', targetComponent.instance),
+  };
+}
+
+function detectVue3(node) {
+  try {
+    let current = node;
+    let componentHierarchy = [];
+    let foundVueInstance = false;
+
+    // Try to find Vue instance in current or parent nodes
+    while (current && componentHierarchy.length < MAX_COMPONENT_HIERARCHY_DEPTH) {
+      // Check multiple Vue 3 properties
+      const vueInstance = current.__vueParentComponent || current.__vnode || current._vnode;
+
+      if (vueInstance) {
+        foundVueInstance = true;
+        let instance = vueInstance.component || vueInstance;
+
+        // Walk up the component tree
+        let depth = 0;
+        while (instance && depth < MAX_COMPONENT_HIERARCHY_DEPTH) {
+          const described = describeVue3Instance(instance);
+          if (described) {
+            componentHierarchy.push(described);
+          }
+
+          instance = instance.parent;
+          depth++;
+        }
+
+        // If we found components, return the best one
+        if (componentHierarchy.length > 0) {
+          const userComponents = componentHierarchy.filter((c) => c.isUserComponent);
+          const targetComponent =
+            userComponents[userComponents.length - 1] || componentHierarchy[0];
+
+          return toVue3Info(targetComponent, componentHierarchy);
+        }
+      }
+
+      // Try parent element
+      current = current.parentElement;
+      componentHierarchy = []; // Reset for next parent node
+      if (!current || current === document.body || current === document.documentElement) {
+        break;
+      }
+    }
+
+    // If we found a Vue instance but no valid components, return a default
+    if (foundVueInstance) {
+      return {
+        framework: 'Vue 3',
+        name: 'Vue Component',
+        detail: '',
+        isUserComponent: false,
+      };
+    }
+  } catch (e) {
+    // Silent fail - Vue detection errors are expected on non-Vue pages
+  }
+  return null;
+}
+
+function buildVueTree(node, maxDepth) {
+  const tree = [];
+
+  let instance = getVue3Instance(node);
+  if (instance) {
+    while (instance && tree.length < maxDepth) {
+      const component = instance.type;
+      const name = component && (component.name || component.__name || component.displayName);
+      if (name && !name.startsWith('_')) {
+        tree.push({
+          name,
+          isUserComponent: !/^(Transition|TransitionGroup|KeepAlive|Suspense|Teleport)$/.test(name),
+          hasState: !!(instance.setupState || instance.data),
+          hasProps: !!instance.props,
+        });
+      }
+      instance = instance.parent;
+    }
+    return tree;
+  }
+
+  instance = getVue2Instance(node);
+  while (instance && tree.length < maxDepth) {
+    const name =
+      instance.$options.name || instance.$options._componentTag || instance.constructor?.name;
+    if (name && name !== 'Vue' && name !== 'VueComponent') {
+      tree.push({
+        name,
+        isUserComponent: true,
+        hasState: !!(instance.$data && Object.keys(instance.$data).length > 0),
+        hasProps: !!(instance.$props && Object.keys(instance.$props).length > 0),
+      });
+    }
+    instance = instance.$parent;
+  }
+  return tree.length > 0 ? tree : null;
+}
+
+function detectVueInjections(node) {
+  const injections = [];
+  const seenKeys = new Set();
+  let depth = 0;
+
+  const addInjection = (name, type, value, from) => {
+    if (seenKeys.has(name) || injections.length >= MAX_CONTEXTS) return;
+    seenKeys.add(name);
+    injections.push({ name, type, value: sanitizeValue(value), from });
+  };
+
+  let instance = getVue3Instance(node);
+  if (instance) {
+    while (instance && depth < MAX_CONTEXT_WALK_DEPTH) {
+      depth++;
+      if (instance.provides && typeof instance.provides === 'object') {
+        // provides inherits from the parent's provides via the prototype chain
+        for (const key in instance.provides) {
+          addInjection(key, 'Provide', instance.provides[key]);
+        }
+      }
+      const inject = instance.type?.inject;
+      if (inject && typeof inject === 'object') {
+        const keys = Array.isArray(inject) ? inject : Object.keys(inject);
+        keys.forEach((key) => {
+          const from = Array.isArray(inject) ? key : inject[key]?.from || key;
+          addInjection(key, 'Inject', instance.proxy?.[key], String(from));
+        });
+      }
+      instance = instance.parent;
+    }
+    return injections;
+  }
+
+  instance = getVue2Instance(node);
+  while (instance && depth < MAX_CONTEXT_WALK_DEPTH) {
+    depth++;
+    if (instance._provided) {
+      for (const key in instance._provided) {
+        addInjection(key, 'Provide', instance._provided[key]);
+      }
+    }
+    const inject = instance.$options.inject;
+    if (inject) {
+      const keys = Array.isArray(inject) ? inject : Object.keys(inject);
+      keys.forEach((key) => addInjection(key, 'Inject', instance[key]));
+    }
+    instance = instance.$parent;
+  }
+  return injections;
+}
+
+// Instance -> Map(key -> { isActive, undo })
+const vueOverrides = new WeakMap();
+
+function getVueTarget({ framework, componentInstance }) {
+  return componentInstance ? { vm: componentInstance, isVue3: framework === 'Vue 3' } : null;
+}
+
+function getVueProxy({ vm, isVue3 }) {
+  return isVue3 ? vm.proxy : vm;
+}
+
+function rememberOverride(vm, key, override) {
+  let overrides = vueOverrides.get(vm);
+  if (!overrides) {
+    overrides = new Map();
+    vueOverrides.set(vm, overrides);
+  }
+  // Keep the first undo so a reset goes back to the original value
+  const existing = overrides.get(key);
+  overrides.set(key, existing ? { ...override, undo: existing.undo } : override);
+}
+
+/**
+ * Keys currently overridden on a Vue instance (props the parent has since replaced drop out)
+ */
+function getOverrideKeys(vm) {
+  const overrides = vm && vueOverrides.get(vm);
+  if (!overrides) return [];
+
+  overrides.forEach((override, key) => {
+    if (!override.isActive()) overrides.delete(key);
+  });
+  return Array.from(overrides.keys());
+}
+
+// Vue 2 warns about mutating props; silence it for our own write
+function withSilencedVue2(vm, write) {
+  let Vue = vm.constructor;
+  while (Vue.super) Vue = Vue.super;
+  const config = Vue.config || {};
+  const silent = config.silent;
+  config.silent = true;
+  try {
+    write();
+  } finally {
+    config.silent = silent;
+  }
+}
+
+function overrideVueProp(target, key, value) {
+  const { vm, isVue3 } = target;
+  const props = isVue3 ? vm.props : vm._props;
+  if (!props || !(key in props)) {
+    throw new Error('Prop not found');
+  }
+
+  const original = props[key];
+  const write = (next) => {
+    if (isVue3) {
+      props[key] = next;
+    } else {
+      withSilencedVue2(vm, () => {
+        props[key] = next;
+      });
+    }
+  };
+  write(value);
+  rememberOverride(vm, key, {
+    isActive: () => props[key] === value,
+    undo: () => write(original),
+  });
+  return true;
+}
+
+/**
+ * The ref (or reactive object) behind a setup binding, before proxyRefs unwraps it.
+ * Production builds have no devtoolsRawSetupState, but proxyRefs has no descriptor trap,
+ * so the setupState proxy still reports the raw ref as the property's value.
+ */
+function getRawSetupBinding({ vm, isVue3 }, key) {
+  if (!isVue3) return vm._setupState ? vm._setupState[key] : undefined;
+  if (vm.devtoolsRawSetupState) return vm.devtoolsRawSetupState[key];
+  const descriptor = vm.setupState && Object.getOwnPropertyDescriptor(vm.setupState, key);
+  return descriptor ? descriptor.value : undefined;
+}
+
+function overrideVueComputed(target, key, value) {
+  const { vm, isVue3 } = target;
+  const proxy = getVueProxy(target);
+
+  if (isVue3 && vm.setupState && key in vm.setupState) {
+    // A ref-shaped object replaces the computed ref; proxyRefs unwraps it the same way
+    const original = getRawSetupBinding(target, key);
+    vm.setupState[key] = { __v_isRef: true, [COMPUTED_OVERRIDE_FLAG]: true, value };
+    rememberOverride(vm, key, {
+      isActive: () => true,
+      undo: () => {
+        vm.setupState[key] = original;
+      },
+    });
+  } else {
+    // Options API computed: shadow the getter on ctx (Vue 3) or the instance (Vue 2)
+    const owner = isVue3 ? vm.ctx : vm;
+    const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+    Object.defineProperty(owner, key, {
+      value,
+      configurable: true,
+      enumerable: true,
+      writable: true,
+    });
+    rememberOverride(vm, key, {
+      isActive: () => true,
+      undo: () => {
+        if (descriptor) {
+          Object.defineProperty(owner, key, descriptor);
+        } else {
+          delete owner[key];
+        }
+      },
+    });
+  }
+
+  proxy.$forceUpdate();
+  return true;
+}
+
+function isVueComputedKey(target, key) {
+  const { vm, isVue3 } = target;
+  const computedOptions = (isVue3 ? vm.type.computed : vm.$options.computed) || {};
+  if (key in computedOptions) return true;
+
+  const binding = getRawSetupBinding(target, key);
+  return (
+    !!binding &&
+    binding.__v_isRef === true &&
+    (!!binding.effect ||
+      typeof binding.fn === 'function' ||
+      binding[COMPUTED_OVERRIDE_FLAG] === true)
+  );
+}
+
+/**
+ * Update Vue data/setup state, or override a computed value
+ */
+function updateVueState(target, key, value) {
+  const { vm, isVue3 } = target;
+
+  if (isVueComputedKey(target, key)) {
+    return overrideVueComputed(target, key, value);
+  }
+
+  const setupState = isVue3 ? vm.setupState : vm._setupState;
+  if (setupState && key in setupState) {
+    const binding = getRawSetupBinding(target, key);
+    if (binding && binding.__v_isRef === true && binding.__v_isReadonly === true) {
+      return false; // Computed without a setter or readonly(): Vue would only warn
+    }
+    if (binding && typeof binding.$patch === 'function') {
+      binding.$patch(value); // Pinia store
+    } else if (binding && binding.__v_isReactive && isPlainObject(value)) {
+      assignReactive(binding, value);
+    } else if (isVue3) {
+      setupState[key] = value; // proxyRefs writes refs through .value
+    } else {
+      vm[key] = value;
+    }
+    return true;
+  }
+
+  const data = isVue3 ? vm.data : vm.$data;
+  if (data && key in data) {
+    if (isVue3) {
+      data[key] = value;
+    } else {
+      vm.$set(vm.$data, key, value);
+    }
+    return true;
+  }
+
+  throw new Error('State not found');
+}
+
+/**
+ * Undo a prop or computed override
+ */
+function resetVueOverride(info, key) {
+  const target = getVueTarget(info);
+  const overrides = target && vueOverrides.get(target.vm);
+  const override = overrides && overrides.get(key);
+  if (!override) return false;
+
+  overrides.delete(key);
+  override.undo();
+  getVueProxy(target).$forceUpdate();
+  return true;
+}
+
+function watchVueInstance(instance, onChange, { framework, read }) {
+  const vm = framework === 'Vue 3' ? instance.proxy : instance;
+  // The getter reads every value it serializes, so Vue tracks all of them
+  return vm.$watch(read, onChange);
+}
+
+// Tree navigation. Vue 3 instances are internal instances, Vue 2 ones are vms.
+function isVue3Instance(instance) {
+  return 'subTree' in instance;
+}
+
+function isNamedVue2Instance(vm) {
+  const name = getVue2Name(vm);
+  return !!name && name !== 'Vue' && name !== 'VueComponent';
+}
+
+function getVueParent(instance) {
+  const isVue3 = isVue3Instance(instance);
+  const isNamed = isVue3 ? describeVue3Instance : isNamedVue2Instance;
+  let parent = isVue3 ? instance.parent : instance.$parent;
+  while (parent && !isNamed(parent)) {
+    parent = isVue3 ? parent.parent : parent.$parent;
+  }
+  return parent || null;
+}
+
+// Components in a Vue 3 vnode tree, looking through built-ins like KeepAlive and Transition
+function collectVue3Children(vnode, children) {
+  if (!vnode || typeof vnode !== 'object') return;
+  if (vnode.component) {
+    if (describeVue3Instance(vnode.component)) {
+      children.push(vnode.component);
+    } else {
+      collectVue3Children(vnode.component.subTree, children);
+    }
+  } else if (vnode.suspense) {
+    collectVue3Children(vnode.suspense.activeBranch, children);
+  } else if (Array.isArray(vnode.children)) {
+    vnode.children.forEach((child) => collectVue3Children(child, children));
+  }
+}
+
+function collectVue2Children(vm, children) {
+  (vm.$children || []).forEach((child) => {
+    if (isNamedVue2Instance(child)) {
+      children.push(child);
+    } else {
+      collectVue2Children(child, children);
+    }
+  });
+}
+
+function getVueChildren(instance) {
+  const children = [];
+  if (isVue3Instance(instance)) {
+    collectVue3Children(instance.subTree, children);
+  } else {
+    collectVue2Children(instance, children);
+  }
+  return children;
+}
+
+function getVueElement(instance) {
+  if (!isVue3Instance(instance)) {
+    return instance.$el?.nodeType === Node.ELEMENT_NODE ? instance.$el : null;
+  }
+
+  const { subTree } = instance;
+  const el = subTree?.el;
+  if (!el || el.nodeType === Node.ELEMENT_NODE) return el || null;
+  // Fragment roots start with an empty text node and end with subTree.anchor
+  for (let node = el.nextSibling; subTree.anchor && node; node = node.nextSibling) {
+    if (node === subTree.anchor) break;
+    if (node.nodeType === Node.ELEMENT_NODE) return node;
+  }
+  return null;
+}
+
+/**
+ * Root components of every Vue app on the page (unnamed root instances are looked through)
+ */
+function getVueRoots() {
+  const roots = [];
+  document.querySelectorAll('*').forEach((element) => {
+    const vue3Root = element.__vue_app__?._instance;
+    if (vue3Root) {
+      if (describeVue3Instance(vue3Root)) {
+        roots.push(vue3Root);
+      } else {
+        collectVue3Children(vue3Root.subTree, roots);
+      }
+    }
+
+    const vm = element.__vue__;
+    if (vm && !vm.$parent && vm.$el === element) {
+      if (isNamedVue2Instance(vm)) {
+        roots.push(vm);
+      } else {
+        collectVue2Children(vm, roots);
+      }
+    }
+  });
+  return roots;
+}
+
+function summarizeVueComponent(instance) {
+  if (!isVue3Instance(instance)) {
+    return { name: getVue2Name(instance), framework: 'Vue 2', isUserComponent: true };
+  }
+  const described = describeVue3Instance(instance);
+  return {
+    name: described ? described.name : 'Anonymous',
+    framework: 'Vue 3',
+    isUserComponent: !!described && described.isUserComponent,
+  };
+}
+
+function describeVueComponent(instance) {
+  if (!isVue3Instance(instance)) return toVue2Info(instance);
+
+  const targetComponent = describeVue3Instance(instance);
+  if (!targetComponent) return null;
+  const componentHierarchy = [];
+  let current = instance;
+  while (current && componentHierarchy.length < MAX_COMPONENT_HIERARCHY_DEPTH) {
+    const described = describeVue3Instance(current);
+    if (described) componentHierarchy.push(described);
+    current = current.parent;
+  }
+  return toVue3Info(targetComponent, componentHierarchy);
+}
+
+export function detectVue(node) {
+  return detectVue3(node) || detectVue2(node);
+}
+
+export { detectVue2, detectVue3 };
+
+export const vueAdapter = {
+  name: 'vue',
+  detect: detectVue,
+  getProps: (instance, framework) => extractVueDetails(framework, instance).props,
+  getState: (instance, framework) => extractVueDetails(framework, instance).state,
+  update(info, { kind, key, value }) {
+    const target = getVueTarget(info);
+    if (!target) return false;
+    if (kind === 'state') return updateVueState(target, key, value);
+    if (kind === 'prop') return overrideVueProp(target, key, value);
+    return false;
+  },
+  resetOverride: resetVueOverride,
+  getOverrides: getOverrideKeys,
+  getTree: buildVueTree,
+  getContext: detectVueInjections,
+  subscribeToUpdates: watchVueInstance,
+  getParent: getVueParent,
+  getChildren: getVueChildren,
+  getElement: getVueElement,
+  describe: describeVueComponent,
+  getRoots: getVueRoots,
+  summarize: summarizeVueComponent,
+};
@@ -0,0 +1,195 @@
+/**
+ * Web Components and Lit adapter
+ * Nodes inside an open shadow root belong to its host; hosts are followed out
+ * through nested shadow roots. Lit reactive property setters schedule an update;
+ * requestUpdate() also covers values Lit would not see change (same object
+ * mutated in place).
+ */
+
+import { MAX_COMPONENT_HIERARCHY_DEPTH } from '../config/constants.js';
+import { sanitizeValue } from '../utils/componentHelpers.js';
+
+const MAX_SLOT_NODES = 10;
+
+function isCustomElement(node) {
+  const tagName = node.tagName?.toLowerCase();
+  if (!tagName || !tagName.includes('-')) return false;
+  return (
+    !!window.customElements?.get(tagName) ||
+    !!node.shadowRoot ||
+    node.constructor.name !== 'HTMLElement'
+  );
+}
+
+// The custom element itself, or the host whose shadow root the node renders in
+function getWebComponentHost(node) {
+  if (isCustomElement(node)) return node;
+  const root = node.getRootNode();
+  return root instanceof ShadowRoot && isCustomElement(root.host) ? root.host : null;
+}
+
+function getShadowHostChain(host) {
+  const chain = [];
+  for (
+    let current = host;
+    current && chain.length < MAX_COMPONENT_HIERARCHY_DEPTH;
+    current = current.getRootNode().host
+  ) {
+    if (isCustomElement(current)) chain.push(current.constructor.name || current.localName);
+  }
+  return chain.reverse();
+}
+
+// Lit 2+ (elementProperties) or LitElement 2.x (_classProperties / static properties)
+function getLitProperties(element) {
+  const ctor = element.constructor;
+  if (typeof element.requestUpdate !== 'function') return null;
+  if (ctor.elementProperties instanceof Map) return ctor.elementProperties;
+  if (ctor._classProperties instanceof Map) return ctor._classProperties;
+  if (ctor.properties && typeof ctor.properties === 'object') {
+    return new Map(Object.entries(ctor.properties));
+  }
+  return null;
+}
+
+/**
+ * Lit reactive properties: public ones are props, `state: true` ones (@state) are state
+ */
+function extractLitDetails(element) {
+  const props = {};
+  const state = {};
+  (getLitProperties(element) || new Map()).forEach((options, key) => {
+    if (typeof key !== 'string') return;
+    const target = options && options.state ? state : props;
+    try {
+      target[key] = sanitizeValue(element[key]);
+    } catch (e) {
+      target[key] = '[Error: ' + e.message + ']';
+    }
+  });
+  return { props, state };
+}
+
+// Plain custom elements: the attributes they observe
+function extractObservedAttributes(element) {
+  const props = {};
+  const observed = element.constructor.observedAttributes;
+  if (Array.isArray(observed)) {
+    observed.forEach((name) => {
+      props[name] = element.getAttribute(name);
+    });
+  }
+  return { props, state: {} };
+}
+
+function readHostDetails(host) {
+  return getLitProperties(host) ? extractLitDetails(host) : extractObservedAttributes(host);
+}
+
+function describeShadowNode(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return `"${node.textContent.trim().slice(0, 40)}"`;
+  }
+  let label = node.localName;
+  if (node.id) label += `#${node.id}`;
+  if (node.classList.length > 0) label += `.${Array.from(node.classList).slice(0, 2).join('.')}`;
+  return label;
+}
+
+/**
+ * Slots (with what is assigned to them), exposed ::part names and adopted stylesheets
+ */
+function extractShadowDetails(element) {
+  const shadowRoot = element.shadowRoot;
+  if (!shadowRoot) return null;
+
+  const slots = Array.from(shadowRoot.querySelectorAll('slot')).map((slot) => ({
+    name: slot.name || 'default',
+    assigned: slot
+      .assignedNodes({ flatten: true })
+      .filter((node) => node.nodeType === Node.ELEMENT_NODE || node.textContent.trim())
+      .slice(0, MAX_SLOT_NODES)
+      .map(describeShadowNode),
+  }));
+
+  const parts = Array.from(shadowRoot.querySelectorAll('[part]')).map((node) => ({
+    name: node.getAttribute('part'),
+    element: describeShadowNode(node),
+  }));
+
+  const adoptedStyleSheets = Array.from(shadowRoot.adoptedStyleSheets || []).map((sheet) => {
+    try {
+      return { rules: sheet.cssRules.length, sample: sheet.cssRules[0]?.selectorText || '' };
+    } catch (e) {
+      return { rules: 0, sample: '' };
+    }
+  });
+
+  return {
+    mode: shadowRoot.mode,
+    slots,
+    parts,
+    adoptedStyleSheets,
+    styleElements: shadowRoot.querySelectorAll('style').length,
+  };
+}
+
+function detectWebComponent(node) {
+  try {
+    const host = getWebComponentHost(node);
+    if (!host) return null;
+
+    const tagName = host.localName;
+    const isLit = !!getLitProperties(host);
+    return {
+      framework: isLit ? 'Lit' : 'Web Component',
+      name: window.customElements?.get(tagName)?.name || host.constructor.name || tagName,
+      detail: `<${tagName}>${host.shadowRoot ? ' • Shadow DOM' : ''}`,
+      isUserComponent: true,
+      hierarchy: getShadowHostChain(host),
+      componentInstance: host,
+      canOverrideProps: isLit,
+      shadow: extractShadowDetails(host),
+      ...(isLit ? extractLitDetails(host) : extractObservedAttributes(host)),
+    };
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+/**
+ * Update a Lit reactive property (@property or @state)
+ */
+function updateLitProperty(host, key, value) {
+  const properties = host.constructor.elementProperties || host.constructor._classProperties;
+  if (properties instanceof Map && !properties.has(key)) {
+    throw new Error('Property not found');
+  }
+  host[key] = value;
+  host.requestUpdate();
+  return true;
+}
+
+// Reactive controllers get hostUpdated() after every Lit update
+function watchLitElement(host, onChange, { framework }) {
+  if (framework !== 'Lit') {
+    throw new Error(`History is not available for ${framework}`);
+  }
+  const controller = { hostUpdated: () => onChange() };
+  host.addController(controller);
+  return () => host.removeController(controller);
+}
+
+export const webComponentAdapter = {
+  name: 'webComponent',
+  detect: detectWebComponent,
+  getHierarchy: getShadowHostChain,
+  getProps: (host) => readHostDetails(host).props,
+  getState: (host) => readHostDetails(host).state,
+  update({ framework, componentInstance }, { kind, key, value }) {
+    if (framework !== 'Lit' || !componentInstance || kind === 'hook') return false;
+    return updateLitProperty(componentInstance, key, value);
+  },
+  subscribeToUpdates: watchLitElement,
+};
@@ -1,58 +1,207 @@
 /**
  * Background service worker - per-tab toggle management
- * No persistence, no storage. Tabs start disabled by default.
+ * Tabs start disabled and are turned off again on navigation, unless the user added
+ * auto-enable rules on the options page (sites to enable, or keeping tabs on across reloads).
+ * The toolbar icon opens the popup (src/popup/); the toggle-inspector command flips a tab.
  */
 
-const enabledTabs = new Set();
+import {
+  SETTINGS_STORAGE_KEY,
+  AUTO_ENABLE_STORAGE_KEY,
+  resolveAutoEnable,
+} from './config/settings.js';
+import { matchesSitePattern } from './utils/sitePatterns.js';
 
-// Toggle on icon click
-chrome.action.onClicked.addListener(async (tab) => {
-  if (!tab.id) return;
+// Enabled tabs while "keep enabled on reload" is on; session storage outlives this worker
+const ENABLED_TABS_SESSION_KEY = 'enabledTabs';
 
-  if (enabledTabs.has(tab.id)) {
-    enabledTabs.delete(tab.id);
-    chrome.action.setBadgeText({ tabId: tab.id, text: '' });
-    // Tell content script to disable
-    chrome.tabs.sendMessage(tab.id, { type: 'INSPECTOR_TOGGLE', enabled: false }).catch(() => {});
+const enabledTabs = new Map(); // tabId -> origin the inspector was enabled on
+let autoEnable = resolveAutoEnable(null);
+
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveEnabledTabs() {
+  if (autoEnable.keepEnabledOnReload) {
+    chrome.storage.session
+      .set({ [ENABLED_TABS_SESSION_KEY]: Object.fromEntries(enabledTabs) })
+      .catch(() => {});
+  } else {
+    chrome.storage.session.remove(ENABLED_TABS_SESSION_KEY).catch(() => {});
+  }
+}
+
+// Rules and kept tabs are read before any tab is checked or toggled
+const ready = Promise.all([
+  chrome.storage.sync.get(AUTO_ENABLE_STORAGE_KEY).then((result) => {
+    autoEnable = resolveAutoEnable(result[AUTO_ENABLE_STORAGE_KEY]);
+  }),
+  chrome.storage.session.get(ENABLED_TABS_SESSION_KEY).then((result) => {
+    Object.entries(result[ENABLED_TABS_SESSION_KEY] || {}).forEach(([tabId, origin]) => {
+      enabledTabs.set(Number(tabId), origin);
+    });
+  }),
+]).catch(() => {});
+
+function showBadge(tabId, enabled) {
+  chrome.action.setBadgeText({ tabId, text: enabled ? 'ON' : '' });
+  if (enabled) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color: '#4CAF50' });
+  }
+}
+
+function setTabEnabled(tabId, enabled, url) {
+  if (enabled) {
+    enabledTabs.set(tabId, getOrigin(url));
   } else {
-    enabledTabs.add(tab.id);
-    chrome.action.setBadgeText({ tabId: tab.id, text: 'ON' });
-    chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#4CAF50' });
-    // Tell content script to enable
-    chrome.tabs.sendMessage(tab.id, { type: 'INSPECTOR_TOGGLE', enabled: true }).catch(() => {});
+    enabledTabs.delete(tabId);
   }
+  showBadge(tabId, enabled);
+  saveEnabledTabs();
+}
+
+function toggleTab(tabId, url) {
+  const enabled = !enabledTabs.has(tabId);
+  setTabEnabled(tabId, enabled, url);
+  // Tell the content script to enable or disable
+  chrome.tabs.sendMessage(tabId, { type: 'INSPECTOR_TOGGLE', enabled }).catch(() => {});
+}
+
+// Keyboard command (Alt+Shift+C) toggles without opening the popup
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== 'toggle-inspector' || !tab?.id) return;
+  ready.then(() => toggleTab(tab.id, tab.url));
 });
 
 // Clean up when tab is closed
 chrome.tabs.onRemoved.addListener((tabId) => {
-  enabledTabs.delete(tabId);
+  ready.then(() => {
+    if (enabledTabs.delete(tabId)) saveEnabledTabs();
+  });
 });
 
-// Clean up when tab navigates to new page
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-  if (changeInfo.status === 'loading') {
-    enabledTabs.delete(tabId);
-    chrome.action.setBadgeText({ tabId, text: '' });
-  }
+// Turn off on navigation; a reload (same origin) keeps it on if the user asked for that
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'loading') return;
+  ready.then(() => {
+    if (!enabledTabs.has(tabId)) return;
+    const kept = autoEnable.keepEnabledOnReload && enabledTabs.get(tabId) === getOrigin(tab.url);
+    setTabEnabled(tabId, kept, tab.url);
+  });
 });
 
 // Respond to content script asking if it should be enabled
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'INSPECTOR_CHECK' && sender.tab?.id) {
-    sendResponse({ enabled: enabledTabs.has(sender.tab.id) });
+    const { id, url } = sender.tab;
+    ready.then(() => {
+      if (!enabledTabs.has(id) && autoEnable.sites.some((site) => matchesSitePattern(url, site))) {
+        setTabEnabled(id, true, url);
+      }
+      sendResponse({ enabled: enabledTabs.has(id) });
+    });
+    return true;
   }
   // Handle toggle request from content script (keyboard shortcut)
   if (message.type === 'INSPECTOR_TOGGLE_REQUEST' && sender.tab?.id) {
-    const tabId = sender.tab.id;
-    if (enabledTabs.has(tabId)) {
-      enabledTabs.delete(tabId);
-      chrome.action.setBadgeText({ tabId, text: '' });
-      chrome.tabs.sendMessage(tabId, { type: 'INSPECTOR_TOGGLE', enabled: false }).catch(() => {});
-    } else {
-      enabledTabs.add(tabId);
-      chrome.action.setBadgeText({ tabId, text: 'ON' });
-      chrome.action.setBadgeBackgroundColor({ tabId, color: '#4CAF50' });
-      chrome.tabs.sendMessage(tabId, { type: 'INSPECTOR_TOGGLE', enabled: true }).catch(() => {});
+    ready.then(() => toggleTab(sender.tab.id, sender.tab.url));
+  }
+  // Toolbar popup: on/off state and switch for the tab it was opened on
+  if (message.type === 'POPUP_STATUS' || message.type === 'POPUP_TOGGLE') {
+    const { tabId, url } = message;
+    ready.then(() => {
+      if (message.type === 'POPUP_TOGGLE') toggleTab(tabId, url);
+      sendResponse({ enabled: enabledTabs.has(tabId) });
+    });
+    return true;
+  }
+  // The panel's Mode button opens the popup, where the mode is picked
+  if (message.type === 'OPEN_POPUP') {
+    chrome.action.openPopup().catch(() => {
+      // Not supported before Chrome 127, or the window isn't focused
+    });
+  }
+});
+
+// ============================================================================
+// DevTools panel relay
+// The HoverComp DevTools panel and Elements sidebar connect here; the content
+// script of the inspected tab renders the selected node and we forward it.
+// ============================================================================
+
+const devtoolsPorts = new Map(); // tabId -> Set of connected panel/sidebar ports
+const devtoolsFrames = new Map(); // tabId -> frameId that rendered the current selection
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'hovercomp-devtools') return;
+  let tabId = null;
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'DEVTOOLS_INIT') {
+      tabId = message.tabId;
+      if (!devtoolsPorts.has(tabId)) devtoolsPorts.set(tabId, new Set());
+      devtoolsPorts.get(tabId).add(port);
+      return;
     }
+
+    if (message.type === 'DEVTOOLS_ACTION' && tabId !== null) {
+      const reply = (result) =>
+        port.postMessage({ type: 'DEVTOOLS_ACTION_RESULT', id: message.id, ...result });
+      chrome.tabs
+        .sendMessage(
+          tabId,
+          { type: 'DEVTOOLS_ACTION', action: message.action, args: message.args },
+          { frameId: devtoolsFrames.get(tabId) ?? 0 }
+        )
+        .then((result) => reply(result || { error: 'No response from page' }))
+        .catch((error) => reply({ error: error.message }));
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    const ports = devtoolsPorts.get(tabId);
+    if (!ports) return;
+    ports.delete(port);
+    if (ports.size === 0) {
+      devtoolsPorts.delete(tabId);
+      devtoolsFrames.delete(tabId);
+    }
+  });
+});
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.type !== 'DEVTOOLS_COMPONENT_INFO' || !sender.tab?.id) return;
+  const ports = devtoolsPorts.get(sender.tab.id);
+  if (!ports) return;
+
+  devtoolsFrames.set(sender.tab.id, sender.frameId ?? 0);
+  ports.forEach((port) => port.postMessage(message));
+});
+
+// ============================================================================
+// Settings relay
+// The options page saves to chrome.storage.sync; forward settings changes to every
+// open tab so they apply without a reload. Each frame resolves its own origin's values.
+// ============================================================================
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+
+  if (changes[AUTO_ENABLE_STORAGE_KEY]) {
+    autoEnable = resolveAutoEnable(changes[AUTO_ENABLE_STORAGE_KEY].newValue);
+    saveEnabledTabs();
+  }
+
+  if (changes[SETTINGS_STORAGE_KEY]) {
+    const settings = changes[SETTINGS_STORAGE_KEY].newValue || null;
+    const message = { type: 'SETTINGS_CHANGED', settings };
+    chrome.tabs.query({}).then((tabs) => {
+      tabs.forEach((tab) => chrome.tabs.sendMessage(tab.id, message).catch(() => {}));
+    });
   }
 });
@@ -2,6 +2,10 @@
  * Constants used throughout the extension
  */
 
+// Defaults for THROTTLE_MS, PANEL_MAX_WIDTH, EDITOR, EDITOR_PROJECT_ROOT, DEFAULT_EXPANDED_SECTIONS,
+// KNOWN_FRAMEWORK_COMPONENTS, USER_CODE_PATHS, USER_COMPONENT_SCORE_THRESHOLD and DEBUG_MODE;
+// read them from `settings` (src/config/settings.js), which the options page can override.
+
 // Timing constants
 export const THROTTLE_MS = 50;
 export const CACHE_DURATION = 1000; // 1 second
@@ -22,6 +26,32 @@ export const TOGGLE_SHORTCUT = {
   shiftKey: true,
   code: 'KeyC',
 };
+export const OPEN_IN_EDITOR_SHORTCUT = {
+  altKey: true,
+  shiftKey: true,
+  code: 'KeyO',
+};
+export const TREE_DRAWER_SHORTCUT = {
+  altKey: true,
+  shiftKey: true,
+  code: 'KeyT',
+};
+export const MEASURE_SHORTCUT = {
+  altKey: true,
+  shiftKey: true,
+  code: 'KeyD',
+};
+
+// Open in editor: one of EDITOR_URL_TEMPLATES, or a template of your own.
+// {path} is the absolute source path; relative paths (Vue __file) get EDITOR_PROJECT_ROOT.
+// Vite's /__open-in-editor endpoint takes the path as-is.
+export const EDITOR = 'vscode';
+export const EDITOR_PROJECT_ROOT = '';
+export const EDITOR_URL_TEMPLATES = {
+  vscode: 'vscode://file/{path}:{line}:{column}',
+  webstorm: 'webstorm://open?file={path}&line={line}&column={column}',
+  vite: '/__open-in-editor?file={path}:{line}:{column}',
+};
 
 // Messages
 export const MESSAGE_TYPES = {
@@ -29,9 +59,57 @@ export const MESSAGE_TYPES = {
   COMPONENT_INFO_RESPONSE: 'COMPONENT_INFO_RESPONSE',
   UPDATE_HOOK: 'UPDATE_HOOK',
   UPDATE_STATE: 'UPDATE_STATE',
+  UPDATE_PROP: 'UPDATE_PROP',
+  RESET_OVERRIDE: 'RESET_OVERRIDE',
   UPDATE_SUCCESS: 'UPDATE_SUCCESS',
   UPDATE_ERROR: 'UPDATE_ERROR',
   INVALIDATE_CACHE: 'INVALIDATE_CACHE',
+  PROFILER_START: 'PROFILER_START',
+  PROFILER_STOP: 'PROFILER_STOP',
+  WATCH_START: 'WATCH_START',
+  WATCH_STOP: 'WATCH_STOP',
+  APPLY_SETTINGS: 'APPLY_SETTINGS',
+  NAVIGATE_COMPONENT: 'NAVIGATE_COMPONENT',
+  CLEAR_NAVIGATION: 'CLEAR_NAVIGATION',
+  GET_APP_TREE: 'GET_APP_TREE',
+  RESOLVE_TREE_NODE: 'RESOLVE_TREE_NODE',
+  COMPONENT_CHANGED: 'COMPONENT_CHANGED', // Event from inpage.js, not a response
+  SOURCES_RESOLVED: 'SOURCES_RESOLVED', // Event from inpage.js, not a response
+  RPC_CONNECT: 'RPC_CONNECT', // Window message carrying the channel port to inpage.js
+  RPC_CONNECTED: 'RPC_CONNECTED', // inpage.js's handshake reply on the port
+};
+
+// Content <-> inpage RPC (src/inpage/ imports these too)
+export const RPC_PROTOCOL_VERSION = 1;
+export const RPC_TIMEOUT_MS = 3000;
+export const RPC_SOURCES = {
+  CONTENT: 'hovercomp-content',
+};
+// DOM attribute used to hand elements between the content script and inpage.js
+export const ELEMENT_HANDLE_ATTRIBUTE = 'data-hovercomp-handle';
+
+// Error codes attached to rejected RPC calls
+export const ERROR_CODES = {
+  STALE_HANDLE: 'STALE_HANDLE',
+};
+
+// Successful response type for each request; failures always come back as UPDATE_ERROR
+export const RPC_RESPONSE_TYPES = {
+  [MESSAGE_TYPES.GET_COMPONENT_INFO]: MESSAGE_TYPES.COMPONENT_INFO_RESPONSE,
+  [MESSAGE_TYPES.UPDATE_HOOK]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.UPDATE_STATE]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.UPDATE_PROP]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.RESET_OVERRIDE]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.INVALIDATE_CACHE]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.PROFILER_START]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.PROFILER_STOP]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.WATCH_START]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.WATCH_STOP]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.APPLY_SETTINGS]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.NAVIGATE_COMPONENT]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.CLEAR_NAVIGATION]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.GET_APP_TREE]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.RESOLVE_TREE_NODE]: MESSAGE_TYPES.UPDATE_SUCCESS,
 };
 
 // CSS selectors and classes
@@ -41,6 +119,8 @@ export const CSS_CLASSES = {
   TOGGLE_SECTION: 'toggle-section',
   EDITABLE_HOOK: 'editable-hook',
   EDITABLE_STATE: 'editable-state',
+  EDITABLE_PROP: 'editable-prop',
+  RESET_OVERRIDE: 'reset-override',
   TOGGLE_CLASS: 'toggle-class',
   DELETE_CLASS: 'delete-class',
   TOGGLE_STYLE: 'toggle-style',
@@ -49,6 +129,17 @@ export const CSS_CLASSES = {
   ADD_INLINE_STYLE: 'add-inline-style',
   COMPUTED_STYLE_ITEM: 'computed-style-item',
   EDITABLE_STYLE: 'editable-style',
+  PROFILER_TOGGLE: 'profiler-toggle',
+  HISTORY_SCRUBBER: 'history-scrubber',
+  HISTORY_ENTRY: 'history-entry',
+  HISTORY_RESTORE: 'history-restore',
+  OPEN_IN_EDITOR: 'open-in-editor',
+  EXPORT_TOGGLE: 'export-toggle',
+  EXPORT_MENU: 'export-menu',
+  EXPORT_COMPONENT: 'export-component',
+  EDITABLE_RULE_STYLE: 'editable-rule-style',
+  ADD_RULE_STYLE: 'add-rule-style',
+  EXPORT_CSS_CHANGES: 'export-css-changes',
 };
 
 // Default expanded sections state
@@ -57,7 +148,12 @@ export const DEFAULT_EXPANDED_SECTIONS = {
   props: false,
   state: false,
   hooks: false,
+  computed: false,
+  renders: false,
+  whyRender: false,
+  history: false,
   appliedStyles: false,
+  cascade: false,
 };
 
 // Known framework components to filter out
@@ -112,5 +208,18 @@ export const USER_COMPONENT_SCORE_THRESHOLD = 8;
 // Component hierarchy traversal
 export const MAX_COMPONENT_HIERARCHY_DEPTH = 20;
 
-// Debug mode (can be toggled via environment variable during build)
-export const DEBUG_MODE = false; // Set to true for development
+// Production builds: names this short are treated as minified and looked up in the
+// page's source maps. Stand-ins map a script URL prefix to where its maps are served
+// instead, e.g. { 'https://app.example.com/assets/': 'http://localhost:8080/maps/' }
+export const MINIFIED_NAME_PATTERN = /^[A-Za-z_$][\w$]?$/;
+export const SOURCE_MAP_STAND_INS = {};
+
+// Page-world component tree and context limits
+export const MAX_TREE_DEPTH = 8;
+export const MAX_CONTEXTS = 20;
+export const MAX_CONTEXT_WALK_DEPTH = 50;
+// Nodes in the whole-page component tree drawer
+export const MAX_APP_TREE_NODES = 5000;
+
+// Debug logging (debugLog in src/config/settings.js)
+export const DEBUG_MODE = false;
@@ -0,0 +1,174 @@
+/**
+ * User settings: the tunable constants, overridable from the options page
+ * chrome.storage.sync holds { global: {...}, origins: { 'https://app.example.com': {...} } },
+ * each with only the values that differ from the level below (defaults, then global).
+ * Both the content script and inpage.js keep their own `settings` copy up to date.
+ */
+
+import {
+  THROTTLE_MS,
+  PANEL_MAX_WIDTH,
+  USER_CODE_PATHS,
+  KNOWN_FRAMEWORK_COMPONENTS,
+  USER_COMPONENT_SCORE_THRESHOLD,
+  DEFAULT_EXPANDED_SECTIONS,
+  EDITOR,
+  EDITOR_PROJECT_ROOT,
+  DEBUG_MODE,
+} from './constants.js';
+
+export const SETTINGS_STORAGE_KEY = 'settings';
+
+// Auto-enable rules for the background worker, also in chrome.storage.sync.
+// Sites are patterns from src/utils/sitePatterns.js.
+export const AUTO_ENABLE_STORAGE_KEY = 'autoEnable';
+
+export const DEFAULT_SETTINGS = {
+  THROTTLE_MS,
+  PANEL_MAX_WIDTH,
+  USER_CODE_PATHS,
+  KNOWN_FRAMEWORK_COMPONENTS,
+  USER_COMPONENT_SCORE_THRESHOLD,
+  DEFAULT_EXPANDED_SECTIONS,
+  EDITOR,
+  EDITOR_PROJECT_ROOT,
+  DEBUG_MODE,
+};
+
+// Settings in effect for this page; applySettings() updates it in place
+export const settings = copySettings(DEFAULT_SETTINGS);
+
+function copySettings(values) {
+  return JSON.parse(JSON.stringify(values));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidValue(value, defaultValue) {
+  if (Array.isArray(defaultValue)) {
+    return Array.isArray(value) && value.every((item) => typeof item === 'string');
+  }
+  if (isPlainObject(defaultValue)) {
+    return (
+      isPlainObject(value) &&
+      Object.keys(value).every((key) => typeof value[key] === typeof defaultValue[key])
+    );
+  }
+  if (typeof defaultValue === 'number') {
+    return Number.isFinite(value) && value >= 0;
+  }
+  return typeof value === typeof defaultValue;
+}
+
+/**
+ * Keep only known settings with values of the right type (imported or stored JSON)
+ * @param {Object} values - Partial settings
+ * @returns {Object} Partial settings
+ */
+export function sanitizeSettings(values) {
+  const sanitized = {};
+  if (!isPlainObject(values)) return sanitized;
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (key in values && isValidValue(values[key], DEFAULT_SETTINGS[key])) {
+      sanitized[key] = values[key];
+    }
+  });
+  return sanitized;
+}
+
+/**
+ * Normalize a site to the origin its overrides are stored under
+ * @param {string} site - URL or origin, e.g. "localhost:3000" or "https://app.example.com/"
+ * @returns {string|null} Origin, or null when it isn't an http(s) site
+ */
+export function normalizeOrigin(site) {
+  const value = String(site || '').trim();
+  try {
+    const url = new URL(/^[a-z][\w+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+    return /^https?:$/.test(url.protocol) ? url.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Sanitize the whole stored object (storage or an imported file)
+ * @param {Object} stored - { global, origins }
+ * @returns {Object} { global, origins }
+ */
+export function sanitizeStoredSettings(stored) {
+  const origins = {};
+  Object.entries((isPlainObject(stored) && stored.origins) || {}).forEach(([site, values]) => {
+    const origin = normalizeOrigin(site);
+    if (origin) origins[origin] = sanitizeSettings(values);
+  });
+  return { global: sanitizeSettings(stored && stored.global), origins };
+}
+
+function mergeSettings(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) ? { ...base[key], ...value } : value;
+  });
+  return merged;
+}
+
+/**
+ * Settings for one origin: defaults, then global values, then the origin's overrides
+ * @param {Object} stored - { global, origins } from chrome.storage.sync
+ * @param {string} [origin] - Page origin; omit for the global settings
+ * @returns {Object} Complete settings
+ */
+export function resolveSettings(stored, origin) {
+  const { global, origins } = sanitizeStoredSettings(stored);
+  const resolved = mergeSettings(copySettings(DEFAULT_SETTINGS), global);
+  return origin && origins[origin] ? mergeSettings(resolved, origins[origin]) : resolved;
+}
+
+/**
+ * Values in `values` that differ from `base` (what gets stored)
+ * @param {Object} values - Complete settings
+ * @param {Object} base - Settings they override
+ * @returns {Object} Partial settings
+ */
+export function diffSettings(values, base) {
+  const changed = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (key in values && JSON.stringify(values[key]) !== JSON.stringify(base[key])) {
+      changed[key] = values[key];
+    }
+  });
+  return changed;
+}
+
+/**
+ * Auto-enable rules with defaults for missing or invalid values
+ * @param {Object} stored - { sites, keepEnabledOnReload } from chrome.storage.sync
+ * @returns {Object} { sites, keepEnabledOnReload }
+ */
+export function resolveAutoEnable(stored) {
+  const sites = isPlainObject(stored) && Array.isArray(stored.sites) ? stored.sites : [];
+  return {
+    sites: sites.filter((site) => typeof site === 'string'),
+    keepEnabledOnReload: !!(isPlainObject(stored) && stored.keepEnabledOnReload === true),
+  };
+}
+
+/**
+ * Replace the settings in effect for this page
+ * @param {Object} values - Complete settings from resolveSettings()
+ */
+export function applySettings(values) {
+  Object.assign(settings, copySettings(mergeSettings(DEFAULT_SETTINGS, sanitizeSettings(values))));
+}
+
+/**
+ * Log to the console when DEBUG_MODE is on
+ */
+export function debugLog(...args) {
+  if (settings.DEBUG_MODE) {
+    console.debug('[HoverComp]', ...args);
+  }
+}
@@ -3,35 +3,39 @@
  * Listens for toggle messages from background service worker
  */
 (async function () {
-  let loaded = false;
+  let inspector = null;
 
   async function loadInspector() {
-    if (loaded) return;
+    if (inspector) return inspector;
     try {
       const moduleUrl = chrome.runtime.getURL('src/content.js');
-      await import(moduleUrl);
-      loaded = true;
+      inspector = await import(moduleUrl);
     } catch (error) {
       // Silent fail
     }
+    return inspector;
   }
 
   function disableInspector() {
-    if (!loaded) return;
+    if (!inspector) return;
     // Dispatch a custom event that content.js listens to
     window.dispatchEvent(new CustomEvent('inspector-disable'));
   }
 
-  function enableInspector() {
-    if (!loaded) {
-      loadInspector();
-      return;
-    }
+  async function enableInspector() {
+    if (!(await loadInspector())) return;
     window.dispatchEvent(new CustomEvent('inspector-enable'));
   }
 
+  // Called from the DevTools panel via inspectedWindow.eval(..., { useContentScriptContext: true }).
+  // Loads the inspector without enabling the hover overlay.
+  window.__hovercompDevtoolsSelect = (element) => {
+    loadInspector().then((module) => module?.inspectDevtoolsSelection(element));
+    return true;
+  };
+
   // Listen for toggle from background
-  chrome.runtime.onMessage.addListener((message) => {
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'INSPECTOR_TOGGLE') {
       if (message.enabled) {
         enableInspector();
@@ -39,13 +43,31 @@
         disableInspector();
       }
     }
+    // Settings saved on the options page; a not yet loaded inspector reads them on load
+    if (message.type === 'SETTINGS_CHANGED' && inspector) {
+      inspector.handleSettingsChanged(message.settings);
+    }
+    // Edits made in the DevTools panel
+    if (message.type === 'DEVTOOLS_ACTION') {
+      loadInspector()
+        .then((module) => module.handleDevtoolsAction(message))
+        .then(sendResponse, (error) => sendResponse({ error: error.message, code: error.code }));
+      return true;
+    }
+    // Status and quick actions from the toolbar popup (sent to the top frame only)
+    if (message.type === 'POPUP_ACTION') {
+      loadInspector()
+        .then((module) => module.handlePopupAction(message))
+        .then(sendResponse, (error) => sendResponse({ error: error.message }));
+      return true;
+    }
   });
 
   // Check initial state
   try {
     const response = await chrome.runtime.sendMessage({ type: 'INSPECTOR_CHECK' });
     if (response?.enabled) {
-      loadInspector();
+      enableInspector();
     }
   } catch {
     // Extension context may not be ready
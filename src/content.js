@@ -4,7 +4,13 @@
  */
 
 import { injectScript } from './utils/domHelpers.js';
-import { createContentMessageHandler, requestComponentInfo } from './utils/messageHandler.js';
+import { createRpcSession, connectRpcSession, rejectPendingRequests } from './utils/rpc.js';
+import {
+  createContentMessageHandler,
+  requestComponentInfo,
+  onSourcesResolved,
+  clearComponentNavigation,
+} from './utils/messageHandler.js';
 import { hideOverlay, hideReactOverlay, hideVueOverlay, cleanupAllOverlays } from './overlay/overlayManager.js';
 import { state, resetOverlayState, toggleEnabled } from './content/state.js';
 import {
@@ -12,6 +18,11 @@ import {
 } from './content/modeSelector.js';
 import { monitorUrlChanges } from './content/urlMonitor.js';
 import { updateOverlay, updateOverlayOnScroll } from './content/overlayController.js';
+import { inspectForDevtools, runDevtoolsAction } from './content/devtoolsBridge.js';
+import { loadSettings, applyStoredSettings } from './content/settingsSync.js';
+import { runPopupAction } from './content/popupBridge.js';
+import { closeTreeDrawer } from './content/treeDrawer.js';
+import { settings } from './config/settings.js';
 import {
   handleMouseMove,
   handleClick,
@@ -29,24 +40,32 @@ const hideOverlayFns = { hideOverlay, hideReactOverlay, hideVueOverlay };
 
 function injectInPageScript() {
   const scriptUrl = chrome.runtime.getURL('src/inpage.js');
-  injectScript(scriptUrl);
+  injectScript(
+    scriptUrl,
+    {
+      hovercompToken: createRpcSession(),
+      hovercompSettings: JSON.stringify(settings),
+    },
+    connectRpcSession
+  );
 }
 
 /**
  * Wrapper for updateOverlay that passes state
  */
-function updateOverlayWrapper(element, componentInfo, mouseX, mouseY, reactComponentXPath) {
-  updateOverlay(element, componentInfo, mouseX, mouseY, reactComponentXPath, state, requestComponentInfo);
+function updateOverlayWrapper(element, componentInfo, mouseX, mouseY, componentHandle) {
+  updateOverlay(element, componentInfo, mouseX, mouseY, componentHandle, state, requestComponentInfo);
 }
 
 // ============================================================================
 // Message Handler & Initialization
 // ============================================================================
 
-const messageHandler = createContentMessageHandler(updateOverlayWrapper, () => state.currentTarget);
+createContentMessageHandler(updateOverlayWrapper, () => state.currentTarget);
 
 function init() {
-  injectInPageScript();
+  // inpage.js starts with this origin's settings
+  loadSettings(state).then(injectInPageScript);
   monitorUrlChanges(state, resetOverlayState, hideOverlay, hideReactOverlay, hideVueOverlay);
 
   // Detect frameworks on page - multiple attempts for SPAs
@@ -90,28 +109,38 @@ function init() {
   document.addEventListener('keydown', (e) => handleKeyDown(e, state, toggleEnabled, hideOverlayFns), true);
   document.addEventListener('scroll', () => handleScroll(state, resetOverlayState, updateOverlayOnScroll, hideOverlayFns), true);
   window.addEventListener('scroll', () => handleScroll(state, resetOverlayState, updateOverlayOnScroll, hideOverlayFns), true);
-  window.addEventListener('message', messageHandler);
   window.addEventListener('beforeunload', () => handleBeforeUnload(resetOverlayState, hideOverlayFns));
 
-  // Listen for enable/disable from content-loader
-  window.addEventListener('inspector-enable', () => {
-    state.isEnabled = true;
-  });
-  window.addEventListener('inspector-disable', () => {
-    state.isEnabled = false;
-    hideOverlay(state.overlay);
-    hideReactOverlay(state.reactOverlay);
-    hideVueOverlay(state.vueOverlay);
-    // Remove mode selector popup
-    const modeSelector = document.getElementById('hovercomp-mode-selector');
-    if (modeSelector) modeSelector.remove();
-    state.isPinned = false;
-    state.pinnedPosition = null;
+  // Re-render with original component names once inpage.js has read the source maps
+  onSourcesResolved(() => {
+    if (state.currentTarget && state.overlay?.style.display !== 'none') {
+      requestComponentInfo(state.currentTarget, state.inspectionMode);
+    }
+    if (state.devtoolsTarget) {
+      inspectForDevtools(state.devtoolsTarget, state);
+    }
   });
+}
 
-  // Loaded via content-loader means we should be enabled
+// Listen for enable/disable from content-loader.
+// Registered at load time: content-loader enables right after importing this module,
+// which can be before init() runs on DOMContentLoaded.
+window.addEventListener('inspector-enable', () => {
   state.isEnabled = true;
-}
+});
+window.addEventListener('inspector-disable', () => {
+  state.isEnabled = false;
+  clearComponentNavigation();
+  closeTreeDrawer(state);
+  hideOverlay(state.overlay);
+  hideReactOverlay(state.reactOverlay);
+  hideVueOverlay(state.vueOverlay);
+  state.isPinned = false;
+  state.pinnedPosition = null;
+  state.currentTarget = null;
+  state.measureMode = false;
+  state.measureTarget = null;
+});
 
 // Start when DOM is ready
 if (document.readyState === 'loading') {
@@ -145,11 +174,33 @@ function cleanup() {
   
   // Remove all overlay elements from DOM
   cleanupAllOverlays();
+
+  rejectPendingRequests();
 }
 
 // Listen for extension unload
 window.addEventListener('beforeunload', cleanup);
 
+// DevTools panel entry points (called by content-loader)
+function inspectDevtoolsSelection(element) {
+  return inspectForDevtools(element, state);
+}
+
+function handleDevtoolsAction(message) {
+  return runDevtoolsAction(message, state);
+}
+
+// Toolbar popup requests
+function handlePopupAction(message) {
+  return runPopupAction(message, state);
+}
+
+// Options page changes (pushed by the background worker through content-loader)
+function handleSettingsChanged(stored) {
+  return applyStoredSettings(stored, state);
+}
+
 // Export for testing
 export { updateOverlayWrapper as updateOverlay, toggleEnabled, handleMouseMove, cleanup };
+export { inspectDevtoolsSelection, handleDevtoolsAction, handlePopupAction, handleSettingsChanged };
 
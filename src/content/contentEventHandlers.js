@@ -2,26 +2,99 @@
  * Content Event Handlers - Handles mouse, keyboard, and scroll events
  */
 
-import { THROTTLE_MS, TOGGLE_SHORTCUT } from '../config/constants.js';
-import { requestComponentInfo } from '../utils/messageHandler.js';
-import { getPanel } from '../overlay/overlayManager.js';
+import {
+  TOGGLE_SHORTCUT,
+  OPEN_IN_EDITOR_SHORTCUT,
+  TREE_DRAWER_SHORTCUT,
+  MEASURE_SHORTCUT,
+} from '../config/constants.js';
+import { settings, debugLog } from '../config/settings.js';
+import {
+  requestComponentInfo,
+  navigateComponent,
+  clearComponentNavigation,
+} from '../utils/messageHandler.js';
+import {
+  getPanel,
+  createMeasureOverlay,
+  showMeasureOverlay,
+  hideMeasureOverlay,
+  showToast,
+} from '../overlay/overlayManager.js';
 import { calculatePanelPosition, applyPanelPosition } from '../utils/panelPosition.js';
-import { toggleModeSelector } from './modeSelector.js';
+import { openInEditor } from '../utils/editorLinks.js';
+import { resetHistoryWatch } from './historyWatcher.js';
+import { toggleTreeDrawer } from './treeDrawer.js';
 
 // Panel position update timeout ID for debouncing
 let panelPositionTimeout = null;
 
+// Arrow keys move the pinned selection through the component tree
+const NAVIGATION_KEYS = {
+  ArrowUp: 'parent',
+  ArrowDown: 'child',
+  ArrowLeft: 'previous',
+  ArrowRight: 'next',
+};
+
+/**
+ * Deepest element under the pointer. event.target is retargeted to the shadow host,
+ * so read the composed path, which goes into open shadow roots.
+ */
+function getHoverTarget(event) {
+  const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+  return path.find((node) => node instanceof Element) || event.target;
+}
+
+/**
+ * Measurement mode: draw the distances from the pinned element to the hovered one
+ */
+function measureToHoverTarget(event, state) {
+  const target = getHoverTarget(event);
+  if (
+    !target ||
+    !state.currentTarget?.isConnected ||
+    state.overlay?.contains(target) ||
+    state.treeDrawer?.contains(target)
+  ) {
+    return;
+  }
+
+  if (!state.measureOverlay) {
+    state.measureOverlay = createMeasureOverlay();
+  }
+  state.measureTarget = target;
+  showMeasureOverlay(state.measureOverlay, state.currentTarget, target);
+}
+
+/**
+ * Stop measuring and remove the distance lines
+ */
+function clearMeasurement(state) {
+  state.measureTarget = null;
+  hideMeasureOverlay(state.measureOverlay);
+}
+
 /**
  * Handle mouse move event
  */
 export function handleMouseMove(event, state, _hideOverlayFns) {
-  if (!state.isEnabled || state.isPinned) return;
+  if (!state.isEnabled) return;
+  if (state.isPinned) {
+    if (state.measureMode) measureToHoverTarget(event, state);
+    return;
+  }
 
   const mouseX = event.clientX;
   const mouseY = event.clientY;
-  const target = event.target;
+  const target = getHoverTarget(event);
 
-  if (!target || target === state.overlay || state.overlay?.contains(target)) {
+  if (
+    !target ||
+    target === state.overlay ||
+    state.overlay?.contains(target) ||
+    state.treeDrawer?.contains(target)
+  ) {
     return;
   }
 
@@ -43,7 +116,7 @@ export function handleMouseMove(event, state, _hideOverlayFns) {
 
   // Throttle component info requests
   const now = Date.now();
-  if (now - state.lastHoverTime < THROTTLE_MS) return;
+  if (now - state.lastHoverTime < settings.THROTTLE_MS) return;
   state.lastHoverTime = now;
 
   if (state.currentTarget === target) return;
@@ -68,10 +141,14 @@ export function handleClick(event, state) {
   event.preventDefault();
   event.stopPropagation();
 
+  // A new pin starts from the detected component, not one reached with the arrow keys
+  clearComponentNavigation();
+
   if (state.isPinned) {
     // Unpin
     state.isPinned = false;
     state.pinnedPosition = null;
+    clearMeasurement(state);
   } else {
     // Pin at current position
     if (state.overlay?.style.display !== 'none') {
@@ -109,7 +186,8 @@ export function handleMouseOut(event, state, hideOverlayFns) {
  */
 export function handleScroll(state, resetOverlayStateFn, updateOverlayOnScrollFn, hideOverlayFns) {
   // Check if current target still exists in DOM
-  if (state.currentTarget && !document.body.contains(state.currentTarget)) {
+  // isConnected also covers targets inside shadow roots
+  if (state.currentTarget && !state.currentTarget.isConnected) {
     resetOverlayStateFn(
       hideOverlayFns.hideOverlay,
       hideOverlayFns.hideReactOverlay,
@@ -122,6 +200,33 @@ export function handleScroll(state, resetOverlayStateFn, updateOverlayOnScrollFn
   updateOverlayOnScrollFn(state);
 }
 
+/**
+ * Whether a key press is meant for a text field (including the panel's edit inputs)
+ */
+function isTypingTarget(event) {
+  const target = getHoverTarget(event);
+  return (
+    !!target &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+  );
+}
+
+/**
+ * Move the pinned panel to the parent, first child or a sibling component
+ */
+function navigatePinnedComponent(state, direction) {
+  navigateComponent(state.currentTarget, direction, state.inspectionMode)
+    .then((element) => {
+      if (!element || !state.isPinned) return;
+      resetHistoryWatch();
+      state.currentTarget = element;
+      requestComponentInfo(element, state.inspectionMode);
+    })
+    .catch((error) => {
+      debugLog('Tree navigation failed:', error.message);
+    });
+}
+
 /**
  * Handle keyboard shortcut events
  */
@@ -142,10 +247,70 @@ export function handleKeyDown(event, state, toggleEnabledFn, hideOverlayFns) {
     }
   }
 
-  // Alt+Shift+M to toggle mode selector
-  if (event.altKey && event.shiftKey && event.code === 'KeyM') {
+  // Alt+Shift+O to open the pinned component's source
+  const editorShortcut = OPEN_IN_EDITOR_SHORTCUT;
+  if (
+    event.altKey === editorShortcut.altKey &&
+    event.shiftKey === editorShortcut.shiftKey &&
+    event.code === editorShortcut.code &&
+    state.isPinned &&
+    state.sourceLocation
+  ) {
+    event.preventDefault();
+    openInEditor(state.sourceLocation).catch((error) => {
+      console.warn('[HoverComp] Could not open editor:', error.message);
+    });
+  }
+
+  // Alt+Shift+T to open or close the component tree drawer
+  const treeShortcut = TREE_DRAWER_SHORTCUT;
+  if (
+    event.altKey === treeShortcut.altKey &&
+    event.shiftKey === treeShortcut.shiftKey &&
+    event.code === treeShortcut.code &&
+    state.isEnabled
+  ) {
+    event.preventDefault();
+    toggleTreeDrawer(state);
+  }
+
+  // Alt+Shift+D to turn measurement mode on or off
+  const measureShortcut = MEASURE_SHORTCUT;
+  if (
+    event.altKey === measureShortcut.altKey &&
+    event.shiftKey === measureShortcut.shiftKey &&
+    event.code === measureShortcut.code &&
+    state.isEnabled
+  ) {
+    event.preventDefault();
+    state.measureMode = !state.measureMode;
+    if (state.measureMode) {
+      showToast(
+        state.isPinned
+          ? '📏 Measuring: hover an element to see its distance from the pinned one'
+          : '📏 Measuring: Alt+Click an element to pin it, then hover another'
+      );
+    } else {
+      clearMeasurement(state);
+      showToast('📏 Measurement off');
+    }
+  }
+
+  // Arrow keys while pinned walk the component tree
+  const direction = NAVIGATION_KEYS[event.key];
+  if (
+    direction &&
+    state.isPinned &&
+    state.currentTarget &&
+    !event.altKey &&
+    !event.ctrlKey &&
+    !event.metaKey &&
+    !event.shiftKey &&
+    !isTypingTarget(event)
+  ) {
     event.preventDefault();
-    toggleModeSelector(state);
+    event.stopPropagation();
+    navigatePinnedComponent(state, direction);
   }
 }
 
@@ -0,0 +1,121 @@
+/**
+ * DevTools Bridge - renders the node selected in the Elements panel ($0) for the
+ * HoverComp DevTools panel/sidebar and applies edits made there
+ */
+
+import {
+  fetchComponentInfo,
+  invalidateCache,
+  updateHook,
+  updateState,
+  updateProp,
+  resetOverride,
+  startProfiling,
+  stopProfiling,
+} from '../utils/messageHandler.js';
+import { formatComponentInfo } from '../utils/formatters.js';
+import { getCSSInfo, setRuleProperty } from '../utils/cssHelper.js';
+import { exportCssChanges, trackElementChange } from '../utils/cssChangeLog.js';
+import { getHtmlElementInfo, formatHtmlElementInfo } from '../utils/htmlHelpers.js';
+import { createStaleHandleError } from '../utils/elementHandles.js';
+import { openInEditor } from '../utils/editorLinks.js';
+import { exportComponent } from '../utils/componentExport.js';
+
+// Edits the panel makes through its stand-in element (see src/devtools/panel.js)
+const elementActions = {
+  'classList.add': (element, [className]) => element.classList.add(className),
+  'classList.remove': (element, [className]) => element.classList.remove(className),
+  'style.setProperty': (element, [prop, value, priority]) =>
+    element.style.setProperty(prop, value, priority),
+  'style.removeProperty': (element, [prop]) => element.style.removeProperty(prop),
+};
+
+/**
+ * Send the rendered sections for the DevTools selection to the background worker
+ * @param {Object} state - Content script state
+ */
+async function sendDevtoolsUpdate(state) {
+  const element = state.devtoolsTarget;
+  let html = '';
+  let framework = null;
+
+  if (element) {
+    let componentInfo = null;
+    if (state.inspectionMode !== 'html') {
+      const response = await fetchComponentInfo(element, state.inspectionMode).catch(() => null);
+      componentInfo = response?.componentInfo || null;
+    }
+
+    if (componentInfo) {
+      componentInfo.css = getCSSInfo(element);
+      framework = componentInfo.framework;
+      html = formatComponentInfo(componentInfo, false, element);
+    } else {
+      const htmlInfo = getHtmlElementInfo(element);
+      html = htmlInfo ? formatHtmlElementInfo(htmlInfo, false, element) : '';
+    }
+  }
+
+  chrome.runtime.sendMessage({ type: 'DEVTOOLS_COMPONENT_INFO', html, framework }).catch(() => {
+    // No DevTools panel open
+  });
+}
+
+/**
+ * Inspect the node selected in the Elements panel
+ * @param {HTMLElement|null} element - $0
+ * @param {Object} state - Content script state
+ */
+export function inspectForDevtools(element, state) {
+  state.devtoolsTarget = element instanceof HTMLElement ? element : null;
+  return sendDevtoolsUpdate(state);
+}
+
+/**
+ * Apply an edit requested by the DevTools panel to the selected node
+ * @param {Object} message - { action, args }
+ * @param {Object} state - Content script state
+ * @returns {Promise<Object>} Result sent back to the panel
+ */
+export async function runDevtoolsAction({ action, args = [] }, state) {
+  const element = state.devtoolsTarget;
+  if (!element || !element.isConnected) {
+    throw createStaleHandleError();
+  }
+
+  if (action === 'updateHook') {
+    await updateHook(element, ...args);
+  } else if (action === 'updateState') {
+    await updateState(element, ...args);
+  } else if (action === 'updateProp') {
+    await updateProp(element, ...args);
+  } else if (action === 'resetOverride') {
+    await resetOverride(element, ...args);
+  } else if (action === 'startProfiling') {
+    await startProfiling();
+  } else if (action === 'stopProfiling') {
+    await stopProfiling();
+  } else if (action === 'openInEditor') {
+    // Opened from the page so Vite's endpoint resolves against the dev server
+    await openInEditor(...args);
+    return { ok: true };
+  } else if (action === 'exportComponent') {
+    // Built here, copied or saved by the panel
+    return { ok: true, ...(await exportComponent(element, args[0], state.inspectionMode)) };
+  } else if (action === 'setRuleProperty') {
+    setRuleProperty(...args);
+  } else if (action === 'exportCssChanges') {
+    return { ok: true, ...(await exportCssChanges(args[0])) };
+  } else if (elementActions[action]) {
+    // Toggles keep their struck-through entry in the panel, so no re-render here
+    trackElementChange(element);
+    elementActions[action](element, args);
+    return { ok: true };
+  } else if (action !== 'refresh') {
+    throw new Error(`Unknown DevTools action: ${action}`);
+  }
+
+  await invalidateCache(element);
+  await sendDevtoolsUpdate(state);
+  return { ok: true };
+}
@@ -0,0 +1,80 @@
+/**
+ * History Watcher - records every change to the pinned component for the History timeline
+ * inpage.js watches the component (React commits, Vue watchers) and posts COMPONENT_CHANGED.
+ */
+
+import { watchComponent, unwatchComponent, onComponentChanged } from '../utils/messageHandler.js';
+import { trackSnapshot, clearSnapshots } from '../utils/stateTracker.js';
+
+let watchedElement = null;
+let activeWatchId = null;
+let watchState = null;
+let notifyChange = () => {};
+
+function stopWatching() {
+  if (!watchedElement) return;
+  watchedElement = null;
+  activeWatchId = null;
+  unwatchComponent().catch(() => {
+    // Page is gone or the watch already ended
+  });
+}
+
+/**
+ * Whether the user is typing or scrubbing in the panel (a re-render would drop it)
+ */
+function isInteractingWithPanel() {
+  const active = document.activeElement;
+  return !!active && !!watchState?.overlay?.contains(active);
+}
+
+onComponentChanged(({ watchId, snapshot }) => {
+  if (!watchedElement || watchId !== activeWatchId) return;
+
+  if (!watchState.isPinned || watchState.currentTarget !== watchedElement) {
+    stopWatching();
+    return;
+  }
+
+  trackSnapshot(watchedElement, snapshot);
+  if (!isInteractingWithPanel()) {
+    notifyChange(watchedElement);
+  }
+});
+
+/**
+ * Stop watching so the next syncHistoryWatch() starts over, e.g. after arrow-key
+ * navigation picked another component that renders the same element
+ */
+export function resetHistoryWatch() {
+  stopWatching();
+}
+
+/**
+ * Watch the pinned component and stop watching once it is unpinned
+ * @param {Object} state - Content script state
+ * @param {Function} onChange - Called with the pinned element after each recorded change
+ */
+export function syncHistoryWatch(state, onChange) {
+  watchState = state;
+  notifyChange = onChange;
+
+  const target = state.isPinned ? state.currentTarget : null;
+  if (target === watchedElement) return;
+
+  stopWatching();
+  if (!target) return;
+
+  watchedElement = target;
+  clearSnapshots(target);
+  watchComponent(target)
+    .then(({ watchId, snapshot }) => {
+      if (watchedElement !== target) return;
+      activeWatchId = watchId;
+      trackSnapshot(target, snapshot);
+      notifyChange(target);
+    })
+    .catch(() => {
+      // No live history for this component (e.g. React without the DevTools hook)
+    });
+}
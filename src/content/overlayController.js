@@ -26,6 +26,7 @@ import {
   hideReactOverlay,
   createVueOverlay,
   showComponentOverlay,
+  showMeasureOverlay,
   hideVueOverlay,
 } from '../overlay/overlayManager.js';
 import {
@@ -38,21 +39,36 @@ import {
   restoreExpandedSections,
   setupEditableTextContentHandler,
   setupEditableAttributeHandlers,
+  setupProfilerHandlers,
+  setupHistoryHandlers,
+  setupEditablePropHandlers,
+  setupResetOverrideHandlers,
+  setupOpenInEditorHandlers,
+  setupExportHandlers,
+  setupEditableRuleHandlers,
+  setupCssChangeHandlers,
 } from '../overlay/eventHandlers.js';
 import { setupAddClassHandlers, setupAddStyleHandlers } from '../overlay/advancedHandlers.js';
 import { trackDetectedFramework } from '../utils/frameworkManager.js';
 import { setupModeSelectorButtonHandler } from './modeSelector.js';
 import { invalidateCache } from '../utils/messageHandler.js';
+import { syncHistoryWatch } from './historyWatcher.js';
+import { exportComponent } from '../utils/componentExport.js';
+
+/**
+ * Create a callback that re-fetches component info for an element
+ */
+function createRefreshOverlay(state, requestComponentInfoFn) {
+  return (el) => {
+    invalidateCache(el).then(() => requestComponentInfoFn(el, state.inspectionMode));
+  };
+}
 
 /**
  * Setup all event handlers for the panel
  */
 function setupAllEventHandlers(panel, element, state, requestComponentInfoFn) {
-  const refreshOverlay = (el) => {
-    invalidateCache(el);
-    // Short delay to ensure cache is invalidated before re-requesting
-    setTimeout(() => requestComponentInfoFn(el, state.inspectionMode), 10);
-  };
+  const refreshOverlay = createRefreshOverlay(state, requestComponentInfoFn);
 
   // HTML mode handlers
   if (state.inspectionMode === 'html') {
@@ -63,15 +79,26 @@ function setupAllEventHandlers(panel, element, state, requestComponentInfoFn) {
     setupComputedStyleHandlers(panel, element);
     setupAddClassHandlers(panel, element, refreshOverlay);
     setupAddStyleHandlers(panel, element, refreshOverlay);
+    setupCssChangeHandlers(panel);
   } else {
     // Framework mode handlers (React, Vue, etc.)
     setupEditableHookHandlers(panel, element);
     setupEditableStateHandlers(panel, element);
+    setupEditablePropHandlers(panel, element);
+    setupResetOverrideHandlers(panel, element);
+    setupOpenInEditorHandlers(panel);
+    setupExportHandlers(panel, element, {
+      exportComponent: (el, format) => exportComponent(el, format, state.inspectionMode),
+    });
+    setupProfilerHandlers(panel, () => refreshOverlay(element));
+    setupHistoryHandlers(panel, element);
     setupClassToggleHandlers(panel, element, refreshOverlay);
     setupStyleToggleHandlers(panel, element, refreshOverlay);
     setupComputedStyleHandlers(panel, element);
     setupAddClassHandlers(panel, element, refreshOverlay);
     setupAddStyleHandlers(panel, element, refreshOverlay);
+    setupEditableRuleHandlers(panel, () => refreshOverlay(element));
+    setupCssChangeHandlers(panel);
   }
 
   // Toggle sections handler (common for all modes)
@@ -86,13 +113,13 @@ function setupAllEventHandlers(panel, element, state, requestComponentInfoFn) {
   });
   
   // Mode selector button handler
-  setupModeSelectorButtonHandler(panel, state);
+  setupModeSelectorButtonHandler(panel);
 }
 
 /**
  * Update overlay with component info
  */
-export function updateOverlay(element, componentInfo, mouseX, mouseY, reactComponentXPath, state, requestComponentInfoFn) {
+export function updateOverlay(element, componentInfo, mouseX, mouseY, componentHandle, state, requestComponentInfoFn) {
   // Validate element
   if (!element || !(element instanceof HTMLElement)) {
     return;
@@ -101,6 +128,12 @@ export function updateOverlay(element, componentInfo, mouseX, mouseY, reactCompo
   // Track detected frameworks from component info
   trackDetectedFramework(componentInfo, state.detectedFrameworksFromInpage);
 
+  // Alt+Shift+O opens this while pinned
+  state.sourceLocation = componentInfo?.sourceLocation || null;
+
+  // Record the History timeline while pinned
+  syncHistoryWatch(state, createRefreshOverlay(state, requestComponentInfoFn));
+
   // Ensure overlays exist
   if (!state.overlay) {
     state.overlay = createOverlay();
@@ -201,7 +234,7 @@ export function updateOverlay(element, componentInfo, mouseX, mouseY, reactCompo
   // Show framework-specific overlay if available
   const framework = componentInfo.framework?.toLowerCase();
   
-  showFrameworkOverlay(framework, reactComponentXPath, element, {
+  showFrameworkOverlay(framework, componentHandle, element, {
     reactOverlay: state.reactOverlay,
     vueOverlay: state.vueOverlay,
     showReactOverlay,
@@ -213,11 +246,11 @@ export function updateOverlay(element, componentInfo, mouseX, mouseY, reactCompo
   const panel = getPanel(state.overlay);
   if (!panel) return;
 
-  // Store reactComponentXPath in panel for scroll updates
-  if (reactComponentXPath) {
-    panel.dataset.reactComponentXPath = reactComponentXPath;
+  // Store componentHandle in panel for scroll updates
+  if (componentHandle) {
+    panel.dataset.componentHandle = componentHandle;
   } else {
-    delete panel.dataset.reactComponentXPath;
+    delete panel.dataset.componentHandle;
   }
 
   // Position panel
@@ -249,7 +282,7 @@ export function updateOverlay(element, componentInfo, mouseX, mouseY, reactCompo
  */
 export function updateOverlayOnScroll(state) {
   // Check if current target still exists in DOM
-  if (state.currentTarget && !document.body.contains(state.currentTarget)) {
+  if (state.currentTarget && !state.currentTarget.isConnected) {
     return false; // Indicate that target is invalid
   }
 
@@ -266,6 +299,11 @@ export function updateOverlayOnScroll(state) {
     if (state.vueOverlay?.style.display !== 'none') {
       showComponentOverlay(state.vueOverlay, element);
     }
+
+    // Fixed and sticky elements move against the page, so redraw the distances
+    if (state.isPinned && state.measureMode && state.measureTarget?.isConnected) {
+      showMeasureOverlay(state.measureOverlay, element, state.measureTarget);
+    }
   }
 
   return true;
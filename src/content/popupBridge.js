@@ -0,0 +1,151 @@
+/**
+ * Popup Bridge - page status and quick actions for the toolbar popup (src/popup/)
+ * The popup talks to the top frame only; requests arrive through content-loader.
+ */
+
+import {
+  fetchComponentInfo,
+  startProfiling,
+  stopProfiling,
+  isProfiling,
+} from '../utils/messageHandler.js';
+import { resolveElementHandle } from '../utils/elementHandles.js';
+import { exportComponent } from '../utils/componentExport.js';
+import { getAvailableModes } from '../utils/frameworkManager.js';
+import { getPanel } from '../overlay/overlayManager.js';
+import { updateDetectedFrameworksState, setInspectionMode } from './modeSelector.js';
+import { toggleTreeDrawer } from './treeDrawer.js';
+
+/**
+ * The pinned element and its component's DOM node (what the highlight outlines)
+ */
+function getPinnedElements(state) {
+  if (!state.isPinned || !state.currentTarget?.isConnected) return null;
+  const handle = getPanel(state.overlay)?.dataset.componentHandle;
+  return {
+    element: state.currentTarget,
+    componentNode: resolveElementHandle(handle) || state.currentTarget,
+  };
+}
+
+/**
+ * Short description of the pinned component for the popup
+ */
+async function getPinnedSummary(state) {
+  const pinned = getPinnedElements(state);
+  if (!pinned) return null;
+
+  const tagName = pinned.element.tagName.toLowerCase();
+  const response = await fetchComponentInfo(pinned.element, state.inspectionMode).catch(() => null);
+  const info = response?.componentInfo;
+  if (!info) {
+    return { name: `<${tagName}>`, framework: 'HTML', tagName };
+  }
+
+  const count = (value) => (value ? Object.keys(value).length : 0);
+  return {
+    name: info.name,
+    framework: info.framework,
+    tagName,
+    sourceLocation: info.sourceLocation || (info.fileName ? { fileName: info.fileName } : null),
+    props: count(info.props),
+    state: count(info.state),
+    hooks: info.hooks ? info.hooks.length : 0,
+  };
+}
+
+async function getStatus(state) {
+  updateDetectedFrameworksState(state);
+  return {
+    frameworks: state.detectedFrameworks,
+    inspectionMode: state.inspectionMode,
+    modes: getAvailableModes(state.detectedFrameworks),
+    pinned: await getPinnedSummary(state),
+    profiling: isProfiling(),
+    treeDrawerOpen: !!state.treeDrawer,
+  };
+}
+
+/**
+ * The pinned component's info as a JSON file (the panel's Export → JSON snapshot)
+ */
+async function exportPinned(state) {
+  const pinned = getPinnedElements(state);
+  if (!pinned) throw new Error('Pin a component first (Alt+Click)');
+
+  const { text, fileName } = await exportComponent(pinned.element, 'json', state.inspectionMode);
+  return { fileName, json: text };
+}
+
+function nextFrame() {
+  return new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+}
+
+const OVERLAY_KEYS = ['overlay', 'reactOverlay', 'vueOverlay'];
+
+/**
+ * Hide the overlays so the screenshot shows the page, and say what to crop to
+ * @returns {Promise<Object>} { rect, devicePixelRatio }; rect is null for the whole tab
+ */
+async function prepareScreenshot(state) {
+  const pinned = getPinnedElements(state);
+  state.hiddenForScreenshot = OVERLAY_KEYS.filter(
+    (key) => state[key] && state[key].style.display !== 'none'
+  );
+  state.hiddenForScreenshot.forEach((key) => {
+    state[key].style.visibility = 'hidden';
+  });
+  await nextFrame();
+
+  const rect = pinned?.componentNode.getBoundingClientRect();
+  return {
+    rect: rect ? { x: rect.left, y: rect.top, width: rect.width, height: rect.height } : null,
+    devicePixelRatio: window.devicePixelRatio,
+  };
+}
+
+function finishScreenshot(state) {
+  (state.hiddenForScreenshot || []).forEach((key) => {
+    if (state[key]) state[key].style.visibility = '';
+  });
+  state.hiddenForScreenshot = null;
+}
+
+/**
+ * Run a popup request
+ * @param {Object} message - { action, args }
+ * @param {Object} state - Content script state
+ * @returns {Promise<Object>} Result sent back to the popup
+ */
+export async function runPopupAction({ action, args = [] }, state) {
+  if (action === 'getStatus') {
+    return getStatus(state);
+  }
+  if (action === 'setInspectionMode') {
+    updateDetectedFrameworksState(state);
+    if (!setInspectionMode(args[0], state)) {
+      throw new Error(`${args[0]} mode is not available on this page`);
+    }
+    return getStatus(state);
+  }
+  if (action === 'exportPinned') {
+    return exportPinned(state);
+  }
+  if (action === 'prepareScreenshot') {
+    return prepareScreenshot(state);
+  }
+  if (action === 'finishScreenshot') {
+    finishScreenshot(state);
+    return { ok: true };
+  }
+  if (action === 'toggleTreeDrawer') {
+    if (!state.isEnabled) throw new Error('Turn the inspector on first');
+    toggleTreeDrawer(state);
+    return getStatus(state);
+  }
+  if (action === 'startProfiling' || action === 'stopProfiling') {
+    await (action === 'startProfiling' ? startProfiling() : stopProfiling());
+    return getStatus(state);
+  }
+  throw new Error(`Unknown popup action: ${action}`);
+}
@@ -0,0 +1,59 @@
+/**
+ * Settings Sync - applies the options page settings for this page's origin
+ * Read from chrome.storage.sync on load; the background worker pushes later changes.
+ */
+
+import {
+  SETTINGS_STORAGE_KEY,
+  resolveSettings,
+  applySettings,
+  settings,
+} from '../config/settings.js';
+import { applyInpageSettings } from '../utils/messageHandler.js';
+import { getPanel } from '../overlay/overlayManager.js';
+
+/**
+ * Apply stored settings to the content script
+ * @param {Object} stored - { global, origins } from chrome.storage.sync
+ * @param {Object} state - Content script state
+ */
+function applyToContent(stored, state) {
+  const previousSections = JSON.stringify(settings.DEFAULT_EXPANDED_SECTIONS);
+  applySettings(resolveSettings(stored, window.location.origin));
+  // Sections the user opened or closed in the panel stay that way unless the defaults changed
+  if (JSON.stringify(settings.DEFAULT_EXPANDED_SECTIONS) !== previousSections) {
+    state.expandedSections = { ...settings.DEFAULT_EXPANDED_SECTIONS };
+  }
+
+  const panel = getPanel(state.overlay);
+  if (panel) {
+    panel.style.maxWidth = `${settings.PANEL_MAX_WIDTH}px`;
+  }
+}
+
+/**
+ * Load this origin's settings before inpage.js is injected
+ * @param {Object} state - Content script state
+ * @returns {Promise<void>} Resolves with the defaults in place if storage is unavailable
+ */
+export function loadSettings(state) {
+  return chrome.storage.sync
+    .get(SETTINGS_STORAGE_KEY)
+    .then((result) => applyToContent(result[SETTINGS_STORAGE_KEY], state))
+    .catch(() => {
+      // Extension context may be gone; keep the defaults
+    });
+}
+
+/**
+ * Apply settings changed on the options page to this page and inpage.js
+ * @param {Object} stored - New { global, origins }
+ * @param {Object} state - Content script state
+ * @returns {Promise<void>}
+ */
+export function applyStoredSettings(stored, state) {
+  applyToContent(stored, state);
+  return applyInpageSettings(settings).catch(() => {
+    // inpage.js picks the settings up on injection if it isn't running yet
+  });
+}
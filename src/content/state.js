@@ -3,18 +3,23 @@
  * Manages the global state of the inspector
  */
 
-import { DEFAULT_EXPANDED_SECTIONS } from '../config/constants.js';
+import { settings } from '../config/settings.js';
 
 export const state = {
   isEnabled: false,
   overlay: null,
   reactOverlay: null,
   vueOverlay: null,
+  measureOverlay: null, // Distance lines for measurement mode
   currentTarget: null,
+  devtoolsTarget: null, // Node selected in the DevTools Elements panel ($0)
   lastHoverTime: 0,
   isPinned: false,
   pinnedPosition: null,
-  expandedSections: { ...DEFAULT_EXPANDED_SECTIONS },
+  measureMode: false, // Alt+Shift+D: while pinned, hovering measures from the pinned element
+  measureTarget: null, // Element measured to
+  sourceLocation: null, // { fileName, line, column } of the inspected component
+  expandedSections: { ...settings.DEFAULT_EXPANDED_SECTIONS },
   currentUrl: window.location.href,
   inspectionMode: 'auto', // 'auto', 'react', 'html', 'vue', etc.
   detectedFrameworks: [], // List of detected frameworks on the page
@@ -22,6 +27,8 @@ export const state = {
   frameworkObserver: null, // MutationObserver for framework detection
   observerInitTimeout: null, // Timeout ID for observer initialization
   observerCleanupTimeout: null, // Timeout ID for observer cleanup
+  hiddenForScreenshot: null, // Overlay keys hidden while the popup takes a screenshot
+  treeDrawer: null, // Component tree drawer element (treeDrawer.js)
 };
 
 /**
@@ -31,6 +38,7 @@ export function resetOverlayState(hideOverlayFn, hideReactOverlayFn, hideVueOver
   state.isPinned = false;
   state.pinnedPosition = null;
   state.currentTarget = null;
+  state.measureTarget = null;
   hideOverlayFn(state.overlay);
   hideReactOverlayFn(state.reactOverlay);
   hideVueOverlayFn(state.vueOverlay);
@@ -47,5 +55,7 @@ export function toggleEnabled(hideOverlayFn, hideReactOverlayFn, hideVueOverlayF
     hideVueOverlayFn(state.vueOverlay);
     state.isPinned = false;
     state.pinnedPosition = null;
+    state.measureMode = false;
+    state.measureTarget = null;
   }
 }
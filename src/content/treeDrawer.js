@@ -0,0 +1,349 @@
+/**
+ * Component Tree Drawer - every React root, Vue app and Svelte root on the page
+ * Docked to the left or right edge. Hovering a node highlights its element; clicking
+ * pins the inspector to that component (the same selection arrow-key navigation uses).
+ */
+
+import { OVERLAY_Z_INDEX } from '../config/constants.js';
+import { escapeHtml } from '../utils/domHelpers.js';
+import { getAppTree, resolveTreeNode, requestComponentInfo } from '../utils/messageHandler.js';
+import { createOverlay, getPanel } from '../overlay/overlayManager.js';
+import { calculatePanelPosition, applyPanelPosition } from '../utils/panelPosition.js';
+import { resetHistoryWatch } from './historyWatcher.js';
+
+const DRAWER_ID = 'hovercomp-tree-drawer';
+const HIGHLIGHT_ID = 'hovercomp-tree-highlight';
+const DRAWER_WIDTH = 320;
+const INDENT_PX = 12;
+
+let drawer = null;
+let highlight = null;
+let tree = { roots: [], truncated: false };
+let expanded = new Set();
+let filterText = '';
+let userComponentsOnly = false;
+let side = 'right';
+let pinnedNodeId = null;
+// Elements looked up for hover, until the next refresh
+let elementsByNodeId = new Map();
+
+const buttonStyle = `background: rgba(97, 218, 251, 0.1); color: #61dafb; border: 1px solid rgba(97, 218, 251, 0.3); border-radius: 4px; padding: 2px 6px; font: inherit; cursor: pointer;`;
+
+function createDrawer() {
+  const div = document.createElement('div');
+  div.id = DRAWER_ID;
+  div.style.cssText = `
+    position: fixed;
+    top: 0;
+    bottom: 0;
+    width: ${DRAWER_WIDTH}px;
+    z-index: ${OVERLAY_Z_INDEX - 2};
+    display: flex;
+    flex-direction: column;
+    background: rgba(20, 20, 20, 0.98);
+    color: white;
+    font-family: 'Monaco', 'Menlo', 'Consolas', monospace;
+    font-size: 11px;
+    line-height: 1.5;
+    box-shadow: 0 0 32px rgba(0, 0, 0, 0.5);
+  `;
+  div.innerHTML = `
+    <div style="padding: 10px; border-bottom: 1px solid rgba(255,255,255,0.1);">
+      <div style="display: flex; align-items: center; gap: 4px; margin-bottom: 8px;">
+        <span style="flex: 1; color: #61dafb; font-weight: bold;">🌳 Component Tree</span>
+        <button data-action="refresh" title="Read the tree again" style="${buttonStyle}">↻</button>
+        <button data-action="dock" title="Dock on the other side" style="${buttonStyle}">⇆</button>
+        <button data-action="close" title="Close (Alt+Shift+T)" style="${buttonStyle}">✕</button>
+      </div>
+      <input type="search" data-role="filter" placeholder="Filter by name" spellcheck="false" style="box-sizing: border-box; width: 100%; padding: 4px 6px; background: rgba(255,255,255,0.05); color: white; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; font: inherit;">
+      <div style="display: flex; align-items: center; gap: 6px; margin-top: 6px; color: #aaa;">
+        <label style="flex: 1; display: flex; align-items: center; gap: 4px; cursor: pointer;">
+          <input type="checkbox" data-role="user-only" style="margin: 0;"> User components only
+        </label>
+        <button data-action="expand-all" title="Expand all" style="${buttonStyle}">+</button>
+        <button data-action="collapse-all" title="Collapse all" style="${buttonStyle}">−</button>
+      </div>
+    </div>
+    <div data-role="tree" style="flex: 1; overflow: auto; padding: 6px 0; white-space: nowrap; scrollbar-width: thin; scrollbar-color: rgba(255,255,255,0.3) rgba(0,0,0,0.2);">
+      <div style="padding: 10px; color: #888;">Reading components…</div>
+    </div>
+    <div data-role="status" style="padding: 6px 10px; border-top: 1px solid rgba(255,255,255,0.1); color: #666; font-size: 9px;"></div>
+  `;
+  document.body.appendChild(div);
+  return div;
+}
+
+function createHighlight() {
+  const div = document.createElement('div');
+  div.id = HIGHLIGHT_ID;
+  div.style.cssText = `
+    position: absolute;
+    z-index: ${OVERLAY_Z_INDEX - 1};
+    pointer-events: none;
+    display: none;
+    background: rgba(255, 167, 38, 0.1);
+    border: 2px solid rgba(255, 167, 38, 0.9);
+    box-sizing: border-box;
+  `;
+  document.body.appendChild(div);
+  return div;
+}
+
+function applyDockSide() {
+  drawer.style.left = side === 'left' ? '0' : '';
+  drawer.style.right = side === 'right' ? '0' : '';
+}
+
+function forEachNode(nodes, callback) {
+  nodes.forEach((node) => {
+    callback(node);
+    forEachNode(node.children, callback);
+  });
+}
+
+/**
+ * Apply the name filter and "user components only" to the tree.
+ * Hidden non-user components hand their children to their parent; a node stays when it
+ * or anything below it matches the filter.
+ */
+function filterNodes(nodes) {
+  const visible = [];
+  nodes.forEach((node) => {
+    const children = filterNodes(node.children);
+    if (userComponentsOnly && !node.isUserComponent) {
+      visible.push(...children);
+      return;
+    }
+    const matches = !filterText || node.name.toLowerCase().includes(filterText);
+    if (matches || children.length > 0) {
+      visible.push({ ...node, children, matches });
+    }
+  });
+  return visible;
+}
+
+function formatNode(node, depth) {
+  // Filtering shows every match, so its ancestors are open
+  const isOpen = !!filterText || expanded.has(node.id);
+  const hasChildren = node.children.length > 0;
+  const isPinned = node.id === pinnedNodeId;
+  const color = isPinned ? '#61dafb' : node.isUserComponent ? '#a5d6a7' : '#999';
+  const arrow = hasChildren ? (isOpen ? '▼' : '▶') : '·';
+
+  let html = `<div data-node-id="${node.id}" style="padding: 1px 10px 1px ${10 + depth * INDENT_PX}px; cursor: pointer; color: ${color};${isPinned ? ' background: rgba(97,218,251,0.12); font-weight: bold;' : ''}">`;
+  html += `<span data-toggle="${node.id}" style="display: inline-block; width: 12px; color: #666;">${arrow}</span>`;
+  html +=
+    filterText && node.matches
+      ? `<mark style="background: rgba(255,167,38,0.3); color: inherit;">${escapeHtml(node.name)}</mark>`
+      : escapeHtml(node.name);
+  if (depth === 0) {
+    html += ` <span style="color: #666; font-size: 9px;">${escapeHtml(node.framework)}</span>`;
+  }
+  html += '</div>';
+
+  if (hasChildren && isOpen) {
+    html += node.children.map((child) => formatNode(child, depth + 1)).join('');
+  }
+  return html;
+}
+
+function render() {
+  if (!drawer) return;
+
+  const nodes = filterNodes(tree.roots);
+  const container = drawer.querySelector('[data-role="tree"]');
+  container.innerHTML = nodes.length
+    ? nodes.map((node) => formatNode(node, 0)).join('')
+    : `<div style="padding: 10px; color: #888;">${tree.roots.length ? 'No components match' : 'No React, Vue or Svelte app found'}</div>`;
+
+  let count = 0;
+  forEachNode(tree.roots, () => count++);
+  setStatus(`${count} components${tree.truncated ? ' (truncated)' : ''} • Click to pin`);
+}
+
+function setStatus(text) {
+  if (drawer) drawer.querySelector('[data-role="status"]').textContent = text;
+}
+
+function refresh() {
+  hideHighlight();
+  elementsByNodeId = new Map();
+  pinnedNodeId = null;
+  return getAppTree()
+    .then((result) => {
+      tree = result;
+      // Open the first levels so the drawer does not start as a single line
+      expanded = new Set();
+      tree.roots.forEach((root) => {
+        expanded.add(root.id);
+        root.children.forEach((child) => expanded.add(child.id));
+      });
+      render();
+    })
+    .catch((error) => {
+      tree = { roots: [], truncated: false };
+      render();
+      setStatus(error.message);
+    });
+}
+
+function getNodeElement(nodeId) {
+  if (elementsByNodeId.has(nodeId)) {
+    return Promise.resolve(elementsByNodeId.get(nodeId));
+  }
+  return resolveTreeNode(nodeId).then((element) => {
+    elementsByNodeId.set(nodeId, element);
+    return element;
+  });
+}
+
+function showHighlight(element) {
+  if (!element || !element.isConnected) {
+    hideHighlight();
+    return;
+  }
+  if (!highlight) highlight = createHighlight();
+  const rect = element.getBoundingClientRect();
+  highlight.style.display = 'block';
+  highlight.style.top = `${rect.top + window.scrollY}px`;
+  highlight.style.left = `${rect.left + window.scrollX}px`;
+  highlight.style.width = `${rect.width}px`;
+  highlight.style.height = `${rect.height}px`;
+}
+
+function hideHighlight() {
+  if (highlight) highlight.style.display = 'none';
+}
+
+/**
+ * Pin the inspector panel to a tree node's component
+ */
+function pinNode(nodeId, state) {
+  resolveTreeNode(nodeId, true)
+    .then((element) => {
+      if (!element) return;
+      element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      hideHighlight();
+
+      if (!state.overlay) {
+        state.overlay = createOverlay();
+      }
+      const panel = getPanel(state.overlay);
+      if (panel) {
+        // Beside the element, as if it had been Alt+Clicked at its top-left corner
+        const rect = element.getBoundingClientRect();
+        const position = calculatePanelPosition(rect.left, rect.top, panel.getBoundingClientRect());
+        applyPanelPosition(panel, position, true);
+        state.pinnedPosition = { x: position.left, y: position.top };
+      }
+
+      pinnedNodeId = nodeId;
+      render();
+      resetHistoryWatch();
+      state.isPinned = true;
+      state.currentTarget = element;
+      requestComponentInfo(element, state.inspectionMode);
+    })
+    .catch((error) => {
+      setStatus(error.message);
+    });
+}
+
+function setupDrawerHandlers(state) {
+  const container = drawer.querySelector('[data-role="tree"]');
+
+  container.addEventListener('click', (e) => {
+    const toggle = e.target.closest('[data-toggle]');
+    if (toggle) {
+      const { toggle: nodeId } = toggle.dataset;
+      if (expanded.has(nodeId)) {
+        expanded.delete(nodeId);
+      } else {
+        expanded.add(nodeId);
+      }
+      render();
+      return;
+    }
+    const row = e.target.closest('[data-node-id]');
+    if (row) {
+      pinNode(row.dataset.nodeId, state);
+    }
+  });
+
+  container.addEventListener('mouseover', (e) => {
+    const row = e.target.closest('[data-node-id]');
+    if (!row) return;
+    const { nodeId } = row.dataset;
+    getNodeElement(nodeId)
+      .then((element) => {
+        // Only if the pointer is still on that row
+        if (row.matches(':hover')) showHighlight(element);
+      })
+      .catch(hideHighlight);
+  });
+  container.addEventListener('mouseleave', hideHighlight);
+
+  drawer.querySelector('[data-role="filter"]').addEventListener('input', (e) => {
+    filterText = e.target.value.trim().toLowerCase();
+    render();
+  });
+  drawer.querySelector('[data-role="user-only"]').addEventListener('change', (e) => {
+    userComponentsOnly = e.target.checked;
+    render();
+  });
+
+  drawer.querySelectorAll('[data-action]').forEach((button) => {
+    button.addEventListener('click', () => {
+      const { action } = button.dataset;
+      if (action === 'refresh') {
+        refresh();
+      } else if (action === 'dock') {
+        side = side === 'right' ? 'left' : 'right';
+        applyDockSide();
+      } else if (action === 'close') {
+        closeTreeDrawer(state);
+      } else if (action === 'expand-all') {
+        forEachNode(tree.roots, (node) => expanded.add(node.id));
+        render();
+      } else if (action === 'collapse-all') {
+        expanded = new Set();
+        render();
+      }
+    });
+  });
+}
+
+/**
+ * Open the drawer (reading the tree) or close it
+ * @param {Object} state - Content script state
+ * @returns {boolean} Whether the drawer is now open
+ */
+export function toggleTreeDrawer(state) {
+  if (drawer) {
+    closeTreeDrawer(state);
+    return false;
+  }
+  if (!document.body) return false;
+
+  drawer = createDrawer();
+  state.treeDrawer = drawer;
+  applyDockSide();
+  drawer.querySelector('[data-role="user-only"]').checked = userComponentsOnly;
+  setupDrawerHandlers(state);
+  refresh();
+  return true;
+}
+
+/**
+ * Close the drawer and its highlight
+ * @param {Object} state - Content script state
+ */
+export function closeTreeDrawer(state) {
+  drawer?.remove();
+  highlight?.remove();
+  drawer = null;
+  highlight = null;
+  state.treeDrawer = null;
+  filterText = '';
+  elementsByNodeId = new Map();
+}
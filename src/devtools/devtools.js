@@ -0,0 +1,9 @@
+/**
+ * DevTools page - registers the HoverComp panel and Elements sidebar pane
+ */
+
+chrome.devtools.panels.create('HoverComp', 'icons/icon16.png', 'src/devtools/panel.html');
+
+chrome.devtools.panels.elements.createSidebarPane('HoverComp', (sidebar) => {
+  sidebar.setPage('src/devtools/panel.html');
+});
@@ -0,0 +1,154 @@
+/**
+ * HoverComp DevTools panel / Elements sidebar pane
+ * Shows the same sections as the hover overlay for the node selected in Elements ($0).
+ * Rendering happens in the content script; edits go back through the background worker.
+ */
+
+import { DEFAULT_EXPANDED_SECTIONS } from '../config/constants.js';
+import { SETTINGS_STORAGE_KEY, resolveSettings } from '../config/settings.js';
+import {
+  setupEditableHookHandlers,
+  setupEditableStateHandlers,
+  setupEditablePropHandlers,
+  setupResetOverrideHandlers,
+  setupClassToggleHandlers,
+  setupStyleToggleHandlers,
+  setupComputedStyleHandlers,
+  setupToggleSectionHandlers,
+  restoreExpandedSections,
+  setupProfilerHandlers,
+  setupOpenInEditorHandlers,
+  setupExportHandlers,
+  setupEditableRuleHandlers,
+  setupCssChangeHandlers,
+} from '../overlay/eventHandlers.js';
+import { setupAddClassHandlers, setupAddStyleHandlers } from '../overlay/advancedHandlers.js';
+
+const root = document.getElementById('hovercomp-devtools-root');
+const port = chrome.runtime.connect({ name: 'hovercomp-devtools' });
+const pendingActions = new Map();
+const expandedSections = { ...DEFAULT_EXPANDED_SECTIONS };
+let nextActionId = 1;
+
+/**
+ * Ask the inspected page to apply an edit to the selected node
+ * @param {string} action - Action name understood by devtoolsBridge.js
+ * @param {Array} args - Action arguments
+ * @returns {Promise<Object>}
+ */
+function sendAction(action, args = []) {
+  const id = nextActionId++;
+  return new Promise((resolve, reject) => {
+    pendingActions.set(id, { resolve, reject });
+    port.postMessage({ type: 'DEVTOOLS_ACTION', id, action, args });
+  });
+}
+
+/**
+ * Stand-in for the selected node so the overlay's CSS handlers can drive it remotely.
+ * Covers the classList/style calls those handlers make.
+ */
+function createRemoteElement() {
+  const send =
+    (action) =>
+    (...args) => {
+      sendAction(action, args).catch(() => {});
+    };
+  return {
+    classList: { add: send('classList.add'), remove: send('classList.remove') },
+    style: { setProperty: send('style.setProperty'), removeProperty: send('style.removeProperty') },
+  };
+}
+
+const remoteActions = {
+  updateHook: (_element, hookIndex, newValue) => sendAction('updateHook', [hookIndex, newValue]),
+  updateState: (_element, stateKey, newValue) => sendAction('updateState', [stateKey, newValue]),
+  updateProp: (_element, propKey, newValue) => sendAction('updateProp', [propKey, newValue]),
+  resetOverride: (_element, key) => sendAction('resetOverride', [key]),
+  openInEditor: (location) => sendAction('openInEditor', [location]),
+  exportComponent: (_element, format) => sendAction('exportComponent', [format]),
+  setRuleProperty: (ruleId, property, value) =>
+    sendAction('setRuleProperty', [ruleId, property, value]),
+  exportCssChanges: (format) => sendAction('exportCssChanges', [format]),
+  startProfiling: () => sendAction('startProfiling'),
+  stopProfiling: () => sendAction('stopProfiling'),
+};
+
+function renderEmpty(message) {
+  root.innerHTML = `<div class="hovercomp-devtools-empty">${message}</div>`;
+}
+
+function render({ html }) {
+  if (!html) {
+    renderEmpty('Select an element in the Elements panel to inspect it.');
+    return;
+  }
+
+  root.innerHTML = html;
+
+  const element = createRemoteElement();
+  const refresh = () => sendAction('refresh').catch(() => {});
+
+  setupEditableHookHandlers(root, element, remoteActions);
+  setupEditableStateHandlers(root, element, remoteActions);
+  setupEditablePropHandlers(root, element, remoteActions);
+  setupResetOverrideHandlers(root, element, remoteActions);
+  setupOpenInEditorHandlers(root, remoteActions);
+  setupExportHandlers(root, element, remoteActions);
+  setupProfilerHandlers(root, () => {}, remoteActions);
+  setupClassToggleHandlers(root, element, refresh);
+  setupStyleToggleHandlers(root, element, refresh);
+  setupComputedStyleHandlers(root, element);
+  setupAddClassHandlers(root, element, refresh);
+  setupAddStyleHandlers(root, element, refresh);
+  // The bridge re-renders after a rule edit, so no refresh here
+  setupEditableRuleHandlers(root, () => {}, remoteActions);
+  setupCssChangeHandlers(root, remoteActions);
+  setupToggleSectionHandlers(root, expandedSections, () => {});
+  restoreExpandedSections(root, expandedSections);
+}
+
+function inspectSelection() {
+  chrome.devtools.inspectedWindow.eval(
+    'typeof __hovercompDevtoolsSelect === "function" && __hovercompDevtoolsSelect($0)',
+    { useContentScriptContext: true },
+    (result) => {
+      if (!result) {
+        renderEmpty('HoverComp is not available on this page.');
+      }
+    }
+  );
+}
+
+port.onMessage.addListener((message) => {
+  if (message.type === 'DEVTOOLS_COMPONENT_INFO') {
+    render(message);
+  } else if (message.type === 'DEVTOOLS_ACTION_RESULT') {
+    const pending = pendingActions.get(message.id);
+    if (!pending) return;
+    pendingActions.delete(message.id);
+    if (message.error) {
+      const error = new Error(message.error);
+      error.code = message.code;
+      pending.reject(error);
+    } else {
+      pending.resolve(message);
+    }
+  }
+});
+
+// Sections start expanded as set on the options page for the inspected origin
+function loadExpandedSections() {
+  chrome.devtools.inspectedWindow.eval('location.origin', (origin) => {
+    chrome.storage.sync.get(SETTINGS_STORAGE_KEY).then((result) => {
+      const values = resolveSettings(result[SETTINGS_STORAGE_KEY], origin);
+      Object.assign(expandedSections, values.DEFAULT_EXPANDED_SECTIONS);
+      restoreExpandedSections(root, expandedSections);
+    });
+  });
+}
+
+port.postMessage({ type: 'DEVTOOLS_INIT', tabId: chrome.devtools.inspectedWindow.tabId });
+loadExpandedSections();
+chrome.devtools.panels.elements.onSelectionChanged.addListener(inspectSelection);
+inspectSelection();
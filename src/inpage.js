@@ -1,1223 +1,5427 @@
 /**
  * In-page script that runs in the main world context
  * Has access to framework DevTools hooks and global objects
+ *
+ * Generated by build-inpage.js from src/inpage/ and src/adapters/ - do not edit.
+ * Run `npm run build:inpage` after changing those modules.
  */
 
 (function () {
-  'use strict';
+'use strict';
 
-  // Constants
-  // Note: Since inpage.js runs in the page context and cannot import ES modules,
-  // we need to define this constant here. Keep it in sync with src/config/constants.js.
-  const MAX_COMPONENT_HIERARCHY_DEPTH = 20;
+const bundledModules = {};
 
-  // Import detection utilities (inline for injection)
-  const detectComponent = (function () {
-    // React DevTools Global Hook utilities
-    function getDevToolsHook() {
-      try {
-        const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
-        if (!hook || !hook.renderers) return null;
-        // Get the first renderer (usually the only one)
-        const renderer = hook.renderers.get(1) || hook.renderers.values().next().value;
-        return renderer || null;
-      } catch {
-        return null;
+// src/config/constants.js
+bundledModules['config/constants.js'] = (function () {
+/**
+ * Constants used throughout the extension
+ */
+
+// Defaults for THROTTLE_MS, PANEL_MAX_WIDTH, EDITOR, EDITOR_PROJECT_ROOT, DEFAULT_EXPANDED_SECTIONS,
+// KNOWN_FRAMEWORK_COMPONENTS, USER_CODE_PATHS, USER_COMPONENT_SCORE_THRESHOLD and DEBUG_MODE;
+// read them from `settings` (src/config/settings.js), which the options page can override.
+
+// Timing constants
+const THROTTLE_MS = 50;
+const CACHE_DURATION = 1000; // 1 second
+
+// Z-index for overlay elements
+const OVERLAY_Z_INDEX = 2147483647;
+
+// Layout constants
+const PANEL_MIN_WIDTH = 320;
+const PANEL_MAX_WIDTH = 500;
+const PANEL_MAX_HEIGHT_VH = 95;
+const PANEL_SPACING = 20;
+const PANEL_MARGIN = 10;
+
+// Keyboard shortcuts
+const TOGGLE_SHORTCUT = {
+  altKey: true,
+  shiftKey: true,
+  code: 'KeyC',
+};
+const OPEN_IN_EDITOR_SHORTCUT = {
+  altKey: true,
+  shiftKey: true,
+  code: 'KeyO',
+};
+const TREE_DRAWER_SHORTCUT = {
+  altKey: true,
+  shiftKey: true,
+  code: 'KeyT',
+};
+const MEASURE_SHORTCUT = {
+  altKey: true,
+  shiftKey: true,
+  code: 'KeyD',
+};
+
+// Open in editor: one of EDITOR_URL_TEMPLATES, or a template of your own.
+// {path} is the absolute source path; relative paths (Vue __file) get EDITOR_PROJECT_ROOT.
+// Vite's /__open-in-editor endpoint takes the path as-is.
+const EDITOR = 'vscode';
+const EDITOR_PROJECT_ROOT = '';
+const EDITOR_URL_TEMPLATES = {
+  vscode: 'vscode://file/{path}:{line}:{column}',
+  webstorm: 'webstorm://open?file={path}&line={line}&column={column}',
+  vite: '/__open-in-editor?file={path}:{line}:{column}',
+};
+
+// Messages
+const MESSAGE_TYPES = {
+  GET_COMPONENT_INFO: 'GET_COMPONENT_INFO',
+  COMPONENT_INFO_RESPONSE: 'COMPONENT_INFO_RESPONSE',
+  UPDATE_HOOK: 'UPDATE_HOOK',
+  UPDATE_STATE: 'UPDATE_STATE',
+  UPDATE_PROP: 'UPDATE_PROP',
+  RESET_OVERRIDE: 'RESET_OVERRIDE',
+  UPDATE_SUCCESS: 'UPDATE_SUCCESS',
+  UPDATE_ERROR: 'UPDATE_ERROR',
+  INVALIDATE_CACHE: 'INVALIDATE_CACHE',
+  PROFILER_START: 'PROFILER_START',
+  PROFILER_STOP: 'PROFILER_STOP',
+  WATCH_START: 'WATCH_START',
+  WATCH_STOP: 'WATCH_STOP',
+  APPLY_SETTINGS: 'APPLY_SETTINGS',
+  NAVIGATE_COMPONENT: 'NAVIGATE_COMPONENT',
+  CLEAR_NAVIGATION: 'CLEAR_NAVIGATION',
+  GET_APP_TREE: 'GET_APP_TREE',
+  RESOLVE_TREE_NODE: 'RESOLVE_TREE_NODE',
+  COMPONENT_CHANGED: 'COMPONENT_CHANGED', // Event from inpage.js, not a response
+  SOURCES_RESOLVED: 'SOURCES_RESOLVED', // Event from inpage.js, not a response
+  RPC_CONNECT: 'RPC_CONNECT', // Window message carrying the channel port to inpage.js
+  RPC_CONNECTED: 'RPC_CONNECTED', // inpage.js's handshake reply on the port
+};
+
+// Content <-> inpage RPC (src/inpage/ imports these too)
+const RPC_PROTOCOL_VERSION = 1;
+const RPC_TIMEOUT_MS = 3000;
+const RPC_SOURCES = {
+  CONTENT: 'hovercomp-content',
+};
+// DOM attribute used to hand elements between the content script and inpage.js
+const ELEMENT_HANDLE_ATTRIBUTE = 'data-hovercomp-handle';
+
+// Error codes attached to rejected RPC calls
+const ERROR_CODES = {
+  STALE_HANDLE: 'STALE_HANDLE',
+};
+
+// Successful response type for each request; failures always come back as UPDATE_ERROR
+const RPC_RESPONSE_TYPES = {
+  [MESSAGE_TYPES.GET_COMPONENT_INFO]: MESSAGE_TYPES.COMPONENT_INFO_RESPONSE,
+  [MESSAGE_TYPES.UPDATE_HOOK]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.UPDATE_STATE]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.UPDATE_PROP]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.RESET_OVERRIDE]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.INVALIDATE_CACHE]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.PROFILER_START]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.PROFILER_STOP]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.WATCH_START]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.WATCH_STOP]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.APPLY_SETTINGS]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.NAVIGATE_COMPONENT]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.CLEAR_NAVIGATION]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.GET_APP_TREE]: MESSAGE_TYPES.UPDATE_SUCCESS,
+  [MESSAGE_TYPES.RESOLVE_TREE_NODE]: MESSAGE_TYPES.UPDATE_SUCCESS,
+};
+
+// CSS selectors and classes
+const CSS_CLASSES = {
+  OVERLAY: 'hovercomp-overlay',
+  PANEL: 'hovercomp-panel',
+  TOGGLE_SECTION: 'toggle-section',
+  EDITABLE_HOOK: 'editable-hook',
+  EDITABLE_STATE: 'editable-state',
+  EDITABLE_PROP: 'editable-prop',
+  RESET_OVERRIDE: 'reset-override',
+  TOGGLE_CLASS: 'toggle-class',
+  DELETE_CLASS: 'delete-class',
+  TOGGLE_STYLE: 'toggle-style',
+  DELETE_STYLE: 'delete-style',
+  ADD_CLASS: 'add-class',
+  ADD_INLINE_STYLE: 'add-inline-style',
+  COMPUTED_STYLE_ITEM: 'computed-style-item',
+  EDITABLE_STYLE: 'editable-style',
+  PROFILER_TOGGLE: 'profiler-toggle',
+  HISTORY_SCRUBBER: 'history-scrubber',
+  HISTORY_ENTRY: 'history-entry',
+  HISTORY_RESTORE: 'history-restore',
+  OPEN_IN_EDITOR: 'open-in-editor',
+  EXPORT_TOGGLE: 'export-toggle',
+  EXPORT_MENU: 'export-menu',
+  EXPORT_COMPONENT: 'export-component',
+  EDITABLE_RULE_STYLE: 'editable-rule-style',
+  ADD_RULE_STYLE: 'add-rule-style',
+  EXPORT_CSS_CHANGES: 'export-css-changes',
+};
+
+// Default expanded sections state
+const DEFAULT_EXPANDED_SECTIONS = {
+  css: false,
+  props: false,
+  state: false,
+  hooks: false,
+  computed: false,
+  renders: false,
+  whyRender: false,
+  history: false,
+  appliedStyles: false,
+  cascade: false,
+};
+
+// Known framework components to filter out
+const KNOWN_FRAMEWORK_COMPONENTS = [
+  'Link',
+  'Image',
+  'Script',
+  'Head',
+  'ServerRoot',
+  'HotReload',
+  'Router',
+  'AppRouter',
+  'ErrorBoundary',
+  'Boundary',
+  'Provider',
+  'Context',
+];
+
+// Framework patterns to filter
+const FRAMEWORK_PATTERNS = [
+  'Fragment',
+  'Suspense',
+  'StrictMode',
+  'Provider',
+  'Consumer',
+  'Context',
+  'Profiler',
+  'Router',
+  'AppRouter',
+  'ErrorBoundary',
+  'Boundary',
+  'Handler',
+  'Root',
+  'ServerRoot',
+];
+
+// User code path indicators
+const USER_CODE_PATHS = [
+  '/app/',
+  '\\app\\',
+  '/src/',
+  '\\src\\',
+  '/components/',
+  '\\components\\',
+  '/pages/',
+  '\\pages\\',
+];
+
+// Score thresholds
+const USER_COMPONENT_SCORE_THRESHOLD = 8;
+
+// Component hierarchy traversal
+const MAX_COMPONENT_HIERARCHY_DEPTH = 20;
+
+// Production builds: names this short are treated as minified and looked up in the
+// page's source maps. Stand-ins map a script URL prefix to where its maps are served
+// instead, e.g. { 'https://app.example.com/assets/': 'http://localhost:8080/maps/' }
+const MINIFIED_NAME_PATTERN = /^[A-Za-z_$][\w$]?$/;
+const SOURCE_MAP_STAND_INS = {};
+
+// Page-world component tree and context limits
+const MAX_TREE_DEPTH = 8;
+const MAX_CONTEXTS = 20;
+const MAX_CONTEXT_WALK_DEPTH = 50;
+// Nodes in the whole-page component tree drawer
+const MAX_APP_TREE_NODES = 5000;
+
+// Debug logging (debugLog in src/config/settings.js)
+const DEBUG_MODE = false;
+return { THROTTLE_MS, CACHE_DURATION, OVERLAY_Z_INDEX, PANEL_MIN_WIDTH, PANEL_MAX_WIDTH, PANEL_MAX_HEIGHT_VH, PANEL_SPACING, PANEL_MARGIN, TOGGLE_SHORTCUT, OPEN_IN_EDITOR_SHORTCUT, TREE_DRAWER_SHORTCUT, MEASURE_SHORTCUT, EDITOR, EDITOR_PROJECT_ROOT, EDITOR_URL_TEMPLATES, MESSAGE_TYPES, RPC_PROTOCOL_VERSION, RPC_TIMEOUT_MS, RPC_SOURCES, ELEMENT_HANDLE_ATTRIBUTE, ERROR_CODES, RPC_RESPONSE_TYPES, CSS_CLASSES, DEFAULT_EXPANDED_SECTIONS, KNOWN_FRAMEWORK_COMPONENTS, FRAMEWORK_PATTERNS, USER_CODE_PATHS, USER_COMPONENT_SCORE_THRESHOLD, MAX_COMPONENT_HIERARCHY_DEPTH, MINIFIED_NAME_PATTERN, SOURCE_MAP_STAND_INS, MAX_TREE_DEPTH, MAX_CONTEXTS, MAX_CONTEXT_WALK_DEPTH, MAX_APP_TREE_NODES, DEBUG_MODE };
+})();
+
+// src/config/settings.js
+bundledModules['config/settings.js'] = (function () {
+const { THROTTLE_MS, PANEL_MAX_WIDTH, USER_CODE_PATHS, KNOWN_FRAMEWORK_COMPONENTS, USER_COMPONENT_SCORE_THRESHOLD, DEFAULT_EXPANDED_SECTIONS, EDITOR, EDITOR_PROJECT_ROOT, DEBUG_MODE } = bundledModules['config/constants.js'];
+/**
+ * User settings: the tunable constants, overridable from the options page
+ * chrome.storage.sync holds { global: {...}, origins: { 'https://app.example.com': {...} } },
+ * each with only the values that differ from the level below (defaults, then global).
+ * Both the content script and inpage.js keep their own `settings` copy up to date.
+ */
+
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+// Auto-enable rules for the background worker, also in chrome.storage.sync.
+// Sites are patterns from src/utils/sitePatterns.js.
+const AUTO_ENABLE_STORAGE_KEY = 'autoEnable';
+
+const DEFAULT_SETTINGS = {
+  THROTTLE_MS,
+  PANEL_MAX_WIDTH,
+  USER_CODE_PATHS,
+  KNOWN_FRAMEWORK_COMPONENTS,
+  USER_COMPONENT_SCORE_THRESHOLD,
+  DEFAULT_EXPANDED_SECTIONS,
+  EDITOR,
+  EDITOR_PROJECT_ROOT,
+  DEBUG_MODE,
+};
+
+// Settings in effect for this page; applySettings() updates it in place
+const settings = copySettings(DEFAULT_SETTINGS);
+
+function copySettings(values) {
+  return JSON.parse(JSON.stringify(values));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidValue(value, defaultValue) {
+  if (Array.isArray(defaultValue)) {
+    return Array.isArray(value) && value.every((item) => typeof item === 'string');
+  }
+  if (isPlainObject(defaultValue)) {
+    return (
+      isPlainObject(value) &&
+      Object.keys(value).every((key) => typeof value[key] === typeof defaultValue[key])
+    );
+  }
+  if (typeof defaultValue === 'number') {
+    return Number.isFinite(value) && value >= 0;
+  }
+  return typeof value === typeof defaultValue;
+}
+
+/**
+ * Keep only known settings with values of the right type (imported or stored JSON)
+ * @param {Object} values - Partial settings
+ * @returns {Object} Partial settings
+ */
+function sanitizeSettings(values) {
+  const sanitized = {};
+  if (!isPlainObject(values)) return sanitized;
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (key in values && isValidValue(values[key], DEFAULT_SETTINGS[key])) {
+      sanitized[key] = values[key];
+    }
+  });
+  return sanitized;
+}
+
+/**
+ * Normalize a site to the origin its overrides are stored under
+ * @param {string} site - URL or origin, e.g. "localhost:3000" or "https://app.example.com/"
+ * @returns {string|null} Origin, or null when it isn't an http(s) site
+ */
+function normalizeOrigin(site) {
+  const value = String(site || '').trim();
+  try {
+    const url = new URL(/^[a-z][\w+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+    return /^https?:$/.test(url.protocol) ? url.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Sanitize the whole stored object (storage or an imported file)
+ * @param {Object} stored - { global, origins }
+ * @returns {Object} { global, origins }
+ */
+function sanitizeStoredSettings(stored) {
+  const origins = {};
+  Object.entries((isPlainObject(stored) && stored.origins) || {}).forEach(([site, values]) => {
+    const origin = normalizeOrigin(site);
+    if (origin) origins[origin] = sanitizeSettings(values);
+  });
+  return { global: sanitizeSettings(stored && stored.global), origins };
+}
+
+function mergeSettings(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) ? { ...base[key], ...value } : value;
+  });
+  return merged;
+}
+
+/**
+ * Settings for one origin: defaults, then global values, then the origin's overrides
+ * @param {Object} stored - { global, origins } from chrome.storage.sync
+ * @param {string} [origin] - Page origin; omit for the global settings
+ * @returns {Object} Complete settings
+ */
+function resolveSettings(stored, origin) {
+  const { global, origins } = sanitizeStoredSettings(stored);
+  const resolved = mergeSettings(copySettings(DEFAULT_SETTINGS), global);
+  return origin && origins[origin] ? mergeSettings(resolved, origins[origin]) : resolved;
+}
+
+/**
+ * Values in `values` that differ from `base` (what gets stored)
+ * @param {Object} values - Complete settings
+ * @param {Object} base - Settings they override
+ * @returns {Object} Partial settings
+ */
+function diffSettings(values, base) {
+  const changed = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (key in values && JSON.stringify(values[key]) !== JSON.stringify(base[key])) {
+      changed[key] = values[key];
+    }
+  });
+  return changed;
+}
+
+/**
+ * Auto-enable rules with defaults for missing or invalid values
+ * @param {Object} stored - { sites, keepEnabledOnReload } from chrome.storage.sync
+ * @returns {Object} { sites, keepEnabledOnReload }
+ */
+function resolveAutoEnable(stored) {
+  const sites = isPlainObject(stored) && Array.isArray(stored.sites) ? stored.sites : [];
+  return {
+    sites: sites.filter((site) => typeof site === 'string'),
+    keepEnabledOnReload: !!(isPlainObject(stored) && stored.keepEnabledOnReload === true),
+  };
+}
+
+/**
+ * Replace the settings in effect for this page
+ * @param {Object} values - Complete settings from resolveSettings()
+ */
+function applySettings(values) {
+  Object.assign(settings, copySettings(mergeSettings(DEFAULT_SETTINGS, sanitizeSettings(values))));
+}
+
+/**
+ * Log to the console when DEBUG_MODE is on
+ */
+function debugLog(...args) {
+  if (settings.DEBUG_MODE) {
+    console.debug('[HoverComp]', ...args);
+  }
+}
+return { SETTINGS_STORAGE_KEY, AUTO_ENABLE_STORAGE_KEY, DEFAULT_SETTINGS, settings, sanitizeSettings, normalizeOrigin, sanitizeStoredSettings, resolveSettings, diffSettings, resolveAutoEnable, applySettings, debugLog };
+})();
+
+// src/adapters/registry.js
+bundledModules['adapters/registry.js'] = (function () {
+/**
+ * Framework adapter registry
+ *
+ * Everything framework-specific the page-world script does (detection, editing,
+ * component tree, contexts, update subscriptions) goes through an adapter.
+ * Adapters are tried in registration order and the first detect() hit wins.
+ * Built-in adapters are registered by src/adapters/index.js.
+ */
+
+/**
+ * @typedef {Object} FrameworkAdapter
+ * @property {string} name - Unique adapter name, e.g. 'react'
+ * @property {function(HTMLElement): ?Object} detect - Component info for a node, or null.
+ *   The info needs `framework` and `name`; `componentInstance` (or `componentFiber` for
+ *   React) is the component handed to the methods below. `sourceLocation`
+ *   ({ fileName, line, column }) enables Open in editor.
+ * @property {function(Object): Array<string>} [getHierarchy] - Component and ancestor
+ *   names, outermost first
+ * @property {function(Object, string): Object} [getProps] - Sanitized props
+ * @property {function(Object, string): ?Object} [getState] - Sanitized state
+ * @property {function(Object): Array} [getHooks] - Hooks as { type, index, value }
+ * @property {function(Object, Object, HTMLElement): boolean} [update] - Apply
+ *   { kind: 'state'|'prop'|'hook', key, value } to (info, change, element). Returns false
+ *   when the adapter cannot edit that kind, throws when the edit fails.
+ * @property {function(Object, string): boolean} [resetOverride] - Undo an override (info, key)
+ * @property {function(Object): Array<string>} [getOverrides] - Keys currently overridden
+ * @property {function(HTMLElement, number): ?Array} [getTree] - Ancestor tree, innermost first
+ * @property {function(HTMLElement): Array} [getContext] - Contexts, injections or services
+ * @property {function(HTMLElement): Object} [getStores] - { stores, hasStores }
+ * @property {function(Object, Function, Object): Function} [subscribeToUpdates] - Call
+ *   onChange after every update of the component; ({ framework, read }) is passed as the
+ *   third argument. Returns the unsubscribe function.
+ * @property {function(Object): ?Object} [getParent] - Nearest ancestor component. Arrow-key
+ *   tree navigation needs this, getChildren, getElement and describe.
+ * @property {function(Object): Array<Object>} [getChildren] - Nearest descendant components,
+ *   in render order
+ * @property {function(Object): ?HTMLElement} [getElement] - First element the component renders
+ * @property {function(Object): ?Object} [describe] - Info for this exact component, shaped
+ *   like detect()'s
+ * @property {function(Object, Object): boolean} [isSameComponent] - Whether two values name
+ *   the same component (defaults to ===)
+ * @property {function(): Array<Object>} [getRoots] - Top-level components of every app on
+ *   the page, for the component tree drawer (which also needs getChildren and summarize)
+ * @property {function(Object): Object} [summarize] - { name, framework, isUserComponent }
+ *   without reading props or state
+ */
+
+const adapters = [];
+
+/**
+ * Register a framework adapter
+ * @param {FrameworkAdapter} adapter - Adapter to add
+ * @param {Object} [options]
+ * @param {boolean} [options.prepend] - Try this adapter before the registered ones
+ */
+function registerAdapter(adapter, { prepend = false } = {}) {
+  if (!adapter || typeof adapter.name !== 'string' || typeof adapter.detect !== 'function') {
+    throw new Error('Framework adapters need a name and a detect(node) function');
+  }
+  if (getAdapter(adapter.name)) {
+    throw new Error(`A framework adapter named "${adapter.name}" is already registered`);
+  }
+
+  if (prepend) {
+    adapters.unshift(adapter);
+  } else {
+    adapters.push(adapter);
+  }
+}
+
+/**
+ * Registered adapters in detection order
+ * @returns {Array<FrameworkAdapter>}
+ */
+function getAdapters() {
+  return adapters.slice();
+}
+
+/**
+ * Find an adapter by name
+ * @param {string} name - Adapter name
+ * @returns {FrameworkAdapter|null}
+ */
+function getAdapter(name) {
+  return adapters.find((adapter) => adapter.name === name) || null;
+}
+return { registerAdapter, getAdapters, getAdapter };
+})();
+
+// src/utils/componentHelpers.js
+bundledModules['utils/componentHelpers.js'] = (function () {
+const { FRAMEWORK_PATTERNS } = bundledModules['config/constants.js'];
+const { settings } = bundledModules['config/settings.js'];
+/**
+ * Shared utilities for component detection and manipulation across frameworks
+ */
+
+
+// Vendor folders: packages and the meta-frameworks' own sources
+const VENDOR_PATHS = [
+  'node_modules',
+  '/next/',
+  '\\next\\',
+  '/nuxt/',
+  '\\nuxt\\',
+  '/vue/',
+  '\\vue\\',
+];
+
+// Components the frameworks and their routers ship, on top of settings.KNOWN_FRAMEWORK_COMPONENTS
+const BUILT_IN_COMPONENTS = [
+  'Transition',
+  'TransitionGroup',
+  'KeepAlive',
+  'Suspense',
+  'Teleport',
+  'RouterView',
+  'RouterLink',
+  'NuxtLink',
+  'NuxtPage',
+  'NuxtLayout',
+  'ClientOnly',
+  'ServerOnly',
+];
+
+/**
+ * Check if a component is from user code
+ * @param {string} fileName - File name/path
+ * @returns {boolean} True if from user code
+ */
+function isFromUserCode(fileName) {
+  if (!fileName) return false;
+  return settings.USER_CODE_PATHS.some((path) => fileName.includes(path));
+}
+
+/**
+ * Check if a component is from node_modules (or a meta-framework's own folder)
+ * @param {string} fileName - File name/path
+ * @returns {boolean} True if from node_modules
+ */
+function isFromNodeModules(fileName) {
+  return VENDOR_PATHS.some((path) => fileName.includes(path));
+}
+
+/**
+ * Check if component name matches known framework components
+ * @param {string} name - Component name
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True if known framework component
+ */
+function isKnownFrameworkComponent(name, fileName = '') {
+  const knownComponents = [...settings.KNOWN_FRAMEWORK_COMPONENTS, ...BUILT_IN_COMPONENTS];
+  return (
+    knownComponents.includes(name) ||
+    (name.endsWith('Component') && knownComponents.some((fw) => name.includes(fw))) ||
+    name.includes('ServerRoot') ||
+    name.includes('NuxtRoot') ||
+    name.includes('HotReload') ||
+    name.includes('AppRouter') ||
+    name.includes('RouterView') ||
+    (name === 'Root' && (fileName.includes('next') || fileName.includes('nuxt'))) ||
+    (name === 'Router' && /next|nuxt|react-router|vue-router/.test(fileName))
+  );
+}
+
+/**
+ * Check if component name has framework patterns (stricter for Next.js internals)
+ * @param {string} name - Component name
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True if has framework pattern
+ */
+function hasFrameworkPattern(name, fileName = '') {
+  const pattern = new RegExp(`^(${FRAMEWORK_PATTERNS.join('|')})$`);
+  return (
+    pattern.test(name) ||
+    (name.includes('Router') && (fileName.includes('next') || fileName.includes('node_modules'))) ||
+    name.includes('Boundary') ||
+    name.includes('Handler') ||
+    name.includes('Provider') ||
+    name.includes('Context') ||
+    name.includes('Overlay') ||
+    name.includes('DevRoot') ||
+    name.includes('HotReload') ||
+    name.includes('ServerRoot') ||
+    name.includes('Segment') ||
+    name.includes('View') ||
+    name.includes('Scroll') ||
+    name.includes('Focus') ||
+    name.includes('Redirect') ||
+    name.includes('Template') ||
+    name.includes('Fallback') ||
+    name.includes('HTTPAccess') ||
+    name.includes('Loading') ||
+    name.startsWith('Inner') ||
+    name.startsWith('Outer') ||
+    name.startsWith('Render')
+  );
+}
+
+/**
+ * Score how likely a component is one the user wrote (compare with isUserComponent)
+ * Framework helpers supply what they know about their own vendor paths and built-ins,
+ * plus their framework-specific points as `bonus`.
+ * @param {Object} indicators - Component indicators
+ * @param {string} indicators.fileName - Source path ('' when unknown)
+ * @param {string} [indicators.parentFileName] - Source path of the owner or parent component
+ * @param {boolean} [indicators.isKnownFramework] - Named like a framework component
+ * @param {boolean} [indicators.hasFrameworkPattern] - Named like framework internals
+ * @param {boolean} [indicators.isFromNodeModules] - Under a vendor path
+ * @param {boolean} [indicators.isFrameworkBuild] - Under the framework's own dist folder
+ * @param {number} [indicators.bonus] - Framework-specific points
+ * @returns {number} Component score (higher = more likely a user component)
+ */
+function calculateComponentScore({
+  fileName,
+  parentFileName = '',
+  isKnownFramework = false,
+  hasFrameworkPattern = false,
+  isFromNodeModules = false,
+  isFrameworkBuild = false,
+  bonus = 0,
+}) {
+  let score = bonus;
+
+  // Strong negative indicators
+  if (isKnownFramework) score -= 10;
+  if (hasFrameworkPattern) score -= 5;
+  if (isFromNodeModules) score -= 10;
+  if (isFrameworkBuild) score -= 15;
+
+  // Positive indicators
+  if (isFromUserCode(fileName) && !isFromNodeModules) score += 10;
+  if (parentFileName && parentFileName.includes('/app/')) score += 5;
+
+  return score;
+}
+
+/**
+ * Check if component is a user component based on score and framework indicators
+ * @param {number} score - Component score
+ * @param {boolean} isKnownFramework - Is known framework component
+ * @param {boolean} hasFrameworkPattern - Has framework pattern
+ * @returns {boolean} True if user component
+ */
+function isUserComponent(score, isKnownFramework, hasFrameworkPattern) {
+  return score >= settings.USER_COMPONENT_SCORE_THRESHOLD && !isKnownFramework && !hasFrameworkPattern;
+}
+
+/**
+ * Parse value from string (for updating reactive data/state)
+ * @param {string} value - String value
+ * @returns {*} Parsed value
+ */
+function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+const MAX_SERIALIZE_DEPTH = 5;
+const MAX_ARRAY_ITEMS = 50;
+const MAX_OBJECT_KEYS = 30;
+
+function deepClone(value, depth, seen, options = {}) {
+  if (depth > MAX_SERIALIZE_DEPTH) return '[...]';
+  if (value === null) return null;
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'function') return '[Function: ' + (value.name || 'anonymous') + ']';
+  if (typeof value === 'symbol') return '[Symbol]';
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof Node !== 'undefined' && value instanceof Node) {
+    return '[' + value.constructor.name + ': ' + (value.tagName || '').toLowerCase() + ']';
+  }
+  if (typeof value !== 'object') return String(value);
+
+  // Handle Vue reactive objects
+  if (options.isVue) {
+    try {
+      if (value.__v_isRef) return deepClone(value.value, depth, seen, options);
+      if (value.__v_isReactive || value.__v_isReadonly) {
+        value = value.__v_raw || value;
+      }
+    } catch { /* ignored */ }
+  }
+
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    const result = value.slice(0, MAX_ARRAY_ITEMS).map(v => deepClone(v, depth + 1, seen, options));
+    if (value.length > MAX_ARRAY_ITEMS) result.push(`... +${value.length - MAX_ARRAY_ITEMS} items`);
+    seen.delete(value);
+    return result;
+  }
+
+  const result = {};
+  const keys = Object.keys(value).slice(0, MAX_OBJECT_KEYS);
+  for (const key of keys) {
+    try {
+      result[key] = deepClone(value[key], depth + 1, seen, options);
+    } catch {
+      result[key] = '[Error reading property]';
+    }
+  }
+  const totalKeys = Object.keys(value).length;
+  if (totalKeys > MAX_OBJECT_KEYS) {
+    result['...'] = `+${totalKeys - MAX_OBJECT_KEYS} more keys`;
+  }
+  seen.delete(value);
+  return result;
+}
+
+/**
+ * Sanitize a value for serialization (depth-limited, circular-safe)
+ * @param {*} value - Value to sanitize
+ * @param {Object} options - Options for sanitization
+ * @param {boolean} options.isVue - Whether this is a Vue component
+ * @returns {*} Sanitized value
+ */
+function sanitizeValue(value, options = {}) {
+  return deepClone(value, 0, new WeakSet(), options);
+}
+
+// Strings deepClone() and sanitizeProps() put in place of values they don't copy
+const SANITIZER_MARKER =
+  /^(?:undefined|\[(?:\.\.\.|Circular|Symbol(?:: .*)?|Error reading property|React Children|Function: .*|\w+: [\w-]*)\])$/;
+const TRUNCATED_ITEMS_MARKER = /^\.\.\. \+\d+ items$/;
+
+/**
+ * Find a marker the sanitizer left in place of something it didn't copy
+ * @param {*} value - Sanitized value
+ * @returns {?string} First marker found, or null if the value was copied in full
+ */
+function findSanitizerMarker(value) {
+  if (typeof value === 'string') {
+    return SANITIZER_MARKER.test(value) || TRUNCATED_ITEMS_MARKER.test(value) ? value : null;
+  }
+  if (!value || typeof value !== 'object') return null;
+  if (!Array.isArray(value) && '...' in value) return `${value['...']} (not recorded)`;
+  for (const item of Object.values(value)) {
+    const marker = findSanitizerMarker(item);
+    if (marker) return marker;
+  }
+  return null;
+}
+
+/**
+ * Sanitize props object
+ * @param {Object} props - Props object
+ * @param {Object} options - Options for sanitization
+ * @param {string} options.framework - Framework name ('vue' or 'svelte'), or 'jsx' for
+ *   React, Preact and Solid props (children become a placeholder)
+ * @returns {Object} Sanitized props
+ */
+function sanitizeProps(props, options = {}) {
+  const sanitized = {};
+  const { framework } = options;
+  
+  for (const key in props) {
+    // Skip framework internal keys
+    if (framework === 'vue') {
+      if (key.startsWith('_') || key.startsWith('$') || key.startsWith('v-')) continue;
+    } else if (framework === 'svelte') {
+      if (key.startsWith('$$') || key.startsWith('$')) continue;
+    }
+
+    const value = props[key];
+
+    if (framework === 'jsx' && key === 'children') {
+      sanitized[key] = typeof value === 'object' ? '[React Children]' : String(value);
+    } else if (typeof value === 'function') {
+      sanitized[key] = '[Function: ' + (value.name || 'anonymous') + ']';
+    } else if (typeof value === 'symbol') {
+      sanitized[key] = '[Symbol: ' + value.toString() + ']';
+    } else if (typeof value === 'undefined') {
+      sanitized[key] = 'undefined';
+    } else if (value === null) {
+      sanitized[key] = null;
+    } else {
+      sanitized[key] = sanitizeValue(value, { isVue: framework === 'vue' });
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * Check for a non-null, non-array object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Replace a reactive object's contents in place so its owner keeps the reference
+ * @param {Object} reactiveObject - Reactive (Vue reactive, Svelte $state) object
+ * @param {Object} value - New contents
+ */
+function assignReactive(reactiveObject, value) {
+  Object.keys(reactiveObject).forEach((key) => {
+    if (!(key in value)) delete reactiveObject[key];
+  });
+  Object.assign(reactiveObject, value);
+}
+return { isFromUserCode, isFromNodeModules, isKnownFrameworkComponent, hasFrameworkPattern, calculateComponentScore, isUserComponent, parseValue, sanitizeValue, findSanitizerMarker, sanitizeProps, isPlainObject, assignReactive };
+})();
+
+// src/utils/reactHelpers.js
+bundledModules['utils/reactHelpers.js'] = (function () {
+const { sanitizeValue } = bundledModules['utils/componentHelpers.js'];
+/**
+ * React-specific utilities for component detection and manipulation
+ */
+
+
+/**
+ * React-specific points for calculateComponentScore() in componentHelpers.js
+ * @param {Object} params - Component parameters
+ * @returns {number} Points to add to the shared score
+ */
+function getReactScoreBonus({ name, fileName, hasDebugSource, source, componentType }) {
+  let score = 0;
+
+  // Production builds have no source information; count them as components by default
+  // (enough on its own to reach the default USER_COMPONENT_SCORE_THRESHOLD)
+  if (!fileName && !hasDebugSource) score += 8;
+
+  const hasUserCodePatterns =
+    source.length > 200 || source.includes('jsx') || source.includes('tsx');
+  const isMinified = source.length < 100 && !source.includes('return');
+
+  if (hasUserCodePatterns) score += 3;
+  if (!isMinified) score += 2;
+
+  // Boost score for functional components (React.memo, forwardRef)
+  if (componentType.$$typeof || componentType._payload) score += 2;
+  if (source.includes('function') || source.includes('=>')) score += 1;
+
+  // Meaningful (capitalized) names survive minification
+  if (name.length > 2 && /[A-Z]/.test(name[0])) score += 3;
+
+  return score;
+}
+
+/**
+ * Classify React hook type based on internal structure
+ * @param {Object} hook - React hook object
+ * @returns {string} Hook type name
+ */
+function classifyHookType(hook) {
+  const ms = hook.memoizedState;
+
+  // useRef: memoizedState is { current: ... } with no queue (on it or the next hook)
+  if (ms !== null && typeof ms === 'object' && 'current' in ms && !hook.queue && !hook.next?.queue) {
+    return 'useRef';
+  }
+
+  // useState / useReducer: has a queue with dispatch
+  if (hook.queue) {
+    const reducer = hook.queue.lastRenderedReducer;
+    if (reducer && reducer.name && reducer.name !== 'basicStateReducer' && reducer.name !== '') {
+      return 'useReducer';
+    }
+    return 'useState';
+  }
+
+  // useMemo / useCallback: memoizedState is [value, deps]
+  if (Array.isArray(ms) && ms.length === 2 && Array.isArray(ms[1])) {
+    if (typeof ms[0] === 'function') return 'useCallback';
+    return 'useMemo';
+  }
+
+  // useEffect / useLayoutEffect: has .create and .destroy
+  if (ms !== null && typeof ms === 'object' && 'create' in ms && 'destroy' in ms) {
+    if (ms.tag & 4) return 'useLayoutEffect';
+    return 'useEffect';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Extract displayable value from a hook based on its type
+ * @param {Object} hook - React hook object
+ * @param {string} hookType - Classified hook type
+ * @returns {*} Extracted value
+ */
+function extractHookValue(hook, hookType) {
+  const ms = hook.memoizedState;
+
+  switch (hookType) {
+    case 'useState':
+    case 'useReducer':
+      return sanitizeValue(ms);
+    case 'useRef':
+      return sanitizeValue(ms?.current);
+    case 'useMemo':
+      return sanitizeValue(Array.isArray(ms) ? ms[0] : ms);
+    case 'useCallback':
+      return '[Function: ' + (ms?.[0]?.name || 'anonymous') + ']';
+    case 'useEffect':
+    case 'useLayoutEffect':
+      return undefined;
+    default:
+      return sanitizeValue(ms);
+  }
+}
+
+/**
+ * Extract hooks from React fiber with type classification
+ * @param {Object} fiber - React fiber object
+ * @returns {Array} Array of hook information with types
+ */
+function extractHooks(fiber) {
+  try {
+    const hooks = [];
+    let hook = fiber.memoizedState;
+    let index = 0;
+
+    while (hook) {
+      const hookType = classifyHookType(hook);
+      const value = extractHookValue(hook, hookType);
+
+      if (hookType !== 'useEffect' && hookType !== 'useLayoutEffect' && value !== undefined) {
+        hooks.push({
+          type: hookType,
+          index: index,
+          value: value,
+        });
+      }
+
+      hook = hook.next;
+      index++;
+    }
+
+    return hooks;
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Get React fiber root
+ * @param {Object} fiber - React fiber
+ * @returns {Object} Fiber root
+ */
+function getFiberRoot(fiber) {
+  let current = fiber;
+  while (current.return) {
+    current = current.return;
+  }
+  return current.stateNode;
+}
+
+/**
+ * Source location from the JSX dev transform (_debugSource / __source)
+ * @param {Object} source - { fileName, lineNumber, columnNumber }
+ * @returns {Object|null} { fileName, line, column } (React, Preact)
+ */
+function getJsxSourceLocation(source) {
+  if (!source || !source.fileName) return null;
+  return {
+    fileName: source.fileName,
+    line: source.lineNumber || null,
+    column: source.columnNumber || null,
+  };
+}
+return { getReactScoreBonus, classifyHookType, extractHookValue, extractHooks, getFiberRoot, getJsxSourceLocation };
+})();
+
+// src/inpage/commits.js
+bundledModules['inpage/commits.js'] = (function () {
+/**
+ * React commit listeners
+ * The profiler and the History watch both need every commit. One wrapper around
+ * __REACT_DEVTOOLS_GLOBAL_HOOK__.onCommitFiberRoot is installed while either is active.
+ */
+
+const commitListeners = new Set();
+const commitHook = {
+  hook: null,
+  originalOnCommit: null,
+};
+
+function addCommitListener(listener) {
+  if (!commitHook.hook) {
+    const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    if (!hook || typeof hook.onCommitFiberRoot !== 'function') {
+      throw new Error(
+        'React DevTools hook not found (React must load after the hook is installed)'
+      );
+    }
+
+    commitHook.hook = hook;
+    commitHook.originalOnCommit = hook.onCommitFiberRoot;
+    hook.onCommitFiberRoot = function (rendererID, root, ...rest) {
+      commitListeners.forEach((commitListener) => {
+        try {
+          commitListener(root);
+        } catch (e) {
+          // Never break the page's commit
+        }
+      });
+      return commitHook.originalOnCommit.call(this, rendererID, root, ...rest);
+    };
+  }
+  commitListeners.add(listener);
+}
+
+function removeCommitListener(listener) {
+  commitListeners.delete(listener);
+  if (commitListeners.size === 0 && commitHook.hook) {
+    commitHook.hook.onCommitFiberRoot = commitHook.originalOnCommit;
+    commitHook.hook = null;
+    commitHook.originalOnCommit = null;
+  }
+}
+return { addCommitListener, removeCommitListener };
+})();
+
+// src/inpage/sourceMaps.js
+bundledModules['inpage/sourceMaps.js'] = (function () {
+const { MINIFIED_NAME_PATTERN, SOURCE_MAP_STAND_INS } = bundledModules['config/constants.js'];
+/**
+ * Original component names and locations for production builds
+ * A minified component function is found in the page's scripts by its source text
+ * (fn.toString()), then the script's source map gives the original name, file and
+ * line. Scripts and maps are fetched once per URL and cached for the page's lifetime;
+ * only scripts and maps on the page's origin are read, plus inline (data:) maps and
+ * SOURCE_MAP_STAND_INS replacements.
+ */
+
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const RESOLVE_NOTIFY_DELAY_MS = 100;
+
+const scriptCache = new Map(); // script URL -> Promise<script|null>
+const resolvedFunctions = new WeakMap(); // function -> { name, sourceLocation } | null
+const pendingFunctions = new WeakSet();
+const resolvedListeners = [];
+let notifyTimeout = null;
+
+function decodeVlqSegment(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    if (digit === -1) return null;
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Decode "mappings" into absolute [column, source, line, sourceColumn, name?] per line.
+ * A one-field segment (generated code with no original) is kept as [column] so it
+ * still ends the previous segment's range.
+ * @param {string} mappings - The source map's "mappings" field
+ * @returns {Array<Array<number[]>>} Segments per generated line
+ */
+function decodeMappings(mappings) {
+  const state = [0, 0, 0, 0];
+  return mappings.split(';').map((line) => {
+    state[0] = 0;
+    const segments = [];
+    line.split(',').forEach((encoded) => {
+      const values = encoded && decodeVlqSegment(encoded);
+      if (!values || values.length === 0) return;
+      state[0] += values[0];
+      if (values.length < 4) {
+        segments.push([state[0]]);
+        return;
+      }
+      state[1] += values[1];
+      state[2] += values[2];
+      state[3] += values[3];
+      const segment = state.slice(0, 4);
+      if (values.length > 4) {
+        state[4] = (state[4] || 0) + values[4];
+        segment.push(state[4]);
+      }
+      segments.push(segment);
+    });
+    return segments;
+  });
+}
+
+function findSegment(lines, line, column) {
+  const segments = lines[line] || [];
+  let found = null;
+  for (const segment of segments) {
+    if (segment[0] > column) break;
+    found = segment;
+  }
+  return found && found.length > 1 ? found : null;
+}
+
+function applyStandIn(url) {
+  const prefix = Object.keys(SOURCE_MAP_STAND_INS).find((from) => url.startsWith(from));
+  return prefix ? SOURCE_MAP_STAND_INS[prefix] + url.slice(prefix.length) : url;
+}
+
+// Project-relative path for the panel and Open in editor
+// (webpack://app/./src/App.jsx -> src/App.jsx)
+function cleanSourcePath(path) {
+  return path.replace(/^webpack:\/\/[^/]*\//, '').replace(/^(\.\.?\/)+/, '');
+}
+
+function isPageOrigin(url) {
+  try {
+    return new URL(url).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+}
+
+function getPageScriptUrls() {
+  const urls = new Set();
+  document.querySelectorAll('script[src]').forEach((script) => urls.add(script.src));
+  performance.getEntriesByType('resource').forEach((entry) => {
+    if (entry.initiatorType === 'script' || /\.m?js(\?|$)/.test(entry.name)) {
+      urls.add(entry.name);
+    }
+  });
+  return Array.from(urls).filter((url) => /^https?:/.test(url) && isPageOrigin(url));
+}
+
+function loadScript(url) {
+  if (!scriptCache.has(url)) {
+    const script = fetch(url)
+      .then((response) => {
+        if (!response.ok) return null;
+        const mapHeader = response.headers.get('SourceMap') || response.headers.get('X-SourceMap');
+        return response.text().then((text) => ({ url, text, mapHeader, map: null }));
+      })
+      .catch(() => null);
+    scriptCache.set(url, script);
+  }
+  return scriptCache.get(url);
+}
+
+function loadSourceMap(script) {
+  if (!script.map) {
+    const comment = script.text.slice(-2000).match(/\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/);
+    const reference = script.mapHeader || (comment && comment[1]);
+    const mapUrl = reference ? new URL(reference, script.url).href : null;
+    const fetchUrl = mapUrl && applyStandIn(mapUrl);
+    const isAllowed =
+      fetchUrl && (fetchUrl !== mapUrl || isPageOrigin(mapUrl) || mapUrl.startsWith('data:'));
+    script.map = !isAllowed
+      ? Promise.resolve(null)
+      : fetch(fetchUrl)
+          .then((response) => (response.ok ? response.json() : null))
+          .then((map) => {
+            // Index maps (sections) are not supported
+            if (!map || typeof map.mappings !== 'string') return null;
+            return { ...map, lines: decodeMappings(map.mappings) };
+          })
+          .catch(() => null);
+  }
+  return script.map;
+}
+
+function getPosition(text, index) {
+  const before = text.slice(0, index);
+  const line = before.split('\n').length - 1;
+  return { line, column: index - before.lastIndexOf('\n') - 1 };
+}
+
+/**
+ * Where the function's name is in the script: after `function`/`class`, or the
+ * binding just before an arrow function (`const a=()=>...`)
+ */
+function findNameIndex(text, index, fn) {
+  const source = text.slice(index, index + 200);
+  const declaration = source.match(/^(?:async\s+)?(?:function\s*\*?\s*|class\s+)([\w$]+)/);
+  if (declaration) return index + declaration[0].length - declaration[1].length;
+
+  const binding = fn.name ? text.lastIndexOf(fn.name, index) : -1;
+  return binding !== -1 && index - binding < 40 ? binding : index;
+}
+
+async function lookupFunction(fn) {
+  const source = Function.prototype.toString.call(fn);
+  if (source.includes('[native code]')) return null;
+
+  for (const url of getPageScriptUrls()) {
+    const script = await loadScript(url);
+    const index = script ? script.text.indexOf(source) : -1;
+    if (index === -1) continue;
+
+    const map = await loadSourceMap(script);
+    if (!map) return null;
+
+    const namePosition = getPosition(script.text, findNameIndex(script.text, index, fn));
+    const start = getPosition(script.text, index);
+    const named = findSegment(map.lines, namePosition.line, namePosition.column);
+    const segment = findSegment(map.lines, start.line, start.column) || named;
+    if (!segment) return null;
+
+    // Only a segment starting exactly at the identifier names it
+    const isNameSegment = named && named.length > 4 && named[0] === namePosition.column;
+    const original = isNameSegment ? map.names[named[4]] : null;
+    const sourcePath = (map.sourceRoot || '') + (map.sources[segment[1]] || '');
+    return {
+      name: original || null,
+      sourceLocation: {
+        fileName: cleanSourcePath(sourcePath),
+        line: segment[2] + 1,
+        column: segment[3] + 1,
+      },
+    };
+  }
+  return null;
+}
+
+function notifyResolved() {
+  clearTimeout(notifyTimeout);
+  notifyTimeout = setTimeout(() => {
+    resolvedListeners.forEach((listener) => listener());
+  }, RESOLVE_NOTIFY_DELAY_MS);
+}
+
+/**
+ * Whether a name looks like a minifier's (one or two characters)
+ */
+function isMinifiedName(name) {
+  return typeof name === 'string' && MINIFIED_NAME_PATTERN.test(name);
+}
+
+/**
+ * Original name and location of a component function, if its source map has been read.
+ * Unknown functions are looked up in the background; onSourcesResolved listeners run
+ * once something was found, so callers re-read instead of waiting.
+ * @param {Function} fn - Component function or class
+ * @returns {Object|null} { name, sourceLocation }
+ */
+function getOriginalSource(fn) {
+  if (typeof fn !== 'function') return null;
+  if (resolvedFunctions.has(fn)) return resolvedFunctions.get(fn);
+
+  if (!pendingFunctions.has(fn)) {
+    pendingFunctions.add(fn);
+    lookupFunction(fn)
+      .catch(() => null)
+      .then((result) => {
+        resolvedFunctions.set(fn, result);
+        if (result) notifyResolved();
+      });
+  }
+  return null;
+}
+
+/**
+ * Original name for a component whose name came from a minified function
+ * @param {Function} fn - Component function or class
+ * @param {string} name - Name found so far (displayName, DevTools or fn.name)
+ * @returns {string} The original name when known, otherwise `name`
+ */
+function getOriginalName(fn, name) {
+  if (typeof fn !== 'function' || name !== fn.name || !isMinifiedName(name)) return name;
+  return getOriginalSource(fn)?.name || name;
+}
+
+/**
+ * Original location for a component with a minified name
+ * @param {Function} fn - Component function or class
+ * @returns {Object|null} { fileName, line, column }
+ */
+function getOriginalLocation(fn) {
+  if (typeof fn !== 'function' || !isMinifiedName(fn.name)) return null;
+  return getOriginalSource(fn)?.sourceLocation || null;
+}
+
+/**
+ * Run a listener whenever newly read source maps renamed components
+ * @param {Function} listener - Called without arguments
+ */
+function onSourcesResolved(listener) {
+  resolvedListeners.push(listener);
+}
+return { decodeMappings, isMinifiedName, getOriginalSource, getOriginalName, getOriginalLocation, onSourcesResolved };
+})();
+
+// src/adapters/react.js
+bundledModules['adapters/react.js'] = (function () {
+const { getReactScoreBonus, extractHooks, getJsxSourceLocation } = bundledModules['utils/reactHelpers.js'];
+const { isFromNodeModules, isKnownFrameworkComponent, hasFrameworkPattern, calculateComponentScore, isUserComponent, sanitizeValue, sanitizeProps } = bundledModules['utils/componentHelpers.js'];
+const { MAX_CONTEXTS, MAX_CONTEXT_WALK_DEPTH } = bundledModules['config/constants.js'];
+const { addCommitListener, removeCommitListener } = bundledModules['inpage/commits.js'];
+const { getOriginalName, getOriginalLocation } = bundledModules['inpage/sourceMaps.js'];
+/**
+ * React adapter
+ * Reads fibers through the DevTools hook (or the __reactFiber expando), scores
+ * components to find the user's own, and edits hooks and class state in place.
+ */
+
+
+const HOST_ROOT_TAG = 3;
+
+// React DevTools Global Hook utilities
+// React DevTools Global Hook utilities
+function getDevToolsHook() {
+  try {
+    const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    if (!hook || !hook.renderers) return null;
+    // Get the first renderer (usually the only one)
+    const renderer = hook.renderers.get(1) || hook.renderers.values().next().value;
+    return renderer || null;
+  } catch {
+    return null;
+  }
+}
+
+function getDisplayNameFromDevTools(fiber, renderer) {
+  try {
+    if (renderer && typeof renderer.getDisplayNameForFiber === 'function') {
+      return renderer.getDisplayNameForFiber(fiber);
+    }
+  } catch {
+    /* ignored */
+  }
+  return null;
+}
+
+function findFiberByDevTools(node) {
+  try {
+    const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    if (!hook) return null;
+    // Try to find fiber via DevTools internals
+    if (typeof hook.getFiberForNative === 'function') {
+      return hook.getFiberForNative(node);
+    }
+    // Some versions use different method names
+    const renderer = getDevToolsHook();
+    if (renderer && typeof renderer.findFiberByHostInstance === 'function') {
+      return renderer.findFiberByHostInstance(node);
+    }
+  } catch {
+    /* ignored */
+  }
+  return null;
+}
+
+function getFiberFromNode(node) {
+  const fiber = findFiberByDevTools(node);
+  if (fiber) return fiber;
+  const fiberKey = Object.keys(node).find(
+    (key) => key.startsWith('__reactFiber') || key.startsWith('__reactInternalInstance')
+  );
+  return fiberKey ? node[fiberKey] : null;
+}
+
+function getReactFiber(element) {
+  const fiberKey = Object.keys(element).find((key) => key.startsWith('__reactFiber'));
+  if (!fiberKey) {
+    throw new Error('No React fiber on target element');
+  }
+  return element[fiberKey];
+}
+
+function findDomNodeForFiber(fiber) {
+  // Try to find a DOM node by traversing down the fiber tree
+  let current = fiber;
+
+  // First, try the current fiber's stateNode
+  if (current.stateNode && current.stateNode instanceof HTMLElement) {
+    return current.stateNode;
+  }
+
+  // Traverse children to find a DOM node
+  current = fiber.child;
+  let depth = 0;
+  const MAX_DEPTH = 100; // Prevent infinite loops
+
+  while (current && depth < MAX_DEPTH) {
+    if (current.stateNode && current.stateNode instanceof HTMLElement) {
+      return current.stateNode;
+    }
+    // Go deeper if needed
+    if (current.child) {
+      current = current.child;
+      depth++;
+    } else if (current.sibling) {
+      current = current.sibling;
+    } else {
+      // No more nodes to check
+      break;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Score one component fiber (higher = more likely the user's own component)
+ */
+function scoreComponentFiber(fiber, name) {
+  const componentType = fiber.type;
+  // Better detection: Check file path from source location
+  const debugSource = fiber._debugSource || componentType.__source;
+  const debugOwner = fiber._debugOwner;
+  const fileName = debugSource?.fileName || componentType._source?.fileName || '';
+
+  // Check owner's file path (who created this component)
+  let ownerFileName = '';
+  if (debugOwner && debugOwner.type) {
+    const ownerSource = debugOwner._debugSource || debugOwner.type.__source;
+    ownerFileName = ownerSource?.fileName || '';
+  }
+
+  const isKnownFramework = isKnownFrameworkComponent(name, fileName);
+  const frameworkPattern = hasFrameworkPattern(name, fileName);
+  const score = calculateComponentScore({
+    fileName,
+    parentFileName: ownerFileName,
+    isKnownFramework,
+    hasFrameworkPattern: frameworkPattern,
+    isFromNodeModules: isFromNodeModules(fileName),
+    isFrameworkBuild: fileName.includes('next/dist'),
+    bonus: getReactScoreBonus({
+      name,
+      fileName,
+      hasDebugSource: !!debugSource,
+      source: componentType.toString(),
+      componentType,
+    }),
+  });
+
+  return {
+    isUserComponent: isUserComponent(score, isKnownFramework, frameworkPattern),
+    score,
+    source: debugSource || componentType._source || null,
+    fileName: fileName,
+    ownerFileName: ownerFileName,
+    isFromNodeModules: isFromNodeModules(fileName),
+    isKnownFramework: isKnownFramework,
+    hasFrameworkPattern: frameworkPattern,
+  };
+}
+
+/**
+ * Score one component fiber and read its props, state and hooks
+ */
+function describeComponentFiber(fiber, name) {
+  // Distinguish between class components (with state) and functional components (with hooks)
+  const classState = fiber.stateNode && fiber.stateNode.state;
+
+  return {
+    fiber,
+    name,
+    props: sanitizeProps(fiber.memoizedProps || {}, { framework: 'jsx' }),
+    state: classState ? sanitizeValue(classState) : null,
+    hooks: classState ? [] : extractHooks(fiber),
+    ...scoreComponentFiber(fiber, name),
+  };
+}
+
+/**
+ * Display name of a component fiber, or null for host fibers, built-ins and unnamed components
+ */
+function getComponentFiberName(fiber, renderer = getDevToolsHook()) {
+  const componentType = fiber.type;
+  // Skip host components (strings), built-ins and fibers without a type
+  if (typeof componentType !== 'function') return null;
+
+  const name = getOriginalName(
+    componentType,
+    getDisplayNameFromDevTools(fiber, renderer) ||
+      componentType.displayName ||
+      componentType.name ||
+      'Component'
+  );
+
+  // Production build support: use more permissive filtering
+  const isValidName =
+    name &&
+    name.length > 0 &&
+    name !== 'Anonymous' &&
+    name !== 'String' &&
+    name !== 'Number' &&
+    name !== 'Boolean' &&
+    !name.startsWith('_');
+  return isValidName ? name : null;
+}
+
+/**
+ * Describe a fiber and each component above it, innermost first
+ */
+function collectComponentHierarchy(fiber) {
+  const devToolsRenderer = getDevToolsHook();
+  const componentHierarchy = [];
+  for (let current = fiber; current; current = current.return) {
+    const name = getComponentFiberName(current, devToolsRenderer);
+    if (name) {
+      componentHierarchy.push(describeComponentFiber(current, name));
+    }
+  }
+  return componentHierarchy;
+}
+
+function toReactInfo(targetComponent, componentHierarchy, userComponents, componentDomNode) {
+  // Filter hierarchy to show only user components or key library components
+  const filteredHierarchy = componentHierarchy
+    .filter((c) => c.isUserComponent || c.name.match(/^(App|Layout|Page|Document|Main)$/))
+    .map((c) => `${c.name}${c.score ? ` (${c.score})` : ''}`);
+
+  return {
+    framework: 'React',
+    name: targetComponent.name,
+    detail: targetComponent.source?.fileName || '',
+    props: targetComponent.props,
+    state: targetComponent.state,
+    hooks: targetComponent.hooks,
+    hierarchy: filteredHierarchy.length > 0 ? filteredHierarchy : [targetComponent.name],
+    isUserComponent: targetComponent.isUserComponent,
+    score: targetComponent.score,
+    allUserComponents: userComponents.map((c) => `${c.name} (${c.score})`),
+    fileName: targetComponent.fileName,
+    sourceLocation:
+      getJsxSourceLocation(targetComponent.source) ||
+      getOriginalLocation(targetComponent.fiber.type),
+    ownerFileName: targetComponent.ownerFileName,
+    isFromNodeModules: targetComponent.isFromNodeModules,
+    componentDomNode: componentDomNode,
+    componentFiber: targetComponent.fiber,
+  };
+}
+
+function detectReact(node) {
+  try {
+    // Find Fiber - try DevTools first, then fallback to DOM properties
+    const fiber = getFiberFromNode(node);
+    if (!fiber) {
+      return null;
+    }
+    const componentHierarchy = collectComponentHierarchy(fiber);
+
+    // Select the best user component based on score
+    const userComponents = componentHierarchy.filter((c) => c.isUserComponent);
+
+    // Sort by score (highest first), then by position (outermost first)
+    userComponents.sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      // If scores equal, prefer outermost (later in array)
+      return componentHierarchy.indexOf(b) - componentHierarchy.indexOf(a);
+    });
+
+    // Select highest scored user component, or fallback to non-framework with positive score
+    const targetComponent =
+      userComponents[0] ||
+      componentHierarchy.find(
+        (c) => !c.isKnownFramework && !c.hasFrameworkPattern && c.score >= 0
+      ) ||
+      componentHierarchy[0];
+
+    if (targetComponent) {
+      // Find React component's root DOM node
+      const fiberKey = Object.keys(node).find((key) => key.startsWith('__reactFiber'));
+      let componentDomNode = null;
+      if (fiberKey) {
+        let fiber = node[fiberKey];
+        // Walk up to find the target component fiber (either copy of it)
+        while (fiber) {
+          if (fiber === targetComponent.fiber || fiber.alternate === targetComponent.fiber) {
+            // Found the component, now find its DOM node
+            componentDomNode = findDomNodeForFiber(fiber);
+            break;
+          }
+          fiber = fiber.return;
+        }
+      }
+
+      return toReactInfo(targetComponent, componentHierarchy, userComponents, componentDomNode);
+    }
+  } catch (e) {
+    // Silent fail - React detection errors are expected on non-React pages
+  }
+  return null;
+}
+
+/**
+ * Info for one component fiber (picked with tree navigation rather than by score)
+ */
+function describeReactComponent(fiber) {
+  const current = getCurrentFiber(fiber);
+  const componentHierarchy = collectComponentHierarchy(current);
+  if (componentHierarchy.length === 0) return null;
+
+  const userComponents = componentHierarchy.filter((c) => c.isUserComponent);
+  return toReactInfo(
+    componentHierarchy[0],
+    componentHierarchy,
+    userComponents,
+    findDomNodeForFiber(current)
+  );
+}
+
+function getParentComponentFiber(fiber) {
+  let parent = getCurrentFiber(fiber).return;
+  while (parent && !getComponentFiberName(parent)) {
+    parent = parent.return;
+  }
+  return parent || null;
+}
+
+// Nearest component fibers below this one; host elements and built-ins in between are skipped
+function getChildComponentFibers(fiber) {
+  const children = [];
+  const devToolsRenderer = getDevToolsHook();
+  const visit = (first) => {
+    for (let child = first; child; child = child.sibling) {
+      if (getComponentFiberName(child, devToolsRenderer)) {
+        children.push(child);
+      } else {
+        visit(child.child);
+      }
+    }
+  };
+  visit(getCurrentFiber(fiber).child);
+  return children;
+}
+
+/**
+ * Top-level components of every React root on the page. The DevTools hook lists the
+ * roots when it is installed; otherwise they are found from their container elements.
+ */
+function getReactRoots() {
+  const hostRoots = new Set();
+  const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+  if (hook && hook.renderers && typeof hook.getFiberRoots === 'function') {
+    hook.renderers.forEach((_renderer, rendererId) => {
+      hook.getFiberRoots(rendererId)?.forEach((fiberRoot) => hostRoots.add(fiberRoot.current));
+    });
+  }
+  if (hostRoots.size === 0) {
+    document.querySelectorAll('*').forEach((element) => {
+      const containerKey = Object.keys(element).find((key) => key.startsWith('__reactContainer'));
+      // createRoot() containers point at the root fiber, legacy render() ones at the root
+      const hostRoot = containerKey
+        ? element[containerKey]
+        : element._reactRootContainer?._internalRoot?.current;
+      if (hostRoot) hostRoots.add(getCurrentFiber(hostRoot));
+    });
+  }
+  return [...hostRoots].flatMap((hostRoot) => getChildComponentFibers(hostRoot));
+}
+
+function summarizeReactComponent(fiber) {
+  const name = getComponentFiberName(fiber);
+  return {
+    name,
+    framework: 'React',
+    isUserComponent: scoreComponentFiber(fiber, name).isUserComponent,
+  };
+}
+
+function buildReactTree(node, maxDepth) {
+  let fiber = getFiberFromNode(node);
+  if (!fiber) return null;
+
+  const tree = [];
+  while (fiber && tree.length < maxDepth) {
+    const componentType = fiber.type;
+    if (componentType && typeof componentType === 'function') {
+      const name = getOriginalName(componentType, componentType.displayName || componentType.name);
+      if (name && !name.startsWith('_')) {
+        tree.push({
+          name,
+          isUserComponent:
+            !/^(Fragment|Suspense|StrictMode|Provider|Consumer|Context|Profiler)$/.test(name),
+          hasState: !!fiber.memoizedState,
+          hasProps: !!fiber.memoizedProps,
+          key: fiber.key,
+        });
+      }
+    }
+    fiber = fiber.return;
+  }
+  return tree;
+}
+
+function detectReactContexts(node) {
+  const contexts = [];
+  const seen = new Set();
+  let fiber = getFiberFromNode(node);
+  let depth = 0;
+
+  const addContext = (context, type) => {
+    if (!context || seen.has(context) || contexts.length >= MAX_CONTEXTS) return;
+    seen.add(context);
+    contexts.push({
+      name: context.displayName || 'Context',
+      type,
+      value: sanitizeValue(context._currentValue),
+      defaultValue:
+        context._defaultValue !== undefined ? sanitizeValue(context._defaultValue) : undefined,
+    });
+  };
+
+  while (fiber && depth < MAX_CONTEXT_WALK_DEPTH) {
+    depth++;
+    // React 18 providers carry the context on type._context, React 19 on type itself
+    if (fiber.type && fiber.type._context) {
+      addContext(fiber.type._context, 'Provider');
+    }
+    let dependency = fiber.dependencies?.firstContext;
+    while (dependency) {
+      addContext(dependency.context, 'Consumer');
+      dependency = dependency.next;
+    }
+    fiber = fiber.return;
+  }
+  return contexts;
+}
+
+// Pick whichever of fiber/alternate is in the committed tree: a current fiber
+// walks up to the HostRoot that its FiberRoot points at.
+function getCurrentFiber(fiber) {
+  let node = fiber;
+  while (node.return) node = node.return;
+  const fiberRoot = node.tag === HOST_ROOT_TAG ? node.stateNode : null;
+  if (!fiberRoot || fiberRoot.current === node || !fiber.alternate) return fiber;
+  return fiber.alternate;
+}
+
+// Re-read the component after each commit that touched it
+function subscribeToCommits(componentFiber, onChange) {
+  let lastProps = null;
+  let lastState = null;
+  const onCommit = () => {
+    const fiber = getCurrentFiber(componentFiber);
+    if (fiber.memoizedProps === lastProps && fiber.memoizedState === lastState) return;
+    lastProps = fiber.memoizedProps;
+    lastState = fiber.memoizedState;
+    onChange();
+  };
+
+  addCommitListener(onCommit);
+  return () => removeCommitListener(onCommit);
+}
+
+/**
+ * Update a hook value (function components)
+ */
+function updateReactHook(fiber, hookIndex, parsedValue) {
+  // Find the component fiber
+  let componentFiber = fiber;
+  while (componentFiber) {
+    if (componentFiber.type && typeof componentFiber.type === 'function') {
+      // Navigate to the specific hook
+      let hook = componentFiber.memoizedState;
+      let currentIndex = 0;
+
+      while (hook && currentIndex <= hookIndex) {
+        if (currentIndex === hookIndex) {
+          // Found the target hook: update the memoizedState
+          hook.memoizedState = parsedValue;
+
+          // Also update baseState if it exists
+          if (hook.baseState !== undefined) {
+            hook.baseState = parsedValue;
+          }
+
+          // Try to find and call the setState function
+          if (hook.queue && hook.queue.dispatch) {
+            try {
+              // Temporarily suppress React warnings
+              const originalError = console.error;
+              console.error = (...args) => {
+                if (args[0]?.includes?.('optimistic state update')) {
+                  return; // Suppress this specific warning
+                }
+                originalError.apply(console, args);
+              };
+
+              try {
+                // Also update alternate fiber BEFORE dispatch
+                if (componentFiber.alternate && componentFiber.alternate.memoizedState) {
+                  let altHook = componentFiber.alternate.memoizedState;
+                  let altIndex = 0;
+                  while (altHook && altIndex < hookIndex) {
+                    altHook = altHook.next;
+                    altIndex++;
+                  }
+                  if (altHook && altIndex === hookIndex) {
+                    altHook.memoizedState = parsedValue;
+                    if (altHook.baseState !== undefined) {
+                      altHook.baseState = parsedValue;
+                    }
+                  }
+                }
+
+                // Mark fiber as needing update
+                componentFiber.lanes = 1;
+                if (componentFiber.alternate) {
+                  componentFiber.alternate.lanes = 1;
+                }
+
+                // Schedule update on root fiber
+                let rootFiber = componentFiber;
+                while (rootFiber.return) {
+                  rootFiber = rootFiber.return;
+                }
+
+                // Try to get React's scheduler
+                const fiberRoot = rootFiber.stateNode;
+                if (fiberRoot && fiberRoot.current) {
+                  // Mark root as having pending updates
+                  if (typeof fiberRoot.ensureRootIsScheduled === 'function') {
+                    fiberRoot.ensureRootIsScheduled(fiberRoot);
+                  }
+                }
+
+                // Call dispatch to trigger re-render
+                hook.queue.dispatch(parsedValue);
+
+                return true;
+              } finally {
+                // Restore console.error
+                console.error = originalError;
+              }
+            } catch (err) {
+              // Silent fail
+            }
+          }
+
+          // Fallback: Force update using React internals
+          hook.memoizedState = parsedValue;
+          if (hook.baseState !== undefined) {
+            hook.baseState = parsedValue;
+          }
+
+          // Mark both fibers for update
+          componentFiber.lanes = 1;
+          if (componentFiber.alternate) {
+            componentFiber.alternate.lanes = 1;
+
+            // Update alternate hook too
+            let altHook = componentFiber.alternate.memoizedState;
+            let altIndex = 0;
+            while (altHook && altIndex < hookIndex) {
+              altHook = altHook.next;
+              altIndex++;
+            }
+            if (altHook && altIndex === hookIndex) {
+              altHook.memoizedState = parsedValue;
+              if (altHook.baseState !== undefined) {
+                altHook.baseState = parsedValue;
+              }
+            }
+          }
+
+          // Force schedule update on root
+          let rootFiber = componentFiber;
+          while (rootFiber.return) {
+            rootFiber = rootFiber.return;
+          }
+          const fiberRoot = rootFiber.stateNode;
+          if (fiberRoot && fiberRoot.current) {
+            try {
+              // Try to schedule update
+              if (typeof fiberRoot.ensureRootIsScheduled === 'function') {
+                fiberRoot.ensureRootIsScheduled(fiberRoot);
+              }
+
+              // Try to mark as having pending work
+              if (
+                fiberRoot.callbackNode === null &&
+                typeof fiberRoot.scheduleRefresh === 'function'
+              ) {
+                fiberRoot.scheduleRefresh();
+              }
+            } catch (e) {
+              // Silent fail
+            }
+          }
+
+          return true;
+        }
+        hook = hook.next;
+        currentIndex++;
+      }
+      break;
+    }
+    componentFiber = componentFiber.return;
+  }
+
+  throw new Error('Hook not found');
+}
+
+/**
+ * Update class component state
+ */
+function updateReactState(fiber, stateKey, parsedValue) {
+  // Find the component fiber with state
+  let componentFiber = fiber;
+  while (componentFiber) {
+    if (
+      componentFiber.stateNode &&
+      componentFiber.stateNode.state &&
+      stateKey in componentFiber.stateNode.state
+    ) {
+      // Found the component with state: update it
+      const newState = { ...componentFiber.stateNode.state, [stateKey]: parsedValue };
+      componentFiber.stateNode.state = newState;
+
+      // Try to use setState if available
+      if (typeof componentFiber.stateNode.setState === 'function') {
+        componentFiber.stateNode.setState({ [stateKey]: parsedValue });
+        return true;
+      }
+
+      // Fallback: Update memoizedState and force re-render
+      if (componentFiber.memoizedState) {
+        componentFiber.memoizedState = newState;
+      }
+
+      // Update alternate fiber
+      if (componentFiber.alternate) {
+        if (componentFiber.alternate.stateNode) {
+          componentFiber.alternate.stateNode.state = newState;
+        }
+        if (componentFiber.alternate.memoizedState) {
+          componentFiber.alternate.memoizedState = newState;
+        }
+      }
+
+      // Mark for update and schedule
+      componentFiber.lanes = 1;
+      if (componentFiber.alternate) {
+        componentFiber.alternate.lanes = 1;
+      }
+
+      // Schedule update on root
+      let rootFiber = componentFiber;
+      while (rootFiber.return) {
+        rootFiber = rootFiber.return;
+      }
+      const fiberRoot = rootFiber.stateNode;
+      if (fiberRoot && fiberRoot.current) {
+        try {
+          if (typeof fiberRoot.ensureRootIsScheduled === 'function') {
+            fiberRoot.ensureRootIsScheduled(fiberRoot);
+          }
+        } catch (e) {
+          console.log('[HoverComp] Could not schedule root update:', e.message);
+        }
+      }
+
+      console.log('[HoverComp] State updated (fallback method)');
+      return true;
+    }
+    componentFiber = componentFiber.return;
+  }
+
+  throw new Error('State not found');
+}
+
+function getClassState(fiber) {
+  return getCurrentFiber(fiber).stateNode?.state || null;
+}
+
+const reactAdapter = {
+  name: 'react',
+  detect: detectReact,
+  getProps: (fiber) =>
+    sanitizeProps(getCurrentFiber(fiber).memoizedProps || {}, { framework: 'jsx' }),
+  getState: (fiber) => {
+    const classState = getClassState(fiber);
+    return classState ? sanitizeValue(classState) : null;
+  },
+  getHooks: (fiber) => (getClassState(fiber) ? [] : extractHooks(getCurrentFiber(fiber))),
+  update(info, { kind, key, value }, element) {
+    // Start at the component the panel shows, which may not be the innermost one
+    const fiber = info.componentFiber
+      ? getCurrentFiber(info.componentFiber)
+      : getReactFiber(element);
+    if (kind === 'hook') return updateReactHook(fiber, key, value);
+    if (kind === 'state') return updateReactState(fiber, key, value);
+    return false;
+  },
+  getTree: buildReactTree,
+  getContext: detectReactContexts,
+  subscribeToUpdates: subscribeToCommits,
+  getParent: getParentComponentFiber,
+  getChildren: getChildComponentFibers,
+  getElement: (fiber) => findDomNodeForFiber(getCurrentFiber(fiber)),
+  describe: describeReactComponent,
+  isSameComponent: (a, b) => a === b || a.alternate === b,
+  getRoots: getReactRoots,
+  summarize: summarizeReactComponent,
+};
+return { getCurrentFiber, reactAdapter };
+})();
+
+// src/adapters/preact.js
+bundledModules['adapters/preact.js'] = (function () {
+const { MAX_COMPONENT_HIERARCHY_DEPTH } = bundledModules['config/constants.js'];
+const { sanitizeValue, sanitizeProps } = bundledModules['utils/componentHelpers.js'];
+const { getJsxSourceLocation } = bundledModules['utils/reactHelpers.js'];
+const { getOriginalName, getOriginalLocation } = bundledModules['inpage/sourceMaps.js'];
+/**
+ * Preact adapter
+ * Preact 10. render() keeps the root vnode on its container; vnode fields are
+ * mangled: __k children, __ parent, __e DOM node, __c component, __H hooks.
+ * Hooks are edited through their own dispatch ([value, dispatch] in __H) and
+ * class state through setState; both schedule Preact's normal re-render.
+ * Updates are seen through the component's own componentDidUpdate: Preact's `options`
+ * hooks (__b, diffed) are module-private and only handed to preact/devtools when
+ * Preact loads, which is before inpage.js is injected.
+ */
+
+
+const MAX_PREACT_VNODES = 5000;
+
+function isPreactVNode(value) {
+  return !!value && typeof value === 'object' && 'type' in value && '__e' in value;
+}
+
+function findPreactVNode(node) {
+  for (let container = node.parentNode; container; container = container.parentNode) {
+    if (!isPreactVNode(container.__k)) continue;
+
+    const stack = [container.__k];
+    let visited = 0;
+    while (stack.length > 0 && visited++ < MAX_PREACT_VNODES) {
+      const vnode = stack.pop();
+      if (!vnode) continue;
+      if (vnode.__e === node && typeof vnode.type === 'string') return vnode;
+      if (Array.isArray(vnode.__k)) stack.push(...vnode.__k);
+    }
+  }
+  return null;
+}
+
+function getPreactName(vnode) {
+  return getOriginalName(vnode.type, vnode.type.displayName || vnode.type.name || 'Anonymous');
+}
+
+function isPreactComponent(vnode) {
+  // Fragment is a function component too
+  return typeof vnode.type === 'function' && getPreactName(vnode) !== 'Fragment';
+}
+
+// useState/useReducer keep [value, dispatch]; useRef/useMemo keep a value plus deps (__H)
+function extractPreactHooks(component) {
+  const list = component.__H && Array.isArray(component.__H.__) ? component.__H.__ : [];
+  const hooks = [];
+  list.forEach((hookState, index) => {
+    const value = hookState && hookState.__;
+    if (Array.isArray(value) && typeof value[1] === 'function') {
+      hooks.push({ type: 'useState', index, value: sanitizeValue(value[0]) });
+    } else if (hookState && hookState.__H && typeof value !== 'function') {
+      const isRef = !!value && typeof value === 'object' && Object.keys(value).join() === 'current';
+      hooks.push({
+        type: isRef ? 'useRef' : 'useMemo',
+        index,
+        value: sanitizeValue(isRef ? value.current : value),
+      });
+    }
+  });
+  return hooks;
+}
+
+function isPreactClass(type) {
+  return !!(type.prototype && type.prototype.render);
+}
+
+// Function components get a Component instance too; only classes have their own state
+function getPreactState(component, isClass = isPreactClass(component.constructor)) {
+  return isClass && component.state ? sanitizeValue(component.state) : {};
+}
+
+function detectPreact(node) {
+  try {
+    let vnode = findPreactVNode(node);
+    while (vnode && !isPreactComponent(vnode)) vnode = vnode.__;
+    if (!vnode || !vnode.__c) return null;
+
+    const hierarchy = [];
+    for (let current = vnode; current; current = current.__) {
+      if (isPreactComponent(current)) hierarchy.push(getPreactName(current));
+    }
+
+    const component = vnode.__c;
+    const isClass = isPreactClass(vnode.type);
+    return {
+      framework: 'Preact',
+      name: getPreactName(vnode),
+      detail: isClass ? 'Class component' : '',
+      isUserComponent: true,
+      hierarchy: hierarchy.slice(0, MAX_COMPONENT_HIERARCHY_DEPTH).reverse(),
+      componentInstance: component,
+      props: sanitizeProps(vnode.props || {}, { framework: 'jsx' }),
+      state: getPreactState(component, isClass),
+      hooks: extractPreactHooks(component),
+      sourceLocation: getJsxSourceLocation(vnode.__source) || getOriginalLocation(vnode.type),
+    };
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+function updatePreactHook(component, hookIndex, value) {
+  const hookState = component.__H && component.__H.__ && component.__H.__[hookIndex];
+  const pair = hookState && hookState.__;
+  if (!Array.isArray(pair) || typeof pair[1] !== 'function') {
+    throw new Error('Only useState/useReducer hooks can be edited');
+  }
+  pair[1](value);
+  return true;
+}
+
+function updatePreactState(component, key, value) {
+  if (!component.state || !(key in component.state) || typeof component.setState !== 'function') {
+    throw new Error('State not found');
+  }
+  component.setState({ [key]: value });
+  return true;
+}
+
+// Preact queues componentDidUpdate after every re-render of an existing component,
+// function components included (it checks the instance, not the type)
+function watchPreactComponent(component, onChange) {
+  const hadOwn = Object.prototype.hasOwnProperty.call(component, 'componentDidUpdate');
+  const original = component.componentDidUpdate;
+  component.componentDidUpdate = function (...args) {
+    const result = original ? original.apply(this, args) : undefined;
+    onChange();
+    return result;
+  };
+  return () => {
+    if (hadOwn) {
+      component.componentDidUpdate = original;
+    } else {
+      delete component.componentDidUpdate;
+    }
+  };
+}
+
+const preactAdapter = {
+  name: 'preact',
+  detect: detectPreact,
+  getProps: (component) => sanitizeProps(component.props || {}, { framework: 'jsx' }),
+  getState: (component) => getPreactState(component),
+  getHooks: extractPreactHooks,
+  update({ componentInstance }, { kind, key, value }) {
+    if (!componentInstance) return false;
+    if (kind === 'hook') return updatePreactHook(componentInstance, key, value);
+    if (kind === 'state') return updatePreactState(componentInstance, key, value);
+    return false;
+  },
+  subscribeToUpdates: watchPreactComponent,
+};
+return { preactAdapter };
+})();
+
+// src/utils/vueHelpers.js
+bundledModules['utils/vueHelpers.js'] = (function () {
+const { sanitizeValue } = bundledModules['utils/componentHelpers.js'];
+/**
+ * Vue-specific utilities for component detection and manipulation
+ */
+
+
+/**
+ * Vue-specific points for calculateComponentScore() in componentHelpers.js
+ * @param {Object} params - Component parameters
+ * @returns {number} Points to add to the shared score
+ */
+function getVueScoreBonus({ isKnownFramework, hasSetup, hasProps }) {
+  let score = 0;
+
+  if (!isKnownFramework) score += 5;
+  if (hasSetup) score += 3;
+  if (hasProps) score += 2;
+
+  return score;
+}
+
+/**
+ * Extract reactive data from Vue 2 instance
+ * @param {Object} vm - Vue instance
+ * @returns {Object} Reactive data
+ */
+function extractVue2Data(vm) {
+  try {
+    const data = {};
+    if (vm.$data) {
+      for (const key in vm.$data) {
+        if (!key.startsWith('_')) {
+          data[key] = sanitizeValue(vm.$data[key], { isVue: true });
+        }
+      }
+    }
+    return data;
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Extract reactive data from Vue 3 instance
+ * @param {Object} instance - Vue 3 instance
+ * @returns {Object} Reactive data
+ */
+function extractVue3Data(instance) {
+  try {
+    const data = {};
+    if (instance.setupState) {
+      for (const key in instance.setupState) {
+        data[key] = sanitizeValue(instance.setupState[key], { isVue: true });
+      }
+    }
+    if (instance.data) {
+      for (const key in instance.data) {
+        if (!key.startsWith('_')) {
+          data[key] = sanitizeValue(instance.data[key], { isVue: true });
+        }
+      }
+    }
+    return data;
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Get Vue root instance (Vue 2)
+ * @param {Object} vm - Vue instance
+ * @returns {Object} Root instance
+ */
+function getVue2Root(vm) {
+  let current = vm;
+  while (current.$parent) {
+    current = current.$parent;
+  }
+  return current;
+}
+
+/**
+ * Get Vue root instance (Vue 3)
+ * @param {Object} instance - Vue 3 instance
+ * @returns {Object} Root instance
+ */
+function getVue3Root(instance) {
+  let current = instance;
+  while (current.parent) {
+    current = current.parent;
+  }
+  return current;
+}
+
+/**
+ * Extract computed properties from Vue 2 instance
+ * @param {Object} vm - Vue instance
+ * @returns {Object} Computed properties
+ */
+function extractVue2Computed(vm) {
+  try {
+    const computed = {};
+    if (vm.$options.computed) {
+      for (const key in vm.$options.computed) {
+        computed[key] = sanitizeValue(vm[key], { isVue: true });
+      }
+    }
+    return computed;
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Extract computed properties from Vue 3 instance
+ * @param {Object} instance - Vue 3 instance
+ * @returns {Object} Computed properties
+ */
+function extractVue3Computed(instance) {
+  try {
+    const computed = {};
+    if (instance.ctx) {
+      for (const key in instance.ctx) {
+        const value = instance.ctx[key];
+        if (value && value.__v_isRef && value.effect) {
+          computed[key] = sanitizeValue(value.value, { isVue: true });
+        }
+      }
+    }
+    return computed;
+  } catch (e) {
+    return {};
+  }
+}
+return { getVueScoreBonus, extractVue2Data, extractVue3Data, getVue2Root, getVue3Root, extractVue2Computed, extractVue3Computed };
+})();
+
+// src/adapters/vue.js
+bundledModules['adapters/vue.js'] = (function () {
+const { MAX_COMPONENT_HIERARCHY_DEPTH, MAX_CONTEXTS, MAX_CONTEXT_WALK_DEPTH } = bundledModules['config/constants.js'];
+const { sanitizeValue, isPlainObject, assignReactive, calculateComponentScore, isUserComponent, isFromNodeModules, isKnownFrameworkComponent } = bundledModules['utils/componentHelpers.js'];
+const { getVueScoreBonus } = bundledModules['utils/vueHelpers.js'];
+/**
+ * Vue adapter (Vue 2 and Vue 3)
+ * Data and setup state are written through Vue's reactivity. Props and
+ * computed values can only be overridden until the parent passes a new
+ * value or the override is reset.
+ */
+
+
+// Marks the stand-in ref that replaces an overridden Vue computed
+const COMPUTED_OVERRIDE_FLAG = '__hovercompOverride';
+
+function getVue3Instance(node) {
+  let current = node;
+  while (current && current !== document.documentElement) {
+    const vueInstance = current.__vueParentComponent || current.__vnode;
+    if (vueInstance) return vueInstance.component || vueInstance;
+    current = current.parentElement;
+  }
+  return null;
+}
+
+function getVue2Instance(node) {
+  let current = node;
+  while (current && current !== document.documentElement) {
+    if (current.__vue__) return current.__vue__;
+    current = current.parentElement;
+  }
+  return null;
+}
+
+function isVueRef(value) {
+  return !!value && value.__v_isRef === true;
+}
+
+function isVueComputedRef(value) {
+  return (
+    isVueRef(value) &&
+    (!!value.effect || typeof value.fn === 'function' || value[COMPUTED_OVERRIDE_FLAG] === true)
+  );
+}
+
+function isVueComponentDefinition(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    (typeof value.render === 'function' || typeof value.setup === 'function' || '__name' in value)
+  );
+}
+
+// Pinia stores (and storeToRefs() refs, which point back at their store)
+function getPiniaSource(value) {
+  const store = isVueRef(value) ? value._object : value;
+  if (store && typeof store.$id === 'string' && typeof store.$patch === 'function') {
+    return `Pinia: ${store.$id}`;
+  }
+  return null;
+}
+
+function isSkippedVueKey(key) {
+  return key.startsWith('$') || key.startsWith('_');
+}
+
+/**
+ * Read a Vue instance's props, data/setup state and computed values.
+ * `sources` marks keys backed by Pinia or Vuex.
+ */
+function extractVueDetails(framework, instance) {
+  const props = {};
+  const state = {};
+  const computed = {};
+  const sources = {};
+
+  const readInto = (target, key, read) => {
+    try {
+      target[key] = sanitizeValue(read());
+    } catch (e) {
+      target[key] = '[Error: ' + e.message + ']';
+    }
+  };
+
+  try {
+    const isVue3 = framework === 'Vue 3';
+    const proxy = isVue3 ? instance.proxy : instance;
+    const instanceProps = (isVue3 ? instance.props : instance.$props) || {};
+    Object.keys(instanceProps).forEach((key) => readInto(props, key, () => instanceProps[key]));
+
+    // Raw setup bindings keep their refs, so computed refs can be told apart
+    const setupState = isVue3 ? instance.setupState : instance._setupState;
+    const rawSetupState = (isVue3 && instance.devtoolsRawSetupState) || setupState || {};
+    Object.keys(rawSetupState).forEach((key) => {
+      const raw = rawSetupState[key];
+      if (isSkippedVueKey(key) || typeof raw === 'function' || isVueComponentDefinition(raw))
+        return;
+
+      const source = getPiniaSource(raw);
+      if (source) sources[key] = source;
+      readInto(isVueComputedRef(raw) ? computed : state, key, () => proxy[key]);
+    });
+
+    const data = (isVue3 ? instance.data : instance.$data) || {};
+    Object.keys(data).forEach((key) => {
+      if (!isSkippedVueKey(key)) readInto(state, key, () => data[key]);
+    });
+
+    const computedOptions = (isVue3 ? instance.type.computed : instance.$options.computed) || {};
+    Object.keys(computedOptions).forEach((key) => {
+      const definition = computedOptions[key];
+      // mapState/mapGetters flag their functions with `vuex`
+      if (definition && (definition.vuex || definition.get?.vuex)) sources[key] = 'Vuex';
+      readInto(computed, key, () => proxy[key]);
+    });
+  } catch (e) {
+    // Silent fail
+  }
+
+  return { props, state, computed, stateSources: sources };
+}
+
+// SFCs record their file (__file in dev builds) but no line
+function getVueSourceLocation(fileName) {
+  return fileName ? { fileName, line: null, column: null } : null;
+}
+
+function getVue2Name(vm) {
+  return (
+    vm.$options.name || vm.$options._componentTag || vm.$options.__name || vm.constructor?.name
+  );
+}
+
+function toVue2Info(vm) {
+  return {
+    framework: 'Vue 2',
+    name: getVue2Name(vm) || 'Anonymous',
+    detail: vm.$options._componentTag || '',
+    sourceLocation: getVueSourceLocation(vm.$options.__file),
+    componentInstance: vm,
+    canOverrideProps: true,
+    ...extractVueDetails('Vue 2', vm),
+  };
+}
+
+function detectVue2(node) {
+  try {
+    const vue = node.__vue__;
+    if (vue) {
+      return toVue2Info(vue);
+    }
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+/**
+ * Name and score of a Vue 3 instance, or null for fragments, built-ins and unnamed components
+ */
+function describeVue3Instance(instance) {
+  const component = instance.type;
+  if (!component) return null;
+  const name = component.name || component.__name || component.displayName;
+
+  // Filter out framework components and fragments
+  if (
+    !name ||
+    name.startsWith('_') ||
+    name === 'Fragment' ||
+    name === 'Teleport' ||
+    name === 'KeepAlive' ||
+    name === 'Suspense' ||
+    name === 'Transition' ||
+    name === 'TransitionGroup'
+  ) {
+    return null;
+  }
+
+  const fileName = component.__file || '';
+  const isKnownFramework = isKnownFrameworkComponent(name, fileName);
+  const score = calculateComponentScore({
+    fileName,
+    isKnownFramework,
+    isFromNodeModules: isFromNodeModules(fileName),
+    bonus: getVueScoreBonus({
+      isKnownFramework,
+      hasSetup: !!component.setup,
+      hasProps: !!instance.props && Object.keys(instance.props).length > 0,
+    }),
+  });
+  return {
+    name,
+    isUserComponent: isUserComponent(score, isKnownFramework, false),
+    score,
+    fileName,
+    instance,
+  };
+}
+
+function toVue3Info(targetComponent, componentHierarchy) {
+  return {
+    framework: 'Vue 3',
+    name: targetComponent.name,
+    detail: targetComponent.fileName || '',
+    sourceLocation: getVueSourceLocation(targetComponent.fileName),
+    isUserComponent: targetComponent.isUserComponent,
+    hierarchy: componentHierarchy.map((c) => c.name),
+    componentInstance: targetComponent.instance,
+    canOverrideProps: true,
+    ...extractVueDetails('Vue 3', targetComponent.instance),
+  };
+}
+
+function detectVue3(node) {
+  try {
+    let current = node;
+    let componentHierarchy = [];
+    let foundVueInstance = false;
+
+    // Try to find Vue instance in current or parent nodes
+    while (current && componentHierarchy.length < MAX_COMPONENT_HIERARCHY_DEPTH) {
+      // Check multiple Vue 3 properties
+      const vueInstance = current.__vueParentComponent || current.__vnode || current._vnode;
+
+      if (vueInstance) {
+        foundVueInstance = true;
+        let instance = vueInstance.component || vueInstance;
+
+        // Walk up the component tree
+        let depth = 0;
+        while (instance && depth < MAX_COMPONENT_HIERARCHY_DEPTH) {
+          const described = describeVue3Instance(instance);
+          if (described) {
+            componentHierarchy.push(described);
+          }
+
+          instance = instance.parent;
+          depth++;
+        }
+
+        // If we found components, return the best one
+        if (componentHierarchy.length > 0) {
+          const userComponents = componentHierarchy.filter((c) => c.isUserComponent);
+          const targetComponent =
+            userComponents[userComponents.length - 1] || componentHierarchy[0];
+
+          return toVue3Info(targetComponent, componentHierarchy);
+        }
+      }
+
+      // Try parent element
+      current = current.parentElement;
+      componentHierarchy = []; // Reset for next parent node
+      if (!current || current === document.body || current === document.documentElement) {
+        break;
+      }
+    }
+
+    // If we found a Vue instance but no valid components, return a default
+    if (foundVueInstance) {
+      return {
+        framework: 'Vue 3',
+        name: 'Vue Component',
+        detail: '',
+        isUserComponent: false,
+      };
+    }
+  } catch (e) {
+    // Silent fail - Vue detection errors are expected on non-Vue pages
+  }
+  return null;
+}
+
+function buildVueTree(node, maxDepth) {
+  const tree = [];
+
+  let instance = getVue3Instance(node);
+  if (instance) {
+    while (instance && tree.length < maxDepth) {
+      const component = instance.type;
+      const name = component && (component.name || component.__name || component.displayName);
+      if (name && !name.startsWith('_')) {
+        tree.push({
+          name,
+          isUserComponent: !/^(Transition|TransitionGroup|KeepAlive|Suspense|Teleport)$/.test(name),
+          hasState: !!(instance.setupState || instance.data),
+          hasProps: !!instance.props,
+        });
+      }
+      instance = instance.parent;
+    }
+    return tree;
+  }
+
+  instance = getVue2Instance(node);
+  while (instance && tree.length < maxDepth) {
+    const name =
+      instance.$options.name || instance.$options._componentTag || instance.constructor?.name;
+    if (name && name !== 'Vue' && name !== 'VueComponent') {
+      tree.push({
+        name,
+        isUserComponent: true,
+        hasState: !!(instance.$data && Object.keys(instance.$data).length > 0),
+        hasProps: !!(instance.$props && Object.keys(instance.$props).length > 0),
+      });
+    }
+    instance = instance.$parent;
+  }
+  return tree.length > 0 ? tree : null;
+}
+
+function detectVueInjections(node) {
+  const injections = [];
+  const seenKeys = new Set();
+  let depth = 0;
+
+  const addInjection = (name, type, value, from) => {
+    if (seenKeys.has(name) || injections.length >= MAX_CONTEXTS) return;
+    seenKeys.add(name);
+    injections.push({ name, type, value: sanitizeValue(value), from });
+  };
+
+  let instance = getVue3Instance(node);
+  if (instance) {
+    while (instance && depth < MAX_CONTEXT_WALK_DEPTH) {
+      depth++;
+      if (instance.provides && typeof instance.provides === 'object') {
+        // provides inherits from the parent's provides via the prototype chain
+        for (const key in instance.provides) {
+          addInjection(key, 'Provide', instance.provides[key]);
+        }
+      }
+      const inject = instance.type?.inject;
+      if (inject && typeof inject === 'object') {
+        const keys = Array.isArray(inject) ? inject : Object.keys(inject);
+        keys.forEach((key) => {
+          const from = Array.isArray(inject) ? key : inject[key]?.from || key;
+          addInjection(key, 'Inject', instance.proxy?.[key], String(from));
+        });
+      }
+      instance = instance.parent;
+    }
+    return injections;
+  }
+
+  instance = getVue2Instance(node);
+  while (instance && depth < MAX_CONTEXT_WALK_DEPTH) {
+    depth++;
+    if (instance._provided) {
+      for (const key in instance._provided) {
+        addInjection(key, 'Provide', instance._provided[key]);
+      }
+    }
+    const inject = instance.$options.inject;
+    if (inject) {
+      const keys = Array.isArray(inject) ? inject : Object.keys(inject);
+      keys.forEach((key) => addInjection(key, 'Inject', instance[key]));
+    }
+    instance = instance.$parent;
+  }
+  return injections;
+}
+
+// Instance -> Map(key -> { isActive, undo })
+const vueOverrides = new WeakMap();
+
+function getVueTarget({ framework, componentInstance }) {
+  return componentInstance ? { vm: componentInstance, isVue3: framework === 'Vue 3' } : null;
+}
+
+function getVueProxy({ vm, isVue3 }) {
+  return isVue3 ? vm.proxy : vm;
+}
+
+function rememberOverride(vm, key, override) {
+  let overrides = vueOverrides.get(vm);
+  if (!overrides) {
+    overrides = new Map();
+    vueOverrides.set(vm, overrides);
+  }
+  // Keep the first undo so a reset goes back to the original value
+  const existing = overrides.get(key);
+  overrides.set(key, existing ? { ...override, undo: existing.undo } : override);
+}
+
+/**
+ * Keys currently overridden on a Vue instance (props the parent has since replaced drop out)
+ */
+function getOverrideKeys(vm) {
+  const overrides = vm && vueOverrides.get(vm);
+  if (!overrides) return [];
+
+  overrides.forEach((override, key) => {
+    if (!override.isActive()) overrides.delete(key);
+  });
+  return Array.from(overrides.keys());
+}
+
+// Vue 2 warns about mutating props; silence it for our own write
+function withSilencedVue2(vm, write) {
+  let Vue = vm.constructor;
+  while (Vue.super) Vue = Vue.super;
+  const config = Vue.config || {};
+  const silent = config.silent;
+  config.silent = true;
+  try {
+    write();
+  } finally {
+    config.silent = silent;
+  }
+}
+
+function overrideVueProp(target, key, value) {
+  const { vm, isVue3 } = target;
+  const props = isVue3 ? vm.props : vm._props;
+  if (!props || !(key in props)) {
+    throw new Error('Prop not found');
+  }
+
+  const original = props[key];
+  const write = (next) => {
+    if (isVue3) {
+      props[key] = next;
+    } else {
+      withSilencedVue2(vm, () => {
+        props[key] = next;
+      });
+    }
+  };
+  write(value);
+  rememberOverride(vm, key, {
+    isActive: () => props[key] === value,
+    undo: () => write(original),
+  });
+  return true;
+}
+
+/**
+ * The ref (or reactive object) behind a setup binding, before proxyRefs unwraps it.
+ * Production builds have no devtoolsRawSetupState, but proxyRefs has no descriptor trap,
+ * so the setupState proxy still reports the raw ref as the property's value.
+ */
+function getRawSetupBinding({ vm, isVue3 }, key) {
+  if (!isVue3) return vm._setupState ? vm._setupState[key] : undefined;
+  if (vm.devtoolsRawSetupState) return vm.devtoolsRawSetupState[key];
+  const descriptor = vm.setupState && Object.getOwnPropertyDescriptor(vm.setupState, key);
+  return descriptor ? descriptor.value : undefined;
+}
+
+function overrideVueComputed(target, key, value) {
+  const { vm, isVue3 } = target;
+  const proxy = getVueProxy(target);
+
+  if (isVue3 && vm.setupState && key in vm.setupState) {
+    // A ref-shaped object replaces the computed ref; proxyRefs unwraps it the same way
+    const original = getRawSetupBinding(target, key);
+    vm.setupState[key] = { __v_isRef: true, [COMPUTED_OVERRIDE_FLAG]: true, value };
+    rememberOverride(vm, key, {
+      isActive: () => true,
+      undo: () => {
+        vm.setupState[key] = original;
+      },
+    });
+  } else {
+    // Options API computed: shadow the getter on ctx (Vue 3) or the instance (Vue 2)
+    const owner = isVue3 ? vm.ctx : vm;
+    const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+    Object.defineProperty(owner, key, {
+      value,
+      configurable: true,
+      enumerable: true,
+      writable: true,
+    });
+    rememberOverride(vm, key, {
+      isActive: () => true,
+      undo: () => {
+        if (descriptor) {
+          Object.defineProperty(owner, key, descriptor);
+        } else {
+          delete owner[key];
+        }
+      },
+    });
+  }
+
+  proxy.$forceUpdate();
+  return true;
+}
+
+function isVueComputedKey(target, key) {
+  const { vm, isVue3 } = target;
+  const computedOptions = (isVue3 ? vm.type.computed : vm.$options.computed) || {};
+  if (key in computedOptions) return true;
+
+  const binding = getRawSetupBinding(target, key);
+  return (
+    !!binding &&
+    binding.__v_isRef === true &&
+    (!!binding.effect ||
+      typeof binding.fn === 'function' ||
+      binding[COMPUTED_OVERRIDE_FLAG] === true)
+  );
+}
+
+/**
+ * Update Vue data/setup state, or override a computed value
+ */
+function updateVueState(target, key, value) {
+  const { vm, isVue3 } = target;
+
+  if (isVueComputedKey(target, key)) {
+    return overrideVueComputed(target, key, value);
+  }
+
+  const setupState = isVue3 ? vm.setupState : vm._setupState;
+  if (setupState && key in setupState) {
+    const binding = getRawSetupBinding(target, key);
+    if (binding && binding.__v_isRef === true && binding.__v_isReadonly === true) {
+      return false; // Computed without a setter or readonly(): Vue would only warn
+    }
+    if (binding && typeof binding.$patch === 'function') {
+      binding.$patch(value); // Pinia store
+    } else if (binding && binding.__v_isReactive && isPlainObject(value)) {
+      assignReactive(binding, value);
+    } else if (isVue3) {
+      setupState[key] = value; // proxyRefs writes refs through .value
+    } else {
+      vm[key] = value;
+    }
+    return true;
+  }
+
+  const data = isVue3 ? vm.data : vm.$data;
+  if (data && key in data) {
+    if (isVue3) {
+      data[key] = value;
+    } else {
+      vm.$set(vm.$data, key, value);
+    }
+    return true;
+  }
+
+  throw new Error('State not found');
+}
+
+/**
+ * Undo a prop or computed override
+ */
+function resetVueOverride(info, key) {
+  const target = getVueTarget(info);
+  const overrides = target && vueOverrides.get(target.vm);
+  const override = overrides && overrides.get(key);
+  if (!override) return false;
+
+  overrides.delete(key);
+  override.undo();
+  getVueProxy(target).$forceUpdate();
+  return true;
+}
+
+function watchVueInstance(instance, onChange, { framework, read }) {
+  const vm = framework === 'Vue 3' ? instance.proxy : instance;
+  // The getter reads every value it serializes, so Vue tracks all of them
+  return vm.$watch(read, onChange);
+}
+
+// Tree navigation. Vue 3 instances are internal instances, Vue 2 ones are vms.
+function isVue3Instance(instance) {
+  return 'subTree' in instance;
+}
+
+function isNamedVue2Instance(vm) {
+  const name = getVue2Name(vm);
+  return !!name && name !== 'Vue' && name !== 'VueComponent';
+}
+
+function getVueParent(instance) {
+  const isVue3 = isVue3Instance(instance);
+  const isNamed = isVue3 ? describeVue3Instance : isNamedVue2Instance;
+  let parent = isVue3 ? instance.parent : instance.$parent;
+  while (parent && !isNamed(parent)) {
+    parent = isVue3 ? parent.parent : parent.$parent;
+  }
+  return parent || null;
+}
+
+// Components in a Vue 3 vnode tree, looking through built-ins like KeepAlive and Transition
+function collectVue3Children(vnode, children) {
+  if (!vnode || typeof vnode !== 'object') return;
+  if (vnode.component) {
+    if (describeVue3Instance(vnode.component)) {
+      children.push(vnode.component);
+    } else {
+      collectVue3Children(vnode.component.subTree, children);
+    }
+  } else if (vnode.suspense) {
+    collectVue3Children(vnode.suspense.activeBranch, children);
+  } else if (Array.isArray(vnode.children)) {
+    vnode.children.forEach((child) => collectVue3Children(child, children));
+  }
+}
+
+function collectVue2Children(vm, children) {
+  (vm.$children || []).forEach((child) => {
+    if (isNamedVue2Instance(child)) {
+      children.push(child);
+    } else {
+      collectVue2Children(child, children);
+    }
+  });
+}
+
+function getVueChildren(instance) {
+  const children = [];
+  if (isVue3Instance(instance)) {
+    collectVue3Children(instance.subTree, children);
+  } else {
+    collectVue2Children(instance, children);
+  }
+  return children;
+}
+
+function getVueElement(instance) {
+  if (!isVue3Instance(instance)) {
+    return instance.$el?.nodeType === Node.ELEMENT_NODE ? instance.$el : null;
+  }
+
+  const { subTree } = instance;
+  const el = subTree?.el;
+  if (!el || el.nodeType === Node.ELEMENT_NODE) return el || null;
+  // Fragment roots start with an empty text node and end with subTree.anchor
+  for (let node = el.nextSibling; subTree.anchor && node; node = node.nextSibling) {
+    if (node === subTree.anchor) break;
+    if (node.nodeType === Node.ELEMENT_NODE) return node;
+  }
+  return null;
+}
+
+/**
+ * Root components of every Vue app on the page (unnamed root instances are looked through)
+ */
+function getVueRoots() {
+  const roots = [];
+  document.querySelectorAll('*').forEach((element) => {
+    const vue3Root = element.__vue_app__?._instance;
+    if (vue3Root) {
+      if (describeVue3Instance(vue3Root)) {
+        roots.push(vue3Root);
+      } else {
+        collectVue3Children(vue3Root.subTree, roots);
+      }
+    }
+
+    const vm = element.__vue__;
+    if (vm && !vm.$parent && vm.$el === element) {
+      if (isNamedVue2Instance(vm)) {
+        roots.push(vm);
+      } else {
+        collectVue2Children(vm, roots);
+      }
+    }
+  });
+  return roots;
+}
+
+function summarizeVueComponent(instance) {
+  if (!isVue3Instance(instance)) {
+    return { name: getVue2Name(instance), framework: 'Vue 2', isUserComponent: true };
+  }
+  const described = describeVue3Instance(instance);
+  return {
+    name: described ? described.name : 'Anonymous',
+    framework: 'Vue 3',
+    isUserComponent: !!described && described.isUserComponent,
+  };
+}
+
+function describeVueComponent(instance) {
+  if (!isVue3Instance(instance)) return toVue2Info(instance);
+
+  const targetComponent = describeVue3Instance(instance);
+  if (!targetComponent) return null;
+  const componentHierarchy = [];
+  let current = instance;
+  while (current && componentHierarchy.length < MAX_COMPONENT_HIERARCHY_DEPTH) {
+    const described = describeVue3Instance(current);
+    if (described) componentHierarchy.push(described);
+    current = current.parent;
+  }
+  return toVue3Info(targetComponent, componentHierarchy);
+}
+
+function detectVue(node) {
+  return detectVue3(node) || detectVue2(node);
+}
+
+
+const vueAdapter = {
+  name: 'vue',
+  detect: detectVue,
+  getProps: (instance, framework) => extractVueDetails(framework, instance).props,
+  getState: (instance, framework) => extractVueDetails(framework, instance).state,
+  update(info, { kind, key, value }) {
+    const target = getVueTarget(info);
+    if (!target) return false;
+    if (kind === 'state') return updateVueState(target, key, value);
+    if (kind === 'prop') return overrideVueProp(target, key, value);
+    return false;
+  },
+  resetOverride: resetVueOverride,
+  getOverrides: getOverrideKeys,
+  getTree: buildVueTree,
+  getContext: detectVueInjections,
+  subscribeToUpdates: watchVueInstance,
+  getParent: getVueParent,
+  getChildren: getVueChildren,
+  getElement: getVueElement,
+  describe: describeVueComponent,
+  getRoots: getVueRoots,
+  summarize: summarizeVueComponent,
+};
+return { detectVue2, detectVue3, detectVue, vueAdapter };
+})();
+
+// src/adapters/svelte.js
+bundledModules['adapters/svelte.js'] = (function () {
+const { MAX_CONTEXTS } = bundledModules['config/constants.js'];
+const { sanitizeValue, isPlainObject, assignReactive } = bundledModules['utils/componentHelpers.js'];
+/**
+ * Svelte adapter
+ * Svelte 3/4 components are found through $$, Svelte 5 ones through __svelte_meta.
+ * Edits use $inject_state (dev builds) or a ctx write plus what $$invalidate
+ * would do; Svelte 5 state goes through accessors or in-place $state proxy writes.
+ * Svelte 5 `let x = $state()` locals live in the component's closure, not on the
+ * instance, so they can't be read or edited from outside.
+ */
+
+
+function getSvelteComponent(node) {
+  let current = node;
+  while (current && current !== document.documentElement) {
+    const svelteKey = Object.keys(current).find(
+      (key) => key.startsWith('__svelte_') || key === '__svelte'
+    );
+    if (svelteKey && current[svelteKey]?.$$) return current[svelteKey];
+    if (current.$$) return current;
+    current = current.parentElement;
+  }
+  return null;
+}
+
+function getSvelteName(component) {
+  const fileName = component.$$.ctx?.__file || '';
+  return (
+    component.constructor?.name ||
+    fileName.split('/').pop()?.replace('.svelte', '') ||
+    'SvelteComponent'
+  );
+}
+
+function isSvelteWrapper(component) {
+  const name = getSvelteName(component);
+  return name === 'SvelteComponent' || name === 'ProxyComponent';
+}
+
+function isSvelteStore(value) {
+  return !!value && typeof value === 'object' && typeof value.subscribe === 'function';
+}
+
+function isSvelteStateValue(value) {
+  return (
+    value !== null &&
+    value !== undefined &&
+    typeof value !== 'function' &&
+    !(value instanceof Node) &&
+    !isSvelteStore(value) // Listed in the Stores section
+  );
+}
+
+/**
+ * Read a Svelte 3/4 component's props and state.
+ * Dev builds name state through $capture_state(); production only has ctx indices (state_N).
+ */
+function extractSvelteDetails(component) {
+  const $$ = component.$$;
+  const ctx = Array.isArray($$.ctx) ? $$.ctx : [];
+  const propIndices = $$.props || {};
+  const props = {};
+  const state = {};
+
+  Object.keys(propIndices).forEach((name) => {
+    props[name] = sanitizeValue(ctx[propIndices[name]]);
+  });
+
+  if (typeof component.$capture_state === 'function') {
+    const captured = component.$capture_state() || {};
+    Object.keys(captured).forEach((key) => {
+      if (key in props || key.startsWith('$') || !isSvelteStateValue(captured[key])) return;
+      state[key] = sanitizeValue(captured[key]);
+    });
+  } else {
+    const indices = new Set(Object.values(propIndices));
+    ctx.forEach((value, index) => {
+      if (indices.has(index) || !isSvelteStateValue(value)) return;
+      state[`state_${index}`] = sanitizeValue(value);
+    });
+  }
+
+  return { props, state };
+}
+
+function getSvelte5Instance(node) {
+  let current = node;
+  while (current && current !== document.documentElement) {
+    const meta = current.__svelte_meta;
+    const instance = meta && (meta.instance || meta.component);
+    if (instance && typeof instance === 'object') return { instance, meta };
+    current = current.parentElement;
+  }
+  return null;
+}
+
+/**
+ * Where the hovered markup is in its component: dev builds tag elements with
+ * __svelte_meta.loc (1-based line, 0-based column)
+ */
+function getSvelteSourceLocation(node, fileName) {
+  for (let current = node; current; current = current.parentElement) {
+    const loc = current.__svelte_meta?.loc;
+    if (loc && loc.file && (!fileName || loc.file === fileName)) {
+      const column = typeof loc.column === 'number' ? loc.column + 1 : null;
+      return { fileName: loc.file, line: loc.line || null, column };
+    }
+  }
+  return fileName ? { fileName, line: null, column: null } : null;
+}
+
+/**
+ * Read a Svelte 5 instance's props and state from its own (accessor) properties
+ */
+function extractSvelte5Details(instance, meta) {
+  const props = {};
+  const state = {};
+  Object.getOwnPropertyNames(instance).forEach((key) => {
+    if (key.startsWith('$') || key.startsWith('__') || key === 'constructor') return;
+    try {
+      const value = instance[key];
+      if (typeof value === 'function') return;
+      const target = meta.props && meta.props.includes(key) ? props : state;
+      target[key] = sanitizeValue(value);
+    } catch (e) {
+      // Skip inaccessible properties
+    }
+  });
+  return { props, state };
+}
+
+// Svelte 3/4 components carry $$; Svelte 5 instances only their accessors
+function readSvelteDetails(component) {
+  if (component.$$) return extractSvelteDetails(component);
+  return extractSvelte5Details(component, getSvelteElement(component)?.__svelte_meta || {});
+}
+
+function toSvelteInfo(target, node) {
+  const hierarchy = [];
+  for (let current = target; current && current.$$; current = current.$$.parent) {
+    if (!isSvelteWrapper(current)) hierarchy.push(getSvelteName(current));
+  }
+
+  const fileName = target.$$.ctx?.__file || '';
+  return {
+    framework: 'Svelte',
+    name: getSvelteName(target),
+    detail: fileName,
+    fileName,
+    isUserComponent: !fileName.includes('node_modules'),
+    hierarchy: hierarchy.reverse(),
+    sourceLocation: getSvelteSourceLocation(node, fileName),
+    componentInstance: target,
+    canOverrideProps: typeof target.$set === 'function',
+    ...extractSvelteDetails(target),
+  };
+}
+
+function toSvelte5Info({ instance, meta }, node) {
+  const fileName = meta.file || meta.loc?.file || '';
+  const name = meta.name || fileName.split('/').pop()?.replace('.svelte', '') || 'SvelteComponent';
+  return {
+    framework: 'Svelte 5',
+    name,
+    detail: fileName,
+    fileName,
+    isUserComponent: !fileName.includes('node_modules'),
+    hierarchy: [name],
+    sourceLocation: getSvelteSourceLocation(node, fileName),
+    componentInstance: instance,
+    canOverrideProps: typeof instance.$set === 'function',
+    ...extractSvelte5Details(instance, meta),
+  };
+}
+
+// HMR wraps components in ProxyComponent; report the nearest real one
+function unwrapSvelteComponent(component) {
+  let target = component;
+  while (target && target.$$ && isSvelteWrapper(target)) {
+    target = target.$$.parent;
+  }
+  return target && target.$$ ? target : component;
+}
+
+function detectSvelte(node) {
+  try {
+    const component = getSvelteComponent(node);
+    if (component) {
+      return toSvelteInfo(unwrapSvelteComponent(component), node);
+    }
+
+    const svelte5 = getSvelte5Instance(node);
+    if (svelte5) {
+      return toSvelte5Info(svelte5, node);
+    }
+  } catch (e) {
+    // Silent fail - Svelte internals differ between versions
+  }
+  return null;
+}
+
+/**
+ * The component an element itself is tagged with (not one inherited from an ancestor)
+ */
+function getOwnSvelteComponent(element) {
+  const svelteKey = Object.keys(element).find(
+    (key) => key.startsWith('__svelte_') || key === '__svelte'
+  );
+  if (svelteKey && element[svelteKey]?.$$) return unwrapSvelteComponent(element[svelteKey]);
+  if (element.$$) return unwrapSvelteComponent(element);
+  const meta = element.__svelte_meta;
+  const instance = meta && (meta.instance || meta.component);
+  return instance && typeof instance === 'object' ? instance : null;
+}
+
+// Reused until the current request has been answered; the DOM can change after that
+let svelteElements = null;
+
+/**
+ * Svelte keeps no list of a component's children or DOM nodes, so tree navigation
+ * maps each component to the first element it owns, in document order
+ */
+function mapSvelteElements() {
+  if (svelteElements) return svelteElements;
+
+  const elements = new Map();
+  document.querySelectorAll('*').forEach((element) => {
+    const component = getOwnSvelteComponent(element);
+    if (component && !elements.has(component)) elements.set(component, element);
+  });
+  svelteElements = elements;
+  queueMicrotask(() => {
+    svelteElements = null;
+  });
+  return elements;
+}
+
+function getSvelteParent(component) {
+  if (component.$$) {
+    let parent = component.$$.parent;
+    while (parent && parent.$$ && isSvelteWrapper(parent)) {
+      parent = parent.$$.parent;
+    }
+    return parent || null;
+  }
+
+  // Svelte 5: the owner of the nearest ancestor element tagged with another instance
+  const element = mapSvelteElements().get(component);
+  for (let current = element?.parentElement; current; current = current.parentElement) {
+    const owner = getOwnSvelteComponent(current);
+    if (owner && owner !== component) return owner;
+  }
+  return null;
+}
+
+function getSvelteChildren(component) {
+  return [...mapSvelteElements().keys()].filter(
+    (other) => other !== component && getSvelteParent(other) === component
+  );
+}
+
+function getSvelteElement(component) {
+  return mapSvelteElements().get(component) || null;
+}
+
+function getSvelteRoots() {
+  return [...mapSvelteElements().keys()].filter((component) => !getSvelteParent(component));
+}
+
+function summarizeSvelteComponent(component) {
+  if (component.$$) {
+    const fileName = component.$$.ctx?.__file || '';
+    return {
+      name: getSvelteName(component),
+      framework: 'Svelte',
+      isUserComponent: !fileName.includes('node_modules'),
+    };
+  }
+  const meta = getSvelteElement(component)?.__svelte_meta || {};
+  const fileName = meta.file || meta.loc?.file || '';
+  return {
+    name: meta.name || fileName.split('/').pop()?.replace('.svelte', '') || 'SvelteComponent',
+    framework: 'Svelte 5',
+    isUserComponent: !fileName.includes('node_modules'),
+  };
+}
+
+function describeSvelteComponent(component) {
+  const element = getSvelteElement(component);
+  if (component.$$) return toSvelteInfo(component, element);
+  const meta = element?.__svelte_meta;
+  return meta ? toSvelte5Info({ instance: component, meta }, element) : null;
+}
+
+function buildSvelteTree(node, maxDepth) {
+  let component = getSvelteComponent(node);
+  if (!component) return null;
+
+  const tree = [];
+  while (component && component.$$ && tree.length < maxDepth) {
+    const fileName = component.$$.ctx?.__file || '';
+    const name =
+      component.constructor?.name ||
+      fileName.split('/').pop()?.replace('.svelte', '') ||
+      'SvelteComponent';
+    if (name !== 'SvelteComponent' && name !== 'ProxyComponent') {
+      tree.push({
+        name,
+        isUserComponent: !fileName.includes('node_modules'),
+        hasState: true,
+        hasProps: !!(component.$$.props && Object.keys(component.$$.props).length > 0),
+      });
+    }
+    component = component.$$.parent;
+  }
+  return tree;
+}
+
+function detectSvelteContexts(node) {
+  const component = getSvelteComponent(node);
+  const contextMap = component?.$$?.context;
+  if (!(contextMap instanceof Map)) return [];
+
+  const contexts = [];
+  for (const [key, value] of contextMap) {
+    if (contexts.length >= MAX_CONTEXTS) break;
+    contexts.push({ name: String(key), type: 'Context', value: sanitizeValue(value) });
+  }
+  return contexts;
+}
+
+function getStoreType(store) {
+  if (typeof store.set === 'function' && typeof store.update === 'function') return 'writable';
+  if (!store.set) return store.sources || store.deps ? 'derived' : 'readable';
+  return 'custom';
+}
+
+function readStoreValue(store) {
+  let value;
+  try {
+    // Svelte stores call the subscriber synchronously with the current value
+    const unsubscribe = store.subscribe((v) => {
+      value = v;
+    });
+    if (typeof unsubscribe === 'function') unsubscribe();
+    else if (unsubscribe && typeof unsubscribe.unsubscribe === 'function')
+      unsubscribe.unsubscribe();
+  } catch (e) {
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Detect Svelte stores referenced from the component context
+ */
+function detectSvelteStores(node) {
+  try {
+    const ctx = getSvelteComponent(node)?.$$?.ctx;
+    if (!Array.isArray(ctx)) return { stores: [], hasStores: false };
+
+    const stores = [];
+    ctx.forEach((value, index) => {
+      if (value && typeof value === 'object' && typeof value.subscribe === 'function') {
+        stores.push({
+          index,
+          type: getStoreType(value),
+          value: sanitizeValue(readStoreValue(value)),
+          hasSet: typeof value.set === 'function',
+          hasUpdate: typeof value.update === 'function',
+        });
       }
+    });
+    return { stores, hasStores: stores.length > 0 };
+  } catch (e) {
+    return { stores: [], hasStores: false };
+  }
+}
+
+// Write ctx[index], mark it dirty and patch the fragment like a scheduled flush would
+function invalidateSvelteCtx(component, index, value) {
+  const $$ = component.$$;
+  if (!Array.isArray($$.ctx) || index >= $$.ctx.length) {
+    throw new Error('State not found');
+  }
+
+  $$.ctx[index] = value;
+  const word = (index / 31) | 0;
+  const bit = 1 << (index % 31);
+
+  // An update is already scheduled; it will pick this bit up
+  if (Array.isArray($$.dirty) && $$.dirty[0] !== -1) {
+    $$.dirty[word] |= bit;
+    return true;
+  }
+
+  $$.dirty = new Array(Math.ceil($$.ctx.length / 31)).fill(0);
+  $$.dirty[word] |= bit;
+  if (typeof $$.update === 'function') $$.update(); // Reactive ($:) statements
+  const dirty = $$.dirty;
+  $$.dirty = [-1];
+  if ($$.fragment && typeof $$.fragment.p === 'function') {
+    $$.fragment.p($$.ctx, dirty);
+  }
+  $$.after_update?.forEach((callback) => callback());
+  return true;
+}
+
+function updateSvelte5State(instance, key, value) {
+  let owner = instance;
+  let descriptor = null;
+  while (owner && !descriptor) {
+    descriptor = Object.getOwnPropertyDescriptor(owner, key);
+    owner = Object.getPrototypeOf(owner);
+  }
+
+  if (!descriptor) {
+    throw new Error(
+      `${key} is not on the component instance: Svelte 5 \`let\` $state locals can't be ` +
+        'edited, only exported accessors and $state objects'
+    );
+  }
+  if (descriptor.set || descriptor.writable) {
+    instance[key] = value; // Accessor writes the $state signal
+    return true;
+  }
+  const current = instance[key];
+  if (isPlainObject(current) && isPlainObject(value)) {
+    assignReactive(current, value); // $state proxies react to property writes
+    return true;
+  }
+  throw new Error('Svelte 5 state is only writable through component accessors or $state objects');
+}
+
+/**
+ * Update Svelte component state
+ */
+function updateSvelteState({ component, isSvelte5 }, key, value) {
+  if (isSvelte5) {
+    return updateSvelte5State(component, key, value);
+  }
+
+  if (
+    typeof component.$inject_state === 'function' &&
+    typeof component.$capture_state === 'function' &&
+    key in (component.$capture_state() || {})
+  ) {
+    component.$inject_state({ [key]: value }); // Calls $$invalidate for us
+    return true;
+  }
+
+  const match = /^state_(\d+)$/.exec(key);
+  if (match) {
+    return invalidateSvelteCtx(component, Number(match[1]), value);
+  }
+  throw new Error('State not found');
+}
+
+// Svelte 3/4 runs after_update callbacks after every update of the component
+function watchSvelteComponent(component, onChange, { framework }) {
+  const afterUpdate = component.$$ && component.$$.after_update;
+  if (!Array.isArray(afterUpdate)) {
+    throw new Error(`History is not available for ${framework}`);
+  }
+
+  const onUpdate = () => onChange();
+  afterUpdate.push(onUpdate);
+  return () => {
+    const index = afterUpdate.indexOf(onUpdate);
+    if (index !== -1) afterUpdate.splice(index, 1);
+  };
+}
+
+const svelteAdapter = {
+  name: 'svelte',
+  detect: detectSvelte,
+  getProps: (component) => readSvelteDetails(component).props,
+  getState: (component) => readSvelteDetails(component).state,
+  update({ framework, componentInstance }, { kind, key, value }) {
+    if (!componentInstance) return false;
+    if (kind === 'state') {
+      return updateSvelteState(
+        { component: componentInstance, isSvelte5: framework === 'Svelte 5' },
+        key,
+        value
+      );
     }
+    if (kind === 'prop' && typeof componentInstance.$set === 'function') {
+      componentInstance.$set({ [key]: value });
+      return true;
+    }
+    return false;
+  },
+  getTree: buildSvelteTree,
+  getContext: detectSvelteContexts,
+  getStores: detectSvelteStores,
+  subscribeToUpdates: watchSvelteComponent,
+  getParent: getSvelteParent,
+  getChildren: getSvelteChildren,
+  getElement: getSvelteElement,
+  describe: describeSvelteComponent,
+  getRoots: getSvelteRoots,
+  summarize: summarizeSvelteComponent,
+};
+return { svelteAdapter };
+})();
 
-    function getDisplayNameFromDevTools(fiber, renderer) {
-      try {
-        if (renderer && typeof renderer.getDisplayNameForFiber === 'function') {
-          return renderer.getDisplayNameForFiber(fiber);
-        }
-      } catch { /* ignored */ }
-      return null;
+// src/adapters/angular.js
+bundledModules['adapters/angular.js'] = (function () {
+const { MAX_COMPONENT_HIERARCHY_DEPTH, MAX_CONTEXTS } = bundledModules['config/constants.js'];
+const { sanitizeValue } = bundledModules['utils/componentHelpers.js'];
+/**
+ * Angular adapter (Ivy)
+ * The dev-mode `ng` global gives components, metadata, injectors and directives;
+ * production builds only expose __ngContext__. Fields are assigned and writable
+ * signals set, then ng.applyChanges() runs change detection for the component
+ * (OnPush included).
+ */
+
+
+function getAngularComponent(node) {
+  const ng = window.ng;
+  if (ng && typeof ng.getComponent === 'function') {
+    // Host elements belong to their component; anything else to the template's owner
+    const component =
+      ng.getComponent(node) ||
+      (typeof ng.getOwningComponent === 'function' ? ng.getOwningComponent(node) : null);
+    if (component) return component;
+  }
+
+  const context = node.__ngContext__;
+  if (Array.isArray(context) && context[8] && typeof context[8] === 'object') {
+    return context[8];
+  }
+  return null;
+}
+
+function getAngularName(component) {
+  return component.constructor?.name || 'Anonymous';
+}
+
+function getAngularParent(component) {
+  const ng = window.ng;
+  if (
+    !ng ||
+    typeof ng.getHostElement !== 'function' ||
+    typeof ng.getOwningComponent !== 'function'
+  ) {
+    return null;
+  }
+  const host = ng.getHostElement(component);
+  return host ? ng.getOwningComponent(host) : null;
+}
+
+/**
+ * The node behind an Angular 16+ signal (signal(), computed(), input()), or null
+ */
+function getAngularSignalNode(value) {
+  if (typeof value !== 'function') return null;
+  const symbol = Object.getOwnPropertySymbols(value).find((s) => s.description === 'SIGNAL');
+  return symbol ? value[symbol] : null;
+}
+
+// ɵcmp input/output maps changed shape between versions (property -> alias,
+// alias -> property, alias -> [property, flags]); keep whichever side is the class field
+function readAngularBindings(map, component) {
+  const bindings = {};
+  Object.keys(map || {}).forEach((key) => {
+    const entry = Array.isArray(map[key]) ? map[key][0] : map[key];
+    const property = key in component ? key : entry;
+    bindings[property] = property === key ? entry : key;
+  });
+  return bindings;
+}
+
+function getAngularMetadata(component) {
+  const ng = window.ng;
+  if (ng && typeof ng.getDirectiveMetadata === 'function') {
+    const metadata = ng.getDirectiveMetadata(component);
+    if (metadata) return metadata;
+  }
+  return component.constructor?.ɵcmp || {};
+}
+
+// Constructor-injected services: Angular's own injectable classes carry ɵprov/ɵfac
+function isAngularService(value, injector) {
+  if (!value || typeof value !== 'object' || value.constructor === Object) return false;
+  const ctor = value.constructor;
+  if (!ctor || !(ctor.ɵprov || ctor.ɵfac)) return false;
+  if (!injector || typeof injector.get !== 'function') return true;
+  try {
+    return injector.get(ctor, null) === value;
+  } catch (e) {
+    return true;
+  }
+}
+
+function getAngularInjector(component) {
+  const ng = window.ng;
+  if (!ng || typeof ng.getInjector !== 'function' || typeof ng.getHostElement !== 'function') {
+    return null;
+  }
+  try {
+    return ng.getInjector(ng.getHostElement(component));
+  } catch (e) {
+    return null;
+  }
+}
+
+function isSkippedAngularKey(key) {
+  return key.startsWith('__') || key.startsWith('ɵ');
+}
+
+/**
+ * Read an Angular component's inputs, outputs, fields and signals.
+ * Writable signals are state; computed signals are read-only computed values.
+ */
+function extractAngularDetails(component) {
+  const metadata = getAngularMetadata(component);
+  const inputs = readAngularBindings(metadata.inputs, component);
+  const outputBindings = readAngularBindings(metadata.outputs, component);
+  const injector = getAngularInjector(component);
+  const props = {};
+  const state = {};
+  const computed = {};
+  const sources = {};
+
+  const readInto = (target, key, read) => {
+    try {
+      target[key] = sanitizeValue(read());
+    } catch (e) {
+      target[key] = '[Error: ' + e.message + ']';
     }
+  };
 
-    function findFiberByDevTools(node) {
-      try {
-        const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
-        if (!hook) return null;
-        // Try to find fiber via DevTools internals
-        if (typeof hook.getFiberForNative === 'function') {
-          return hook.getFiberForNative(node);
-        }
-        // Some versions use different method names
-        const renderer = getDevToolsHook();
-        if (renderer && typeof renderer.findFiberByHostInstance === 'function') {
-          return renderer.findFiberByHostInstance(node);
-        }
-      } catch { /* ignored */ }
-      return null;
+  Object.keys(inputs).forEach((key) => {
+    const signalNode = getAngularSignalNode(component[key]);
+    readInto(props, key, () => (signalNode ? component[key]() : component[key]));
+  });
+
+  Object.keys(component).forEach((key) => {
+    if (key in inputs || key in outputBindings || isSkippedAngularKey(key)) return;
+    const value = component[key];
+
+    if (getAngularSignalNode(value)) {
+      const writable = typeof value.set === 'function';
+      sources[key] = writable ? 'Signal' : 'Computed signal';
+      readInto(writable ? state : computed, key, () => value());
+    } else if (typeof value !== 'function' && !isAngularService(value, injector)) {
+      readInto(state, key, () => value);
     }
+  });
 
-    function detectReact(node) {
-      try {
-        const devToolsRenderer = getDevToolsHook();
-
-        // Find Fiber - try DevTools first, then fallback to DOM properties
-        let fiber = findFiberByDevTools(node);
-        
-        if (!fiber) {
-          const fiberKey = Object.keys(node).find((key) => 
-            key.startsWith('__reactFiber') || 
-            key.startsWith('__reactInternalInstance')
-          );
-          
-          if (!fiberKey) {
-            return null;
-          }
-          fiber = node[fiberKey];
-        }
-        let componentHierarchy = [];
+  const outputs = Object.keys(outputBindings).map((key) =>
+    outputBindings[key] && outputBindings[key] !== key ? `${key} (${outputBindings[key]})` : key
+  );
 
-        while (fiber) {
-          const componentType = fiber.type;
+  return { props, state, computed, stateSources: sources, outputs };
+}
 
-          // Skip if type is null/undefined
-          if (!componentType) {
-            fiber = fiber.return;
-            continue;
-          }
+function getAngularDirectives(node) {
+  const ng = window.ng;
+  if (!ng || typeof ng.getDirectives !== 'function') return [];
+  try {
+    return (ng.getDirectives(node) || []).map((directive) => getAngularName(directive));
+  } catch (e) {
+    return [];
+  }
+}
+
+function getAngularDetail(component, metadata) {
+  const selector = component.constructor?.ɵcmp?.selectors?.[0]?.[0] || '';
+  // ChangeDetectionStrategy.OnPush is 0
+  return metadata.changeDetection === 0 ? `${selector} • OnPush`.trim() : selector;
+}
+
+function getAngularHierarchy(component) {
+  const hierarchy = [];
+  for (
+    let current = component;
+    current && hierarchy.length < MAX_COMPONENT_HIERARCHY_DEPTH;
+    current = getAngularParent(current)
+  ) {
+    hierarchy.push(getAngularName(current));
+  }
+  return hierarchy.reverse();
+}
+
+function detectAngular(node) {
+  try {
+    const component = getAngularComponent(node);
+    if (!component) return null;
+
+    const ng = window.ng;
+    const canApplyChanges = !!ng && typeof ng.applyChanges === 'function';
+    return {
+      framework: 'Angular',
+      name: getAngularName(component),
+      detail: getAngularDetail(component, getAngularMetadata(component)),
+      isUserComponent: true,
+      hierarchy: getAngularHierarchy(component),
+      directives: getAngularDirectives(node),
+      componentInstance: component,
+      canOverrideProps: canApplyChanges,
+      computedIsReadOnly: true,
+      ...extractAngularDetails(component),
+    };
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+function buildAngularTree(node, maxDepth) {
+  let component = getAngularComponent(node);
+  if (!component) return null;
+
+  const tree = [];
+  while (component && tree.length < maxDepth) {
+    tree.push({
+      name: getAngularName(component),
+      isUserComponent: true,
+      hasState: Object.keys(component).length > 0,
+      hasProps: Object.keys(getAngularMetadata(component).inputs || {}).length > 0,
+    });
+    component = getAngularParent(component);
+  }
+  return tree;
+}
+
+// Services injected into the component (constructor parameters or inject() fields)
+function detectAngularServices(node) {
+  const component = getAngularComponent(node);
+  if (!component) return [];
+
+  const injector = getAngularInjector(component);
+  const services = [];
+  Object.keys(component).forEach((key) => {
+    const value = component[key];
+    if (services.length >= MAX_CONTEXTS || !isAngularService(value, injector)) return;
+    services.push({
+      name: key,
+      type: 'Inject',
+      value: sanitizeValue(value),
+      from: getAngularName(value),
+    });
+  });
+  return services;
+}
+
+// Production builds have no ng.applyChanges: check before writing anything, so a
+// failed edit leaves the component as it was
+function getAngularDebugApi() {
+  const ng = window.ng;
+  if (!ng || typeof ng.applyChanges !== 'function') {
+    throw new Error('Angular edits need a development build (ng.applyChanges is missing)');
+  }
+  return ng;
+}
 
-          // Skip primitive types (string, number) and HTML elements
-          if (typeof componentType === 'string') {
-            fiber = fiber.return;
-            continue;
-          }
+/**
+ * Update an Angular field or writable signal
+ */
+function updateAngularState(component, key, value) {
+  if (!(key in component)) {
+    throw new Error('State not found');
+  }
 
-          // Skip built-in types
-          if (typeof componentType === 'function') {
-            const name = getDisplayNameFromDevTools(fiber, devToolsRenderer) 
-              || componentType.displayName || componentType.name || 'Component';
-
-            // Production build support: use more permissive filtering
-            const isValidName = name && 
-              name.length > 0 &&
-              name !== 'Anonymous' &&
-              name !== 'String' &&
-              name !== 'Number' &&
-              name !== 'Boolean' &&
-              !name.startsWith('_');
-
-            if (isValidName) {
-              // Better detection: Check file path from source location
-              const debugSource = fiber._debugSource || componentType.__source;
-              const debugOwner = fiber._debugOwner;
-              const fileName = debugSource?.fileName || componentType._source?.fileName || '';
-
-              // Check owner's file path (who created this component)
-              let ownerFileName = '';
-              if (debugOwner && debugOwner.type) {
-                const ownerSource = debugOwner._debugSource || debugOwner.type.__source;
-                ownerFileName = ownerSource?.fileName || '';
-              }
+  const ng = getAngularDebugApi();
+  const current = component[key];
+  if (getAngularSignalNode(current)) {
+    if (typeof current.set !== 'function') {
+      throw new Error(`${key} is a computed signal and cannot be set`);
+    }
+    current.set(value);
+  } else {
+    component[key] = value;
+  }
+  ng.applyChanges(component);
+  return true;
+}
 
-              // Check if it's a user component based on file path
-              const isFromNodeModules =
-                fileName.includes('node_modules') ||
-                fileName.includes('/next/') ||
-                fileName.includes('\\next\\');
-              const isFromUserCode =
-                fileName &&
-                (fileName.includes('/app/') ||
-                  fileName.includes('\\app\\') ||
-                  fileName.includes('/src/') ||
-                  fileName.includes('\\src\\') ||
-                  fileName.includes('/components/') ||
-                  fileName.includes('\\components\\') ||
-                  fileName.includes('/pages/') ||
-                  fileName.includes('\\pages\\'));
-
-              // Function source check
-              const source = componentType.toString();
-              const hasUserCodePatterns =
-                source.length > 200 || source.includes('jsx') || source.includes('tsx');
-              const isMinified = source.length < 100 && !source.includes('return');
-
-              // Known framework components (strict list)
-              const knownFrameworkComponents = [
-                'Link',
-                'Image',
-                'Script',
-                'Head',
-                'ServerRoot',
-                'HotReload',
-                'Router',
-                'AppRouter',
-                'ErrorBoundary',
-                'Boundary',
-                'Provider',
-                'Context',
-              ];
-              const isKnownFramework =
-                knownFrameworkComponents.includes(name) ||
-                (name.endsWith('Component') &&
-                  knownFrameworkComponents.some((fw) => name.includes(fw))) ||
-                name.includes('ServerRoot') ||
-                name.includes('HotReload') ||
-                name.includes('AppRouter') ||
-                (name === 'Root' && fileName.includes('next')) ||
-                (name === 'Router' &&
-                  (fileName.includes('next') || fileName.includes('react-router')));
-
-              // Name-based filtering (more strict for Next.js components)
-              const hasFrameworkPattern =
-                name.match(
-                  /^(Fragment|Suspense|StrictMode|Provider|Consumer|Context|Profiler|Router|AppRouter|ErrorBoundary|Boundary|Handler|Root|ServerRoot)$/
-                ) ||
-                name === 'AppRouter' ||
-                (name.includes('Router') &&
-                  (fileName.includes('next') || fileName.includes('node_modules'))) ||
-                name.includes('Boundary') ||
-                name.includes('Handler') ||
-                name.includes('Provider') ||
-                name.includes('Context') ||
-                name.includes('Overlay') ||
-                name.includes('DevRoot') ||
-                name.includes('HotReload') ||
-                name.includes('ServerRoot') ||
-                name.includes('Segment') ||
-                name.includes('View') ||
-                name.includes('Scroll') ||
-                name.includes('Focus') ||
-                name.includes('Redirect') ||
-                name.includes('Template') ||
-                name.includes('Fallback') ||
-                name.includes('HTTPAccess') ||
-                name.includes('Loading') ||
-                name.startsWith('Inner') ||
-                name.startsWith('Outer') ||
-                name.startsWith('Render');
-
-              // Calculate score (higher = more likely user component)
-              let score = 0;
-
-              // Production environment: give a default score when no debug/source information is available
-              if (!fileName && !debugSource) {
-                score += 5; // Production builds are treated as valid components by default
-              }
+/**
+ * Set an @Input (or input() signal) until the parent binds a new value
+ */
+function updateAngularInput(component, key, value) {
+  const ng = getAngularDebugApi();
+  const signalNode = getAngularSignalNode(component[key]);
+  if (signalNode) {
+    if (typeof signalNode.applyValueToInputSignal !== 'function') {
+      throw new Error(`${key} is a signal input and can only be set by its parent`);
+    }
+    signalNode.applyValueToInputSignal(signalNode, value);
+  } else {
+    component[key] = value;
+  }
+  ng.applyChanges(component);
+  return true;
+}
+
+const angularAdapter = {
+  name: 'angular',
+  detect: detectAngular,
+  getHierarchy: getAngularHierarchy,
+  update({ componentInstance }, { kind, key, value }) {
+    if (!componentInstance) return false;
+    if (kind === 'state') return updateAngularState(componentInstance, key, value);
+    if (kind === 'prop') return updateAngularInput(componentInstance, key, value);
+    return false;
+  },
+  getTree: buildAngularTree,
+  getContext: detectAngularServices,
+};
+return { angularAdapter };
+})();
 
-              // Strong negative indicators
-              if (isKnownFramework) score -= 10;
-              if (hasFrameworkPattern) score -= 5;
-              if (isFromNodeModules) score -= 10;
-              if (fileName.includes('next/dist')) score -= 15;
-
-              // Positive indicators
-              if (isFromUserCode && !isFromNodeModules) score += 10;
-              if (ownerFileName && ownerFileName.includes('/app/')) score += 5;
-              if (hasUserCodePatterns) score += 3;
-              if (!isMinified) score += 2;
-
-              // Boost score for functional components (React.memo, forwardRef)
-              if (componentType.$$typeof || componentType._payload) score += 2;
-              if (source.includes('function') || source.includes('=>')) score += 1;
-
-              // Production: add score if the component name appears meaningful
-              if (name.length > 2 && /[A-Z]/.test(name[0])) {
-                score += 3;
-              }
+// src/adapters/solid.js
+bundledModules['adapters/solid.js'] = (function () {
+const { MAX_COMPONENT_HIERARCHY_DEPTH } = bundledModules['config/constants.js'];
+const { isPlainObject, sanitizeProps } = bundledModules['utils/componentHelpers.js'];
+/**
+ * Solid adapter
+ * Solid islands (<solid-island>, or Astro islands rendered by @astrojs/solid-js).
+ * Solid keeps no back-references on DOM nodes, so props come from the island markup.
+ */
 
-              // NOTE: Production-mode heuristic
-              // - In production builds we intentionally use a lower threshold (score >= 5)
-              //   compared to development to improve detection when source metadata is limited.
-              // - This can increase false positives, especially for non-user or framework
-              //   components that look like user code.
-              // - Callers SHOULD treat `isUserComponent` as a best-effort signal only and, if
-              //   they require strong guarantees, combine it with additional validation
-              //   (e.g. file path checks, allowlists) at a higher layer.
-              const isUserComponent = score >= 5 && !isKnownFramework && !hasFrameworkPattern;
-
-              // Extract detailed information
-              const props = fiber.memoizedProps || {};
-              
-              // Distinguish between class components (with state) and functional components (with hooks)
-              let state = null;
-              let hooks = [];
-              
-              // Check if it's a class component (has stateNode with state property)
-              if (fiber.stateNode && fiber.stateNode.state) {
-                // Class component
-                state = sanitizeValue(fiber.stateNode.state);
-              } else {
-                // Functional component - extract hooks instead
-                hooks = extractHooks(fiber);
-              }
 
-              const componentInfo = {
-                name,
-                isUserComponent,
-                score,
-                props: sanitizeProps(props),
-                state: state,
-                hooks: hooks,
-                source: debugSource || componentType._source || null,
-                fileName: fileName,
-                ownerFileName: ownerFileName,
-                isFromNodeModules: isFromNodeModules,
-                isKnownFramework: isKnownFramework,
-                hasFrameworkPattern: hasFrameworkPattern,
-              };
+const SOLID_ISLAND_SELECTOR = 'solid-island, astro-island[renderer-url*="solid"]';
+
+function getSolidIslandName(island) {
+  const url =
+    island.getAttribute('component-url') || island.dataset.component || island.dataset.island || '';
+  const fileName = url
+    .split('?')[0]
+    .split('/')
+    .pop()
+    .replace(/\.[jt]sx?$/, '');
+  const exportName = island.getAttribute('component-export');
+  return exportName && exportName !== 'default' ? exportName : fileName || 'SolidIsland';
+}
+
+// Astro serializes each prop as [type, value]; 0 = value (objects nested), 1 = array
+function decodeAstroProp(entry) {
+  if (!Array.isArray(entry)) return entry;
+  const [type, value] = entry;
+  if (type === 1 && Array.isArray(value)) return value.map(decodeAstroProp);
+  if (type === 0 && isPlainObject(value)) return decodeAstroProps(value);
+  return value;
+}
+
+function decodeAstroProps(encoded) {
+  const props = {};
+  Object.keys(encoded).forEach((key) => {
+    props[key] = decodeAstroProp(encoded[key]);
+  });
+  return props;
+}
 
-              componentHierarchy.push(componentInfo);
-            }
-          }
+function readSolidIslandProps(island) {
+  try {
+    if (island.localName === 'astro-island') {
+      return decodeAstroProps(JSON.parse(island.getAttribute('props') || '{}'));
+    }
+    return JSON.parse(island.dataset.props || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+function detectSolid(node) {
+  try {
+    const island = node.closest(SOLID_ISLAND_SELECTOR);
+    if (!island) return null;
+
+    const hierarchy = [];
+    let current = island;
+    while (current && hierarchy.length < MAX_COMPONENT_HIERARCHY_DEPTH) {
+      hierarchy.push(getSolidIslandName(current));
+      current = current.parentElement?.closest(SOLID_ISLAND_SELECTOR);
+    }
 
-          fiber = fiber.return;
-        }
+    const fileName = (island.getAttribute('component-url') || '').split('?')[0];
+    return {
+      framework: 'Solid',
+      name: getSolidIslandName(island),
+      detail: fileName ? '' : 'Island',
+      fileName,
+      isUserComponent: !fileName.includes('node_modules'),
+      hierarchy: hierarchy.reverse(),
+      props: sanitizeProps(readSolidIslandProps(island), { framework: 'jsx' }),
+      state: {},
+    };
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+const solidAdapter = {
+  name: 'solid',
+  detect: detectSolid,
+};
+return { solidAdapter };
+})();
 
-        // Select the best user component based on score
-        const userComponents = componentHierarchy.filter((c) => c.isUserComponent);
+// src/adapters/webComponent.js
+bundledModules['adapters/webComponent.js'] = (function () {
+const { MAX_COMPONENT_HIERARCHY_DEPTH } = bundledModules['config/constants.js'];
+const { sanitizeValue } = bundledModules['utils/componentHelpers.js'];
+/**
+ * Web Components and Lit adapter
+ * Nodes inside an open shadow root belong to its host; hosts are followed out
+ * through nested shadow roots. Lit reactive property setters schedule an update;
+ * requestUpdate() also covers values Lit would not see change (same object
+ * mutated in place).
+ */
 
-        // Sort by score (highest first), then by position (outermost first)
-        userComponents.sort((a, b) => {
-          if (b.score !== a.score) return b.score - a.score;
-          // If scores equal, prefer outermost (later in array)
-          return componentHierarchy.indexOf(b) - componentHierarchy.indexOf(a);
-        });
 
-        // Select highest scored user component, or fallback to non-framework with positive score
-        const targetComponent =
-          userComponents[0] ||
-          componentHierarchy.find(
-            (c) => !c.isKnownFramework && !c.hasFrameworkPattern && c.score >= 0
-          ) ||
-          componentHierarchy[0];
-
-        if (targetComponent) {
-          // Filter hierarchy to show only user components or key library components
-          const filteredHierarchy = componentHierarchy
-            .filter((c) => c.isUserComponent || c.name.match(/^(App|Layout|Page|Document|Main)$/))
-            .map((c) => `${c.name}${c.score ? ` (${c.score})` : ''}`);
-
-          // Find React component's root DOM node
-          const fiberKey = Object.keys(node).find((key) => key.startsWith('__reactFiber'));
-          let componentDomNode = null;
-          if (fiberKey) {
-            let fiber = node[fiberKey];
-            // Walk up to find the target component fiber
-            while (fiber) {
-              const componentType = fiber.type;
-              const name = componentType?.displayName || componentType?.name;
-              if (name === targetComponent.name) {
-                // Found the component, now find its DOM node
-                componentDomNode = findDomNodeForFiber(fiber);
-                break;
-              }
-              fiber = fiber.return;
+const MAX_SLOT_NODES = 10;
+
+function isCustomElement(node) {
+  const tagName = node.tagName?.toLowerCase();
+  if (!tagName || !tagName.includes('-')) return false;
+  return (
+    !!window.customElements?.get(tagName) ||
+    !!node.shadowRoot ||
+    node.constructor.name !== 'HTMLElement'
+  );
+}
+
+// The custom element itself, or the host whose shadow root the node renders in
+function getWebComponentHost(node) {
+  if (isCustomElement(node)) return node;
+  const root = node.getRootNode();
+  return root instanceof ShadowRoot && isCustomElement(root.host) ? root.host : null;
+}
+
+function getShadowHostChain(host) {
+  const chain = [];
+  for (
+    let current = host;
+    current && chain.length < MAX_COMPONENT_HIERARCHY_DEPTH;
+    current = current.getRootNode().host
+  ) {
+    if (isCustomElement(current)) chain.push(current.constructor.name || current.localName);
+  }
+  return chain.reverse();
+}
+
+// Lit 2+ (elementProperties) or LitElement 2.x (_classProperties / static properties)
+function getLitProperties(element) {
+  const ctor = element.constructor;
+  if (typeof element.requestUpdate !== 'function') return null;
+  if (ctor.elementProperties instanceof Map) return ctor.elementProperties;
+  if (ctor._classProperties instanceof Map) return ctor._classProperties;
+  if (ctor.properties && typeof ctor.properties === 'object') {
+    return new Map(Object.entries(ctor.properties));
+  }
+  return null;
+}
+
+/**
+ * Lit reactive properties: public ones are props, `state: true` ones (@state) are state
+ */
+function extractLitDetails(element) {
+  const props = {};
+  const state = {};
+  (getLitProperties(element) || new Map()).forEach((options, key) => {
+    if (typeof key !== 'string') return;
+    const target = options && options.state ? state : props;
+    try {
+      target[key] = sanitizeValue(element[key]);
+    } catch (e) {
+      target[key] = '[Error: ' + e.message + ']';
+    }
+  });
+  return { props, state };
+}
+
+// Plain custom elements: the attributes they observe
+function extractObservedAttributes(element) {
+  const props = {};
+  const observed = element.constructor.observedAttributes;
+  if (Array.isArray(observed)) {
+    observed.forEach((name) => {
+      props[name] = element.getAttribute(name);
+    });
+  }
+  return { props, state: {} };
+}
+
+function readHostDetails(host) {
+  return getLitProperties(host) ? extractLitDetails(host) : extractObservedAttributes(host);
+}
+
+function describeShadowNode(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return `"${node.textContent.trim().slice(0, 40)}"`;
+  }
+  let label = node.localName;
+  if (node.id) label += `#${node.id}`;
+  if (node.classList.length > 0) label += `.${Array.from(node.classList).slice(0, 2).join('.')}`;
+  return label;
+}
+
+/**
+ * Slots (with what is assigned to them), exposed ::part names and adopted stylesheets
+ */
+function extractShadowDetails(element) {
+  const shadowRoot = element.shadowRoot;
+  if (!shadowRoot) return null;
+
+  const slots = Array.from(shadowRoot.querySelectorAll('slot')).map((slot) => ({
+    name: slot.name || 'default',
+    assigned: slot
+      .assignedNodes({ flatten: true })
+      .filter((node) => node.nodeType === Node.ELEMENT_NODE || node.textContent.trim())
+      .slice(0, MAX_SLOT_NODES)
+      .map(describeShadowNode),
+  }));
+
+  const parts = Array.from(shadowRoot.querySelectorAll('[part]')).map((node) => ({
+    name: node.getAttribute('part'),
+    element: describeShadowNode(node),
+  }));
+
+  const adoptedStyleSheets = Array.from(shadowRoot.adoptedStyleSheets || []).map((sheet) => {
+    try {
+      return { rules: sheet.cssRules.length, sample: sheet.cssRules[0]?.selectorText || '' };
+    } catch (e) {
+      return { rules: 0, sample: '' };
+    }
+  });
+
+  return {
+    mode: shadowRoot.mode,
+    slots,
+    parts,
+    adoptedStyleSheets,
+    styleElements: shadowRoot.querySelectorAll('style').length,
+  };
+}
+
+function detectWebComponent(node) {
+  try {
+    const host = getWebComponentHost(node);
+    if (!host) return null;
+
+    const tagName = host.localName;
+    const isLit = !!getLitProperties(host);
+    return {
+      framework: isLit ? 'Lit' : 'Web Component',
+      name: window.customElements?.get(tagName)?.name || host.constructor.name || tagName,
+      detail: `<${tagName}>${host.shadowRoot ? ' • Shadow DOM' : ''}`,
+      isUserComponent: true,
+      hierarchy: getShadowHostChain(host),
+      componentInstance: host,
+      canOverrideProps: isLit,
+      shadow: extractShadowDetails(host),
+      ...(isLit ? extractLitDetails(host) : extractObservedAttributes(host)),
+    };
+  } catch (e) {
+    // Silent fail
+  }
+  return null;
+}
+
+/**
+ * Update a Lit reactive property (@property or @state)
+ */
+function updateLitProperty(host, key, value) {
+  const properties = host.constructor.elementProperties || host.constructor._classProperties;
+  if (properties instanceof Map && !properties.has(key)) {
+    throw new Error('Property not found');
+  }
+  host[key] = value;
+  host.requestUpdate();
+  return true;
+}
+
+// Reactive controllers get hostUpdated() after every Lit update
+function watchLitElement(host, onChange, { framework }) {
+  if (framework !== 'Lit') {
+    throw new Error(`History is not available for ${framework}`);
+  }
+  const controller = { hostUpdated: () => onChange() };
+  host.addController(controller);
+  return () => host.removeController(controller);
+}
+
+const webComponentAdapter = {
+  name: 'webComponent',
+  detect: detectWebComponent,
+  getHierarchy: getShadowHostChain,
+  getProps: (host) => readHostDetails(host).props,
+  getState: (host) => readHostDetails(host).state,
+  update({ framework, componentInstance }, { kind, key, value }) {
+    if (framework !== 'Lit' || !componentInstance || kind === 'hook') return false;
+    return updateLitProperty(componentInstance, key, value);
+  },
+  subscribeToUpdates: watchLitElement,
+};
+return { webComponentAdapter };
+})();
+
+// src/adapters/index.js
+bundledModules['adapters/index.js'] = (function () {
+const { registerAdapter } = bundledModules['adapters/registry.js'];
+const { reactAdapter } = bundledModules['adapters/react.js'];
+const { preactAdapter } = bundledModules['adapters/preact.js'];
+const { vueAdapter } = bundledModules['adapters/vue.js'];
+const { svelteAdapter } = bundledModules['adapters/svelte.js'];
+const { angularAdapter } = bundledModules['adapters/angular.js'];
+const { solidAdapter } = bundledModules['adapters/solid.js'];
+const { webComponentAdapter } = bundledModules['adapters/webComponent.js'];
+/**
+ * Built-in framework adapters, registered in detection order
+ * React is tried before Preact, and the generic Web Component adapter comes last
+ * so custom elements rendered by a framework are reported as that framework.
+ */
+
+
+const builtInAdapters = [
+  reactAdapter,
+  preactAdapter,
+  vueAdapter,
+  svelteAdapter,
+  angularAdapter,
+  solidAdapter,
+  webComponentAdapter,
+];
+
+builtInAdapters.forEach((adapter) => registerAdapter(adapter));
+return { builtInAdapters };
+})();
+
+// src/inpage/detect.js
+bundledModules['inpage/detect.js'] = (function () {
+const { getAdapters } = bundledModules['adapters/registry.js'];
+const { MAX_TREE_DEPTH } = bundledModules['config/constants.js'];
+/**
+ * Component detection through the registered framework adapters
+ * The first adapter whose detect() matches the node wins. Tree, context and store
+ * data are attached here because they read page expandos the content script cannot see.
+ */
+
+
+// Component picked with arrow-key navigation: reported for its element instead of
+// whichever component detect() would pick there. Set by navigation.js.
+let selectedComponent = null;
+
+/**
+ * Remember (or forget, with null) the navigated-to component
+ * @param {?Object} selection - { node, adapter, component }
+ */
+function setSelectedComponent(selection) {
+  selectedComponent = selection;
+}
+
+function getSelectedComponent() {
+  return selectedComponent;
+}
+
+function buildComponentTree(adapter, node) {
+  if (!adapter.getTree) return null;
+  try {
+    const tree = adapter.getTree(node, MAX_TREE_DEPTH);
+    if (!tree) return null;
+
+    // Depth counts outward from the hovered component, as formatComponentTree indents it
+    return tree.map((entry, depth) => ({ ...entry, depth })).reverse();
+  } catch (e) {
+    return null;
+  }
+}
+
+function detectContexts(adapter, node) {
+  if (!adapter.getContext) return [];
+  try {
+    return adapter.getContext(node) || [];
+  } catch (e) {
+    // Silent fail - context internals differ between framework versions
+    return [];
+  }
+}
+
+/**
+ * Props/state/hooks of a detected component, in the shape the panel shows.
+ * Used by the History watch, which re-reads one component on every change.
+ */
+function snapshotComponent(adapter, component, framework) {
+  return {
+    props: adapter.getProps ? adapter.getProps(component, framework) : {},
+    state: adapter.getState ? adapter.getState(component, framework) : null,
+    hooks: adapter.getHooks ? adapter.getHooks(component, framework) : [],
+  };
+}
+
+/**
+ * Fill in what detect() left out from the adapter's getters, then attach the
+ * tree, context and store data so the content script can render them
+ */
+function completeInfo(adapter, node, info) {
+  info.adapter = adapter.name;
+  info.framework = info.framework || adapter.name;
+
+  const component = info.componentFiber || info.componentInstance;
+  if (component) {
+    if (!info.hierarchy && adapter.getHierarchy) {
+      info.hierarchy = adapter.getHierarchy(component);
+    }
+    if (info.props === undefined && adapter.getProps) {
+      info.props = adapter.getProps(component, info.framework);
+    }
+    if (info.state === undefined && adapter.getState) {
+      info.state = adapter.getState(component, info.framework);
+    }
+    if (info.hooks === undefined && adapter.getHooks) {
+      info.hooks = adapter.getHooks(component, info.framework);
+    }
+  }
+
+  info.tree = buildComponentTree(adapter, node);
+  info.contexts = detectContexts(adapter, node);
+  if (adapter.getStores) {
+    info.stores = adapter.getStores(node);
+  }
+  return info;
+}
+
+/**
+ * Detect the component that owns a DOM node
+ * @param {HTMLElement} node - Hovered element
+ * @returns {Object|null} Component info
+ */
+function detectComponent(node) {
+  if (!node || !(node instanceof HTMLElement)) {
+    return null;
+  }
+
+  if (selectedComponent && selectedComponent.node === node) {
+    const { adapter, component } = selectedComponent;
+    let info = null;
+    try {
+      info = adapter.describe(component);
+    } catch (e) {
+      // Unmounted since it was selected; fall back to detection
+    }
+    if (info) {
+      return completeInfo(adapter, node, info);
+    }
+  }
+
+  for (const adapter of getAdapters()) {
+    let info = null;
+    try {
+      info = adapter.detect(node);
+    } catch (e) {
+      // A failing adapter must not hide the frameworks after it
+    }
+    if (info) {
+      return completeInfo(adapter, node, info);
+    }
+  }
+
+  return null;
+}
+return { setSelectedComponent, getSelectedComponent, snapshotComponent, detectComponent };
+})();
+
+// src/inpage/componentInfo.js
+bundledModules['inpage/componentInfo.js'] = (function () {
+const { CACHE_DURATION } = bundledModules['config/constants.js'];
+const { detectComponent } = bundledModules['inpage/detect.js'];
+/**
+ * Component info lookup with a short-lived per-node cache
+ */
+
+
+// Cache for component detection
+const componentCache = new WeakMap();
+let cacheGeneration = 0;
+
+/**
+ * Drop every cached entry (e.g. after source maps renamed components)
+ */
+function clearComponentCache() {
+  cacheGeneration++;
+}
+
+/**
+ * Get component info for a DOM node with caching
+ * Supports both framework detection and plain HTML mode
+ */
+function getComponentInfo(node, mode = 'auto') {
+  if (!node) return null;
+
+  // Check cache (only for auto/framework modes)
+  if (
+    mode === 'auto' ||
+    mode === 'react' ||
+    mode === 'vue2' ||
+    mode === 'vue3' ||
+    mode === 'angular' ||
+    mode === 'preact' ||
+    mode === 'solid'
+  ) {
+    const cached = componentCache.get(node);
+    if (
+      cached &&
+      cached.generation === cacheGeneration &&
+      Date.now() - cached.timestamp < CACHE_DURATION
+    ) {
+      return cached.data;
+    }
+  }
+
+  let info = null;
+
+  // HTML mode - skip framework detection
+  if (mode === 'html') {
+    // Return null to let content script handle HTML mode formatting
+    // (We can't import htmlHelpers.js here as it's in isolated world)
+    return null;
+  }
+
+  // Detect component (framework mode)
+  info = detectComponent(node);
+
+  // Add CSS information
+  if (info && node instanceof HTMLElement) {
+    const styles = window.getComputedStyle(node);
+    const cssInfo = {
+      classes: Array.from(node.classList),
+      styles: {
+        display: styles.display || '',
+        position: styles.position || '',
+        width: styles.width || '',
+        height: styles.height || '',
+        margin: styles.margin || '',
+        padding: styles.padding || '',
+        backgroundColor: styles.backgroundColor || '',
+        color: styles.color || '',
+        fontSize: styles.fontSize || '',
+        fontFamily: styles.fontFamily || '',
+        border: styles.border || '',
+        borderRadius: styles.borderRadius || '',
+        flexDirection: styles.flexDirection || '',
+        justifyContent: styles.justifyContent || '',
+        alignItems: styles.alignItems || '',
+        gridTemplateColumns: styles.gridTemplateColumns || '',
+        zIndex: styles.zIndex || '',
+      },
+      inlineStyles: node.style.cssText || '',
+    };
+
+    // Find which stylesheets contribute to this element
+    const matchedRules = [];
+    try {
+      for (const sheet of document.styleSheets) {
+        try {
+          for (const rule of sheet.cssRules || []) {
+            if (rule instanceof CSSStyleRule && node.matches(rule.selectorText)) {
+              matchedRules.push({
+                selector: rule.selectorText,
+                source: sheet.href || 'inline',
+                styles: rule.style.cssText,
+              });
             }
           }
-
-          return {
-            framework: 'React',
-            name: targetComponent.name,
-            detail: targetComponent.source?.fileName || '',
-            props: targetComponent.props,
-            state: targetComponent.state,
-            hooks: targetComponent.hooks,
-            hierarchy: filteredHierarchy.length > 0 ? filteredHierarchy : [targetComponent.name],
-            isUserComponent: targetComponent.isUserComponent,
-            score: targetComponent.score,
-            allUserComponents: userComponents.map((c) => `${c.name} (${c.score})`),
-            fileName: targetComponent.fileName,
-            ownerFileName: targetComponent.ownerFileName,
-            isFromNodeModules: targetComponent.isFromNodeModules,
-            componentDomNode: componentDomNode,
-          };
+        } catch (e) {
+          // Cross-origin stylesheet
         }
-      } catch (e) {
-        // Silent fail - React detection errors are expected on non-React pages
       }
+    } catch (e) {
+      // Silent fail
+    }
+
+    cssInfo.matchedRules = matchedRules;
+    info.css = cssInfo;
+  }
+
+  // Cache result (only for framework modes)
+  if (mode !== 'html') {
+    componentCache.set(node, {
+      data: info,
+      timestamp: Date.now(),
+      generation: cacheGeneration,
+    });
+  }
+
+  return info;
+}
+return { componentCache, clearComponentCache, getComponentInfo };
+})();
+
+// src/utils/elementHandles.js
+bundledModules['utils/elementHandles.js'] = (function () {
+const { ELEMENT_HANDLE_ATTRIBUTE, ERROR_CODES } = bundledModules['config/constants.js'];
+/**
+ * Element handles shared between the content script and inpage.js
+ *
+ * JS properties are not shared between the isolated world and the page world,
+ * but DOM attributes are. The creating side tags the element with
+ * ELEMENT_HANDLE_ATTRIBUTE, and the other side looks the tag up and removes it,
+ * so tags never stay on the page. Both sides keep a WeakRef keyed by the handle ID. A handle whose
+ * element was garbage collected or detached is reported as stale. It never
+ * falls through to a different node.
+ */
+
+
+const handlesByElement = new WeakMap();
+const elementsByHandle = new Map();
+let nextHandleId = 1;
+
+/**
+ * Get (or create) the handle for an element
+ * @param {Element} element - Target element
+ * @returns {string} Handle ID
+ */
+function getElementHandle(element) {
+  let id = handlesByElement.get(element);
+  if (!id) {
+    id = `c${nextHandleId++}`;
+    registerHandle(id, element);
+  }
+  // Re-tag on every use: the page side removes the attribute once it has registered the handle
+  if (!elementsByHandle.get(id)?.pageKnown) {
+    element.setAttribute(ELEMENT_HANDLE_ATTRIBUTE, id);
+  }
+  return id;
+}
+
+/**
+ * Describe an element for inpage.js: its handle plus the handles of the
+ * shadow hosts it lives under (outermost first)
+ * @param {Element} element - Target element
+ * @returns {{ handle: string, shadowPath: Array<string> }} Handle descriptor
+ */
+function describeElement(element) {
+  const shadowPath = [];
+  let root = element.getRootNode();
+  while (root instanceof ShadowRoot) {
+    shadowPath.unshift(getElementHandle(root.host));
+    root = root.host.getRootNode();
+  }
+  return { handle: getElementHandle(element), shadowPath };
+}
+
+/**
+ * Mark a handle as registered on the page side so it no longer needs the attribute
+ * @param {string} id - Handle ID
+ */
+function markHandleKnownToPage(id) {
+  const entry = elementsByHandle.get(id);
+  if (entry) entry.pageKnown = true;
+}
+
+/**
+ * Resolve a handle back to its element
+ * @param {string} id - Handle ID (created on either side)
+ * @param {Array<string>} shadowPath - Handles of enclosing shadow hosts
+ * @returns {Element|null} Element, or null if the handle is stale or unknown
+ */
+function resolveElementHandle(id, shadowPath = []) {
+  if (!id) return null;
+
+  const entry = elementsByHandle.get(id);
+  if (entry) {
+    const element = entry.ref.deref();
+    if (!element || !element.isConnected) {
+      elementsByHandle.delete(id);
       return null;
     }
+    // inpage.js tags the element (and its shadow hosts) each time it hands the handle over
+    shadowPath.forEach((hostId) => resolveElementHandle(hostId));
+    if (entry.pageKnown && element.getAttribute(ELEMENT_HANDLE_ATTRIBUTE) === id) {
+      element.removeAttribute(ELEMENT_HANDLE_ATTRIBUTE);
+    }
+    return element;
+  }
+
+  // First sight of a page-created handle: find its tag, then drop the tag
+  const element = findTaggedElement(id, shadowPath);
+  if (!element) return null;
+  registerHandle(id, element);
+  elementsByHandle.get(id).pageKnown = true;
+  element.removeAttribute(ELEMENT_HANDLE_ATTRIBUTE);
+  return element;
+}
+
+/**
+ * Create an Error carrying the stale-handle code
+ * @returns {Error}
+ */
+function createStaleHandleError() {
+  const error = new Error('Element is no longer in the page (re-rendered or removed)');
+  error.code = ERROR_CODES.STALE_HANDLE;
+  return error;
+}
+
+function registerHandle(id, element) {
+  handlesByElement.set(element, id);
+  elementsByHandle.set(id, { ref: new WeakRef(element), pageKnown: false });
+}
+
+function findTaggedElement(id, shadowPath) {
+  const selector = `[${ELEMENT_HANDLE_ATTRIBUTE}="${CSS.escape(id)}"]`;
+  let root = document;
+  for (const hostId of shadowPath) {
+    const host =
+      resolveElementHandle(hostId) ||
+      root.querySelector(`[${ELEMENT_HANDLE_ATTRIBUTE}="${CSS.escape(hostId)}"]`);
+    if (!host || !host.shadowRoot) return null;
+    root = host.shadowRoot;
+  }
+  return root.querySelector(selector);
+}
+return { getElementHandle, describeElement, markHandleKnownToPage, resolveElementHandle, createStaleHandleError };
+})();
+
+// src/inpage/handles.js
+bundledModules['inpage/handles.js'] = (function () {
+const { ELEMENT_HANDLE_ATTRIBUTE } = bundledModules['config/constants.js'];
+const { createStaleHandleError } = bundledModules['utils/elementHandles.js'];
+/**
+ * Element handles (page-world half of src/utils/elementHandles.js)
+ */
+
+
+const handlesByElement = new WeakMap();
+const elementsByHandle = new Map();
+let nextHandleId = 1;
+
+function registerHandle(id, element) {
+  handlesByElement.set(element, id);
+  elementsByHandle.set(id, new WeakRef(element));
+}
+
+function getHandleSelector(id) {
+  return `[${ELEMENT_HANDLE_ATTRIBUTE}="${CSS.escape(id)}"]`;
+}
+
+function findTaggedElement(id, shadowPath) {
+  let root = document;
+  for (const hostId of shadowPath) {
+    const hostRef = elementsByHandle.get(hostId);
+    const host = hostRef?.deref() || root.querySelector(getHandleSelector(hostId));
+    if (!host || !host.shadowRoot) return null;
+    root = host.shadowRoot;
+  }
+  return root.querySelector(getHandleSelector(id));
+}
+
+/**
+ * Resolve a handle sent by the content script.
+ * Throws a STALE_HANDLE error rather than guessing at a replacement node.
+ */
+function resolveHandle(id, shadowPath = []) {
+  const ref = elementsByHandle.get(id);
+  const element = ref ? ref.deref() : findTaggedElement(id, shadowPath);
+
+  if (element && !ref) {
+    registerHandle(id, element);
+  }
+  if (element && element.getAttribute(ELEMENT_HANDLE_ATTRIBUTE) === id) {
+    element.removeAttribute(ELEMENT_HANDLE_ATTRIBUTE);
+  }
+  if (!element || !element.isConnected) {
+    elementsByHandle.delete(id);
+    throw createStaleHandleError();
+  }
+  return element;
+}
+
+/**
+ * Hand an element to the content script: tag it and describe its shadow hosts
+ */
+function exposeElement(element) {
+  let id = handlesByElement.get(element);
+  if (!id || !elementsByHandle.get(id)?.deref()) {
+    id = `p${nextHandleId++}`;
+    registerHandle(id, element);
+  }
+  // The content script removes the tag as soon as it resolves the handle
+  if (element.getAttribute(ELEMENT_HANDLE_ATTRIBUTE) !== id) {
+    element.setAttribute(ELEMENT_HANDLE_ATTRIBUTE, id);
+  }
+
+  const shadowPath = [];
+  let root = element.getRootNode();
+  while (root instanceof ShadowRoot) {
+    shadowPath.unshift(exposeElement(root.host).handle);
+    root = root.host.getRootNode();
+  }
+  return { handle: id, shadowPath };
+}
+
+/**
+ * Resolve the element a request targets
+ */
+function resolveTarget({ handle, shadowPath }) {
+  if (!handle) {
+    throw new Error('Request has no target handle');
+  }
+  return resolveHandle(handle, shadowPath);
+}
+return { exposeElement, resolveTarget };
+})();
 
-    function classifyHookType(hook) {
-      // Classify React hook type based on internal structure
-      // React uses hook.tag internally but it's not always reliable,
-      // so we combine structural analysis with tag hints
+// src/inpage/editing.js
+bundledModules['inpage/editing.js'] = (function () {
+const { getAdapter } = bundledModules['adapters/registry.js'];
+const { parseValue } = bundledModules['utils/componentHelpers.js'];
+const { getComponentInfo } = bundledModules['inpage/componentInfo.js'];
+const { resolveTarget } = bundledModules['inpage/handles.js'];
+/**
+ * Hook, state and prop edits from the panel, applied by the component's adapter
+ */
 
-      const ms = hook.memoizedState;
 
-      // useRef: memoizedState is { current: ... }
-      if (ms !== null && typeof ms === 'object' && 'current' in ms && !hook.queue && !hook.next?.queue) {
-        // Distinguish from useState whose memoizedState can be an object
-        // useRef has no queue
-        if (!hook.queue) return 'useRef';
-      }
+const EDIT_LABELS = {
+  hook: 'Hooks',
+  state: 'State',
+  prop: 'Props',
+};
 
-      // useState / useReducer: has a queue with dispatch
-      if (hook.queue) {
-        // useReducer has queue.lastRenderedReducer that isn't the basic state reducer
-        const reducer = hook.queue.lastRenderedReducer;
-        if (reducer && reducer.name && reducer.name !== 'basicStateReducer' && reducer.name !== '') {
-          return 'useReducer';
-        }
-        return 'useState';
-      }
+/**
+ * Route an edit to the adapter that detected the target's component
+ */
+function applyEdit(target, kind, key, newValue) {
+  const element = resolveTarget(target);
+  const info = getComponentInfo(element);
+  const adapter = info && getAdapter(info.adapter);
+  const change = { kind, key, value: parseValue(newValue) };
+
+  if (!adapter || !adapter.update || adapter.update(info, change, element) === false) {
+    const framework = info ? info.framework : 'this element';
+    throw new Error(`${EDIT_LABELS[kind]} cannot be changed on ${framework}`);
+  }
+  return true;
+}
 
-      // useMemo / useCallback: memoizedState is [value, deps]
-      if (Array.isArray(ms) && ms.length === 2 && Array.isArray(ms[1])) {
-        // useCallback stores a function as ms[0]
-        if (typeof ms[0] === 'function') return 'useCallback';
-        return 'useMemo';
-      }
+/**
+ * Update a hook value (React/Preact function components)
+ */
+function updateHookValue({ target, hookIndex, newValue }) {
+  return applyEdit(target, 'hook', hookIndex, newValue);
+}
 
-      // useEffect / useLayoutEffect: memoizedState has .destroy and .create
-      if (ms !== null && typeof ms === 'object' && 'create' in ms && 'destroy' in ms) {
-        // useLayoutEffect has tag with HookLayout flag (0b0100 = 4)
-        // useEffect has HookPassive flag (0b1000 = 8)  
-        if (ms.tag & 4) return 'useLayoutEffect';
-        return 'useEffect';
-      }
+/**
+ * Update a state value (class components, Vue, Svelte, Angular fields, Lit @state)
+ */
+function updateStateValue({ target, stateKey, newValue }) {
+  return applyEdit(target, 'state', stateKey, newValue);
+}
 
-      // useContext: no memoizedState typically, or the context value directly
-      // Hard to distinguish reliably, mark as unknown
-      return 'unknown';
-    }
-
-    function extractHookValue(hook, hookType) {
-      const ms = hook.memoizedState;
-
-      switch (hookType) {
-        case 'useState':
-        case 'useReducer':
-          return sanitizeValue(ms);
-        case 'useRef':
-          return sanitizeValue(ms?.current);
-        case 'useMemo':
-          return sanitizeValue(Array.isArray(ms) ? ms[0] : ms);
-        case 'useCallback':
-          return '[Function: ' + (ms?.[0]?.name || 'anonymous') + ']';
-        case 'useEffect':
-        case 'useLayoutEffect':
-          return undefined; // Effects don't have meaningful display values
-        default:
-          return sanitizeValue(ms);
-      }
-    }
+/**
+ * Override a prop temporarily (Vue), or set it (Svelte $set, Angular inputs, Lit properties)
+ */
+function updatePropValue({ target, propKey, newValue }) {
+  return applyEdit(target, 'prop', propKey, newValue);
+}
 
-    function extractHooks(fiber) {
-      try {
-        const hooks = [];
-        let hook = fiber.memoizedState;
-        let index = 0;
-
-        while (hook) {
-          const hookType = classifyHookType(hook);
-          const value = extractHookValue(hook, hookType);
-
-          // Skip effects and unknown hooks with undefined values
-          if (hookType !== 'useEffect' && hookType !== 'useLayoutEffect' && value !== undefined) {
-            hooks.push({
-              type: hookType,
-              index: index,
-              value: value,
-            });
-          }
+/**
+ * Undo a prop or computed override (Vue)
+ */
+function resetOverride({ target, key }) {
+  const info = getComponentInfo(resolveTarget(target));
+  const adapter = info && getAdapter(info.adapter);
+  if (!adapter || !adapter.resetOverride || !adapter.resetOverride(info, key)) {
+    throw new Error('Override not found');
+  }
+  return true;
+}
+return { updateHookValue, updateStateValue, updatePropValue, resetOverride };
+})();
 
-          hook = hook.next;
-          index++;
-        }
+// src/inpage/navigation.js
+bundledModules['inpage/navigation.js'] = (function () {
+const { getAdapter } = bundledModules['adapters/registry.js'];
+const { componentCache, getComponentInfo } = bundledModules['inpage/componentInfo.js'];
+const { getSelectedComponent, setSelectedComponent } = bundledModules['inpage/detect.js'];
+const { exposeElement, resolveTarget } = bundledModules['inpage/handles.js'];
+/**
+ * Arrow-key navigation from the pinned component to its parent, first child or siblings
+ * The component moved to is remembered (detect.js) so the panel, edits and the History
+ * watch all use it, even when an ancestor renders the same element.
+ */
 
-        return hooks;
-      } catch (e) {
-        return [];
-      }
-    }
 
-    function findDomNodeForFiber(fiber) {
-      // Try to find a DOM node by traversing down the fiber tree
-      let current = fiber;
+const DIRECTIONS = ['parent', 'child', 'previous', 'next'];
 
-      // First, try the current fiber's stateNode
-      if (current.stateNode && current.stateNode instanceof HTMLElement) {
-        return current.stateNode;
-      }
+function canNavigate(adapter) {
+  return !!(
+    adapter &&
+    adapter.getParent &&
+    adapter.getChildren &&
+    adapter.getElement &&
+    adapter.describe
+  );
+}
 
-      // Traverse children to find a DOM node
-      current = fiber.child;
-      let depth = 0;
-      const MAX_DEPTH = 100; // Prevent infinite loops
-      
-      while (current && depth < MAX_DEPTH) {
-        if (current.stateNode && current.stateNode instanceof HTMLElement) {
-          return current.stateNode;
-        }
-        // Go deeper if needed
-        if (current.child) {
-          current = current.child;
-          depth++;
-        } else if (current.sibling) {
-          current = current.sibling;
-        } else {
-          // No more nodes to check
-          break;
-        }
-      }
+/**
+ * Report a component for its element until the selection changes or is cleared
+ * @param {?Object} selection - { node, adapter, component }
+ */
+function selectComponent(selection) {
+  const previous = getSelectedComponent();
+  if (previous) componentCache.delete(previous.node);
+  setSelectedComponent(selection);
+  if (selection) componentCache.delete(selection.node);
+}
+
+// Components that render nothing cannot be highlighted; skip past them
+function findWithElement(adapter, candidates) {
+  return candidates.find((candidate) => adapter.getElement(candidate)) || null;
+}
+
+function findRelative(adapter, component, direction) {
+  if (direction === 'child') {
+    return findWithElement(adapter, adapter.getChildren(component));
+  }
 
-      return null;
+  const parent = adapter.getParent(component);
+  if (!parent) return null;
+  if (direction === 'parent') {
+    let ancestor = parent;
+    while (ancestor && !adapter.getElement(ancestor)) {
+      ancestor = adapter.getParent(ancestor);
     }
+    return ancestor;
+  }
 
-        const MAX_SERIALIZE_DEPTH = 5;
-    const MAX_ARRAY_ITEMS = 50;
-    const MAX_OBJECT_KEYS = 30;
+  const siblings = adapter.getChildren(parent);
+  const isSame = adapter.isSameComponent || ((a, b) => a === b);
+  const index = siblings.findIndex((sibling) => isSame(sibling, component));
+  if (index === -1) return null;
+  const candidates =
+    direction === 'next' ? siblings.slice(index + 1) : siblings.slice(0, index).reverse();
+  return findWithElement(adapter, candidates);
+}
 
-    function deepClone(value, depth, seen) {
-      if (depth > MAX_SERIALIZE_DEPTH) return '[...]';
-      if (value === null) return null;
-      if (value === undefined) return 'undefined';
-      if (typeof value === 'function') return '[Function: ' + (value.name || 'anonymous') + ']';
-      if (typeof value === 'symbol') return '[Symbol]';
-      if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
-        return value;
-      }
-      if (value instanceof HTMLElement || value instanceof Node) {
-        return '[' + value.constructor.name + ': ' + (value.tagName || '').toLowerCase() + ']';
-      }
-      if (typeof value !== 'object') return String(value);
+/**
+ * Select the component next to the target's one in the given direction
+ * @returns {Object} { componentTarget }: the selected component's element, or null at the
+ *   edge of the tree
+ */
+function navigateComponent({ target, direction, inspectionMode }) {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown navigation direction: ${direction}`);
+  }
 
-      // Circular reference detection
-      if (seen.has(value)) return '[Circular]';
-      seen.add(value);
+  const info = getComponentInfo(resolveTarget(target), inspectionMode || 'auto');
+  const adapter = info && getAdapter(info.adapter);
+  const component = info && (info.componentFiber || info.componentInstance);
+  if (!component || !canNavigate(adapter)) {
+    throw new Error(
+      `Tree navigation is not available for ${info ? info.framework : 'this element'}`
+    );
+  }
 
-      if (Array.isArray(value)) {
-        const result = value.slice(0, MAX_ARRAY_ITEMS).map(v => deepClone(v, depth + 1, seen));
-        if (value.length > MAX_ARRAY_ITEMS) result.push(`... +${value.length - MAX_ARRAY_ITEMS} items`);
-        seen.delete(value);
-        return result;
-      }
+  const next = findRelative(adapter, component, direction);
+  const node = next && adapter.getElement(next);
+  if (!node) {
+    return { componentTarget: null };
+  }
+  selectComponent({ node, adapter, component: next });
+  return { componentTarget: exposeElement(node) };
+}
 
-      const result = {};
-      const keys = Object.keys(value).slice(0, MAX_OBJECT_KEYS);
-      for (const key of keys) {
-        try {
-          result[key] = deepClone(value[key], depth + 1, seen);
-        } catch {
-          result[key] = '[Error reading property]';
-        }
-      }
-      const totalKeys = Object.keys(value).length;
-      if (totalKeys > MAX_OBJECT_KEYS) {
-        result['...'] = `+${totalKeys - MAX_OBJECT_KEYS} more keys`;
-      }
-      seen.delete(value);
-      return result;
-    }
+/**
+ * Go back to detecting components normally (after unpinning)
+ */
+function clearNavigation() {
+  selectComponent(null);
+  return null;
+}
+return { selectComponent, navigateComponent, clearNavigation };
+})();
 
-    function sanitizeValue(value) {
-      return deepClone(value, 0, new WeakSet());
-    }
+// src/inpage/appTree.js
+bundledModules['inpage/appTree.js'] = (function () {
+const { MAX_APP_TREE_NODES } = bundledModules['config/constants.js'];
+const { getAdapters } = bundledModules['adapters/registry.js'];
+const { exposeElement } = bundledModules['inpage/handles.js'];
+const { selectComponent } = bundledModules['inpage/navigation.js'];
+/**
+ * Whole-page component tree for the tree drawer
+ * Every adapter with getRoots() contributes its apps; children come from the same
+ * getChildren() arrow-key navigation uses. Nodes are sent as ids, resolved on demand.
+ */
 
-    function sanitizeProps(props) {
-      const sanitized = {};
-      for (const key in props) {
-        if (typeof key === 'symbol') continue;
 
-        const value = props[key];
+// Node ids from the last GET_APP_TREE, mapped to { adapter, component }
+let treeNodes = new Map();
 
-        if (key === 'children') {
-          sanitized[key] = typeof value === 'object' ? '[React Children]' : String(value);
-        } else {
-          sanitized[key] = sanitizeValue(value);
-        }
-      }
-      return sanitized;
-    }
+function canWalk(adapter) {
+  return !!(adapter.getRoots && adapter.getChildren && adapter.summarize && adapter.getElement);
+}
 
-    function detectVue2(node) {
-      try {
-        const vue = node.__vue__;
-        if (vue) {
-          const name =
-            vue.$options.name ||
-            vue.$options._componentTag ||
-            vue.$options.__name ||
-            vue.constructor?.name;
-          return {
-            framework: 'Vue 2',
-            name: name || 'Anonymous',
-            detail: vue.$options._componentTag || '',
-          };
-        }
-      } catch (e) {
-        // Silent fail
-      }
+/**
+ * Build the tree of every app on the page
+ * @returns {Object} { roots, truncated }; nodes are { id, name, framework, isUserComponent,
+ *   children }
+ */
+function getAppTree() {
+  treeNodes = new Map();
+  let truncated = false;
+
+  const walk = (adapter, component) => {
+    if (treeNodes.size >= MAX_APP_TREE_NODES) {
+      truncated = true;
       return null;
     }
-
-    function detectVue3(node) {
+    const id = `t${treeNodes.size + 1}`;
+    treeNodes.set(id, { adapter, component });
+    const children = adapter
+      .getChildren(component)
+      .map((child) => walk(adapter, child))
+      .filter(Boolean);
+    return { id, ...adapter.summarize(component), children };
+  };
+
+  const roots = [];
+  getAdapters()
+    .filter(canWalk)
+    .forEach((adapter) => {
       try {
-        let current = node;
-        let componentHierarchy = [];
-        let foundVueInstance = false;
-
-        // Try to find Vue instance in current or parent nodes
-        while (current && componentHierarchy.length < MAX_COMPONENT_HIERARCHY_DEPTH) {
-          // Check multiple Vue 3 properties
-          const vueInstance = current.__vueParentComponent || 
-                             current.__vnode || 
-                             current._vnode;
-          
-          if (vueInstance) {
-            foundVueInstance = true;
-            let instance = vueInstance.component || vueInstance;
-            
-            // Walk up the component tree
-            let depth = 0;
-            while (instance && depth < MAX_COMPONENT_HIERARCHY_DEPTH) {
-              const component = instance.type;
-              if (component) {
-                const name = component.name || component.__name || component.displayName;
-
-                // Filter out framework components and fragments
-                if (name && 
-                    !name.startsWith('_') &&
-                    name !== 'Fragment' &&
-                    name !== 'Teleport' &&
-                    name !== 'KeepAlive' &&
-                    name !== 'Suspense' &&
-                    name !== 'Transition' &&
-                    name !== 'TransitionGroup') {
-                  
-                  const fileName = component.__file || '';
-                  
-                  // Check if it's a user component
-                  const isFromNodeModules = fileName.includes('node_modules') || 
-                                           fileName.includes('/vue/') ||
-                                           fileName.includes('\\vue\\');
-                  const isFromUserCode = fileName && (
-                    fileName.includes('/src/') ||
-                    fileName.includes('\\src\\') ||
-                    fileName.includes('/components/') ||
-                    fileName.includes('\\components\\') ||
-                    fileName.includes('/app/') ||
-                    fileName.includes('\\app\\')
-                  );
-
-                  // Known Vue framework components
-                  const knownFrameworkComponents = [
-                    'RouterView', 'RouterLink', 'NuxtLink', 'NuxtPage', 'NuxtLayout',
-                    'ClientOnly', 'ServerOnly', 'Teleport', 'KeepAlive', 'Suspense'
-                  ];
-                  const isKnownFramework = knownFrameworkComponents.includes(name);
-
-                  // Calculate score
-                  let score = 0;
-                  if (isFromUserCode && !isFromNodeModules) score += 10;
-                  if (!isKnownFramework) score += 5;
-                  if (component.setup) score += 3;
-                  if (instance.props && Object.keys(instance.props).length > 0) score += 2;
-
-                  const isUserComponent = score >= 8;
-
-                  componentHierarchy.push({
-                    name,
-                    isUserComponent,
-                    score,
-                    fileName,
-                  });
-                }
-              }
-
-              instance = instance.parent;
-              depth++;
-            }
+        adapter.getRoots().forEach((component) => {
+          const node = walk(adapter, component);
+          if (node) roots.push(node);
+        });
+      } catch (e) {
+        // Silent fail - framework internals differ between versions
+      }
+    });
+  return { roots, truncated };
+}
 
-            // If we found components, return the best one
-            if (componentHierarchy.length > 0) {
-              const userComponents = componentHierarchy.filter(c => c.isUserComponent);
-              const targetComponent = userComponents[userComponents.length - 1] || componentHierarchy[0];
-
-              return {
-                framework: 'Vue 3',
-                name: targetComponent.name,
-                detail: targetComponent.fileName || '',
-                isUserComponent: targetComponent.isUserComponent,
-                hierarchy: componentHierarchy.map(c => c.name),
-              };
-            }
-          }
+/**
+ * The element of a tree node, optionally selecting its component for the panel
+ * @returns {Object} { componentTarget }; null when the component renders no element
+ */
+function resolveTreeNode({ nodeId, select }) {
+  const entry = treeNodes.get(nodeId);
+  if (!entry) {
+    throw new Error('The component tree is out of date; refresh it');
+  }
 
-          // Try parent element
-          current = current.parentElement;
-          componentHierarchy = []; // Reset for next parent node
-          if (!current || current === document.body || current === document.documentElement) {
-            break;
-          }
-        }
+  const node = entry.adapter.getElement(entry.component);
+  if (!node || !node.isConnected) {
+    return { componentTarget: null };
+  }
+  if (select) {
+    selectComponent({ node, adapter: entry.adapter, component: entry.component });
+  }
+  return { componentTarget: exposeElement(node) };
+}
+return { getAppTree, resolveTreeNode };
+})();
 
-        // If we found a Vue instance but no valid components, return a default
-        if (foundVueInstance) {
-          return {
-            framework: 'Vue 3',
-            name: 'Vue Component',
-            detail: '',
-            isUserComponent: false,
-          };
-        }
-      } catch (e) {
-        // Silent fail - Vue detection errors are expected on non-Vue pages
-      }
-      return null;
-    }
+// src/inpage/profiler.js
+bundledModules['inpage/profiler.js'] = (function () {
+const { addCommitListener, removeCommitListener } = bundledModules['inpage/commits.js'];
+/**
+ * React render profiler
+ * Records commits while recording and keeps the last RENDER_HISTORY_SIZE
+ * renders per component.
+ */
 
-    function detectAngular(node) {
-      try {
-        if (window.ng && window.ng.getComponent) {
-          const component = window.ng.getComponent(node);
-          if (component) {
-            const name = component.constructor?.name || 'Anonymous';
-            return {
-              framework: 'Angular',
-              name,
-              detail: '',
-            };
-          }
-        }
 
-        if (node.__ngContext__) {
-          const context = node.__ngContext__;
-          if (Array.isArray(context) && context[8]) {
-            const component = context[8];
-            const name = component.constructor?.name || 'Anonymous';
-            return {
-              framework: 'Angular',
-              name,
-              detail: '',
-            };
-          }
-        }
-      } catch (e) {
-        // Silent fail
+const RENDER_HISTORY_SIZE = 30;
+const MAX_PROFILED_FIBERS_PER_COMMIT = 10000;
+const PERFORMED_WORK_FLAG = 1;
+
+const profiler = {
+  recording: false,
+  commitCount: 0,
+};
+// Keyed by both fibers of a component (current and alternate)
+let renderStats = new WeakMap();
+
+function createRingBuffer(capacity) {
+  const items = [];
+  let start = 0;
+  return {
+    push(item) {
+      if (items.length < capacity) {
+        items.push(item);
+      } else {
+        items[start] = item;
+        start = (start + 1) % capacity;
       }
-      return null;
+    },
+    toArray() {
+      return items.slice(start).concat(items.slice(0, start));
+    },
+  };
+}
+
+function isComponentFiber(fiber) {
+  return typeof fiber.type === 'function' || typeof fiber.type?.render === 'function';
+}
+
+function didFiberRender(fiber) {
+  if (!fiber.alternate) return true; // Mount
+  const flags = fiber.flags !== undefined ? fiber.flags : fiber.effectTag;
+  return (flags & PERFORMED_WORK_FLAG) === PERFORMED_WORK_FLAG;
+}
+
+const MAX_RENDER_CAUSES = 12;
+
+function isObjectLike(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!isObjectLike(a) || !isObjectLike(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => Object.is(a[key], b[key]));
+}
+
+function describeChangedKeys(prefix, next, prev, causes) {
+  const keys = new Set([...Object.keys(next || {}), ...Object.keys(prev || {})]);
+  keys.forEach((key) => {
+    if (Object.is(next?.[key], prev?.[key])) return;
+    if (!prev || !(key in prev)) {
+      causes.push(`${prefix}.${key} added`);
+    } else if (!next || !(key in next)) {
+      causes.push(`${prefix}.${key} removed`);
+    } else if (shallowEqual(next[key], prev[key])) {
+      causes.push(`${prefix}.${key} changed identity (shallow-equal)`);
+    } else {
+      causes.push(`${prefix}.${key} changed`);
     }
+  });
+}
+
+function getStatefulHookKind(hook) {
+  const reducer = hook.queue.lastRenderedReducer;
+  if (reducer && reducer.name && reducer.name !== 'basicStateReducer') return 'useReducer';
+  return hook.queue.getSnapshot ? 'useSyncExternalStore' : 'useState';
+}
+
+function getContextValues(fiber) {
+  const values = new Map();
+  let dependency = fiber.dependencies?.firstContext;
+  while (dependency) {
+    values.set(dependency.context, dependency.memoizedValue);
+    dependency = dependency.next;
+  }
+  return values;
+}
 
-    function detectWebComponent(node) {
-      try {
-        const tagName = node.tagName?.toLowerCase();
-        if (tagName && tagName.includes('-')) {
-          const constructor = window.customElements?.get(tagName);
-          if (constructor) {
-            return {
-              framework: 'Web Component',
-              name: constructor.name || tagName,
-              detail: node.shadowRoot ? 'Shadow DOM' : '',
-            };
-          }
-          if (node.shadowRoot || node.constructor.name !== 'HTMLElement') {
-            return {
-              framework: 'Web Component',
-              name: node.constructor.name || tagName,
-              detail: node.shadowRoot ? 'Shadow DOM' : '',
-            };
-          }
-        }
-      } catch (e) {
-        // Silent fail
-      }
-      return null;
-    }
+/**
+ * Compare a committed fiber with its alternate to explain why it rendered
+ */
+function explainRender(fiber) {
+  const prev = fiber.alternate;
+  if (!prev) return { causes: ['Mounted'], nothingChanged: false };
 
-    return function (node) {
-      if (!node || !(node instanceof HTMLElement)) {
-        return null;
-      }
+  const causes = [];
 
-      const detectors = [detectReact, detectVue3, detectVue2, detectAngular, detectWebComponent];
+  if (fiber.memoizedProps !== prev.memoizedProps) {
+    describeChangedKeys('props', fiber.memoizedProps, prev.memoizedProps, causes);
+  }
 
-      for (const detector of detectors) {
-        const result = detector(node);
-        if (result) {
-          return result;
-        }
+  if (fiber.type?.prototype?.isReactComponent) {
+    describeChangedKeys('state', fiber.memoizedState, prev.memoizedState, causes);
+  } else {
+    let hook = fiber.memoizedState;
+    let prevHook = prev.memoizedState;
+    let index = 0;
+    while (hook && prevHook) {
+      if (hook.queue && !Object.is(hook.memoizedState, prevHook.memoizedState)) {
+        causes.push(`hook #${index} ${getStatefulHookKind(hook)} changed`);
       }
+      hook = hook.next;
+      prevHook = prevHook.next;
+      index++;
+    }
+  }
 
-      return null;
-    };
-  })();
+  const prevContexts = getContextValues(prev);
+  getContextValues(fiber).forEach((value, context) => {
+    if (prevContexts.has(context) && !Object.is(value, prevContexts.get(context))) {
+      causes.push(`${context.displayName || 'Context'} value changed`);
+    }
+  });
 
-  // Cache for component detection
-  const componentCache = new WeakMap();
-  const CACHE_DURATION = 1000; // 1 second
+  return { causes: causes.slice(0, MAX_RENDER_CAUSES), nothingChanged: causes.length === 0 };
+}
 
-  /**
-   * Get XPath for an element (inline implementation for injected script)
-   * Note: Cannot import from utils as this runs in page context
-   * This is a duplicate of domHelpers.getXPath but necessary for the injected context
-   */
-  function getXPath(element) {
-    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-      return '';
+function getStatsFor(fiber) {
+  let stats = renderStats.get(fiber) || (fiber.alternate && renderStats.get(fiber.alternate));
+  if (!stats) {
+    stats = { count: 0, renders: createRingBuffer(RENDER_HISTORY_SIZE) };
+  }
+  renderStats.set(fiber, stats);
+  if (fiber.alternate) renderStats.set(fiber.alternate, stats);
+  return stats;
+}
+
+function recordCommit(root) {
+  const timestamp = Date.now();
+  const stack = root?.current ? [root.current] : [];
+  let visited = 0;
+
+  while (stack.length > 0 && visited < MAX_PROFILED_FIBERS_PER_COMMIT) {
+    const fiber = stack.pop();
+    visited++;
+
+    if (isComponentFiber(fiber) && didFiberRender(fiber)) {
+      const stats = getStatsFor(fiber);
+      stats.count++;
+      stats.renders.push({
+        duration: fiber.actualDuration || 0,
+        selfDuration: fiber.selfBaseDuration || 0,
+        timestamp,
+        ...explainRender(fiber),
+      });
     }
 
-    if (element.id) {
-      return `//*[@id="${element.id}"]`;
+    // Subtrees React bailed out of keep the previous child list; nothing rendered there
+    if (fiber.child && !(fiber.alternate && fiber.child === fiber.alternate.child)) {
+      stack.push(fiber.child);
     }
+    if (fiber.sibling) stack.push(fiber.sibling);
+  }
+  profiler.commitCount++;
+}
 
-    const parts = [];
-    let currentElement = element;
-    
-    while (currentElement && currentElement.nodeType === Node.ELEMENT_NODE) {
-      let index = 1; // XPath index starts at 1
-      let sibling = currentElement.previousSibling;
+function startProfiling() {
+  if (profiler.recording) return { recording: true };
 
-      while (sibling) {
-        if (sibling.nodeType === Node.ELEMENT_NODE && sibling.nodeName === currentElement.nodeName) {
-          index++;
-        }
-        sibling = sibling.previousSibling;
-      }
+  addCommitListener(recordCommit);
+  profiler.commitCount = 0;
+  renderStats = new WeakMap();
+  profiler.recording = true;
+  return { recording: true };
+}
 
-      const tagName = currentElement.nodeName.toLowerCase();
-      const pathIndex = index > 1 ? `[${index}]` : '';
-      parts.unshift(`${tagName}${pathIndex}`);
-      currentElement = currentElement.parentNode;
-    }
+function stopProfiling() {
+  removeCommitListener(recordCommit);
+  profiler.recording = false;
+  return { recording: false };
+}
 
-    return parts.length ? `/${parts.join('/')}` : '';
-  }
+/**
+ * Summarize recorded renders for a component fiber
+ */
+function getRenderStats(fiber) {
+  const stats = fiber && (renderStats.get(fiber) || renderStats.get(fiber.alternate));
+  const renders = stats ? stats.renders.toArray() : [];
+  const durations = renders.map((render) => render.duration);
+  const total = durations.reduce((sum, duration) => sum + duration, 0);
+  const lastRender = renders[renders.length - 1];
+
+  return {
+    recording: profiler.recording,
+    commitCount: profiler.commitCount,
+    count: stats ? stats.count : 0,
+    last: durations.length ? durations[durations.length - 1] : null,
+    avg: durations.length ? total / durations.length : null,
+    max: durations.length ? Math.max(...durations) : null,
+    lastSelf: lastRender ? lastRender.selfDuration : null,
+    samples: durations,
+    lastCauses: lastRender ? lastRender.causes : [],
+    lastNothingChanged: lastRender ? lastRender.nothingChanged : false,
+    nothingChangedCount: renders.filter((render) => render.nothingChanged).length,
+  };
+}
+return { startProfiling, stopProfiling, getRenderStats };
+})();
 
-  /**
-   * Get component info for a DOM node with caching
-   * Supports both framework detection and plain HTML mode
-   */
-  function getComponentInfo(node, mode = 'auto') {
-    if (!node) return null;
+// src/inpage/session.js
+bundledModules['inpage/session.js'] = (function () {
+const { MESSAGE_TYPES, RPC_PROTOCOL_VERSION, RPC_SOURCES } = bundledModules['config/constants.js'];
+/**
+ * Page-world end of the content <-> inpage RPC channel
+ * The content script transfers a MessagePort in one CONNECT window message; requests, replies
+ * and events then go over that port only.
+ */
 
-    // Check cache (only for auto/framework modes)
-    if (
-      mode === 'auto' ||
-      mode === 'react' ||
-      mode === 'vue2' ||
-      mode === 'vue3' ||
-      mode === 'angular'
-    ) {
-      const cached = componentCache.get(node);
-      if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-        return cached.data;
-      }
-    }
 
-    let info = null;
+// One-time token from the injecting <script> tag, sent back once over the port to prove this
+// script is the one the content script injected. Read it synchronously: currentScript is only
+// set while this file first executes.
+const connectToken = document.currentScript?.dataset.hovercompToken || null;
+if (connectToken) {
+  document.currentScript.removeAttribute('data-hovercomp-token');
+}
 
-    // HTML mode - skip framework detection
-    if (mode === 'html') {
-      // Return null to let content script handle HTML mode formatting
-      // (We can't import htmlHelpers.js here as it's in isolated world)
-      return null;
-    }
+let port = null;
 
-    // Detect component (framework mode)
-    info = detectComponent(node);
-
-    // Add CSS information
-    if (info && node instanceof HTMLElement) {
-      const styles = window.getComputedStyle(node);
-      const cssInfo = {
-        classes: Array.from(node.classList),
-        styles: {
-          display: styles.display || '',
-          position: styles.position || '',
-          width: styles.width || '',
-          height: styles.height || '',
-          margin: styles.margin || '',
-          padding: styles.padding || '',
-          backgroundColor: styles.backgroundColor || '',
-          color: styles.color || '',
-          fontSize: styles.fontSize || '',
-          fontFamily: styles.fontFamily || '',
-          border: styles.border || '',
-          borderRadius: styles.borderRadius || '',
-          flexDirection: styles.flexDirection || '',
-          justifyContent: styles.justifyContent || '',
-          alignItems: styles.alignItems || '',
-          gridTemplateColumns: styles.gridTemplateColumns || '',
-          zIndex: styles.zIndex || '',
-        },
-        inlineStyles: node.style.cssText || '',
-      };
+// Options page settings for this origin, handed over on the same tag
+const initialSettings = readInitialSettings();
 
-      // Find which stylesheets contribute to this element
-      const matchedRules = [];
-      try {
-        for (const sheet of document.styleSheets) {
-          try {
-            for (const rule of sheet.cssRules || []) {
-              if (rule instanceof CSSStyleRule && node.matches(rule.selectorText)) {
-                matchedRules.push({
-                  selector: rule.selectorText,
-                  source: sheet.href || 'inline',
-                  styles: rule.style.cssText,
-                });
-              }
-            }
-          } catch (e) {
-            // Cross-origin stylesheet
-          }
-        }
-      } catch (e) {
-        // Silent fail
-      }
+function readInitialSettings() {
+  try {
+    return JSON.parse(document.currentScript?.dataset.hovercompSettings || 'null');
+  } catch (e) {
+    return null;
+  }
+}
 
-      cssInfo.matchedRules = matchedRules;
-      info.css = cssInfo;
-    }
+/**
+ * Wait for the content script's port and pass each request on it to onRequest
+ * @param {Function} onRequest - Called with each request message
+ * @returns {boolean} False when this script wasn't injected by the content script
+ */
+function listenForConnection(onRequest) {
+  if (!connectToken) return false;
 
-    // Cache result (only for framework modes)
-    if (mode !== 'html') {
-      componentCache.set(node, {
-        data: info,
-        timestamp: Date.now(),
-      });
+  function accept(event) {
+    const message = event.data;
+    if (
+      event.source !== window ||
+      !message ||
+      message.source !== RPC_SOURCES.CONTENT ||
+      message.type !== MESSAGE_TYPES.RPC_CONNECT ||
+      !event.ports[0]
+    ) {
+      return;
     }
+    // Keep later listeners from seeing the port
+    event.stopImmediatePropagation();
+    window.removeEventListener('message', accept, true);
 
-    return info;
+    port = event.ports[0];
+    port.onmessage = (portEvent) => onRequest(portEvent.data);
+    port.postMessage({ type: MESSAGE_TYPES.RPC_CONNECTED, token: connectToken });
   }
 
-  /**
-   * Listen for messages from content script
-   */
-  window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
+  window.addEventListener('message', accept, true);
+  return true;
+}
 
-    if (event.data.type === 'INVALIDATE_CACHE') {
-      // Invalidate cache for specific element
-      const { targetPath } = event.data;
+/**
+ * Reply to a request from the content script
+ */
+function respond(request, type, fields) {
+  port?.postMessage({ version: RPC_PROTOCOL_VERSION, id: request.id, type, ...fields });
+}
 
-      try {
-        let element = null;
-        if (targetPath) {
-          element = document.evaluate(
-            targetPath,
-            document,
-            null,
-            XPathResult.FIRST_ORDERED_NODE_TYPE,
-            null
-          ).singleNodeValue;
-        }
+/**
+ * Post an event (no request ID) to the content script
+ */
+function emitEvent(type, payload) {
+  port?.postMessage({ version: RPC_PROTOCOL_VERSION, type, payload });
+}
+return { initialSettings, listenForConnection, respond, emitEvent };
+})();
 
-        if (element) {
-          componentCache.delete(element);
-        }
-      } catch (e) {
-        // Silent fail
-      }
-    } else if (event.data.type === 'GET_COMPONENT_INFO') {
-      const { targetPath, inspectionMode } = event.data;
+// src/inpage/watch.js
+bundledModules['inpage/watch.js'] = (function () {
+const { MESSAGE_TYPES } = bundledModules['config/constants.js'];
+const { getAdapter } = bundledModules['adapters/registry.js'];
+const { detectComponent, snapshotComponent } = bundledModules['inpage/detect.js'];
+const { resolveTarget } = bundledModules['inpage/handles.js'];
+const { emitEvent } = bundledModules['inpage/session.js'];
+/**
+ * Component watch (History timeline of the pinned component)
+ * Each adapter's subscribeToUpdates() says when the component changed; the
+ * snapshot is re-read and posted as COMPONENT_CHANGED if it differs.
+ */
 
-      // Resolve element from path
-      let element = null;
-      try {
-        if (targetPath) {
-          element = document.evaluate(
-            targetPath,
-            document,
-            null,
-            XPathResult.FIRST_ORDERED_NODE_TYPE,
-            null
-          ).singleNodeValue;
-        }
-      } catch (e) {
-        // Silent fail
-      }
 
-      const componentInfo = element ? getComponentInfo(element, inspectionMode || 'auto') : null;
+let activeWatch = null;
+let nextWatchId = 1;
 
-      // Add React component DOM node XPath if available
-      let reactComponentXPath = null;
-      if (componentInfo && componentInfo.componentDomNode) {
-        reactComponentXPath = getXPath(componentInfo.componentDomNode);
-        // Remove the componentDomNode before sending (can't clone HTML elements)
-        delete componentInfo.componentDomNode;
-      }
+function readWatchedComponent(watch) {
+  return snapshotComponent(watch.adapter, watch.component, watch.framework);
+}
 
-      // Send response back
-      window.postMessage(
-        {
-          type: 'COMPONENT_INFO_RESPONSE',
-          componentInfo,
-          reactComponentXPath,
-        },
-        '*'
-      );
-    } else if (event.data.type === 'UPDATE_HOOK') {
-      // Handle hook updates (current component)
-      const { targetPath, hookIndex, newValue } = event.data;
+function reportChange(watch, snapshot = readWatchedComponent(watch)) {
+  if (activeWatch !== watch) return;
 
-      try {
-        let element = null;
-        if (targetPath) {
-          element = document.evaluate(
-            targetPath,
-            document,
-            null,
-            XPathResult.FIRST_ORDERED_NODE_TYPE,
-            null
-          ).singleNodeValue;
-        }
+  const serialized = JSON.stringify(snapshot);
+  if (serialized === watch.lastSerialized) return;
+  watch.lastSerialized = serialized;
+  emitEvent(MESSAGE_TYPES.COMPONENT_CHANGED, { watchId: watch.id, snapshot });
+}
 
-        if (element) {
-          const fiberKey = Object.keys(element).find((key) => key.startsWith('__reactFiber'));
-          if (fiberKey) {
-            const fiber = element[fiberKey];
-
-            // Find the component fiber
-            let componentFiber = fiber;
-            while (componentFiber) {
-              if (componentFiber.type && typeof componentFiber.type === 'function') {
-                // Navigate to the specific hook
-                let hook = componentFiber.memoizedState;
-                let currentIndex = 0;
-
-                while (hook && currentIndex <= hookIndex) {
-                  if (currentIndex === hookIndex) {
-                    // Found the target hook, update it
-                    const parsedValue = parseValue(newValue);
-
-                    // Update the memoizedState
-                    hook.memoizedState = parsedValue;
-
-                    // Also update baseState if it exists
-                    if (hook.baseState !== undefined) {
-                      hook.baseState = parsedValue;
-                    }
+/**
+ * Start reporting changes to the component that owns the target element.
+ * Only one component is watched at a time (the pinned one).
+ */
+function startWatch({ target }) {
+  stopWatch();
+
+  const info = detectComponent(resolveTarget(target));
+  const component = info && (info.componentFiber || info.componentInstance);
+  const adapter = info && getAdapter(info.adapter);
+  if (!component || !adapter || !adapter.subscribeToUpdates) {
+    throw new Error(`History is not available for ${info ? info.framework : 'this element'}`);
+  }
 
-                    // Try to find and call the setState function
-                    if (hook.queue && hook.queue.dispatch) {
-                      try {
-                        // Temporarily suppress React warnings
-                        const originalError = console.error;
-                        console.error = (...args) => {
-                          if (args[0]?.includes?.('optimistic state update')) {
-                            return; // Suppress this specific warning
-                          }
-                          originalError.apply(console, args);
-                        };
-
-                        try {
-                          // Also update alternate fiber BEFORE dispatch
-                          if (componentFiber.alternate && componentFiber.alternate.memoizedState) {
-                            let altHook = componentFiber.alternate.memoizedState;
-                            let altIndex = 0;
-                            while (altHook && altIndex < hookIndex) {
-                              altHook = altHook.next;
-                              altIndex++;
-                            }
-                            if (altHook && altIndex === hookIndex) {
-                              altHook.memoizedState = parsedValue;
-                              if (altHook.baseState !== undefined) {
-                                altHook.baseState = parsedValue;
-                              }
-                            }
-                          }
-
-                          // Mark fiber as needing update
-                          componentFiber.lanes = 1;
-                          if (componentFiber.alternate) {
-                            componentFiber.alternate.lanes = 1;
-                          }
-
-                          // Schedule update on root fiber
-                          let rootFiber = componentFiber;
-                          while (rootFiber.return) {
-                            rootFiber = rootFiber.return;
-                          }
-
-                          // Try to get React's scheduler
-                          const fiberRoot = rootFiber.stateNode;
-                          if (fiberRoot && fiberRoot.current) {
-                            // Mark root as having pending updates
-                            if (typeof fiberRoot.ensureRootIsScheduled === 'function') {
-                              fiberRoot.ensureRootIsScheduled(fiberRoot);
-                            }
-                          }
-
-                          // Call dispatch to trigger re-render
-                          hook.queue.dispatch(parsedValue);
-
-                          window.postMessage({ type: 'UPDATE_SUCCESS' }, '*');
-                          return;
-                        } finally {
-                          // Restore console.error
-                          console.error = originalError;
-                        }
-                      } catch (err) {
-                        // Silent fail
-                      }
-                    }
+  const watch = {
+    id: nextWatchId++,
+    framework: info.framework,
+    adapter,
+    component,
+    lastSerialized: null,
+    stop: null,
+  };
+  watch.stop = adapter.subscribeToUpdates(component, (snapshot) => reportChange(watch, snapshot), {
+    framework: info.framework,
+    read: () => readWatchedComponent(watch),
+  });
 
-                    // Fallback: Force update using React internals
-                    hook.memoizedState = parsedValue;
-                    if (hook.baseState !== undefined) {
-                      hook.baseState = parsedValue;
-                    }
+  const snapshot = readWatchedComponent(watch);
+  watch.lastSerialized = JSON.stringify(snapshot);
+  activeWatch = watch;
+  return { watchId: watch.id, snapshot };
+}
 
-                    // Mark both fibers for update
-                    componentFiber.lanes = 1;
-                    if (componentFiber.alternate) {
-                      componentFiber.alternate.lanes = 1;
-
-                      // Update alternate hook too
-                      let altHook = componentFiber.alternate.memoizedState;
-                      let altIndex = 0;
-                      while (altHook && altIndex < hookIndex) {
-                        altHook = altHook.next;
-                        altIndex++;
-                      }
-                      if (altHook && altIndex === hookIndex) {
-                        altHook.memoizedState = parsedValue;
-                        if (altHook.baseState !== undefined) {
-                          altHook.baseState = parsedValue;
-                        }
-                      }
-                    }
+function stopWatch() {
+  if (activeWatch) {
+    activeWatch.stop();
+    activeWatch = null;
+  }
+  return null;
+}
+return { startWatch, stopWatch };
+})();
 
-                    // Force schedule update on root
-                    let rootFiber = componentFiber;
-                    while (rootFiber.return) {
-                      rootFiber = rootFiber.return;
-                    }
-                    const fiberRoot = rootFiber.stateNode;
-                    if (fiberRoot && fiberRoot.current) {
-                      try {
-                        // Try to schedule update
-                        if (typeof fiberRoot.ensureRootIsScheduled === 'function') {
-                          fiberRoot.ensureRootIsScheduled(fiberRoot);
-                        }
-
-                        // Try to mark as having pending work
-                        if (
-                          fiberRoot.callbackNode === null &&
-                          typeof fiberRoot.scheduleRefresh === 'function'
-                        ) {
-                          fiberRoot.scheduleRefresh();
-                        }
-                      } catch (e) {
-                        // Silent fail
-                      }
-                    }
+// src/inpage/index.js
+bundledModules['inpage/index.js'] = (function () {
+const { MESSAGE_TYPES, RPC_PROTOCOL_VERSION, RPC_RESPONSE_TYPES } = bundledModules['config/constants.js'];
+const { applySettings } = bundledModules['config/settings.js'];
+const { registerAdapter, getAdapter } = bundledModules['adapters/registry.js'];
+const { componentCache, clearComponentCache, getComponentInfo } = bundledModules['inpage/componentInfo.js'];
+const { updateHookValue, updateStateValue, updatePropValue, resetOverride } = bundledModules['inpage/editing.js'];
+const { exposeElement, resolveTarget } = bundledModules['inpage/handles.js'];
+const { navigateComponent, clearNavigation } = bundledModules['inpage/navigation.js'];
+const { getAppTree, resolveTreeNode } = bundledModules['inpage/appTree.js'];
+const { startProfiling, stopProfiling, getRenderStats } = bundledModules['inpage/profiler.js'];
+const { initialSettings, listenForConnection, respond, emitEvent } = bundledModules['inpage/session.js'];
+const { onSourcesResolved } = bundledModules['inpage/sourceMaps.js'];
+const { startWatch, stopWatch } = bundledModules['inpage/watch.js'];
+/**
+ * Page-world entry point: answers the content script's RPC requests
+ * Bundled into src/inpage.js by build-inpage.js.
+ */
 
-                    window.postMessage({ type: 'UPDATE_SUCCESS' }, '*');
-                    return;
-                  }
-                  hook = hook.next;
-                  currentIndex++;
-                }
-                break;
-              }
-              componentFiber = componentFiber.return;
-            }
 
-            window.postMessage({ type: 'UPDATE_ERROR', error: 'Hook not found' }, '*');
-          }
-        }
-      } catch (e) {
-        window.postMessage({ type: 'UPDATE_ERROR', error: e.message }, '*');
-      }
-    } else if (event.data.type === 'UPDATE_STATE') {
-      // Handle state updates (class component state)
-      const { targetPath, stateKey, newValue } = event.data;
+// Pages can ship their own adapters: window.__HOVERCOMP_ADAPTERS__ = [adapter, ...]
+const PAGE_ADAPTERS_GLOBAL = '__HOVERCOMP_ADAPTERS__';
 
-      try {
-        let element = null;
-        if (targetPath) {
-          element = document.evaluate(
-            targetPath,
-            document,
-            null,
-            XPathResult.FIRST_ORDERED_NODE_TYPE,
-            null
-          ).singleNodeValue;
-        }
+/**
+ * Request handlers keyed by MESSAGE_TYPES request type.
+ * Each returns the response payload or throws to reject the caller's promise.
+ */
+const requestHandlers = {
+  INVALIDATE_CACHE({ target }) {
+    componentCache.delete(resolveTarget(target));
+    return null;
+  },
+
+  GET_COMPONENT_INFO({ target, inspectionMode }) {
+    const element = resolveTarget(target);
+    const info = getComponentInfo(element, inspectionMode || 'auto');
+    if (!info) {
+      return { componentInfo: null, componentTarget: null };
+    }
 
-        if (element) {
-          const fiberKey = Object.keys(element).find((key) => key.startsWith('__reactFiber'));
-          if (fiberKey) {
-            const fiber = element[fiberKey];
+    // The cached info keeps its DOM node, fiber and instance; send a copy without them (not cloneable)
+    const { componentDomNode, componentFiber, ...componentInfo } = info;
+    delete componentInfo.componentInstance;
+    if (componentFiber) {
+      componentInfo.renders = getRenderStats(componentFiber);
+    }
+    if (info.componentInstance) {
+      const adapter = getAdapter(info.adapter);
+      componentInfo.overrides = adapter?.getOverrides
+        ? adapter.getOverrides(info.componentInstance)
+        : [];
+    }
+    return {
+      componentInfo,
+      componentTarget: componentDomNode ? exposeElement(componentDomNode) : null,
+    };
+  },
+
+  UPDATE_HOOK: updateHookValue,
+  UPDATE_STATE: updateStateValue,
+  UPDATE_PROP: updatePropValue,
+  RESET_OVERRIDE: resetOverride,
+  PROFILER_START: startProfiling,
+  PROFILER_STOP: stopProfiling,
+  WATCH_START: startWatch,
+  WATCH_STOP: stopWatch,
+  NAVIGATE_COMPONENT: navigateComponent,
+  CLEAR_NAVIGATION: clearNavigation,
+  GET_APP_TREE: getAppTree,
+  RESOLVE_TREE_NODE: resolveTreeNode,
+
+  APPLY_SETTINGS({ settings }) {
+    applySettings(settings);
+    clearComponentCache();
+    return null;
+  },
+};
 
-            // Find the component fiber with state
-            let componentFiber = fiber;
-            while (componentFiber) {
-              if (
-                componentFiber.stateNode &&
-                componentFiber.stateNode.state &&
-                stateKey in componentFiber.stateNode.state
-              ) {
-                // Found the component with state
-                const parsedValue = parseValue(newValue);
-
-                // Update the state
-                const newState = { ...componentFiber.stateNode.state, [stateKey]: parsedValue };
-                componentFiber.stateNode.state = newState;
-
-                // Try to use setState if available
-                if (typeof componentFiber.stateNode.setState === 'function') {
-                  componentFiber.stateNode.setState({ [stateKey]: parsedValue });
-                  window.postMessage({ type: 'UPDATE_SUCCESS' }, '*');
-                  return;
-                }
+/**
+ * Register adapters the page queued before this script ran, and any it pushes later.
+ * Page adapters are tried before the built-in ones.
+ */
+function registerPageAdapters() {
+  const register = (adapter) => {
+    try {
+      registerAdapter(adapter, { prepend: true });
+    } catch (e) {
+      console.warn('[HoverComp] Ignoring framework adapter:', e.message);
+    }
+  };
 
-                // Fallback: Update memoizedState and force re-render
-                if (componentFiber.memoizedState) {
-                  componentFiber.memoizedState = newState;
-                }
+  const queued = window[PAGE_ADAPTERS_GLOBAL];
+  if (Array.isArray(queued)) {
+    queued.forEach(register);
+  }
+  window[PAGE_ADAPTERS_GLOBAL] = {
+    push: (...adapters) => adapters.forEach(register),
+  };
+}
 
-                // Update alternate fiber
-                if (componentFiber.alternate) {
-                  if (componentFiber.alternate.stateNode) {
-                    componentFiber.alternate.stateNode.state = newState;
-                  }
-                  if (componentFiber.alternate.memoizedState) {
-                    componentFiber.alternate.memoizedState = newState;
-                  }
-                }
+/**
+ * Answer an RPC request from the content script
+ */
+function handleRequest(request) {
+  if (!request || request.id === undefined) return;
+
+  if (request.version !== RPC_PROTOCOL_VERSION) {
+    respond(request, MESSAGE_TYPES.UPDATE_ERROR, {
+      error: `Protocol version mismatch (page ${RPC_PROTOCOL_VERSION}, content ${request.version})`,
+    });
+    return;
+  }
 
-                // Mark for update and schedule
-                componentFiber.lanes = 1;
-                if (componentFiber.alternate) {
-                  componentFiber.alternate.lanes = 1;
-                }
+  const handler = requestHandlers[request.type];
+  if (!handler) {
+    respond(request, MESSAGE_TYPES.UPDATE_ERROR, {
+      error: `Unknown request type: ${request.type}`,
+    });
+    return;
+  }
 
-                // Schedule update on root
-                let rootFiber = componentFiber;
-                while (rootFiber.return) {
-                  rootFiber = rootFiber.return;
-                }
-                const fiberRoot = rootFiber.stateNode;
-                if (fiberRoot && fiberRoot.current) {
-                  try {
-                    if (typeof fiberRoot.ensureRootIsScheduled === 'function') {
-                      fiberRoot.ensureRootIsScheduled(fiberRoot);
-                    }
-                  } catch (e) {
-                    console.log('[HoverComp] Could not schedule root update:', e.message);
-                  }
-                }
+  try {
+    const payload = handler(request.payload || {});
+    respond(request, RPC_RESPONSE_TYPES[request.type], { payload });
+  } catch (e) {
+    respond(request, MESSAGE_TYPES.UPDATE_ERROR, { error: e.message || String(e), code: e.code });
+  }
+}
 
-                console.log('[HoverComp] State updated (fallback method)');
-                window.postMessage({ type: 'UPDATE_SUCCESS' }, '*');
-                return;
-              }
-              componentFiber = componentFiber.return;
-            }
+if (listenForConnection(handleRequest)) {
+  if (initialSettings) {
+    applySettings(initialSettings);
+  }
+  registerPageAdapters();
 
-            window.postMessage({ type: 'UPDATE_ERROR', error: 'State not found' }, '*');
-          }
-        }
-      } catch (e) {
-        window.postMessage({ type: 'UPDATE_ERROR', error: e.message }, '*');
-      }
-    }
+  // Cached info still has minified names; let the content script re-request it
+  onSourcesResolved(() => {
+    clearComponentCache();
+    emitEvent(MESSAGE_TYPES.SOURCES_RESOLVED, null);
   });
-
-  function parseValue(value) {
-    try {
-      return JSON.parse(value);
-    } catch {
-      return value;
-    }
-  }
+}
+return {  };
+})();
 })();
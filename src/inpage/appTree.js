@@ -0,0 +1,76 @@
+/**
+ * Whole-page component tree for the tree drawer
+ * Every adapter with getRoots() contributes its apps; children come from the same
+ * getChildren() arrow-key navigation uses. Nodes are sent as ids, resolved on demand.
+ */
+
+import { MAX_APP_TREE_NODES } from '../config/constants.js';
+import { getAdapters } from '../adapters/registry.js';
+import { exposeElement } from './handles.js';
+import { selectComponent } from './navigation.js';
+
+// Node ids from the last GET_APP_TREE, mapped to { adapter, component }
+let treeNodes = new Map();
+
+function canWalk(adapter) {
+  return !!(adapter.getRoots && adapter.getChildren && adapter.summarize && adapter.getElement);
+}
+
+/**
+ * Build the tree of every app on the page
+ * @returns {Object} { roots, truncated }; nodes are { id, name, framework, isUserComponent,
+ *   children }
+ */
+export function getAppTree() {
+  treeNodes = new Map();
+  let truncated = false;
+
+  const walk = (adapter, component) => {
+    if (treeNodes.size >= MAX_APP_TREE_NODES) {
+      truncated = true;
+      return null;
+    }
+    const id = `t${treeNodes.size + 1}`;
+    treeNodes.set(id, { adapter, component });
+    const children = adapter
+      .getChildren(component)
+      .map((child) => walk(adapter, child))
+      .filter(Boolean);
+    return { id, ...adapter.summarize(component), children };
+  };
+
+  const roots = [];
+  getAdapters()
+    .filter(canWalk)
+    .forEach((adapter) => {
+      try {
+        adapter.getRoots().forEach((component) => {
+          const node = walk(adapter, component);
+          if (node) roots.push(node);
+        });
+      } catch (e) {
+        // Silent fail - framework internals differ between versions
+      }
+    });
+  return { roots, truncated };
+}
+
+/**
+ * The element of a tree node, optionally selecting its component for the panel
+ * @returns {Object} { componentTarget }; null when the component renders no element
+ */
+export function resolveTreeNode({ nodeId, select }) {
+  const entry = treeNodes.get(nodeId);
+  if (!entry) {
+    throw new Error('The component tree is out of date; refresh it');
+  }
+
+  const node = entry.adapter.getElement(entry.component);
+  if (!node || !node.isConnected) {
+    return { componentTarget: null };
+  }
+  if (select) {
+    selectComponent({ node, adapter: entry.adapter, component: entry.component });
+  }
+  return { componentTarget: exposeElement(node) };
+}
@@ -0,0 +1,45 @@
+/**
+ * React commit listeners
+ * The profiler and the History watch both need every commit. One wrapper around
+ * __REACT_DEVTOOLS_GLOBAL_HOOK__.onCommitFiberRoot is installed while either is active.
+ */
+
+const commitListeners = new Set();
+const commitHook = {
+  hook: null,
+  originalOnCommit: null,
+};
+
+export function addCommitListener(listener) {
+  if (!commitHook.hook) {
+    const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    if (!hook || typeof hook.onCommitFiberRoot !== 'function') {
+      throw new Error(
+        'React DevTools hook not found (React must load after the hook is installed)'
+      );
+    }
+
+    commitHook.hook = hook;
+    commitHook.originalOnCommit = hook.onCommitFiberRoot;
+    hook.onCommitFiberRoot = function (rendererID, root, ...rest) {
+      commitListeners.forEach((commitListener) => {
+        try {
+          commitListener(root);
+        } catch (e) {
+          // Never break the page's commit
+        }
+      });
+      return commitHook.originalOnCommit.call(this, rendererID, root, ...rest);
+    };
+  }
+  commitListeners.add(listener);
+}
+
+export function removeCommitListener(listener) {
+  commitListeners.delete(listener);
+  if (commitListeners.size === 0 && commitHook.hook) {
+    commitHook.hook.onCommitFiberRoot = commitHook.originalOnCommit;
+    commitHook.hook = null;
+    commitHook.originalOnCommit = null;
+  }
+}
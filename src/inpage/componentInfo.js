@@ -0,0 +1,121 @@
+/**
+ * Component info lookup with a short-lived per-node cache
+ */
+
+import { CACHE_DURATION } from '../config/constants.js';
+import { detectComponent } from './detect.js';
+
+// Cache for component detection
+export const componentCache = new WeakMap();
+let cacheGeneration = 0;
+
+/**
+ * Drop every cached entry (e.g. after source maps renamed components)
+ */
+export function clearComponentCache() {
+  cacheGeneration++;
+}
+
+/**
+ * Get component info for a DOM node with caching
+ * Supports both framework detection and plain HTML mode
+ */
+export function getComponentInfo(node, mode = 'auto') {
+  if (!node) return null;
+
+  // Check cache (only for auto/framework modes)
+  if (
+    mode === 'auto' ||
+    mode === 'react' ||
+    mode === 'vue2' ||
+    mode === 'vue3' ||
+    mode === 'angular' ||
+    mode === 'preact' ||
+    mode === 'solid'
+  ) {
+    const cached = componentCache.get(node);
+    if (
+      cached &&
+      cached.generation === cacheGeneration &&
+      Date.now() - cached.timestamp < CACHE_DURATION
+    ) {
+      return cached.data;
+    }
+  }
+
+  let info = null;
+
+  // HTML mode - skip framework detection
+  if (mode === 'html') {
+    // Return null to let content script handle HTML mode formatting
+    // (We can't import htmlHelpers.js here as it's in isolated world)
+    return null;
+  }
+
+  // Detect component (framework mode)
+  info = detectComponent(node);
+
+  // Add CSS information
+  if (info && node instanceof HTMLElement) {
+    const styles = window.getComputedStyle(node);
+    const cssInfo = {
+      classes: Array.from(node.classList),
+      styles: {
+        display: styles.display || '',
+        position: styles.position || '',
+        width: styles.width || '',
+        height: styles.height || '',
+        margin: styles.margin || '',
+        padding: styles.padding || '',
+        backgroundColor: styles.backgroundColor || '',
+        color: styles.color || '',
+        fontSize: styles.fontSize || '',
+        fontFamily: styles.fontFamily || '',
+        border: styles.border || '',
+        borderRadius: styles.borderRadius || '',
+        flexDirection: styles.flexDirection || '',
+        justifyContent: styles.justifyContent || '',
+        alignItems: styles.alignItems || '',
+        gridTemplateColumns: styles.gridTemplateColumns || '',
+        zIndex: styles.zIndex || '',
+      },
+      inlineStyles: node.style.cssText || '',
+    };
+
+    // Find which stylesheets contribute to this element
+    const matchedRules = [];
+    try {
+      for (const sheet of document.styleSheets) {
+        try {
+          for (const rule of sheet.cssRules || []) {
+            if (rule instanceof CSSStyleRule && node.matches(rule.selectorText)) {
+              matchedRules.push({
+                selector: rule.selectorText,
+                source: sheet.href || 'inline',
+                styles: rule.style.cssText,
+              });
+            }
+          }
+        } catch (e) {
+          // Cross-origin stylesheet
+        }
+      }
+    } catch (e) {
+      // Silent fail
+    }
+
+    cssInfo.matchedRules = matchedRules;
+    info.css = cssInfo;
+  }
+
+  // Cache result (only for framework modes)
+  if (mode !== 'html') {
+    componentCache.set(node, {
+      data: info,
+      timestamp: Date.now(),
+      generation: cacheGeneration,
+    });
+  }
+
+  return info;
+}
@@ -0,0 +1,129 @@
+/**
+ * Component detection through the registered framework adapters
+ * The first adapter whose detect() matches the node wins. Tree, context and store
+ * data are attached here because they read page expandos the content script cannot see.
+ */
+
+import { getAdapters } from '../adapters/registry.js';
+import { MAX_TREE_DEPTH } from '../config/constants.js';
+
+// Component picked with arrow-key navigation: reported for its element instead of
+// whichever component detect() would pick there. Set by navigation.js.
+let selectedComponent = null;
+
+/**
+ * Remember (or forget, with null) the navigated-to component
+ * @param {?Object} selection - { node, adapter, component }
+ */
+export function setSelectedComponent(selection) {
+  selectedComponent = selection;
+}
+
+export function getSelectedComponent() {
+  return selectedComponent;
+}
+
+function buildComponentTree(adapter, node) {
+  if (!adapter.getTree) return null;
+  try {
+    const tree = adapter.getTree(node, MAX_TREE_DEPTH);
+    if (!tree) return null;
+
+    // Depth counts outward from the hovered component, as formatComponentTree indents it
+    return tree.map((entry, depth) => ({ ...entry, depth })).reverse();
+  } catch (e) {
+    return null;
+  }
+}
+
+function detectContexts(adapter, node) {
+  if (!adapter.getContext) return [];
+  try {
+    return adapter.getContext(node) || [];
+  } catch (e) {
+    // Silent fail - context internals differ between framework versions
+    return [];
+  }
+}
+
+/**
+ * Props/state/hooks of a detected component, in the shape the panel shows.
+ * Used by the History watch, which re-reads one component on every change.
+ */
+export function snapshotComponent(adapter, component, framework) {
+  return {
+    props: adapter.getProps ? adapter.getProps(component, framework) : {},
+    state: adapter.getState ? adapter.getState(component, framework) : null,
+    hooks: adapter.getHooks ? adapter.getHooks(component, framework) : [],
+  };
+}
+
+/**
+ * Fill in what detect() left out from the adapter's getters, then attach the
+ * tree, context and store data so the content script can render them
+ */
+function completeInfo(adapter, node, info) {
+  info.adapter = adapter.name;
+  info.framework = info.framework || adapter.name;
+
+  const component = info.componentFiber || info.componentInstance;
+  if (component) {
+    if (!info.hierarchy && adapter.getHierarchy) {
+      info.hierarchy = adapter.getHierarchy(component);
+    }
+    if (info.props === undefined && adapter.getProps) {
+      info.props = adapter.getProps(component, info.framework);
+    }
+    if (info.state === undefined && adapter.getState) {
+      info.state = adapter.getState(component, info.framework);
+    }
+    if (info.hooks === undefined && adapter.getHooks) {
+      info.hooks = adapter.getHooks(component, info.framework);
+    }
+  }
+
+  info.tree = buildComponentTree(adapter, node);
+  info.contexts = detectContexts(adapter, node);
+  if (adapter.getStores) {
+    info.stores = adapter.getStores(node);
+  }
+  return info;
+}
+
+/**
+ * Detect the component that owns a DOM node
+ * @param {HTMLElement} node - Hovered element
+ * @returns {Object|null} Component info
+ */
+export function detectComponent(node) {
+  if (!node || !(node instanceof HTMLElement)) {
+    return null;
+  }
+
+  if (selectedComponent && selectedComponent.node === node) {
+    const { adapter, component } = selectedComponent;
+    let info = null;
+    try {
+      info = adapter.describe(component);
+    } catch (e) {
+      // Unmounted since it was selected; fall back to detection
+    }
+    if (info) {
+      return completeInfo(adapter, node, info);
+    }
+  }
+
+  for (const adapter of getAdapters()) {
+    let info = null;
+    try {
+      info = adapter.detect(node);
+    } catch (e) {
+      // A failing adapter must not hide the frameworks after it
+    }
+    if (info) {
+      return completeInfo(adapter, node, info);
+    }
+  }
+
+  return null;
+}
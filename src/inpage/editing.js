@@ -0,0 +1,63 @@
+/**
+ * Hook, state and prop edits from the panel, applied by the component's adapter
+ */
+
+import { getAdapter } from '../adapters/registry.js';
+import { parseValue } from '../utils/componentHelpers.js';
+import { getComponentInfo } from './componentInfo.js';
+import { resolveTarget } from './handles.js';
+
+const EDIT_LABELS = {
+  hook: 'Hooks',
+  state: 'State',
+  prop: 'Props',
+};
+
+/**
+ * Route an edit to the adapter that detected the target's component
+ */
+function applyEdit(target, kind, key, newValue) {
+  const element = resolveTarget(target);
+  const info = getComponentInfo(element);
+  const adapter = info && getAdapter(info.adapter);
+  const change = { kind, key, value: parseValue(newValue) };
+
+  if (!adapter || !adapter.update || adapter.update(info, change, element) === false) {
+    const framework = info ? info.framework : 'this element';
+    throw new Error(`${EDIT_LABELS[kind]} cannot be changed on ${framework}`);
+  }
+  return true;
+}
+
+/**
+ * Update a hook value (React/Preact function components)
+ */
+export function updateHookValue({ target, hookIndex, newValue }) {
+  return applyEdit(target, 'hook', hookIndex, newValue);
+}
+
+/**
+ * Update a state value (class components, Vue, Svelte, Angular fields, Lit @state)
+ */
+export function updateStateValue({ target, stateKey, newValue }) {
+  return applyEdit(target, 'state', stateKey, newValue);
+}
+
+/**
+ * Override a prop temporarily (Vue), or set it (Svelte $set, Angular inputs, Lit properties)
+ */
+export function updatePropValue({ target, propKey, newValue }) {
+  return applyEdit(target, 'prop', propKey, newValue);
+}
+
+/**
+ * Undo a prop or computed override (Vue)
+ */
+export function resetOverride({ target, key }) {
+  const info = getComponentInfo(resolveTarget(target));
+  const adapter = info && getAdapter(info.adapter);
+  if (!adapter || !adapter.resetOverride || !adapter.resetOverride(info, key)) {
+    throw new Error('Override not found');
+  }
+  return true;
+}
@@ -0,0 +1,84 @@
+/**
+ * Element handles (page-world half of src/utils/elementHandles.js)
+ */
+
+import { ELEMENT_HANDLE_ATTRIBUTE } from '../config/constants.js';
+import { createStaleHandleError } from '../utils/elementHandles.js';
+
+const handlesByElement = new WeakMap();
+const elementsByHandle = new Map();
+let nextHandleId = 1;
+
+function registerHandle(id, element) {
+  handlesByElement.set(element, id);
+  elementsByHandle.set(id, new WeakRef(element));
+}
+
+function getHandleSelector(id) {
+  return `[${ELEMENT_HANDLE_ATTRIBUTE}="${CSS.escape(id)}"]`;
+}
+
+function findTaggedElement(id, shadowPath) {
+  let root = document;
+  for (const hostId of shadowPath) {
+    const hostRef = elementsByHandle.get(hostId);
+    const host = hostRef?.deref() || root.querySelector(getHandleSelector(hostId));
+    if (!host || !host.shadowRoot) return null;
+    root = host.shadowRoot;
+  }
+  return root.querySelector(getHandleSelector(id));
+}
+
+/**
+ * Resolve a handle sent by the content script.
+ * Throws a STALE_HANDLE error rather than guessing at a replacement node.
+ */
+function resolveHandle(id, shadowPath = []) {
+  const ref = elementsByHandle.get(id);
+  const element = ref ? ref.deref() : findTaggedElement(id, shadowPath);
+
+  if (element && !ref) {
+    registerHandle(id, element);
+  }
+  if (element && element.getAttribute(ELEMENT_HANDLE_ATTRIBUTE) === id) {
+    element.removeAttribute(ELEMENT_HANDLE_ATTRIBUTE);
+  }
+  if (!element || !element.isConnected) {
+    elementsByHandle.delete(id);
+    throw createStaleHandleError();
+  }
+  return element;
+}
+
+/**
+ * Hand an element to the content script: tag it and describe its shadow hosts
+ */
+export function exposeElement(element) {
+  let id = handlesByElement.get(element);
+  if (!id || !elementsByHandle.get(id)?.deref()) {
+    id = `p${nextHandleId++}`;
+    registerHandle(id, element);
+  }
+  // The content script removes the tag as soon as it resolves the handle
+  if (element.getAttribute(ELEMENT_HANDLE_ATTRIBUTE) !== id) {
+    element.setAttribute(ELEMENT_HANDLE_ATTRIBUTE, id);
+  }
+
+  const shadowPath = [];
+  let root = element.getRootNode();
+  while (root instanceof ShadowRoot) {
+    shadowPath.unshift(exposeElement(root.host).handle);
+    root = root.host.getRootNode();
+  }
+  return { handle: id, shadowPath };
+}
+
+/**
+ * Resolve the element a request targets
+ */
+export function resolveTarget({ handle, shadowPath }) {
+  if (!handle) {
+    throw new Error('Request has no target handle');
+  }
+  return resolveHandle(handle, shadowPath);
+}
@@ -0,0 +1,140 @@
+/**
+ * Page-world entry point: answers the content script's RPC requests
+ * Bundled into src/inpage.js by build-inpage.js.
+ */
+
+import { MESSAGE_TYPES, RPC_PROTOCOL_VERSION, RPC_RESPONSE_TYPES } from '../config/constants.js';
+import { applySettings } from '../config/settings.js';
+import '../adapters/index.js';
+import { registerAdapter, getAdapter } from '../adapters/registry.js';
+import { componentCache, clearComponentCache, getComponentInfo } from './componentInfo.js';
+import { updateHookValue, updateStateValue, updatePropValue, resetOverride } from './editing.js';
+import { exposeElement, resolveTarget } from './handles.js';
+import { navigateComponent, clearNavigation } from './navigation.js';
+import { getAppTree, resolveTreeNode } from './appTree.js';
+import { startProfiling, stopProfiling, getRenderStats } from './profiler.js';
+import { initialSettings, listenForConnection, respond, emitEvent } from './session.js';
+import { onSourcesResolved } from './sourceMaps.js';
+import { startWatch, stopWatch } from './watch.js';
+
+// Pages can ship their own adapters: window.__HOVERCOMP_ADAPTERS__ = [adapter, ...]
+const PAGE_ADAPTERS_GLOBAL = '__HOVERCOMP_ADAPTERS__';
+
+/**
+ * Request handlers keyed by MESSAGE_TYPES request type.
+ * Each returns the response payload or throws to reject the caller's promise.
+ */
+const requestHandlers = {
+  INVALIDATE_CACHE({ target }) {
+    componentCache.delete(resolveTarget(target));
+    return null;
+  },
+
+  GET_COMPONENT_INFO({ target, inspectionMode }) {
+    const element = resolveTarget(target);
+    const info = getComponentInfo(element, inspectionMode || 'auto');
+    if (!info) {
+      return { componentInfo: null, componentTarget: null };
+    }
+
+    // The cached info keeps its DOM node, fiber and instance; send a copy without them (not cloneable)
+    const { componentDomNode, componentFiber, ...componentInfo } = info;
+    delete componentInfo.componentInstance;
+    if (componentFiber) {
+      componentInfo.renders = getRenderStats(componentFiber);
+    }
+    if (info.componentInstance) {
+      const adapter = getAdapter(info.adapter);
+      componentInfo.overrides = adapter?.getOverrides
+        ? adapter.getOverrides(info.componentInstance)
+        : [];
+    }
+    return {
+      componentInfo,
+      componentTarget: componentDomNode ? exposeElement(componentDomNode) : null,
+    };
+  },
+
+  UPDATE_HOOK: updateHookValue,
+  UPDATE_STATE: updateStateValue,
+  UPDATE_PROP: updatePropValue,
+  RESET_OVERRIDE: resetOverride,
+  PROFILER_START: startProfiling,
+  PROFILER_STOP: stopProfiling,
+  WATCH_START: startWatch,
+  WATCH_STOP: stopWatch,
+  NAVIGATE_COMPONENT: navigateComponent,
+  CLEAR_NAVIGATION: clearNavigation,
+  GET_APP_TREE: getAppTree,
+  RESOLVE_TREE_NODE: resolveTreeNode,
+
+  APPLY_SETTINGS({ settings }) {
+    applySettings(settings);
+    clearComponentCache();
+    return null;
+  },
+};
+
+/**
+ * Register adapters the page queued before this script ran, and any it pushes later.
+ * Page adapters are tried before the built-in ones.
+ */
+function registerPageAdapters() {
+  const register = (adapter) => {
+    try {
+      registerAdapter(adapter, { prepend: true });
+    } catch (e) {
+      console.warn('[HoverComp] Ignoring framework adapter:', e.message);
+    }
+  };
+
+  const queued = window[PAGE_ADAPTERS_GLOBAL];
+  if (Array.isArray(queued)) {
+    queued.forEach(register);
+  }
+  window[PAGE_ADAPTERS_GLOBAL] = {
+    push: (...adapters) => adapters.forEach(register),
+  };
+}
+
+/**
+ * Answer an RPC request from the content script
+ */
+function handleRequest(request) {
+  if (!request || request.id === undefined) return;
+
+  if (request.version !== RPC_PROTOCOL_VERSION) {
+    respond(request, MESSAGE_TYPES.UPDATE_ERROR, {
+      error: `Protocol version mismatch (page ${RPC_PROTOCOL_VERSION}, content ${request.version})`,
+    });
+    return;
+  }
+
+  const handler = requestHandlers[request.type];
+  if (!handler) {
+    respond(request, MESSAGE_TYPES.UPDATE_ERROR, {
+      error: `Unknown request type: ${request.type}`,
+    });
+    return;
+  }
+
+  try {
+    const payload = handler(request.payload || {});
+    respond(request, RPC_RESPONSE_TYPES[request.type], { payload });
+  } catch (e) {
+    respond(request, MESSAGE_TYPES.UPDATE_ERROR, { error: e.message || String(e), code: e.code });
+  }
+}
+
+if (listenForConnection(handleRequest)) {
+  if (initialSettings) {
+    applySettings(initialSettings);
+  }
+  registerPageAdapters();
+
+  // Cached info still has minified names; let the content script re-request it
+  onSourcesResolved(() => {
+    clearComponentCache();
+    emitEvent(MESSAGE_TYPES.SOURCES_RESOLVED, null);
+  });
+}
@@ -0,0 +1,98 @@
+/**
+ * Arrow-key navigation from the pinned component to its parent, first child or siblings
+ * The component moved to is remembered (detect.js) so the panel, edits and the History
+ * watch all use it, even when an ancestor renders the same element.
+ */
+
+import { getAdapter } from '../adapters/registry.js';
+import { componentCache, getComponentInfo } from './componentInfo.js';
+import { getSelectedComponent, setSelectedComponent } from './detect.js';
+import { exposeElement, resolveTarget } from './handles.js';
+
+const DIRECTIONS = ['parent', 'child', 'previous', 'next'];
+
+function canNavigate(adapter) {
+  return !!(
+    adapter &&
+    adapter.getParent &&
+    adapter.getChildren &&
+    adapter.getElement &&
+    adapter.describe
+  );
+}
+
+/**
+ * Report a component for its element until the selection changes or is cleared
+ * @param {?Object} selection - { node, adapter, component }
+ */
+export function selectComponent(selection) {
+  const previous = getSelectedComponent();
+  if (previous) componentCache.delete(previous.node);
+  setSelectedComponent(selection);
+  if (selection) componentCache.delete(selection.node);
+}
+
+// Components that render nothing cannot be highlighted; skip past them
+function findWithElement(adapter, candidates) {
+  return candidates.find((candidate) => adapter.getElement(candidate)) || null;
+}
+
+function findRelative(adapter, component, direction) {
+  if (direction === 'child') {
+    return findWithElement(adapter, adapter.getChildren(component));
+  }
+
+  const parent = adapter.getParent(component);
+  if (!parent) return null;
+  if (direction === 'parent') {
+    let ancestor = parent;
+    while (ancestor && !adapter.getElement(ancestor)) {
+      ancestor = adapter.getParent(ancestor);
+    }
+    return ancestor;
+  }
+
+  const siblings = adapter.getChildren(parent);
+  const isSame = adapter.isSameComponent || ((a, b) => a === b);
+  const index = siblings.findIndex((sibling) => isSame(sibling, component));
+  if (index === -1) return null;
+  const candidates =
+    direction === 'next' ? siblings.slice(index + 1) : siblings.slice(0, index).reverse();
+  return findWithElement(adapter, candidates);
+}
+
+/**
+ * Select the component next to the target's one in the given direction
+ * @returns {Object} { componentTarget }: the selected component's element, or null at the
+ *   edge of the tree
+ */
+export function navigateComponent({ target, direction, inspectionMode }) {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown navigation direction: ${direction}`);
+  }
+
+  const info = getComponentInfo(resolveTarget(target), inspectionMode || 'auto');
+  const adapter = info && getAdapter(info.adapter);
+  const component = info && (info.componentFiber || info.componentInstance);
+  if (!component || !canNavigate(adapter)) {
+    throw new Error(
+      `Tree navigation is not available for ${info ? info.framework : 'this element'}`
+    );
+  }
+
+  const next = findRelative(adapter, component, direction);
+  const node = next && adapter.getElement(next);
+  if (!node) {
+    return { componentTarget: null };
+  }
+  selectComponent({ node, adapter, component: next });
+  return { componentTarget: exposeElement(node) };
+}
+
+/**
+ * Go back to detecting components normally (after unpinning)
+ */
+export function clearNavigation() {
+  selectComponent(null);
+  return null;
+}
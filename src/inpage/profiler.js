@@ -0,0 +1,211 @@
+/**
+ * React render profiler
+ * Records commits while recording and keeps the last RENDER_HISTORY_SIZE
+ * renders per component.
+ */
+
+import { addCommitListener, removeCommitListener } from './commits.js';
+
+const RENDER_HISTORY_SIZE = 30;
+const MAX_PROFILED_FIBERS_PER_COMMIT = 10000;
+const PERFORMED_WORK_FLAG = 1;
+
+const profiler = {
+  recording: false,
+  commitCount: 0,
+};
+// Keyed by both fibers of a component (current and alternate)
+let renderStats = new WeakMap();
+
+function createRingBuffer(capacity) {
+  const items = [];
+  let start = 0;
+  return {
+    push(item) {
+      if (items.length < capacity) {
+        items.push(item);
+      } else {
+        items[start] = item;
+        start = (start + 1) % capacity;
+      }
+    },
+    toArray() {
+      return items.slice(start).concat(items.slice(0, start));
+    },
+  };
+}
+
+function isComponentFiber(fiber) {
+  return typeof fiber.type === 'function' || typeof fiber.type?.render === 'function';
+}
+
+function didFiberRender(fiber) {
+  if (!fiber.alternate) return true; // Mount
+  const flags = fiber.flags !== undefined ? fiber.flags : fiber.effectTag;
+  return (flags & PERFORMED_WORK_FLAG) === PERFORMED_WORK_FLAG;
+}
+
+const MAX_RENDER_CAUSES = 12;
+
+function isObjectLike(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!isObjectLike(a) || !isObjectLike(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => Object.is(a[key], b[key]));
+}
+
+function describeChangedKeys(prefix, next, prev, causes) {
+  const keys = new Set([...Object.keys(next || {}), ...Object.keys(prev || {})]);
+  keys.forEach((key) => {
+    if (Object.is(next?.[key], prev?.[key])) return;
+    if (!prev || !(key in prev)) {
+      causes.push(`${prefix}.${key} added`);
+    } else if (!next || !(key in next)) {
+      causes.push(`${prefix}.${key} removed`);
+    } else if (shallowEqual(next[key], prev[key])) {
+      causes.push(`${prefix}.${key} changed identity (shallow-equal)`);
+    } else {
+      causes.push(`${prefix}.${key} changed`);
+    }
+  });
+}
+
+function getStatefulHookKind(hook) {
+  const reducer = hook.queue.lastRenderedReducer;
+  if (reducer && reducer.name && reducer.name !== 'basicStateReducer') return 'useReducer';
+  return hook.queue.getSnapshot ? 'useSyncExternalStore' : 'useState';
+}
+
+function getContextValues(fiber) {
+  const values = new Map();
+  let dependency = fiber.dependencies?.firstContext;
+  while (dependency) {
+    values.set(dependency.context, dependency.memoizedValue);
+    dependency = dependency.next;
+  }
+  return values;
+}
+
+/**
+ * Compare a committed fiber with its alternate to explain why it rendered
+ */
+function explainRender(fiber) {
+  const prev = fiber.alternate;
+  if (!prev) return { causes: ['Mounted'], nothingChanged: false };
+
+  const causes = [];
+
+  if (fiber.memoizedProps !== prev.memoizedProps) {
+    describeChangedKeys('props', fiber.memoizedProps, prev.memoizedProps, causes);
+  }
+
+  if (fiber.type?.prototype?.isReactComponent) {
+    describeChangedKeys('state', fiber.memoizedState, prev.memoizedState, causes);
+  } else {
+    let hook = fiber.memoizedState;
+    let prevHook = prev.memoizedState;
+    let index = 0;
+    while (hook && prevHook) {
+      if (hook.queue && !Object.is(hook.memoizedState, prevHook.memoizedState)) {
+        causes.push(`hook #${index} ${getStatefulHookKind(hook)} changed`);
+      }
+      hook = hook.next;
+      prevHook = prevHook.next;
+      index++;
+    }
+  }
+
+  const prevContexts = getContextValues(prev);
+  getContextValues(fiber).forEach((value, context) => {
+    if (prevContexts.has(context) && !Object.is(value, prevContexts.get(context))) {
+      causes.push(`${context.displayName || 'Context'} value changed`);
+    }
+  });
+
+  return { causes: causes.slice(0, MAX_RENDER_CAUSES), nothingChanged: causes.length === 0 };
+}
+
+function getStatsFor(fiber) {
+  let stats = renderStats.get(fiber) || (fiber.alternate && renderStats.get(fiber.alternate));
+  if (!stats) {
+    stats = { count: 0, renders: createRingBuffer(RENDER_HISTORY_SIZE) };
+  }
+  renderStats.set(fiber, stats);
+  if (fiber.alternate) renderStats.set(fiber.alternate, stats);
+  return stats;
+}
+
+function recordCommit(root) {
+  const timestamp = Date.now();
+  const stack = root?.current ? [root.current] : [];
+  let visited = 0;
+
+  while (stack.length > 0 && visited < MAX_PROFILED_FIBERS_PER_COMMIT) {
+    const fiber = stack.pop();
+    visited++;
+
+    if (isComponentFiber(fiber) && didFiberRender(fiber)) {
+      const stats = getStatsFor(fiber);
+      stats.count++;
+      stats.renders.push({
+        duration: fiber.actualDuration || 0,
+        selfDuration: fiber.selfBaseDuration || 0,
+        timestamp,
+        ...explainRender(fiber),
+      });
+    }
+
+    // Subtrees React bailed out of keep the previous child list; nothing rendered there
+    if (fiber.child && !(fiber.alternate && fiber.child === fiber.alternate.child)) {
+      stack.push(fiber.child);
+    }
+    if (fiber.sibling) stack.push(fiber.sibling);
+  }
+  profiler.commitCount++;
+}
+
+export function startProfiling() {
+  if (profiler.recording) return { recording: true };
+
+  addCommitListener(recordCommit);
+  profiler.commitCount = 0;
+  renderStats = new WeakMap();
+  profiler.recording = true;
+  return { recording: true };
+}
+
+export function stopProfiling() {
+  removeCommitListener(recordCommit);
+  profiler.recording = false;
+  return { recording: false };
+}
+
+/**
+ * Summarize recorded renders for a component fiber
+ */
+export function getRenderStats(fiber) {
+  const stats = fiber && (renderStats.get(fiber) || renderStats.get(fiber.alternate));
+  const renders = stats ? stats.renders.toArray() : [];
+  const durations = renders.map((render) => render.duration);
+  const total = durations.reduce((sum, duration) => sum + duration, 0);
+  const lastRender = renders[renders.length - 1];
+
+  return {
+    recording: profiler.recording,
+    commitCount: profiler.commitCount,
+    count: stats ? stats.count : 0,
+    last: durations.length ? durations[durations.length - 1] : null,
+    avg: durations.length ? total / durations.length : null,
+    max: durations.length ? Math.max(...durations) : null,
+    lastSelf: lastRender ? lastRender.selfDuration : null,
+    samples: durations,
+    lastCauses: lastRender ? lastRender.causes : [],
+    lastNothingChanged: lastRender ? lastRender.nothingChanged : false,
+    nothingChangedCount: renders.filter((render) => render.nothingChanged).length,
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Page-world end of the content <-> inpage RPC channel
+ * The content script transfers a MessagePort in one CONNECT window message; requests, replies
+ * and events then go over that port only.
+ */
+
+import { MESSAGE_TYPES, RPC_PROTOCOL_VERSION, RPC_SOURCES } from '../config/constants.js';
+
+// One-time token from the injecting <script> tag, sent back once over the port to prove this
+// script is the one the content script injected. Read it synchronously: currentScript is only
+// set while this file first executes.
+const connectToken = document.currentScript?.dataset.hovercompToken || null;
+if (connectToken) {
+  document.currentScript.removeAttribute('data-hovercomp-token');
+}
+
+let port = null;
+
+// Options page settings for this origin, handed over on the same tag
+export const initialSettings = readInitialSettings();
+
+function readInitialSettings() {
+  try {
+    return JSON.parse(document.currentScript?.dataset.hovercompSettings || 'null');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Wait for the content script's port and pass each request on it to onRequest
+ * @param {Function} onRequest - Called with each request message
+ * @returns {boolean} False when this script wasn't injected by the content script
+ */
+export function listenForConnection(onRequest) {
+  if (!connectToken) return false;
+
+  function accept(event) {
+    const message = event.data;
+    if (
+      event.source !== window ||
+      !message ||
+      message.source !== RPC_SOURCES.CONTENT ||
+      message.type !== MESSAGE_TYPES.RPC_CONNECT ||
+      !event.ports[0]
+    ) {
+      return;
+    }
+    // Keep later listeners from seeing the port
+    event.stopImmediatePropagation();
+    window.removeEventListener('message', accept, true);
+
+    port = event.ports[0];
+    port.onmessage = (portEvent) => onRequest(portEvent.data);
+    port.postMessage({ type: MESSAGE_TYPES.RPC_CONNECTED, token: connectToken });
+  }
+
+  window.addEventListener('message', accept, true);
+  return true;
+}
+
+/**
+ * Reply to a request from the content script
+ */
+export function respond(request, type, fields) {
+  port?.postMessage({ version: RPC_PROTOCOL_VERSION, id: request.id, type, ...fields });
+}
+
+/**
+ * Post an event (no request ID) to the content script
+ */
+export function emitEvent(type, payload) {
+  port?.postMessage({ version: RPC_PROTOCOL_VERSION, type, payload });
+}
@@ -0,0 +1,267 @@
+/**
+ * Original component names and locations for production builds
+ * A minified component function is found in the page's scripts by its source text
+ * (fn.toString()), then the script's source map gives the original name, file and
+ * line. Scripts and maps are fetched once per URL and cached for the page's lifetime;
+ * only scripts and maps on the page's origin are read, plus inline (data:) maps and
+ * SOURCE_MAP_STAND_INS replacements.
+ */
+
+import { MINIFIED_NAME_PATTERN, SOURCE_MAP_STAND_INS } from '../config/constants.js';
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const RESOLVE_NOTIFY_DELAY_MS = 100;
+
+const scriptCache = new Map(); // script URL -> Promise<script|null>
+const resolvedFunctions = new WeakMap(); // function -> { name, sourceLocation } | null
+const pendingFunctions = new WeakSet();
+const resolvedListeners = [];
+let notifyTimeout = null;
+
+function decodeVlqSegment(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    if (digit === -1) return null;
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Decode "mappings" into absolute [column, source, line, sourceColumn, name?] per line.
+ * A one-field segment (generated code with no original) is kept as [column] so it
+ * still ends the previous segment's range.
+ * @param {string} mappings - The source map's "mappings" field
+ * @returns {Array<Array<number[]>>} Segments per generated line
+ */
+export function decodeMappings(mappings) {
+  const state = [0, 0, 0, 0];
+  return mappings.split(';').map((line) => {
+    state[0] = 0;
+    const segments = [];
+    line.split(',').forEach((encoded) => {
+      const values = encoded && decodeVlqSegment(encoded);
+      if (!values || values.length === 0) return;
+      state[0] += values[0];
+      if (values.length < 4) {
+        segments.push([state[0]]);
+        return;
+      }
+      state[1] += values[1];
+      state[2] += values[2];
+      state[3] += values[3];
+      const segment = state.slice(0, 4);
+      if (values.length > 4) {
+        state[4] = (state[4] || 0) + values[4];
+        segment.push(state[4]);
+      }
+      segments.push(segment);
+    });
+    return segments;
+  });
+}
+
+function findSegment(lines, line, column) {
+  const segments = lines[line] || [];
+  let found = null;
+  for (const segment of segments) {
+    if (segment[0] > column) break;
+    found = segment;
+  }
+  return found && found.length > 1 ? found : null;
+}
+
+function applyStandIn(url) {
+  const prefix = Object.keys(SOURCE_MAP_STAND_INS).find((from) => url.startsWith(from));
+  return prefix ? SOURCE_MAP_STAND_INS[prefix] + url.slice(prefix.length) : url;
+}
+
+// Project-relative path for the panel and Open in editor
+// (webpack://app/./src/App.jsx -> src/App.jsx)
+function cleanSourcePath(path) {
+  return path.replace(/^webpack:\/\/[^/]*\//, '').replace(/^(\.\.?\/)+/, '');
+}
+
+function isPageOrigin(url) {
+  try {
+    return new URL(url).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+}
+
+function getPageScriptUrls() {
+  const urls = new Set();
+  document.querySelectorAll('script[src]').forEach((script) => urls.add(script.src));
+  performance.getEntriesByType('resource').forEach((entry) => {
+    if (entry.initiatorType === 'script' || /\.m?js(\?|$)/.test(entry.name)) {
+      urls.add(entry.name);
+    }
+  });
+  return Array.from(urls).filter((url) => /^https?:/.test(url) && isPageOrigin(url));
+}
+
+function loadScript(url) {
+  if (!scriptCache.has(url)) {
+    const script = fetch(url)
+      .then((response) => {
+        if (!response.ok) return null;
+        const mapHeader = response.headers.get('SourceMap') || response.headers.get('X-SourceMap');
+        return response.text().then((text) => ({ url, text, mapHeader, map: null }));
+      })
+      .catch(() => null);
+    scriptCache.set(url, script);
+  }
+  return scriptCache.get(url);
+}
+
+function loadSourceMap(script) {
+  if (!script.map) {
+    const comment = script.text.slice(-2000).match(/\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/);
+    const reference = script.mapHeader || (comment && comment[1]);
+    const mapUrl = reference ? new URL(reference, script.url).href : null;
+    const fetchUrl = mapUrl && applyStandIn(mapUrl);
+    const isAllowed =
+      fetchUrl && (fetchUrl !== mapUrl || isPageOrigin(mapUrl) || mapUrl.startsWith('data:'));
+    script.map = !isAllowed
+      ? Promise.resolve(null)
+      : fetch(fetchUrl)
+          .then((response) => (response.ok ? response.json() : null))
+          .then((map) => {
+            // Index maps (sections) are not supported
+            if (!map || typeof map.mappings !== 'string') return null;
+            return { ...map, lines: decodeMappings(map.mappings) };
+          })
+          .catch(() => null);
+  }
+  return script.map;
+}
+
+function getPosition(text, index) {
+  const before = text.slice(0, index);
+  const line = before.split('\n').length - 1;
+  return { line, column: index - before.lastIndexOf('\n') - 1 };
+}
+
+/**
+ * Where the function's name is in the script: after `function`/`class`, or the
+ * binding just before an arrow function (`const a=()=>...`)
+ */
+function findNameIndex(text, index, fn) {
+  const source = text.slice(index, index + 200);
+  const declaration = source.match(/^(?:async\s+)?(?:function\s*\*?\s*|class\s+)([\w$]+)/);
+  if (declaration) return index + declaration[0].length - declaration[1].length;
+
+  const binding = fn.name ? text.lastIndexOf(fn.name, index) : -1;
+  return binding !== -1 && index - binding < 40 ? binding : index;
+}
+
+async function lookupFunction(fn) {
+  const source = Function.prototype.toString.call(fn);
+  if (source.includes('[native code]')) return null;
+
+  for (const url of getPageScriptUrls()) {
+    const script = await loadScript(url);
+    const index = script ? script.text.indexOf(source) : -1;
+    if (index === -1) continue;
+
+    const map = await loadSourceMap(script);
+    if (!map) return null;
+
+    const namePosition = getPosition(script.text, findNameIndex(script.text, index, fn));
+    const start = getPosition(script.text, index);
+    const named = findSegment(map.lines, namePosition.line, namePosition.column);
+    const segment = findSegment(map.lines, start.line, start.column) || named;
+    if (!segment) return null;
+
+    // Only a segment starting exactly at the identifier names it
+    const isNameSegment = named && named.length > 4 && named[0] === namePosition.column;
+    const original = isNameSegment ? map.names[named[4]] : null;
+    const sourcePath = (map.sourceRoot || '') + (map.sources[segment[1]] || '');
+    return {
+      name: original || null,
+      sourceLocation: {
+        fileName: cleanSourcePath(sourcePath),
+        line: segment[2] + 1,
+        column: segment[3] + 1,
+      },
+    };
+  }
+  return null;
+}
+
+function notifyResolved() {
+  clearTimeout(notifyTimeout);
+  notifyTimeout = setTimeout(() => {
+    resolvedListeners.forEach((listener) => listener());
+  }, RESOLVE_NOTIFY_DELAY_MS);
+}
+
+/**
+ * Whether a name looks like a minifier's (one or two characters)
+ */
+export function isMinifiedName(name) {
+  return typeof name === 'string' && MINIFIED_NAME_PATTERN.test(name);
+}
+
+/**
+ * Original name and location of a component function, if its source map has been read.
+ * Unknown functions are looked up in the background; onSourcesResolved listeners run
+ * once something was found, so callers re-read instead of waiting.
+ * @param {Function} fn - Component function or class
+ * @returns {Object|null} { name, sourceLocation }
+ */
+export function getOriginalSource(fn) {
+  if (typeof fn !== 'function') return null;
+  if (resolvedFunctions.has(fn)) return resolvedFunctions.get(fn);
+
+  if (!pendingFunctions.has(fn)) {
+    pendingFunctions.add(fn);
+    lookupFunction(fn)
+      .catch(() => null)
+      .then((result) => {
+        resolvedFunctions.set(fn, result);
+        if (result) notifyResolved();
+      });
+  }
+  return null;
+}
+
+/**
+ * Original name for a component whose name came from a minified function
+ * @param {Function} fn - Component function or class
+ * @param {string} name - Name found so far (displayName, DevTools or fn.name)
+ * @returns {string} The original name when known, otherwise `name`
+ */
+export function getOriginalName(fn, name) {
+  if (typeof fn !== 'function' || name !== fn.name || !isMinifiedName(name)) return name;
+  return getOriginalSource(fn)?.name || name;
+}
+
+/**
+ * Original location for a component with a minified name
+ * @param {Function} fn - Component function or class
+ * @returns {Object|null} { fileName, line, column }
+ */
+export function getOriginalLocation(fn) {
+  if (typeof fn !== 'function' || !isMinifiedName(fn.name)) return null;
+  return getOriginalSource(fn)?.sourceLocation || null;
+}
+
+/**
+ * Run a listener whenever newly read source maps renamed components
+ * @param {Function} listener - Called without arguments
+ */
+export function onSourcesResolved(listener) {
+  resolvedListeners.push(listener);
+}
@@ -0,0 +1,68 @@
+/**
+ * Component watch (History timeline of the pinned component)
+ * Each adapter's subscribeToUpdates() says when the component changed; the
+ * snapshot is re-read and posted as COMPONENT_CHANGED if it differs.
+ */
+
+import { MESSAGE_TYPES } from '../config/constants.js';
+import { getAdapter } from '../adapters/registry.js';
+import { detectComponent, snapshotComponent } from './detect.js';
+import { resolveTarget } from './handles.js';
+import { emitEvent } from './session.js';
+
+let activeWatch = null;
+let nextWatchId = 1;
+
+function readWatchedComponent(watch) {
+  return snapshotComponent(watch.adapter, watch.component, watch.framework);
+}
+
+function reportChange(watch, snapshot = readWatchedComponent(watch)) {
+  if (activeWatch !== watch) return;
+
+  const serialized = JSON.stringify(snapshot);
+  if (serialized === watch.lastSerialized) return;
+  watch.lastSerialized = serialized;
+  emitEvent(MESSAGE_TYPES.COMPONENT_CHANGED, { watchId: watch.id, snapshot });
+}
+
+/**
+ * Start reporting changes to the component that owns the target element.
+ * Only one component is watched at a time (the pinned one).
+ */
+export function startWatch({ target }) {
+  stopWatch();
+
+  const info = detectComponent(resolveTarget(target));
+  const component = info && (info.componentFiber || info.componentInstance);
+  const adapter = info && getAdapter(info.adapter);
+  if (!component || !adapter || !adapter.subscribeToUpdates) {
+    throw new Error(`History is not available for ${info ? info.framework : 'this element'}`);
+  }
+
+  const watch = {
+    id: nextWatchId++,
+    framework: info.framework,
+    adapter,
+    component,
+    lastSerialized: null,
+    stop: null,
+  };
+  watch.stop = adapter.subscribeToUpdates(component, (snapshot) => reportChange(watch, snapshot), {
+    framework: info.framework,
+    read: () => readWatchedComponent(watch),
+  });
+
+  const snapshot = readWatchedComponent(watch);
+  watch.lastSerialized = JSON.stringify(snapshot);
+  activeWatch = watch;
+  return { watchId: watch.id, snapshot };
+}
+
+export function stopWatch() {
+  if (activeWatch) {
+    activeWatch.stop();
+    activeWatch = null;
+  }
+  return null;
+}
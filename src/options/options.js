@@ -0,0 +1,339 @@
+/**
+ * HoverComp options page
+ * Edits the settings in src/config/settings.js for all sites or for one origin and saves
+ * them to chrome.storage.sync; the background worker pushes each change to open tabs.
+ * The auto-enable rules are stored next to them and read by the background worker.
+ */
+
+import { EDITOR_URL_TEMPLATES } from '../config/constants.js';
+import {
+  SETTINGS_STORAGE_KEY,
+  AUTO_ENABLE_STORAGE_KEY,
+  DEFAULT_SETTINGS,
+  resolveSettings,
+  diffSettings,
+  sanitizeStoredSettings,
+  normalizeOrigin,
+  resolveAutoEnable,
+} from '../config/settings.js';
+import { escapeHtml } from '../utils/domHelpers.js';
+import { isValidSitePattern } from '../utils/sitePatterns.js';
+
+const ALL_SITES = '';
+const EXPORT_FILE_NAME = 'hovercomp-settings.json';
+const EDITOR_NAMES = Object.keys(EDITOR_URL_TEMPLATES).join(', ');
+
+// One entry per setting; `type` picks the input and how its value is read back
+const FIELDS = [
+  { key: 'THROTTLE_MS', type: 'number', label: 'Hover throttle (ms)' },
+  { key: 'PANEL_MAX_WIDTH', type: 'number', label: 'Panel max width (px)' },
+  {
+    key: 'DEFAULT_EXPANDED_SECTIONS',
+    type: 'sections',
+    label: 'Sections expanded by default',
+  },
+  {
+    key: 'USER_CODE_PATHS',
+    type: 'list',
+    label: 'User code paths',
+    hint: 'One per line. Components from files under these paths count as your own.',
+  },
+  {
+    key: 'KNOWN_FRAMEWORK_COMPONENTS',
+    type: 'list',
+    label: 'Framework components',
+    hint: 'One per line. Skipped when looking for the component you wrote.',
+  },
+  {
+    key: 'USER_COMPONENT_SCORE_THRESHOLD',
+    type: 'number',
+    label: 'User component score threshold',
+    hint: 'React and Vue components scoring lower are treated as framework components.',
+  },
+  {
+    key: 'EDITOR',
+    type: 'text',
+    label: 'Editor',
+    hint: `${EDITOR_NAMES}, or a URL template with {path}, {line} and {column}.`,
+  },
+  {
+    key: 'EDITOR_PROJECT_ROOT',
+    type: 'text',
+    label: 'Project root',
+    hint: 'Absolute path that relative source paths (Vue __file) are resolved against.',
+  },
+  {
+    key: 'DEBUG_MODE',
+    type: 'checkbox',
+    label: 'Log debug messages to the console',
+    hint: 'Unpacked source only; npm run build strips console calls.',
+  },
+];
+
+const form = document.getElementById('settings-form');
+const scopeSelect = document.getElementById('scope');
+const scopeHint = document.getElementById('scope-hint');
+const newOriginInput = document.getElementById('new-origin');
+const removeOriginButton = document.getElementById('remove-origin');
+const importFileInput = document.getElementById('import-file');
+const statusText = document.getElementById('status');
+const autoEnableSites = document.getElementById('auto-enable-sites');
+const keepEnabledCheckbox = document.getElementById('keep-enabled');
+const autoEnableStatus = document.getElementById('auto-enable-status');
+
+let stored = { global: {}, origins: {} };
+let scope = ALL_SITES;
+
+function showStatus(message, isError = false, element = statusText) {
+  element.textContent = message;
+  element.classList.toggle('error', isError);
+}
+
+function renderField(field) {
+  const id = `setting-${field.key}`;
+  let input;
+  if (field.type === 'sections') {
+    const checkboxes = Object.keys(DEFAULT_SETTINGS[field.key]).map(
+      (section) => `<label><input type="checkbox" data-section="${section}" /> ${section}</label>`
+    );
+    input = `<div class="sections" id="${id}">${checkboxes.join('')}</div>`;
+  } else if (field.type === 'list') {
+    input = `<textarea id="${id}" spellcheck="false"></textarea>`;
+  } else if (field.type === 'checkbox') {
+    input = `<label><input id="${id}" type="checkbox" /> ${escapeHtml(field.label)}</label>`;
+  } else {
+    input = `<input id="${id}" type="${field.type}" min="0" spellcheck="false" />`;
+  }
+
+  const label =
+    field.type === 'checkbox'
+      ? ''
+      : `<label class="setting-label" for="${id}">${escapeHtml(field.label)}</label>`;
+  const hint = field.hint ? `<div class="setting-hint">${escapeHtml(field.hint)}</div>` : '';
+  return `<div class="setting" data-key="${field.key}">${label}${input}${hint}</div>`;
+}
+
+function readField(field) {
+  const element = document.getElementById(`setting-${field.key}`);
+  switch (field.type) {
+    case 'sections': {
+      const sections = {};
+      element.querySelectorAll('[data-section]').forEach((checkbox) => {
+        sections[checkbox.dataset.section] = checkbox.checked;
+      });
+      return sections;
+    }
+    case 'list':
+      return element.value
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean);
+    case 'checkbox':
+      return element.checked;
+    case 'number':
+      // Left empty: NaN is dropped on save, so the value is inherited
+      return element.value === '' ? NaN : Number(element.value);
+    default:
+      return element.value.trim();
+  }
+}
+
+function writeField(field, value) {
+  const element = document.getElementById(`setting-${field.key}`);
+  switch (field.type) {
+    case 'sections':
+      element.querySelectorAll('[data-section]').forEach((checkbox) => {
+        checkbox.checked = !!value[checkbox.dataset.section];
+      });
+      break;
+    case 'list':
+      element.value = value.join('\n');
+      break;
+    case 'checkbox':
+      element.checked = value;
+      break;
+    default:
+      element.value = value;
+  }
+}
+
+function readForm() {
+  const values = {};
+  FIELDS.forEach((field) => {
+    values[field.key] = readField(field);
+  });
+  return values;
+}
+
+/**
+ * Values the current scope's settings override (defaults for all sites, global for a site)
+ */
+function getBaseSettings() {
+  return scope === ALL_SITES ? resolveSettings(null) : resolveSettings(stored);
+}
+
+function getScopeOverrides() {
+  return (scope === ALL_SITES ? stored.global : stored.origins[scope]) || {};
+}
+
+function renderScopes() {
+  const origins = Object.keys(stored.origins).sort();
+  scopeSelect.innerHTML = [ALL_SITES, ...origins]
+    .map(
+      (origin) =>
+        `<option value="${escapeHtml(origin)}">${escapeHtml(origin || 'All sites')}</option>`
+    )
+    .join('');
+  scopeSelect.value = scope;
+  removeOriginButton.hidden = scope === ALL_SITES;
+  scopeHint.textContent =
+    scope === ALL_SITES
+      ? 'Used on every site without its own settings.'
+      : `Only values that differ from All sites are saved for ${scope}.`;
+}
+
+function renderForm() {
+  const values = resolveSettings(stored, scope);
+  const overrides = getScopeOverrides();
+  FIELDS.forEach((field) => {
+    writeField(field, values[field.key]);
+    form
+      .querySelector(`[data-key="${field.key}"]`)
+      .classList.toggle('setting-overridden', field.key in overrides);
+  });
+}
+
+function render() {
+  renderScopes();
+  renderForm();
+}
+
+function saveStored(next, message) {
+  stored = sanitizeStoredSettings(next);
+  return chrome.storage.sync
+    .set({ [SETTINGS_STORAGE_KEY]: stored })
+    .then(() => {
+      render();
+      showStatus(message);
+    })
+    .catch((error) => showStatus(error.message, true));
+}
+
+function save() {
+  const overrides = diffSettings(readForm(), getBaseSettings());
+  const next = { global: { ...stored.global }, origins: { ...stored.origins } };
+  if (scope === ALL_SITES) {
+    next.global = overrides;
+  } else {
+    next.origins[scope] = overrides;
+  }
+  saveStored(next, 'Saved');
+}
+
+function reset() {
+  const next = { global: { ...stored.global }, origins: { ...stored.origins } };
+  if (scope === ALL_SITES) {
+    next.global = {};
+  } else {
+    next.origins[scope] = {};
+  }
+  saveStored(next, scope === ALL_SITES ? 'Reset to defaults' : 'Reset to All sites');
+}
+
+function addOrigin() {
+  const origin = normalizeOrigin(newOriginInput.value);
+  if (!origin) {
+    showStatus('Enter an http(s) origin, e.g. http://localhost:3000', true);
+    return;
+  }
+  if (!stored.origins[origin]) {
+    stored.origins[origin] = {};
+  }
+  scope = origin;
+  newOriginInput.value = '';
+  render();
+  showStatus(`Editing ${origin}; save to keep its settings`);
+}
+
+function removeOrigin() {
+  const next = { global: stored.global, origins: { ...stored.origins } };
+  delete next.origins[scope];
+  const removed = scope;
+  scope = ALL_SITES;
+  saveStored(next, `Removed ${removed}`);
+}
+
+function exportSettings() {
+  const blob = new Blob([JSON.stringify(stored, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = EXPORT_FILE_NAME;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function importSettings(file) {
+  file
+    .text()
+    .then((text) => {
+      const imported = JSON.parse(text);
+      if (!imported || (!imported.global && !imported.origins)) {
+        throw new Error('not a HoverComp settings export');
+      }
+      scope = ALL_SITES;
+      return saveStored(imported, `Imported ${file.name}`);
+    })
+    .catch((error) => showStatus(`Could not import ${file.name}: ${error.message}`, true));
+}
+
+function renderAutoEnable(stored) {
+  const { sites, keepEnabledOnReload } = resolveAutoEnable(stored);
+  autoEnableSites.value = sites.join('\n');
+  keepEnabledCheckbox.checked = keepEnabledOnReload;
+}
+
+function saveAutoEnable() {
+  const sites = autoEnableSites.value
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const invalid = sites.filter((site) => !isValidSitePattern(site));
+  if (invalid.length) {
+    showStatus(`Not a site pattern: ${invalid.join(', ')}`, true, autoEnableStatus);
+    return;
+  }
+
+  const autoEnable = { sites, keepEnabledOnReload: keepEnabledCheckbox.checked };
+  chrome.storage.sync
+    .set({ [AUTO_ENABLE_STORAGE_KEY]: autoEnable })
+    .then(() => showStatus('Saved', false, autoEnableStatus))
+    .catch((error) => showStatus(error.message, true, autoEnableStatus));
+}
+
+form.innerHTML = FIELDS.map(renderField).join('');
+
+scopeSelect.addEventListener('change', () => {
+  scope = scopeSelect.value;
+  render();
+  showStatus('');
+});
+document.getElementById('add-origin').addEventListener('click', addOrigin);
+newOriginInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') addOrigin();
+});
+removeOriginButton.addEventListener('click', removeOrigin);
+document.getElementById('save-auto-enable').addEventListener('click', saveAutoEnable);
+document.getElementById('save').addEventListener('click', save);
+document.getElementById('reset').addEventListener('click', reset);
+document.getElementById('export').addEventListener('click', exportSettings);
+document.getElementById('import').addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', () => {
+  if (importFileInput.files[0]) importSettings(importFileInput.files[0]);
+  importFileInput.value = '';
+});
+
+chrome.storage.sync.get([SETTINGS_STORAGE_KEY, AUTO_ENABLE_STORAGE_KEY]).then((result) => {
+  stored = sanitizeStoredSettings(result[SETTINGS_STORAGE_KEY]);
+  render();
+  renderAutoEnable(result[AUTO_ENABLE_STORAGE_KEY]);
+});
@@ -3,7 +3,12 @@
  */
 
 import { CSS_CLASSES } from '../config/constants.js';
-import { getAllCSSProperties, getCommonCSSValues } from '../utils/cssHelper.js';
+import {
+  getAllCSSProperties,
+  getCommonCSSValues,
+  toggleClass,
+  applyInlineStyle,
+} from '../utils/cssHelper.js';
 
 /**
  * Create simple text input
@@ -71,7 +76,7 @@ export function setupAddClassHandlers(panel, element, refreshCallback) {
         input,
         btn,
         (newClass, inputElement) => {
-          element.classList.add(newClass);
+          toggleClass(element, newClass, true);
           inputElement.value = '';
           inputElement.focus();
           refreshCallback(element);
@@ -310,11 +315,7 @@ function handleStyleInputKeydown(
           val = val + ' !important';
         }
 
-        if (useImportant) {
-          element.style.setProperty(prop, val.replace('!important', '').trim(), 'important');
-        } else {
-          element.style.setProperty(prop, val);
-        }
+        applyInlineStyle(element, prop, val, useImportant);
 
         refreshCallback(element);
       }
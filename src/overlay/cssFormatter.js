@@ -17,7 +17,7 @@ export function formatCSS(css) {
   const hasInlineStyles = css.inlineStyles && css.inlineStyles.trim().length > 0;
   const hasMatchedRules = css.matchedRules && css.matchedRules.length > 0;
 
-  if (!hasClasses && !hasInlineStyles && !hasMatchedRules) return '';
+  if (!hasClasses && !hasInlineStyles && !hasMatchedRules && !css.boxModel) return '';
 
   let html = `<div class="${CSS_CLASSES.TOGGLE_SECTION}" style="color: #42a5f5; margin-top: 12px; font-weight: bold; padding: 6px 0; border-bottom: 1px solid rgba(66,165,245,0.3); cursor: pointer;">▶ CSS</div>`;
   html += `<div style="margin-left: 0; margin-top: 8px; font-size: 10px; display: none;">`;
@@ -32,12 +32,16 @@ export function formatCSS(css) {
     html += formatEmptyInlineStyles();
   }
 
+  html += formatBoxModel(css.boxModel);
   html += formatAppliedStyles(css.styles);
+  html += formatCascade(css.cascade);
 
   if (hasMatchedRules) {
     html += formatMatchedRules(css.matchedRules);
   }
 
+  html += formatCssChanges(css.changes);
+
   html += `</div>`;
   return html;
 }
@@ -117,6 +121,55 @@ function formatEmptyInlineStyles() {
   return html;
 }
 
+const BOX_MODEL_COLORS = {
+  margin: '#f9cc9d',
+  border: '#fddd9b',
+  padding: '#c3d08b',
+  content: '#8cb6c0',
+};
+
+function formatBoxValue(value) {
+  return value ? String(Math.round(value * 100) / 100) : '–';
+}
+
+// One layer of the diagram: its name and top value, left / inner / right, bottom value
+function formatBoxLayer(name, sides, inner) {
+  let html = `<div style="background: ${BOX_MODEL_COLORS[name]}; border: 1px dashed rgba(0,0,0,0.35); padding: 1px 4px; text-align: center;">`;
+  html += `<div style="position: relative;"><span style="position: absolute; left: 0; font-size: 8px; color: #555;">${name}</span>${formatBoxValue(sides.top)}</div>`;
+  html += `<div style="display: flex; align-items: center; gap: 4px;">`;
+  html += `<span style="min-width: 18px;">${formatBoxValue(sides.left)}</span>`;
+  html += `<div style="flex: 1;">${inner}</div>`;
+  html += `<span style="min-width: 18px;">${formatBoxValue(sides.right)}</span>`;
+  html += `</div>`;
+  html += `<div>${formatBoxValue(sides.bottom)}</div>`;
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Format the box model diagram: margin, border and padding around the content size
+ * @param {Object} boxModel - From getBoxModel()
+ * @returns {string} HTML string
+ */
+export function formatBoxModel(boxModel) {
+  if (!boxModel) return '';
+
+  const { content } = boxModel;
+  const round = (value) => Math.round(value * 100) / 100;
+  const size = `${round(content.width)} × ${round(content.height)}`;
+  const details = [boxModel.display, boxModel.boxSizing].filter(Boolean).join(' · ');
+  let inner = `<div style="background: ${BOX_MODEL_COLORS.content}; border: 1px solid rgba(0,0,0,0.35); padding: 4px;">${size}</div>`;
+  inner = formatBoxLayer('padding', boxModel.padding, inner);
+  inner = formatBoxLayer('border', boxModel.border, inner);
+
+  let html = `<div style="margin: 6px 0; padding: 6px; background: rgba(255,255,255,0.02); border-radius: 3px;">`;
+  html += `<div style="color: #64b5f6; font-weight: bold; margin-bottom: 6px;">Box Model <span style="color: #666; font-weight: normal; font-size: 9px;">${escapeHtml(details)}</span></div>`;
+  html += `<div style="color: #222; font-size: 9px; font-family: monospace; line-height: 1.4;">`;
+  html += formatBoxLayer('margin', boxModel.margin, inner);
+  html += `</div></div>`;
+  return html;
+}
+
 /**
  * Format applied/computed styles section
  */
@@ -178,15 +231,151 @@ function formatMatchedRules(matchedRules) {
   html += `<div class="${CSS_CLASSES.TOGGLE_SECTION}" style="color: #64b5f6; font-weight: bold; cursor: pointer; margin-bottom: 0px;">▶ Matched CSS Rules (${matchedRules.length})</div>`;
   html += `<div class="matched-rules-content" style="display: none; margin-top: 8px; max-height: 50vh; overflow-y: auto; scrollbar-width: thin; scrollbar-color: rgba(100,181,246,0.3) rgba(0,0,0,0.2);">`;
 
-  matchedRules.forEach((rule, _i) => {
-    const source = rule.source === 'inline' ? 'inline' : rule.source.split('/').pop();
+  matchedRules.forEach((rule) => {
     html += `<div style="margin: 8px 0; padding: 6px; background: rgba(0,0,0,0.3); border-left: 2px solid #42a5f5; border-radius: 2px;">`;
     html += `<div style="color: #ffb74d; font-size: 10px; margin-bottom: 4px;">${escapeHtml(rule.selector)}</div>`;
-    html += `<div style="color: #666; font-size: 8px; margin-bottom: 4px;">${escapeHtml(source)}</div>`;
-    html += `<div style="color: #90caf9; font-size: 9px; font-family: monospace; white-space: pre-wrap;">${escapeHtml(rule.styles)}</div>`;
+    html += `<div style="color: #666; font-size: 8px; margin-bottom: 4px;">${escapeHtml(describeRuleOrigin(rule))}</div>`;
+    html += formatRuleDeclarations(rule);
+    html += `</div>`;
+  });
+
+  html += `</div></div>`;
+  return html;
+}
+
+// "styles.css · (0,1,0) · @layer base · @media (min-width: 600px)"
+function describeRuleOrigin(rule) {
+  const parts = [rule.source === 'inline' ? 'inline' : rule.source.split('/').pop()];
+  if (rule.specificity) parts.push(`(${rule.specificity.join(',')})`);
+  if (rule.layer) parts.push(`@layer ${rule.layer}`);
+  (rule.conditions || []).forEach((condition) => parts.push(condition));
+  return parts.join(' · ');
+}
+
+/**
+ * Format the cascade: every property the element gets from a rule or inherits, with the
+ * winning declaration marked and the ones it overrides struck through
+ * @param {Array} cascade - From getCssCascade()
+ * @returns {string} HTML string
+ */
+export function formatCascade(cascade) {
+  if (!cascade || cascade.length === 0) return '';
+
+  let html = `<div style="margin: 6px 0; padding: 6px; background: rgba(255,255,255,0.02); border-radius: 3px;">`;
+  html += `<div class="${CSS_CLASSES.TOGGLE_SECTION}" style="color: #64b5f6; font-weight: bold; cursor: pointer; margin-bottom: 0px;">▶ Cascade (${cascade.length})</div>`;
+  html += `<div class="cascade-content" style="display: none; margin-top: 8px; max-height: 50vh; overflow-y: auto; font-size: 9px; font-family: monospace; scrollbar-width: thin; scrollbar-color: rgba(100,181,246,0.3) rgba(0,0,0,0.2);">`;
+
+  cascade.forEach((entry) => {
+    html += `<div style="margin: 4px 0; padding: 4px 6px; background: rgba(0,0,0,0.3); border-radius: 2px;">`;
+    html += `<div><span style="color: #ce93d8;">${escapeHtml(entry.property)}</span>: <span style="color: #a5d6a7;">${escapeHtml(entry.computed)}</span>`;
+    if (entry.inheritedFrom) {
+      html += ` <span style="color: #888;">inherited from ${escapeHtml(entry.inheritedFrom)}</span>`;
+    }
+    html += `</div>`;
+    entry.declarations.forEach((declaration) => {
+      html += formatCascadeDeclaration(declaration);
+    });
     html += `</div>`;
   });
 
   html += `</div></div>`;
   return html;
 }
+
+const CASCADE_STATUS_STYLES = {
+  winner: 'color: #90caf9;',
+  overridden: 'color: #777; text-decoration: line-through;',
+  inactive: 'color: #555; opacity: 0.6;',
+};
+
+function formatCascadeDeclaration(declaration) {
+  const value = declaration.important ? `${declaration.value} !important` : declaration.value;
+  const origin = [
+    declaration.source === 'style attribute' ? '' : declaration.source.split('/').pop(),
+    declaration.specificity ? `(${declaration.specificity.join(',')})` : '',
+    declaration.layer ? `@layer ${declaration.layer}` : '',
+    ...declaration.conditions.map((condition) =>
+      declaration.conditionUnknown ? `${condition} (?)` : condition
+    ),
+  ].filter(Boolean);
+
+  let title = 'Overridden';
+  if (declaration.status === 'winner') title = `Wins: ${declaration.reason}`;
+  if (declaration.status === 'inactive') title = 'Condition does not apply';
+  if (declaration.conditionUnknown) title += ' (container query not evaluated, assumed to apply)';
+
+  let html = `<div style="margin: 2px 0 0 8px; ${CASCADE_STATUS_STYLES[declaration.status]}" title="${escapeHtml(title)}">`;
+  html += `${declaration.status === 'winner' ? '✓ ' : ''}${escapeHtml(value)} `;
+  html += `<span style="color: #ffb74d;">${escapeHtml(declaration.selector)}</span>`;
+  if (origin.length > 0) {
+    html += ` <span style="color: #666;">${escapeHtml(origin.join(' · '))}</span>`;
+  }
+  if (declaration.status === 'winner') {
+    html += ` <span style="color: #888; font-style: italic;">${escapeHtml(declaration.reason)}</span>`;
+  }
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Format a matched rule's declarations, each value editable in place
+ */
+function formatRuleDeclarations(rule) {
+  const ruleId = escapeHtml(rule.id);
+  let html = `<div style="font-size: 9px; font-family: monospace;">`;
+
+  rule.declarations.forEach(({ property, value, important }) => {
+    const fullValue = important ? `${value} !important` : value;
+    html += `<div style="margin: 1px 0;"><span style="color: #ce93d8;">${escapeHtml(property)}</span>: `;
+    html += `<span class="${CSS_CLASSES.EDITABLE_RULE_STYLE}" data-rule-id="${ruleId}" data-style-prop="${escapeHtml(property)}" `;
+    html += `style="color: #90caf9; padding: 0 2px; border-radius: 2px; cursor: text;" title="Click to edit (empty removes, Enter to save, Esc to cancel)">${escapeHtml(fullValue)}</span>;</div>`;
+  });
+
+  html += `<span class="${CSS_CLASSES.ADD_RULE_STYLE}" data-rule-id="${ruleId}" style="color: #666; padding: 0 2px; border-radius: 2px; cursor: text;" title="Type property: value, then Enter">+ property: value</span>`;
+  html += `</div>`;
+  return html;
+}
+
+const CHANGE_COLORS = { rule: '#ffb74d', inline: '#90caf9', class: '#a5d6a7' };
+
+/**
+ * Format the change log: every rule, inline style and class edited this session
+ * @param {Array} changes - From getCssChanges()
+ * @returns {string} HTML string (empty when nothing changed)
+ */
+export function formatCssChanges(changes) {
+  if (!changes || changes.length === 0) return '';
+
+  const buttonStyle = `background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.15); color: #ccc; padding: 2px 8px; border-radius: 3px; font-size: 9px; cursor: pointer; font-family: inherit;`;
+  let html = `<div style="margin: 6px 0; padding: 6px; background: rgba(255,183,77,0.08); border-radius: 3px; border-left: 2px solid #ffb74d;">`;
+  html += `<div style="color: #ffb74d; font-weight: bold;">✎ Changes (${changes.length})</div>`;
+  html += `<div style="margin-top: 6px; max-height: 30vh; overflow-y: auto; scrollbar-width: thin;">`;
+
+  changes.forEach((change) => {
+    const target = change.kind === 'rule' ? change.target : `${change.target} (${change.source})`;
+    let text;
+    if (change.kind === 'class') {
+      text = change.after === null ? `− .${change.property}` : `+ .${change.property}`;
+    } else if (change.after === null) {
+      text = `− ${change.property}: ${change.before}`;
+    } else {
+      text = `${change.property}: ${change.before === null ? '' : `${change.before} → `}${change.after}`;
+    }
+    html += `<div style="margin: 3px 0; font-size: 9px; font-family: monospace; word-break: break-all;" title="${escapeHtml(change.source)}">`;
+    html += `<span style="color: ${CHANGE_COLORS[change.kind]};">${escapeHtml(target)}</span> `;
+    html += `<span style="color: #ccc;">${escapeHtml(text)}</span></div>`;
+  });
+
+  html += `</div>`;
+  html += `<div style="display: flex; flex-wrap: wrap; gap: 4px; margin-top: 6px;">`;
+  [
+    ['diff', 'copy', 'Copy diff'],
+    ['diff', 'download', 'Save .diff'],
+    ['patch', 'copy', 'Copy CSS patch'],
+    ['patch', 'download', 'Save .css'],
+  ].forEach(([format, action, label]) => {
+    html += `<button class="${CSS_CLASSES.EXPORT_CSS_CHANGES}" data-format="${format}" data-action="${action}" style="${buttonStyle}">${label}</button>`;
+  });
+  html += `</div></div>`;
+  return html;
+}
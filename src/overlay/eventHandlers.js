@@ -2,17 +2,27 @@
  * Event handlers for overlay interactions
  */
 
-import { CSS_CLASSES } from '../config/constants.js';
+import { CSS_CLASSES, ERROR_CODES } from '../config/constants.js';
 import {
   updateHook,
   updateState,
+  updateProp,
+  resetOverride,
+  startProfiling,
+  stopProfiling,
 } from '../utils/messageHandler.js';
+import { getSnapshots } from '../utils/stateTracker.js';
+import { findSanitizerMarker } from '../utils/componentHelpers.js';
+import { openInEditor } from '../utils/editorLinks.js';
+import { exportComponent, copyText, downloadText } from '../utils/componentExport.js';
 import {
   toggleClass,
   applyInlineStyle,
   removeInlineStyle,
   getDisabledValue,
+  setRuleProperty,
 } from '../utils/cssHelper.js';
+import { exportCssChanges } from '../utils/cssChangeLog.js';
 
 /**
  * Setup editable element handlers (generic)
@@ -61,12 +71,26 @@ function setupEditableElementHandlers(editableElement, originalValue, config) {
   editableElement.onclick = (e) => e.stopPropagation();
 }
 
+/**
+ * Mark an editable value whose update was rejected by the page
+ * @param {HTMLElement} editableElement - Edited element
+ * @param {Error} error - Rejection from the inpage script
+ */
+function showUpdateError(editableElement, error) {
+  editableElement.style.outline = '2px solid #f44336';
+  editableElement.title =
+    error.code === ERROR_CODES.STALE_HANDLE
+      ? 'Component was re-rendered or removed - hover it again to edit'
+      : `Update failed: ${error.message}`;
+}
+
 /**
  * Setup editable hook handlers
  * @param {HTMLElement} panel - Panel element
  * @param {HTMLElement} element - Target element
+ * @param {Object} actions - Update implementation (the DevTools panel passes a remote one)
  */
-export function setupEditableHookHandlers(panel, element) {
+export function setupEditableHookHandlers(panel, element, actions = { updateHook }) {
   if (!panel || !element) return;
   
   panel.querySelectorAll(`.${CSS_CLASSES.EDITABLE_HOOK}`).forEach((span) => {
@@ -85,7 +109,7 @@ export function setupEditableHookHandlers(panel, element) {
       },
       onValueChange: (newValue) => {
         const hookIndex = parseInt(span.getAttribute('data-hook-index'));
-        updateHook(element, hookIndex, newValue);
+        actions.updateHook(element, hookIndex, newValue).catch((error) => showUpdateError(span, error));
       },
     });
   });
@@ -95,8 +119,9 @@ export function setupEditableHookHandlers(panel, element) {
  * Setup editable state handlers
  * @param {HTMLElement} panel - Panel element
  * @param {HTMLElement} element - Target element
+ * @param {Object} actions - Update implementation (the DevTools panel passes a remote one)
  */
-export function setupEditableStateHandlers(panel, element) {
+export function setupEditableStateHandlers(panel, element, actions = { updateState }) {
   if (!panel || !element) return;
   
   panel.querySelectorAll(`.${CSS_CLASSES.EDITABLE_STATE}`).forEach((div) => {
@@ -115,12 +140,286 @@ export function setupEditableStateHandlers(panel, element) {
       },
       onValueChange: (newValue) => {
         const stateKey = div.getAttribute('data-state-key');
-        updateState(element, stateKey, newValue);
+        actions.updateState(element, stateKey, newValue).catch((error) => showUpdateError(div, error));
       },
     });
   });
 }
 
+/**
+ * Setup editable prop handlers (Vue prop overrides)
+ * @param {HTMLElement} panel - Panel element
+ * @param {HTMLElement} element - Target element
+ * @param {Object} actions - Update implementation (the DevTools panel passes a remote one)
+ */
+export function setupEditablePropHandlers(panel, element, actions = { updateProp }) {
+  if (!panel || !element) return;
+
+  panel.querySelectorAll(`.${CSS_CLASSES.EDITABLE_PROP}`).forEach((div) => {
+    const originalValue = div.textContent;
+
+    setupEditableElementHandlers(div, originalValue, {
+      focusStyles: {
+        background: 'rgba(255,167,38,0.3)',
+        outline: '2px solid #ffa726',
+        boxShadow: '0 0 8px rgba(255,167,38,0.4)',
+      },
+      blurStyles: {
+        background: 'rgba(0,0,0,0.3)',
+        outline: 'none',
+        boxShadow: 'none',
+      },
+      onValueChange: (newValue) => {
+        const propKey = div.getAttribute('data-prop-key');
+        actions.updateProp(element, propKey, newValue).catch((error) => showUpdateError(div, error));
+      },
+    });
+  });
+}
+
+/**
+ * Setup reset buttons for overridden props and computed values
+ * @param {HTMLElement} panel - Panel element
+ * @param {HTMLElement} element - Target element
+ * @param {Object} actions - Reset implementation (the DevTools panel passes a remote one)
+ */
+export function setupResetOverrideHandlers(panel, element, actions = { resetOverride }) {
+  if (!panel || !element) return;
+
+  panel.querySelectorAll(`.${CSS_CLASSES.RESET_OVERRIDE}`).forEach((btn) => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      const key = btn.getAttribute('data-override-key');
+      actions.resetOverride(element, key).catch((error) => {
+        btn.title = error.message;
+        btn.style.borderColor = '#f44336';
+      });
+    };
+  });
+}
+
+// Source location an "Open in editor" button carries (see formatHeader)
+function getButtonSourceLocation(btn) {
+  return {
+    fileName: btn.getAttribute('data-file'),
+    line: Number(btn.getAttribute('data-line')) || null,
+    column: Number(btn.getAttribute('data-column')) || null,
+  };
+}
+
+/**
+ * Setup the "Open in editor" button in the panel header
+ * @param {HTMLElement} panel - Panel element
+ * @param {Object} actions - Open implementation (the DevTools panel passes a remote one)
+ */
+export function setupOpenInEditorHandlers(panel, actions = { openInEditor }) {
+  if (!panel) return;
+
+  panel.querySelectorAll(`.${CSS_CLASSES.OPEN_IN_EDITOR}`).forEach((btn) => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      actions.openInEditor(getButtonSourceLocation(btn)).catch((error) => {
+        btn.title = error.message;
+        btn.style.borderColor = '#f44336';
+      });
+    };
+  });
+}
+
+/**
+ * Setup the Copy / Export menu in the panel header
+ * @param {HTMLElement} panel - Panel element
+ * @param {HTMLElement} element - Inspected element
+ * @param {Object} actions - Export implementation (the DevTools panel passes a remote one)
+ */
+export function setupExportHandlers(panel, element, actions = { exportComponent }) {
+  if (!panel) return;
+
+  const menu = panel.querySelector(`.${CSS_CLASSES.EXPORT_MENU}`);
+  panel.querySelectorAll(`.${CSS_CLASSES.EXPORT_TOGGLE}`).forEach((btn) => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      if (menu) menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+    };
+  });
+
+  panel.querySelectorAll(`.${CSS_CLASSES.EXPORT_COMPONENT}`).forEach((btn) => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      runExportButton(btn, () =>
+        actions.exportComponent(element, btn.getAttribute('data-format'))
+      );
+    };
+  });
+}
+
+// Copy or save what an export button's data-action asks for, and show how it went
+function runExportButton(btn, createExport) {
+  btn.dataset.label = btn.dataset.label || btn.textContent;
+  const label = btn.dataset.label;
+  const isCopy = btn.getAttribute('data-action') === 'copy';
+  createExport()
+    .then((file) => (isCopy ? copyText(file.text) : downloadText(file)))
+    .then(() => {
+      btn.textContent = isCopy ? '✓ Copied' : '✓ Saved';
+      setTimeout(() => {
+        btn.textContent = label;
+      }, 1500);
+    })
+    .catch((error) => {
+      btn.title = error.message;
+      btn.style.borderColor = '#f44336';
+    });
+}
+
+/**
+ * Setup the render profiler start/stop button
+ * @param {HTMLElement} panel - Panel element
+ * @param {Function} refreshCallback - Callback to refresh overlay
+ * @param {Object} actions - Profiler implementation (the DevTools panel passes a remote one)
+ */
+export function setupProfilerHandlers(
+  panel,
+  refreshCallback,
+  actions = { startProfiling, stopProfiling }
+) {
+  if (!panel) return;
+
+  panel.querySelectorAll(`.${CSS_CLASSES.PROFILER_TOGGLE}`).forEach((btn) => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      const isRecording = btn.getAttribute('data-recording') === 'true';
+      const toggle = isRecording ? actions.stopProfiling : actions.startProfiling;
+
+      toggle()
+        .then(() => refreshCallback())
+        .catch((error) => {
+          btn.title = error.message;
+          btn.style.borderColor = '#f44336';
+        });
+    };
+  });
+}
+
+const RESTORABLE_HOOK_TYPES = ['useState', 'useReducer'];
+
+/**
+ * Restore state and hooks from a History snapshot, one update at a time
+ * @param {HTMLElement} element - Target element
+ * @param {Object} snapshot - Snapshot to go back to
+ * @param {Object} current - Latest snapshot
+ * @param {Object} actions - { updateHook, updateState }
+ * @returns {Promise<void>} Rejects without updating anything if a value was not recorded in full
+ */
+function restoreSnapshot(element, snapshot, current, actions) {
+  const updates = [];
+
+  snapshot.hooks.forEach((hook) => {
+    if (!RESTORABLE_HOOK_TYPES.includes(hook.type)) return;
+    const currentHook = current.hooks.find((h) => h.index === hook.index);
+    if (!currentHook || JSON.stringify(currentHook.value) !== JSON.stringify(hook.value)) {
+      updates.push({
+        label: `hook ${hook.index}`,
+        value: hook.value,
+        run: () => actions.updateHook(element, hook.index, JSON.stringify(hook.value)),
+      });
+    }
+  });
+
+  Object.keys(snapshot.state || {}).forEach((key) => {
+    const currentValue = current.state ? current.state[key] : undefined;
+    if (JSON.stringify(currentValue) !== JSON.stringify(snapshot.state[key])) {
+      updates.push({
+        label: key,
+        value: snapshot.state[key],
+        run: () => actions.updateState(element, key, JSON.stringify(snapshot.state[key])),
+      });
+    }
+  });
+
+  // Snapshots hold the sanitized copy: writing a marker back would corrupt the live value
+  for (const update of updates) {
+    const marker = findSanitizerMarker(update.value);
+    if (marker) {
+      return Promise.reject(
+        new Error(
+          `Can't restore ${update.label}: the snapshot has "${marker}" in place of a value it didn't record`
+        )
+      );
+    }
+  }
+
+  return updates.reduce((chain, update) => chain.then(update.run), Promise.resolve());
+}
+
+// Say why a restore was refused or failed, under its button
+function showRestoreError(btn, message) {
+  let note = btn.nextElementSibling;
+  if (!note || !note.classList.contains('history-restore-error')) {
+    note = document.createElement('div');
+    note.className = 'history-restore-error';
+    note.style.cssText = 'color: #f44336; font-size: 9px; margin-top: 4px;';
+    btn.after(note);
+  }
+  note.textContent = message;
+}
+
+/**
+ * Setup the History scrubber and restore buttons
+ * @param {HTMLElement} panel - Panel element
+ * @param {HTMLElement} element - Target element (the pinned one)
+ * @param {Object} actions - Update implementation
+ */
+export function setupHistoryHandlers(panel, element, actions = { updateHook, updateState }) {
+  if (!panel || !element) return;
+
+  const scrubber = panel.querySelector(`.${CSS_CLASSES.HISTORY_SCRUBBER}`);
+  if (!scrubber) return;
+
+  const entries = Array.from(panel.querySelectorAll(`.${CSS_CLASSES.HISTORY_ENTRY}`));
+  const showEntry = (index) => {
+    entries.forEach((entry) => {
+      entry.style.display = entry.getAttribute('data-history-index') === String(index) ? 'block' : 'none';
+    });
+  };
+
+  // Keep the scrubbed-to snapshot selected when new changes re-render the panel
+  const selected = entries.find(
+    (entry) => entry.getAttribute('data-history-timestamp') === panel.dataset.historyTimestamp
+  );
+  if (selected) {
+    scrubber.value = selected.getAttribute('data-history-index');
+    showEntry(scrubber.value);
+  }
+
+  scrubber.onclick = (e) => e.stopPropagation();
+  scrubber.oninput = (e) => {
+    e.stopPropagation();
+    showEntry(scrubber.value);
+    if (scrubber.value === scrubber.max) {
+      delete panel.dataset.historyTimestamp;
+    } else {
+      panel.dataset.historyTimestamp = entries[scrubber.value].getAttribute('data-history-timestamp');
+    }
+  };
+
+  panel.querySelectorAll(`.${CSS_CLASSES.HISTORY_RESTORE}`).forEach((btn) => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      const snapshots = getSnapshots(element);
+      const snapshot = snapshots[parseInt(btn.getAttribute('data-history-index'))];
+      if (!snapshot) return;
+
+      delete panel.dataset.historyTimestamp;
+      restoreSnapshot(element, snapshot, snapshots[snapshots.length - 1], actions).catch((error) => {
+        btn.title = error.message;
+        btn.style.borderColor = '#f44336';
+        showRestoreError(btn, error.message);
+      });
+    };
+  });
+}
+
 /**
  * Setup CSS class toggle handlers
  * @param {HTMLElement} panel - Panel element
@@ -163,7 +462,7 @@ export function setupClassToggleHandlers(panel, element, refreshCallback) {
     deleteBtn.onclick = (e) => {
       e.stopPropagation();
       const className = deleteBtn.getAttribute('data-class');
-      element.classList.remove(className);
+      toggleClass(element, className, false);
       deleteBtn.parentElement.remove();
       refreshCallback(element);
     };
@@ -214,7 +513,7 @@ export function setupStyleToggleHandlers(panel, element, refreshCallback) {
       const cleanValue = styleValue.replace('!important', '').trim();
 
       if (isImportant) {
-        element.style.setProperty(styleProp, cleanValue);
+        applyInlineStyle(element, styleProp, cleanValue);
         span.setAttribute('data-use-important', 'false');
         span.setAttribute('data-style-value', cleanValue);
         const firstSpan = span.querySelector('span:first-child');
@@ -222,7 +521,7 @@ export function setupStyleToggleHandlers(panel, element, refreshCallback) {
           firstSpan.innerHTML = `<span style="color: #64b5f6; font-weight: bold;">${styleProp}</span>: ${cleanValue}`;
         }
       } else {
-        element.style.setProperty(styleProp, cleanValue, 'important');
+        applyInlineStyle(element, styleProp, cleanValue, true);
         span.setAttribute('data-use-important', 'true');
         span.setAttribute('data-style-value', cleanValue + ' !important');
         const firstSpan = span.querySelector('span:first-child');
@@ -244,6 +543,62 @@ export function setupStyleToggleHandlers(panel, element, refreshCallback) {
   });
 }
 
+/**
+ * Setup in-place editing of matched stylesheet rule declarations
+ * @param {HTMLElement} panel - Panel element
+ * @param {Function} refreshCallback - Callback to refresh overlay
+ * @param {Object} actions - Edit implementation (the DevTools panel passes a remote one)
+ */
+export function setupEditableRuleHandlers(panel, refreshCallback, actions = { setRuleProperty }) {
+  if (!panel) return;
+
+  const editStyles = {
+    focusStyles: { background: 'rgba(66,165,245,0.3)', outline: '1px solid #42a5f5' },
+    blurStyles: { background: 'transparent', outline: 'none' },
+  };
+  const save = (span, property, value) => {
+    Promise.resolve()
+      .then(() => actions.setRuleProperty(span.getAttribute('data-rule-id'), property, value))
+      .then(() => refreshCallback())
+      .catch((error) => showUpdateError(span, error));
+  };
+
+  panel.querySelectorAll(`.${CSS_CLASSES.EDITABLE_RULE_STYLE}`).forEach((span) => {
+    setupEditableElementHandlers(span, span.textContent, {
+      ...editStyles,
+      onValueChange: (newValue) => save(span, span.getAttribute('data-style-prop'), newValue),
+    });
+  });
+
+  panel.querySelectorAll(`.${CSS_CLASSES.ADD_RULE_STYLE}`).forEach((span) => {
+    setupEditableElementHandlers(span, span.textContent, {
+      ...editStyles,
+      onValueChange: (newValue) => {
+        const colon = newValue.indexOf(':');
+        const property = newValue.slice(0, colon).trim();
+        const value = newValue.slice(colon + 1).replace(/;\s*$/, '').trim();
+        if (colon > 0 && property && value) save(span, property, value);
+      },
+    });
+  });
+}
+
+/**
+ * Setup the change log's diff / CSS patch export buttons
+ * @param {HTMLElement} panel - Panel element
+ * @param {Object} actions - Export implementation (the DevTools panel passes a remote one)
+ */
+export function setupCssChangeHandlers(panel, actions = { exportCssChanges }) {
+  if (!panel) return;
+
+  panel.querySelectorAll(`.${CSS_CLASSES.EXPORT_CSS_CHANGES}`).forEach((btn) => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      runExportButton(btn, () => actions.exportCssChanges(btn.getAttribute('data-format')));
+    };
+  });
+}
+
 /**
  * Setup computed style toggle handlers
  * @param {HTMLElement} panel - Panel element
@@ -264,7 +619,7 @@ export function setupComputedStyleHandlers(panel, element) {
         if (isActive) {
           // Disable by setting to opposite or neutral value with !important
           const disabledValue = getDisabledValue(styleProp);
-          element.style.setProperty(styleProp, disabledValue, 'important');
+          applyInlineStyle(element, styleProp, disabledValue, true);
           item.setAttribute('data-active', 'false');
           item.setAttribute('data-disabled-value', disabledValue);
           item.style.textDecoration = 'line-through';
@@ -272,7 +627,7 @@ export function setupComputedStyleHandlers(panel, element) {
           item.style.background = 'rgba(255,255,255,0.05)';
         } else {
           // Enable by removing our override (let original styles apply)
-          element.style.removeProperty(styleProp);
+          removeInlineStyle(element, styleProp);
           item.setAttribute('data-active', 'true');
           item.style.textDecoration = 'none';
           item.style.opacity = '1';
@@ -323,7 +678,12 @@ function updateExpandedSectionsState(toggle, isExpanded, expandedSections) {
   else if (sectionText.includes('props')) expandedSections.props = isExpanded;
   else if (sectionText.includes('state')) expandedSections.state = isExpanded;
   else if (sectionText.includes('hooks')) expandedSections.hooks = isExpanded;
+  else if (sectionText.includes('computed')) expandedSections.computed = isExpanded;
+  else if (sectionText.includes('renders')) expandedSections.renders = isExpanded;
+  else if (sectionText.includes('why did')) expandedSections.whyRender = isExpanded;
+  else if (sectionText.includes('history')) expandedSections.history = isExpanded;
   else if (sectionText.includes('applied')) expandedSections.appliedStyles = isExpanded;
+  else if (sectionText.includes('cascade')) expandedSections.cascade = isExpanded;
 }
 
 /**
@@ -343,8 +703,13 @@ export function restoreExpandedSections(panel, expandedSections) {
       else if (sectionText.includes('props') && expandedSections.props) shouldExpand = true;
       else if (sectionText.includes('state') && expandedSections.state) shouldExpand = true;
       else if (sectionText.includes('hooks') && expandedSections.hooks) shouldExpand = true;
+      else if (sectionText.includes('computed') && expandedSections.computed) shouldExpand = true;
+      else if (sectionText.includes('renders') && expandedSections.renders) shouldExpand = true;
+      else if (sectionText.includes('why did') && expandedSections.whyRender) shouldExpand = true;
+      else if (sectionText.includes('history') && expandedSections.history) shouldExpand = true;
       else if (sectionText.includes('applied') && expandedSections.appliedStyles)
         shouldExpand = true;
+      else if (sectionText.includes('cascade') && expandedSections.cascade) shouldExpand = true;
 
       if (shouldExpand) {
         const content = toggle.nextElementSibling;
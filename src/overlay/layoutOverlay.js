@@ -0,0 +1,344 @@
+/**
+ * Box model and flex / grid overlays for the inspected element
+ * Margin, border, padding and content are shaded separately with pixel labels, like the
+ * DevTools element highlight. Grid containers also get their track lines, track sizes and
+ * gaps; flex containers get their main and cross axes, item outlines and gaps.
+ */
+
+import { OVERLAY_Z_INDEX } from '../config/constants.js';
+import { getBoxModel } from '../utils/cssHelper.js';
+
+const LAYER_ID = 'hovercomp-box-model';
+const COLORS = {
+  margin: 'rgba(246, 178, 107, 0.45)',
+  border: 'rgba(255, 229, 153, 0.55)',
+  padding: 'rgba(147, 196, 125, 0.5)',
+  content: 'rgba(111, 168, 220, 0.45)',
+  grid: 'rgba(186, 104, 200, 0.9)',
+  gridGap: 'rgba(186, 104, 200, 0.2)',
+  flex: 'rgba(77, 208, 225, 0.9)',
+  flexGap: 'rgba(77, 208, 225, 0.2)',
+};
+// Strips thinner than this get no pixel label (the tooltip still lists every side)
+const MIN_LABEL_SIZE = 12;
+const MAX_FLEX_ITEMS = 200;
+
+const labelStyle = `position: absolute; transform: translate(-50%, -50%); font: 9px/1.3 'Monaco', 'Menlo', 'Consolas', monospace; color: #222; background: rgba(255, 255, 255, 0.85); padding: 0 3px; border-radius: 2px; white-space: nowrap;`;
+
+let layer = null;
+
+function getLayer() {
+  if (layer && layer.isConnected) return layer;
+  layer = document.getElementById(LAYER_ID);
+  if (layer) return layer;
+  if (!document.body) return null;
+
+  layer = document.createElement('div');
+  layer.id = LAYER_ID;
+  layer.style.cssText = `
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 0;
+    height: 0;
+    z-index: ${OVERLAY_Z_INDEX - 3};
+    pointer-events: none;
+  `;
+  try {
+    document.body.appendChild(layer);
+  } catch (e) {
+    return null;
+  }
+  return layer;
+}
+
+function formatPx(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Page-coordinate rect grown (or shrunk, with negative sides) by { top, right, bottom, left }
+function growRect(rect, sides, sign = 1) {
+  return {
+    x: rect.x - sign * sides.left,
+    y: rect.y - sign * sides.top,
+    width: Math.max(0, rect.width + sign * (sides.left + sides.right)),
+    height: Math.max(0, rect.height + sign * (sides.top + sides.bottom)),
+  };
+}
+
+function toPageRect(clientRect) {
+  return {
+    x: clientRect.left + window.scrollX,
+    y: clientRect.top + window.scrollY,
+    width: clientRect.width,
+    height: clientRect.height,
+  };
+}
+
+function addBox(parent, rect, style) {
+  const div = document.createElement('div');
+  div.style.cssText = `position: absolute; box-sizing: border-box; left: ${rect.x}px; top: ${rect.y}px; width: ${rect.width}px; height: ${rect.height}px; ${style}`;
+  parent.appendChild(div);
+  return div;
+}
+
+function addLabel(parent, x, y, text, style = '') {
+  const label = document.createElement('div');
+  label.style.cssText = `${labelStyle} left: ${x}px; top: ${y}px; ${style}`;
+  label.textContent = text;
+  parent.appendChild(label);
+  return label;
+}
+
+// A ring drawn with borders, so each side's width is that side of the box model
+function addRing(parent, rect, sides, color) {
+  const widths = ['top', 'right', 'bottom', 'left'].map((side) => `${sides[side]}px`).join(' ');
+  addBox(parent, rect, `border-style: solid; border-color: ${color}; border-width: ${widths};`);
+
+  const labels = [
+    ['top', rect.x + rect.width / 2, rect.y + sides.top / 2],
+    ['bottom', rect.x + rect.width / 2, rect.y + rect.height - sides.bottom / 2],
+    ['left', rect.x + sides.left / 2, rect.y + rect.height / 2],
+    ['right', rect.x + rect.width - sides.right / 2, rect.y + rect.height / 2],
+  ];
+  labels.forEach(([side, x, y]) => {
+    if (sides[side] >= MIN_LABEL_SIZE) addLabel(parent, x, y, formatPx(sides[side]));
+  });
+}
+
+function describeElement(element) {
+  const id = element.id ? `#${element.id}` : '';
+  const classes = Array.from(element.classList)
+    .slice(0, 2)
+    .map((name) => `.${name}`)
+    .join('');
+  return `${element.tagName.toLowerCase()}${id}${classes}`;
+}
+
+function describeSides(sides) {
+  const values = ['top', 'right', 'bottom', 'left'].map((side) => formatPx(sides[side]));
+  if (values.every((value) => value === values[0])) return values[0];
+  return values.join(' ');
+}
+
+// Name, size and every side of the box model, under the element (above it near the bottom)
+function addTooltip(parent, element, box, marginRect) {
+  const parts = [`${formatPx(box.width)} × ${formatPx(box.height)}`];
+  if (/flex|grid/.test(box.display)) parts.push(box.display);
+  ['margin', 'border', 'padding'].forEach((name) => {
+    if (Object.values(box[name]).some(Boolean)) parts.push(`${name} ${describeSides(box[name])}`);
+  });
+
+  const below = marginRect.y + marginRect.height + 4;
+  const fitsBelow = below + 18 < window.scrollY + window.innerHeight;
+  const tooltip = addLabel(
+    parent,
+    marginRect.x,
+    fitsBelow ? below : Math.max(window.scrollY, marginRect.y - 20),
+    '',
+    'transform: none; background: rgba(20, 20, 20, 0.92); color: #ddd; padding: 2px 6px; border-radius: 3px;'
+  );
+  const name = document.createElement('span');
+  name.style.color = '#ce93d8';
+  name.textContent = describeElement(element);
+  tooltip.append(name, ` ${parts.join(' · ')}`);
+}
+
+// Track sizes from a resolved grid-template-*, e.g. "[a] 100px 1fr" → [100, ...]
+function parseTracks(value) {
+  if (!value || value === 'none') return [];
+  return value
+    .replace(/\[[^\]]*\]/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .map(parseFloat)
+    .filter((size) => !isNaN(size));
+}
+
+function parseGap(value) {
+  return parseFloat(value) || 0;
+}
+
+// Where the first track starts: only start, center and end alignment are accounted for
+function getTrackOffset(freeSpace, alignment) {
+  if (freeSpace <= 0 || /space|stretch/.test(alignment)) return 0;
+  if (/center/.test(alignment)) return freeSpace / 2;
+  if (/end/.test(alignment)) return freeSpace;
+  return 0;
+}
+
+/**
+ * Grid lines at every track edge, gaps shaded, track sizes along the top and left
+ */
+function drawGrid(parent, styles, content) {
+  const axes = [
+    {
+      tracks: parseTracks(styles.gridTemplateColumns),
+      gap: parseGap(styles.columnGap),
+      alignment: styles.justifyContent,
+      start: content.x,
+      length: content.width,
+      line: (at) => ({ x: at, y: content.y, width: 0, height: content.height }),
+      area: (at, size) => ({ x: at, y: content.y, width: size, height: content.height }),
+      label: (at, size) => [at + size / 2, content.y + 7],
+      labelStyle: '',
+      lineStyle: `border-left: 1px dashed ${COLORS.grid};`,
+    },
+    {
+      tracks: parseTracks(styles.gridTemplateRows),
+      gap: parseGap(styles.rowGap),
+      alignment: styles.alignContent,
+      start: content.y,
+      length: content.height,
+      line: (at) => ({ x: content.x, y: at, width: content.width, height: 0 }),
+      area: (at, size) => ({ x: content.x, y: at, width: content.width, height: size }),
+      label: (at, size) => [content.x + 2, at + size / 2],
+      labelStyle: 'transform: translate(0, -50%);',
+      lineStyle: `border-top: 1px dashed ${COLORS.grid};`,
+    },
+  ];
+
+  axes.forEach((axis) => {
+    if (axis.tracks.length === 0) return;
+    const total =
+      axis.tracks.reduce((sum, size) => sum + size, 0) + axis.gap * (axis.tracks.length - 1);
+    let at = axis.start + getTrackOffset(axis.length - total, axis.alignment);
+    axis.tracks.forEach((size, index) => {
+      addBox(parent, axis.line(at), axis.lineStyle);
+      const [x, y] = axis.label(at, size);
+      const style = `color: #fff; background: ${COLORS.grid}; ${axis.labelStyle}`;
+      addLabel(parent, x, y, `${formatPx(size)}px`, style);
+      at += size;
+      addBox(parent, axis.line(at), axis.lineStyle);
+      if (index < axis.tracks.length - 1 && axis.gap > 0) {
+        addBox(parent, axis.area(at, axis.gap), `background: ${COLORS.gridGap};`);
+        at += axis.gap;
+      }
+    });
+  });
+}
+
+// In-flow children, the ones that take part in the flex layout
+function getFlexItems(element) {
+  return Array.from(element.children)
+    .filter((child) => {
+      const styles = window.getComputedStyle(child);
+      return (
+        styles.display !== 'none' &&
+        styles.display !== 'contents' &&
+        styles.position !== 'absolute' &&
+        styles.position !== 'fixed'
+      );
+    })
+    .slice(0, MAX_FLEX_ITEMS)
+    .map((child) => toPageRect(child.getBoundingClientRect()));
+}
+
+/**
+ * Main axis (solid arrow) and cross axis (dashed) through the container, each item
+ * outlined, and the space between neighbouring items on a line shaded
+ */
+function drawFlex(parent, element, styles, content) {
+  const direction = styles.flexDirection || 'row';
+  const isRow = direction.startsWith('row');
+  const isReverse = direction.endsWith('reverse');
+  const centerX = content.x + content.width / 2;
+  const centerY = content.y + content.height / 2;
+
+  const items = getFlexItems(element);
+  items.forEach((rect) => addBox(parent, rect, `border: 1px dashed ${COLORS.flex};`));
+
+  // Gaps between items that sit next to each other on the main axis
+  const main = isRow ? ['x', 'width'] : ['y', 'height'];
+  const cross = isRow ? ['y', 'height'] : ['x', 'width'];
+  const sorted = [...items].sort((a, b) => a[main[0]] - b[main[0]]);
+  sorted.slice(1).forEach((rect, index) => {
+    const previous = sorted[index];
+    const gapStart = previous[main[0]] + previous[main[1]];
+    const gapSize = rect[main[0]] - gapStart;
+    const crossStart = Math.max(previous[cross[0]], rect[cross[0]]);
+    const crossSize =
+      Math.min(previous[cross[0]] + previous[cross[1]], rect[cross[0]] + rect[cross[1]]) -
+      crossStart;
+    if (gapSize < 1 || crossSize < 1) return;
+    const gap = isRow
+      ? { x: gapStart, y: crossStart, width: gapSize, height: crossSize }
+      : { x: crossStart, y: gapStart, width: crossSize, height: gapSize };
+    addBox(parent, gap, `background: ${COLORS.flexGap};`);
+  });
+
+  const mainLine = isRow
+    ? { x: content.x, y: centerY - 1, width: content.width, height: 2 }
+    : { x: centerX - 1, y: content.y, width: 2, height: content.height };
+  const crossLine = isRow
+    ? { x: centerX, y: content.y, width: 0, height: content.height }
+    : { x: content.x, y: centerY, width: content.width, height: 0 };
+  addBox(parent, mainLine, `background: ${COLORS.flex};`);
+  addBox(
+    parent,
+    crossLine,
+    isRow ? `border-left: 1px dashed ${COLORS.flex};` : `border-top: 1px dashed ${COLORS.flex};`
+  );
+
+  const arrow = isRow ? (isReverse ? '◀' : '▶') : isReverse ? '▲' : '▼';
+  const arrowAt = isRow
+    ? [isReverse ? content.x : content.x + content.width, centerY]
+    : [centerX, isReverse ? content.y : content.y + content.height];
+  addLabel(parent, arrowAt[0], arrowAt[1], arrow, `color: ${COLORS.flex}; background: none;`);
+
+  const wrap = styles.flexWrap && styles.flexWrap !== 'nowrap' ? ` · ${styles.flexWrap}` : '';
+  const labelAt = isRow ? [content.x + 4, centerY - 9] : [centerX + 4, content.y + 7];
+  addLabel(
+    parent,
+    labelAt[0],
+    labelAt[1],
+    `${direction}${wrap}`,
+    `transform: none; color: #fff; background: ${COLORS.flex};`
+  );
+}
+
+/**
+ * Draw the box model (and grid or flex layout) of an element
+ * @param {HTMLElement} element - Inspected element
+ */
+export function showLayoutOverlay(element) {
+  const parent = getLayer();
+  if (!parent || !element || !element.isConnected) return;
+  parent.textContent = '';
+
+  try {
+    const box = getBoxModel(element);
+    const borderRect = toPageRect(element.getBoundingClientRect());
+    const margin = {};
+    Object.keys(box.margin).forEach((side) => (margin[side] = Math.max(0, box.margin[side])));
+    const marginRect = growRect(borderRect, margin);
+    const paddingRect = growRect(borderRect, box.border, -1);
+    const contentRect = growRect(paddingRect, box.padding, -1);
+
+    addRing(parent, marginRect, margin, COLORS.margin);
+    addRing(parent, borderRect, box.border, COLORS.border);
+    addRing(parent, paddingRect, box.padding, COLORS.padding);
+    addBox(parent, contentRect, `background: ${COLORS.content};`);
+
+    const styles = window.getComputedStyle(element);
+    if (/grid/.test(box.display)) drawGrid(parent, styles, contentRect);
+    else if (/flex/.test(box.display)) drawFlex(parent, element, styles, contentRect);
+
+    addTooltip(parent, element, box, marginRect);
+    parent.style.display = 'block';
+  } catch (e) {
+    // Element went away mid-draw
+    hideLayoutOverlay();
+  }
+}
+
+/**
+ * Remove the box model overlay's drawing
+ */
+export function hideLayoutOverlay() {
+  const parent = layer && layer.isConnected ? layer : document.getElementById(LAYER_ID);
+  if (parent) {
+    parent.style.display = 'none';
+    parent.textContent = '';
+  }
+}
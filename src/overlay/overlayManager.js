@@ -5,10 +5,16 @@
 import {
   OVERLAY_Z_INDEX,
   PANEL_MIN_WIDTH,
-  PANEL_MAX_WIDTH,
   PANEL_MAX_HEIGHT_VH,
   CSS_CLASSES,
 } from '../config/constants.js';
+import { settings } from '../config/settings.js';
+import { showLayoutOverlay, hideLayoutOverlay } from './layoutOverlay.js';
+import { measureDistances } from '../utils/measure.js';
+
+const MEASURE_OVERLAY_ID = 'hovercomp-measure-overlay';
+const MEASURE_COLOR = '#ff4081';
+const TOAST_ID = 'hovercomp-toast';
 
 /**
  * Create overlay element with panel
@@ -33,7 +39,7 @@ export function createOverlay() {
     z-index: ${OVERLAY_Z_INDEX};
     pointer-events: none;
     display: none;
-    background: rgba(0, 123, 255, 0.1);
+    background: transparent;
     border: 2px solid rgba(0, 123, 255, 0.8);
     box-sizing: border-box;
   `;
@@ -147,7 +153,7 @@ function createPanel() {
     border-radius: 8px;
     white-space: pre-wrap;
     min-width: ${PANEL_MIN_WIDTH}px;
-    max-width: ${PANEL_MAX_WIDTH}px;
+    max-width: ${settings.PANEL_MAX_WIDTH}px;
     max-height: ${PANEL_MAX_HEIGHT_VH}vh;
     overflow-y: auto;
     overflow-x: hidden;
@@ -190,8 +196,10 @@ function hideOverlayGeneric(overlay) {
 }
 
 // Public API - All functions use the generic implementation
+// The main overlay also draws the box model (and flex / grid layout) underneath
 export function showOverlay(overlay, element) {
   showOverlayGeneric(overlay, element);
+  if (overlay && element) showLayoutOverlay(element);
 }
 
 export function showReactOverlay(reactOverlay, element) {
@@ -209,6 +217,8 @@ export function showVueOverlay(vueOverlay, element) {
 
 export function hideOverlay(overlay) {
   hideOverlayGeneric(overlay);
+  hideLayoutOverlay();
+  hideMeasureOverlay(document.getElementById(MEASURE_OVERLAY_ID));
 }
 
 export function hideReactOverlay(reactOverlay) {
@@ -219,6 +229,217 @@ export function hideVueOverlay(vueOverlay) {
   hideOverlayGeneric(vueOverlay);
 }
 
+/**
+ * Create measurement overlay element (distance lines, no panel)
+ * @returns {HTMLElement|null} Measurement overlay element
+ */
+export function createMeasureOverlay() {
+  const existingOverlay = document.getElementById(MEASURE_OVERLAY_ID);
+  if (existingOverlay) {
+    return existingOverlay;
+  }
+
+  if (!document.body) {
+    return null;
+  }
+
+  const div = document.createElement('div');
+  div.id = MEASURE_OVERLAY_ID;
+  div.style.cssText = `
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 0;
+    height: 0;
+    z-index: ${OVERLAY_Z_INDEX - 1};
+    pointer-events: none;
+    display: none;
+  `;
+
+  try {
+    document.body.appendChild(div);
+  } catch (e) {
+    console.error('Failed to append measure overlay to body:', e);
+    return null;
+  }
+
+  return div;
+}
+
+/**
+ * Add a positioned div (page coordinates) to the measurement overlay
+ */
+function appendMeasureBox(measureOverlay, left, top, width, height, style) {
+  const div = document.createElement('div');
+  div.style.cssText = `position: absolute; box-sizing: border-box; left: ${left}px; top: ${top}px; width: ${width}px; height: ${height}px; ${style}`;
+  measureOverlay.appendChild(div);
+  return div;
+}
+
+function appendMeasureLabel(measureOverlay, left, top, text, transform = 'translate(-50%, -50%)') {
+  const label = document.createElement('div');
+  label.style.cssText = `
+    position: absolute;
+    left: ${left}px;
+    top: ${top}px;
+    transform: ${transform};
+    background: ${MEASURE_COLOR};
+    color: white;
+    font: bold 10px/1.4 'Monaco', 'Menlo', 'Consolas', monospace;
+    padding: 0 4px;
+    border-radius: 3px;
+    white-space: nowrap;
+  `;
+  label.textContent = text;
+  measureOverlay.appendChild(label);
+  return label;
+}
+
+function formatMeasure(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Show the distances between the pinned element and the hovered one
+ * @param {HTMLElement} measureOverlay - Measurement overlay element
+ * @param {HTMLElement} pinnedElement - Pinned element (measured from)
+ * @param {HTMLElement} hoveredElement - Hovered element (measured to)
+ */
+export function showMeasureOverlay(measureOverlay, pinnedElement, hoveredElement) {
+  if (!measureOverlay || !pinnedElement || !hoveredElement) return;
+
+  measureOverlay.textContent = '';
+  const scrollX = window.scrollX;
+  const scrollY = window.scrollY;
+  const pinnedRect = pinnedElement.getBoundingClientRect();
+  const hoveredRect = hoveredElement.getBoundingClientRect();
+
+  // Both elements outlined, with their size above the top-left corner
+  [
+    [pinnedRect, 'solid'],
+    [hoveredRect, 'dashed'],
+  ].forEach(([rect, lineStyle]) => {
+    appendMeasureBox(
+      measureOverlay,
+      rect.left + scrollX,
+      rect.top + scrollY,
+      rect.width,
+      rect.height,
+      `border: 1px ${lineStyle} ${MEASURE_COLOR};`
+    );
+    appendMeasureLabel(
+      measureOverlay,
+      rect.left + scrollX,
+      rect.top + scrollY,
+      `${formatMeasure(rect.width)} × ${formatMeasure(rect.height)}`,
+      'translate(0, -100%)'
+    );
+  });
+
+  measureDistances(pinnedRect, hoveredRect).forEach((segment) => {
+    const isHorizontal = segment.axis === 'x';
+    if (isHorizontal) {
+      appendMeasureBox(
+        measureOverlay,
+        segment.start + scrollX,
+        segment.at + scrollY,
+        segment.length,
+        1,
+        `background: ${MEASURE_COLOR};`
+      );
+    } else {
+      appendMeasureBox(
+        measureOverlay,
+        segment.at + scrollX,
+        segment.start + scrollY,
+        1,
+        segment.length,
+        `background: ${MEASURE_COLOR};`
+      );
+    }
+
+    // Dashed guide from the pinned element's edge out to the line
+    const { guide } = segment;
+    if (guide) {
+      if (isHorizontal) {
+        appendMeasureBox(
+          measureOverlay,
+          guide.edge + scrollX,
+          guide.start + scrollY,
+          0,
+          guide.end - guide.start,
+          `border-left: 1px dashed ${MEASURE_COLOR};`
+        );
+      } else {
+        appendMeasureBox(
+          measureOverlay,
+          guide.start + scrollX,
+          guide.edge + scrollY,
+          guide.end - guide.start,
+          0,
+          `border-top: 1px dashed ${MEASURE_COLOR};`
+        );
+      }
+    }
+
+    const middle = segment.start + segment.length / 2;
+    appendMeasureLabel(
+      measureOverlay,
+      (isHorizontal ? middle : segment.at) + scrollX,
+      (isHorizontal ? segment.at : middle) + scrollY,
+      `${formatMeasure(segment.length)}px`
+    );
+  });
+
+  measureOverlay.style.display = 'block';
+}
+
+/**
+ * Hide measurement overlay
+ * @param {HTMLElement} measureOverlay - Measurement overlay element
+ */
+export function hideMeasureOverlay(measureOverlay) {
+  if (measureOverlay) {
+    measureOverlay.style.display = 'none';
+    measureOverlay.textContent = '';
+  }
+}
+
+/**
+ * Show a short message at the top of the page
+ * @param {string} text - Message
+ * @param {number} duration - How long it stays (ms)
+ */
+export function showToast(text, duration = 2500) {
+  if (!document.body) return;
+
+  let toast = document.getElementById(TOAST_ID);
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = TOAST_ID;
+    toast.style.cssText = `
+      position: fixed;
+      top: 12px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: ${OVERLAY_Z_INDEX};
+      pointer-events: none;
+      background: rgba(20, 20, 20, 0.95);
+      color: white;
+      font: 11px/1.5 'Monaco', 'Menlo', 'Consolas', monospace;
+      padding: 6px 12px;
+      border-radius: 6px;
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+    `;
+    document.body.appendChild(toast);
+  }
+
+  toast.textContent = text;
+  clearTimeout(toast._hideTimeout);
+  toast._hideTimeout = setTimeout(() => toast.remove(), duration);
+}
+
 /**
  * Get panel element from overlay
  * @param {HTMLElement} overlay - Overlay element
@@ -247,7 +468,11 @@ export function cleanupAllOverlays() {
     'hovercomp-overlay',
     'hovercomp-react-overlay',
     'hovercomp-vue-overlay',
-    'hovercomp-mode-selector',
+    'hovercomp-tree-drawer',
+    'hovercomp-tree-highlight',
+    'hovercomp-box-model',
+    MEASURE_OVERLAY_ID,
+    TOAST_ID,
   ];
   
   overlayIds.forEach(id => {
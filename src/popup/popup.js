@@ -0,0 +1,195 @@
+/**
+ * HoverComp toolbar popup
+ * On/off state comes from the background worker; frameworks, the inspection mode and the
+ * pinned component come from the content script of the tab's top frame (popupBridge.js).
+ */
+
+import { escapeHtml } from '../utils/domHelpers.js';
+
+const toggleButton = document.getElementById('toggle');
+const pageSection = document.getElementById('page');
+const unavailableNote = document.getElementById('unavailable');
+const errorText = document.getElementById('error');
+const exportButton = document.getElementById('export');
+const profilerButton = document.getElementById('profiler');
+const treeButton = document.getElementById('tree');
+
+let tab = null;
+let status = null;
+
+function showError(error) {
+  errorText.textContent = error ? error.message || String(error) : '';
+}
+
+/**
+ * Ask the tab's content script to run a popup action
+ */
+function runAction(action, args = []) {
+  return chrome.tabs
+    .sendMessage(tab.id, { type: 'POPUP_ACTION', action, args }, { frameId: 0 })
+    .then((result) => {
+      if (!result) throw new Error('No response from page');
+      if (result.error) throw new Error(result.error);
+      return result;
+    });
+}
+
+function renderEnabled(enabled) {
+  toggleButton.textContent = enabled ? 'On' : 'Off';
+  toggleButton.classList.toggle('on', enabled);
+}
+
+function renderFrameworks(frameworks) {
+  document.getElementById('frameworks').innerHTML = frameworks.length
+    ? frameworks.map((name) => `<span class="framework">${escapeHtml(name)}</span>`).join('')
+    : '<span class="muted">None detected yet</span>';
+}
+
+function renderModes(modes, current) {
+  const container = document.getElementById('modes');
+  container.innerHTML = modes
+    .map(
+      (mode) =>
+        `<label class="mode"><input type="radio" name="inspection-mode" value="${mode.value}" ` +
+        `${mode.value === current ? 'checked' : ''} style="accent-color: ${mode.color};">` +
+        `<span style="color: ${mode.color};">${escapeHtml(mode.label)}</span></label>`
+    )
+    .join('');
+  container.querySelectorAll('input').forEach((input) => {
+    input.addEventListener('change', () => {
+      runAction('setInspectionMode', [input.value]).then(render, showError);
+    });
+  });
+}
+
+function renderPinned(pinned) {
+  const container = document.getElementById('pinned');
+  if (!pinned) {
+    container.innerHTML = '<span class="muted">Alt+Click a component to pin it</span>';
+    return;
+  }
+
+  let html = `<strong style="color: #61dafb;">${escapeHtml(pinned.name)}</strong>`;
+  html += ` <span class="muted">${escapeHtml(pinned.framework)}</span>`;
+  const location = pinned.sourceLocation;
+  if (location?.fileName) {
+    const shortPath = location.fileName.split(/[\\/]/).slice(-2).join('/');
+    const line = location.line ? `:${location.line}` : '';
+    html += `<div style="color: #64b5f6;">📁 ${escapeHtml(shortPath + line)}</div>`;
+  }
+  if (pinned.props !== undefined) {
+    const counts = `${pinned.props} props · ${pinned.state} state · ${pinned.hooks} hooks`;
+    html += `<div class="muted">${counts}</div>`;
+  }
+  container.innerHTML = html;
+}
+
+function render(nextStatus) {
+  status = nextStatus;
+  renderFrameworks(status.frameworks);
+  renderModes(status.modes, status.inspectionMode);
+  renderPinned(status.pinned);
+  exportButton.disabled = !status.pinned;
+  profilerButton.textContent = status.profiling ? '■ Stop profiler' : '● Profiler';
+  treeButton.textContent = status.treeDrawerOpen ? '✕ Close tree' : '🌳 Tree';
+  showError(null);
+}
+
+function download(url, fileName) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName.replace(/[\\/:*?"<>|]/g, '_');
+  link.click();
+}
+
+function exportPinned() {
+  runAction('exportPinned')
+    .then(({ fileName, json }) => {
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      download(url, fileName);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    })
+    .catch(showError);
+}
+
+/**
+ * Crop a visible-tab capture to the pinned component
+ */
+async function cropCapture(dataUrl, rect, devicePixelRatio) {
+  if (!rect || rect.width === 0 || rect.height === 0) return dataUrl;
+
+  const image = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const x = Math.max(0, Math.round(rect.x * devicePixelRatio));
+  const y = Math.max(0, Math.round(rect.y * devicePixelRatio));
+  const width = Math.min(image.width - x, Math.round(rect.width * devicePixelRatio));
+  const height = Math.min(image.height - y, Math.round(rect.height * devicePixelRatio));
+  if (width <= 0 || height <= 0) return dataUrl;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, x, y, width, height, 0, 0, width, height);
+  return canvas.toDataURL('image/png');
+}
+
+async function takeScreenshot() {
+  try {
+    const { rect, devicePixelRatio } = await runAction('prepareScreenshot');
+    let dataUrl;
+    try {
+      dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    } finally {
+      await runAction('finishScreenshot').catch(() => {});
+    }
+    const name = status?.pinned?.name.replace(/[<>]/g, '') || 'screenshot';
+    download(await cropCapture(dataUrl, rect, devicePixelRatio), `${name}.png`);
+  } catch (error) {
+    showError(error);
+  }
+}
+
+function toggleProfiler() {
+  runAction(status?.profiling ? 'stopProfiling' : 'startProfiling').then(render, showError);
+}
+
+function toggleTreeDrawer() {
+  runAction('toggleTreeDrawer').then(render, showError);
+}
+
+function toggleInspector() {
+  chrome.runtime
+    .sendMessage({ type: 'POPUP_TOGGLE', tabId: tab.id, url: tab.url })
+    .then(({ enabled }) => renderEnabled(enabled))
+    .catch(showError);
+}
+
+async function init() {
+  [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !/^https?:/.test(tab.url || '')) {
+    toggleButton.disabled = true;
+    unavailableNote.hidden = false;
+    return;
+  }
+
+  const { enabled } = await chrome.runtime.sendMessage({ type: 'POPUP_STATUS', tabId: tab.id });
+  renderEnabled(enabled);
+  pageSection.hidden = false;
+  // Pages opened before the extension was installed or reloaded have no content script
+  runAction('getStatus').then(render, () => {
+    pageSection.hidden = true;
+    unavailableNote.textContent = 'Reload the page to inspect it.';
+    unavailableNote.hidden = false;
+  });
+}
+
+toggleButton.addEventListener('click', toggleInspector);
+exportButton.addEventListener('click', exportPinned);
+document.getElementById('screenshot').addEventListener('click', takeScreenshot);
+profilerButton.addEventListener('click', toggleProfiler);
+treeButton.addEventListener('click', toggleTreeDrawer);
+document.getElementById('options').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+init().catch(showError);
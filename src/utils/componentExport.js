@@ -0,0 +1,309 @@
+/**
+ * Copy / Export for the inspected component: a JSON snapshot, a test render snippet, a
+ * Storybook story and a Jest snapshot object, all built from the panel's component info.
+ * Values arrive already sanitized by the page world (componentHelpers.js), so functions and
+ * DOM nodes are marker strings here; they become typed placeholders in every export.
+ */
+
+import { fetchComponentInfo } from './messageHandler.js';
+import { getCSSInfo } from './cssHelper.js';
+
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON snapshot' },
+  { id: 'test', label: 'Test render' },
+  { id: 'story', label: 'Storybook story' },
+  { id: 'jest', label: 'Jest snapshot' },
+];
+
+const FUNCTION_MARKER = /^\[Function: (.*)\]$/;
+const NODE_MARKER = /^\[(\w*(?:Element|Node|Text|Comment|Fragment|Document)): ([\w-]*)\]$/;
+const CHILDREN_MARKER = '[React Children]';
+
+/**
+ * Turn the sanitizer's marker strings into typed placeholders
+ * @param {*} value - Sanitized value
+ * @returns {*} Same value with { $type: 'function' | 'element' | 'children', ... } objects
+ */
+export function toPlaceholders(value) {
+  if (typeof value === 'string') {
+    const fn = value.match(FUNCTION_MARKER);
+    if (fn) return { $type: 'function', name: fn[1] };
+    const node = value.match(NODE_MARKER);
+    if (node) return { $type: 'element', constructor: node[1], tagName: node[2] };
+    if (value === CHILDREN_MARKER) return { $type: 'children' };
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(toPlaceholders);
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = toPlaceholders(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+function isPlaceholder(value) {
+  return !!value && typeof value === 'object' && typeof value.$type === 'string';
+}
+
+function hasFunctionPlaceholder(value) {
+  if (!value || typeof value !== 'object') return false;
+  if (value.$type === 'function') return true;
+  return Object.values(value).some(hasFunctionPlaceholder);
+}
+
+// JS source for a placeholder in test code (Jest mocks, real nodes)
+function testPlaceholderSource(placeholder) {
+  if (placeholder.$type === 'function') return 'jest.fn()';
+  if (placeholder.$type === 'element') {
+    return placeholder.tagName
+      ? `document.createElement('${placeholder.tagName}')`
+      : "document.createTextNode('')";
+  }
+  return 'null /* React children */';
+}
+
+// Storybook's fn() records calls in the Actions panel
+function storyPlaceholderSource(placeholder) {
+  return placeholder.$type === 'function' ? 'fn()' : testPlaceholderSource(placeholder);
+}
+
+// Asymmetric matchers, so the snapshot doesn't depend on identities
+function matcherPlaceholderSource(placeholder) {
+  if (placeholder.$type === 'function') return 'expect.any(Function)';
+  if (placeholder.$type === 'element') return `expect.any(${placeholder.constructor})`;
+  return 'expect.anything()';
+}
+
+function quote(text) {
+  return `'${JSON.stringify(text).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Write a value as a JS literal
+ * @param {*} value - Value with placeholders
+ * @param {Function} placeholderSource - Source for a placeholder object
+ * @param {string} indent - Indentation of the line the literal starts on
+ * @returns {string} Source code
+ */
+export function toSource(value, placeholderSource, indent = '') {
+  if (value === null) return 'null';
+  if (value === 'undefined') return 'undefined';
+  if (typeof value === 'string') return quote(value);
+  if (typeof value !== 'object') return String(value);
+  if (isPlaceholder(value)) return placeholderSource(value);
+
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    const items = value.map((item) => `${inner}${toSource(item, placeholderSource, inner)},`);
+    return `[\n${items.join('\n')}\n${indent}]`;
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 0) return '{}';
+  const entries = keys.map((key) => {
+    const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+    return `${inner}${name}: ${toSource(value[key], placeholderSource, inner)},`;
+  });
+  return `{\n${entries.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Identifier to import a component as: "ForwardRef(Button)" → Button, "app-root" → AppRoot
+ */
+export function toComponentIdentifier(name) {
+  const inner = (name || '').match(/\(([^()]+)\)/)?.[1] || name || '';
+  const identifier = inner
+    .split(/[^A-Za-z0-9_$]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  if (!identifier) return 'Component';
+  return /^\d/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+// Import path next to the component's source file, keeping SFC extensions
+function getImportPath(info, identifier) {
+  const fileName = info.sourceLocation?.fileName || info.fileName;
+  const base = fileName ? fileName.split(/[\\/]/).pop().split('?')[0] : '';
+  if (!base) return `./${identifier}`;
+  return /\.(vue|svelte)$/.test(base) ? `./${base}` : `./${base.replace(/\.[^.]+$/, '')}`;
+}
+
+const TEST_RENDERERS = {
+  React: { from: '@testing-library/react', style: 'jsx' },
+  Preact: { from: '@testing-library/preact', style: 'jsx' },
+  Solid: { from: '@solidjs/testing-library', style: 'solid' },
+  Vue: { from: '@vue/test-utils', style: 'vue' },
+  Svelte: { from: '@testing-library/svelte', style: 'svelte' },
+  Angular: { from: '@testing-library/angular', style: 'angular' },
+};
+
+const JSX_STYLES = ['jsx', 'solid'];
+
+function getTestRenderer(framework) {
+  const family = (framework || '').split(' ')[0];
+  return TEST_RENDERERS[family] || TEST_RENDERERS.React;
+}
+
+// How each test library renders the component with `props`
+function getRenderLines(renderer, identifier, framework) {
+  if (renderer.style === 'vue') {
+    const option = framework === 'Vue 2' ? 'propsData: props' : 'props';
+    return [
+      `  const wrapper = mount(${identifier}, { ${option} });`,
+      '  expect(wrapper.html()).toMatchSnapshot();',
+    ];
+  }
+
+  const render = {
+    jsx: `render(<${identifier} {...props} />)`,
+    solid: `render(() => <${identifier} {...props} />)`,
+    svelte: `render(${identifier}, { props })`,
+    angular: `await render(${identifier}, { componentInputs: props })`,
+  }[renderer.style];
+  return [`  const { container } = ${render};`, '  expect(container).toMatchSnapshot();'];
+}
+
+function formatTestSnippet(info, identifier) {
+  const renderer = getTestRenderer(info.framework);
+  const props = toSource(toPlaceholders(info.props || {}), testPlaceholderSource, '  ');
+  const run = renderer.style === 'angular' ? 'async () =>' : '() =>';
+  return [
+    `import { ${renderer.style === 'vue' ? 'mount' : 'render'} } from '${renderer.from}';`,
+    `import ${identifier} from '${getImportPath(info, identifier)}';`,
+    '',
+    `test('renders ${identifier} with the inspected props', ${run} {`,
+    `  const props = ${props};`,
+    ...getRenderLines(renderer, identifier, info.framework),
+    '});',
+    '',
+  ].join('\n');
+}
+
+function formatStory(info, identifier) {
+  const args = toPlaceholders(info.props || {});
+  const lines = [];
+  if (hasFunctionPlaceholder(args)) {
+    lines.push("import { fn } from '@storybook/test';");
+  }
+  lines.push(`import ${identifier} from '${getImportPath(info, identifier)}';`, '');
+  lines.push('export default {');
+  lines.push(`  title: ${quote(`Inspected/${identifier}`)},`);
+  lines.push(`  component: ${identifier},`);
+  lines.push('};', '');
+  lines.push('export const Inspected = {');
+  lines.push(`  args: ${toSource(args, storyPlaceholderSource, '  ')},`);
+  lines.push('};', '');
+  return lines.join('\n');
+}
+
+function formatJestSnapshot(info, identifier, context) {
+  const snapshot = { name: info.name, framework: info.framework };
+  ['props', 'state', 'hooks'].forEach((key) => {
+    if (info[key] !== undefined && info[key] !== null) snapshot[key] = info[key];
+  });
+  const variable = `inspected${identifier.replace(/^_/, '')}`;
+  return [
+    `// ${info.name} (${info.framework}), inspected at ${context.url}`,
+    `// expect(received).toMatchSnapshot(${variable}) or .toMatchObject(${variable})`,
+    `const ${variable} = ${toSource(toPlaceholders(snapshot), matcherPlaceholderSource)};`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Build one export of a component
+ * @param {string} format - An EXPORT_FORMATS id
+ * @param {Object} info - Component info (as formatComponentInfo gets it)
+ * @param {Object} context - { url, tagName, exportedAt }
+ * @returns {Object} { text, fileName, mimeType }
+ */
+export function formatComponentExport(format, info, context) {
+  const identifier = toComponentIdentifier(info.name);
+
+  if (format === 'json') {
+    const snapshot = {
+      url: context.url,
+      exportedAt: context.exportedAt,
+      element: context.tagName,
+      component: toPlaceholders(info),
+    };
+    const text = JSON.stringify(snapshot, null, 2);
+    return { text, fileName: `${identifier}.json`, mimeType: 'application/json' };
+  }
+  if (format === 'test') {
+    const text = formatTestSnippet(info, identifier);
+    const extension = JSX_STYLES.includes(getTestRenderer(info.framework).style) ? 'jsx' : 'js';
+    return { text, fileName: `${identifier}.test.${extension}`, mimeType: 'text/javascript' };
+  }
+  if (format === 'story') {
+    const text = formatStory(info, identifier);
+    return { text, fileName: `${identifier}.stories.js`, mimeType: 'text/javascript' };
+  }
+  if (format === 'jest') {
+    const text = formatJestSnapshot(info, identifier, context);
+    return { text, fileName: `${identifier}.snapshot.js`, mimeType: 'text/javascript' };
+  }
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+/**
+ * Export the component an element belongs to
+ * @param {HTMLElement} element - Inspected element
+ * @param {string} format - An EXPORT_FORMATS id
+ * @param {string} inspectionMode - Current inspection mode
+ * @returns {Promise<Object>} { text, fileName, mimeType }
+ */
+export async function exportComponent(element, format, inspectionMode = 'auto') {
+  const response = await fetchComponentInfo(element, inspectionMode);
+  const info = response?.componentInfo;
+  if (!info) throw new Error('No component to export here');
+
+  // The panel shows CSS next to the component, so the JSON snapshot carries it too
+  return formatComponentExport(
+    format,
+    format === 'json' ? { ...info, css: getCSSInfo(element) } : info,
+    {
+      url: window.location.href,
+      tagName: element.tagName.toLowerCase(),
+      exportedAt: new Date().toISOString(),
+    }
+  );
+}
+
+/**
+ * Put an export on the clipboard
+ * navigator.clipboard is blocked in some contexts (DevTools panels, unfocused pages), so
+ * this falls back to a hidden textarea and execCommand.
+ * @returns {Promise<void>}
+ */
+export function copyText(text) {
+  const fallback = () => {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    if (!copied) throw new Error('Copying is blocked on this page');
+  };
+  if (!navigator.clipboard) return Promise.resolve().then(fallback);
+  return navigator.clipboard.writeText(text).catch(fallback);
+}
+
+/**
+ * Save an export as a file
+ * @param {Object} file - { text, fileName, mimeType }
+ */
+export function downloadText({ text, fileName, mimeType }) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  link.download = fileName.replace(/[\\/:*?"<>|]/g, '_');
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
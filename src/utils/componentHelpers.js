@@ -2,7 +2,35 @@
  * Shared utilities for component detection and manipulation across frameworks
  */
 
-import { USER_CODE_PATHS, USER_COMPONENT_SCORE_THRESHOLD } from '../config/constants.js';
+import { FRAMEWORK_PATTERNS } from '../config/constants.js';
+import { settings } from '../config/settings.js';
+
+// Vendor folders: packages and the meta-frameworks' own sources
+const VENDOR_PATHS = [
+  'node_modules',
+  '/next/',
+  '\\next\\',
+  '/nuxt/',
+  '\\nuxt\\',
+  '/vue/',
+  '\\vue\\',
+];
+
+// Components the frameworks and their routers ship, on top of settings.KNOWN_FRAMEWORK_COMPONENTS
+const BUILT_IN_COMPONENTS = [
+  'Transition',
+  'TransitionGroup',
+  'KeepAlive',
+  'Suspense',
+  'Teleport',
+  'RouterView',
+  'RouterLink',
+  'NuxtLink',
+  'NuxtPage',
+  'NuxtLayout',
+  'ClientOnly',
+  'ServerOnly',
+];
 
 /**
  * Check if a component is from user code
@@ -11,7 +39,109 @@ import { USER_CODE_PATHS, USER_COMPONENT_SCORE_THRESHOLD } from '../config/const
  */
 export function isFromUserCode(fileName) {
   if (!fileName) return false;
-  return USER_CODE_PATHS.some((path) => fileName.includes(path));
+  return settings.USER_CODE_PATHS.some((path) => fileName.includes(path));
+}
+
+/**
+ * Check if a component is from node_modules (or a meta-framework's own folder)
+ * @param {string} fileName - File name/path
+ * @returns {boolean} True if from node_modules
+ */
+export function isFromNodeModules(fileName) {
+  return VENDOR_PATHS.some((path) => fileName.includes(path));
+}
+
+/**
+ * Check if component name matches known framework components
+ * @param {string} name - Component name
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True if known framework component
+ */
+export function isKnownFrameworkComponent(name, fileName = '') {
+  const knownComponents = [...settings.KNOWN_FRAMEWORK_COMPONENTS, ...BUILT_IN_COMPONENTS];
+  return (
+    knownComponents.includes(name) ||
+    (name.endsWith('Component') && knownComponents.some((fw) => name.includes(fw))) ||
+    name.includes('ServerRoot') ||
+    name.includes('NuxtRoot') ||
+    name.includes('HotReload') ||
+    name.includes('AppRouter') ||
+    name.includes('RouterView') ||
+    (name === 'Root' && (fileName.includes('next') || fileName.includes('nuxt'))) ||
+    (name === 'Router' && /next|nuxt|react-router|vue-router/.test(fileName))
+  );
+}
+
+/**
+ * Check if component name has framework patterns (stricter for Next.js internals)
+ * @param {string} name - Component name
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True if has framework pattern
+ */
+export function hasFrameworkPattern(name, fileName = '') {
+  const pattern = new RegExp(`^(${FRAMEWORK_PATTERNS.join('|')})$`);
+  return (
+    pattern.test(name) ||
+    (name.includes('Router') && (fileName.includes('next') || fileName.includes('node_modules'))) ||
+    name.includes('Boundary') ||
+    name.includes('Handler') ||
+    name.includes('Provider') ||
+    name.includes('Context') ||
+    name.includes('Overlay') ||
+    name.includes('DevRoot') ||
+    name.includes('HotReload') ||
+    name.includes('ServerRoot') ||
+    name.includes('Segment') ||
+    name.includes('View') ||
+    name.includes('Scroll') ||
+    name.includes('Focus') ||
+    name.includes('Redirect') ||
+    name.includes('Template') ||
+    name.includes('Fallback') ||
+    name.includes('HTTPAccess') ||
+    name.includes('Loading') ||
+    name.startsWith('Inner') ||
+    name.startsWith('Outer') ||
+    name.startsWith('Render')
+  );
+}
+
+/**
+ * Score how likely a component is one the user wrote (compare with isUserComponent)
+ * Framework helpers supply what they know about their own vendor paths and built-ins,
+ * plus their framework-specific points as `bonus`.
+ * @param {Object} indicators - Component indicators
+ * @param {string} indicators.fileName - Source path ('' when unknown)
+ * @param {string} [indicators.parentFileName] - Source path of the owner or parent component
+ * @param {boolean} [indicators.isKnownFramework] - Named like a framework component
+ * @param {boolean} [indicators.hasFrameworkPattern] - Named like framework internals
+ * @param {boolean} [indicators.isFromNodeModules] - Under a vendor path
+ * @param {boolean} [indicators.isFrameworkBuild] - Under the framework's own dist folder
+ * @param {number} [indicators.bonus] - Framework-specific points
+ * @returns {number} Component score (higher = more likely a user component)
+ */
+export function calculateComponentScore({
+  fileName,
+  parentFileName = '',
+  isKnownFramework = false,
+  hasFrameworkPattern = false,
+  isFromNodeModules = false,
+  isFrameworkBuild = false,
+  bonus = 0,
+}) {
+  let score = bonus;
+
+  // Strong negative indicators
+  if (isKnownFramework) score -= 10;
+  if (hasFrameworkPattern) score -= 5;
+  if (isFromNodeModules) score -= 10;
+  if (isFrameworkBuild) score -= 15;
+
+  // Positive indicators
+  if (isFromUserCode(fileName) && !isFromNodeModules) score += 10;
+  if (parentFileName && parentFileName.includes('/app/')) score += 5;
+
+  return score;
 }
 
 /**
@@ -22,7 +152,7 @@ export function isFromUserCode(fileName) {
  * @returns {boolean} True if user component
  */
 export function isUserComponent(score, isKnownFramework, hasFrameworkPattern) {
-  return score >= USER_COMPONENT_SCORE_THRESHOLD && !isKnownFramework && !hasFrameworkPattern;
+  return score >= settings.USER_COMPONENT_SCORE_THRESHOLD && !isKnownFramework && !hasFrameworkPattern;
 }
 
 /**
@@ -51,6 +181,9 @@ function deepClone(value, depth, seen, options = {}) {
   if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
     return value;
   }
+  if (typeof Node !== 'undefined' && value instanceof Node) {
+    return '[' + value.constructor.name + ': ' + (value.tagName || '').toLowerCase() + ']';
+  }
   if (typeof value !== 'object') return String(value);
 
   // Handle Vue reactive objects
@@ -101,11 +234,35 @@ export function sanitizeValue(value, options = {}) {
   return deepClone(value, 0, new WeakSet(), options);
 }
 
+// Strings deepClone() and sanitizeProps() put in place of values they don't copy
+const SANITIZER_MARKER =
+  /^(?:undefined|\[(?:\.\.\.|Circular|Symbol(?:: .*)?|Error reading property|React Children|Function: .*|\w+: [\w-]*)\])$/;
+const TRUNCATED_ITEMS_MARKER = /^\.\.\. \+\d+ items$/;
+
+/**
+ * Find a marker the sanitizer left in place of something it didn't copy
+ * @param {*} value - Sanitized value
+ * @returns {?string} First marker found, or null if the value was copied in full
+ */
+export function findSanitizerMarker(value) {
+  if (typeof value === 'string') {
+    return SANITIZER_MARKER.test(value) || TRUNCATED_ITEMS_MARKER.test(value) ? value : null;
+  }
+  if (!value || typeof value !== 'object') return null;
+  if (!Array.isArray(value) && '...' in value) return `${value['...']} (not recorded)`;
+  for (const item of Object.values(value)) {
+    const marker = findSanitizerMarker(item);
+    if (marker) return marker;
+  }
+  return null;
+}
+
 /**
  * Sanitize props object
  * @param {Object} props - Props object
  * @param {Object} options - Options for sanitization
- * @param {string} options.framework - Framework name ('vue' or 'svelte')
+ * @param {string} options.framework - Framework name ('vue' or 'svelte'), or 'jsx' for
+ *   React, Preact and Solid props (children become a placeholder)
  * @returns {Object} Sanitized props
  */
 export function sanitizeProps(props, options = {}) {
@@ -122,7 +279,9 @@ export function sanitizeProps(props, options = {}) {
 
     const value = props[key];
 
-    if (typeof value === 'function') {
+    if (framework === 'jsx' && key === 'children') {
+      sanitized[key] = typeof value === 'object' ? '[React Children]' : String(value);
+    } else if (typeof value === 'function') {
       sanitized[key] = '[Function: ' + (value.name || 'anonymous') + ']';
     } else if (typeof value === 'symbol') {
       sanitized[key] = '[Symbol: ' + value.toString() + ']';
@@ -136,3 +295,24 @@ export function sanitizeProps(props, options = {}) {
   }
   return sanitized;
 }
+
+/**
+ * Check for a non-null, non-array object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Replace a reactive object's contents in place so its owner keeps the reference
+ * @param {Object} reactiveObject - Reactive (Vue reactive, Svelte $state) object
+ * @param {Object} value - New contents
+ */
+export function assignReactive(reactiveObject, value) {
+  Object.keys(reactiveObject).forEach((key) => {
+    if (!(key in value)) delete reactiveObject[key];
+  });
+  Object.assign(reactiveObject, value);
+}
@@ -0,0 +1,690 @@
+/**
+ * Cascade for an element: which declaration wins for each property, and why
+ * Stylesheet rules are collected through @import, @media, @supports, @container and @layer,
+ * then every declaration is ranked the way the browser does (importance, style attribute,
+ * layer order, specificity, source order). Inherited properties come from the nearest
+ * ancestor that declares them.
+ */
+
+import { getRuleId } from './cssChangeLog.js';
+
+const INHERITED_PROPERTIES = [
+  'border-collapse',
+  'border-spacing',
+  'caption-side',
+  'caret-color',
+  'color',
+  'color-scheme',
+  'cursor',
+  'direction',
+  'empty-cells',
+  'fill',
+  'font-family',
+  'font-feature-settings',
+  'font-size',
+  'font-stretch',
+  'font-style',
+  'font-variant',
+  'font-weight',
+  'hyphens',
+  'letter-spacing',
+  'line-height',
+  'list-style-image',
+  'list-style-position',
+  'list-style-type',
+  'overflow-wrap',
+  'pointer-events',
+  'quotes',
+  'stroke',
+  'tab-size',
+  'text-align',
+  'text-indent',
+  'text-rendering',
+  'text-shadow',
+  'text-transform',
+  'visibility',
+  'white-space',
+  'word-break',
+  'word-spacing',
+  'writing-mode',
+];
+
+// instanceof for rule classes that older browsers (and jsdom) don't define
+function isRule(rule, className) {
+  return typeof window[className] === 'function' && rule instanceof window[className];
+}
+
+// Index after a bracketed block starting at `start`, skipping strings and escapes
+function skipBlock(text, start, open, close) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i++;
+    } else if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === open) {
+      depth++;
+    } else if (ch === close && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return text.length;
+}
+
+function skipIdent(text, start) {
+  let i = start;
+  while (i < text.length) {
+    if (text[i] === '\\') i += 2;
+    else if (/[\w-]/.test(text[i]) || text[i] >= '\u0080') i++;
+    else break;
+  }
+  return i;
+}
+
+/**
+ * Split a selector list on its top-level commas
+ * @param {string} selectorText - e.g. ".a, :is(.b, .c) > p"
+ * @returns {Array<string>} Complex selectors
+ */
+export function splitSelectorList(selectorText) {
+  const selectors = [];
+  let start = 0;
+  let i = 0;
+  while (i < selectorText.length) {
+    const ch = selectorText[i];
+    if (ch === '(' || ch === '[') {
+      i = skipBlock(selectorText, i, ch, ch === '(' ? ')' : ']');
+      continue;
+    }
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      const end = selectorText.indexOf(ch, i + 1);
+      i = end === -1 ? selectorText.length : end + 1;
+      continue;
+    }
+    if (ch === ',') {
+      selectors.push(selectorText.slice(start, i).trim());
+      start = i + 1;
+    }
+    i++;
+  }
+  selectors.push(selectorText.slice(start).trim());
+  return selectors.filter(Boolean);
+}
+
+/**
+ * Compare two specificities
+ * @returns {number} > 0 when a is more specific, < 0 when b is, 0 when equal
+ */
+export function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+function maxSpecificity(list) {
+  return list.reduce(
+    (best, specificity) => (compareSpecificity(specificity, best) > 0 ? specificity : best),
+    [0, 0, 0]
+  );
+}
+
+const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+const FORGIVING_PSEUDO_CLASSES = ['is', 'not', 'has', 'matches', 'any', '-webkit-any'];
+
+// Specificity a pseudo-class or pseudo-element adds, arguments included
+function pseudoSpecificity(name, isElement, args) {
+  if (isElement || LEGACY_PSEUDO_ELEMENTS.includes(name)) {
+    const own = [0, 0, 1];
+    if (name !== 'slotted' || args === null) return own;
+    const inner = calculateSpecificity(args);
+    return [inner[0], inner[1], inner[2] + 1];
+  }
+  if (name === 'where') return [0, 0, 0];
+  if (FORGIVING_PSEUDO_CLASSES.includes(name)) {
+    return args === null ? [0, 1, 0] : calculateSpecificity(args);
+  }
+  if (args !== null && ['nth-child', 'nth-last-child', 'host', 'host-context'].includes(name)) {
+    const selector = name.startsWith('nth') ? args.split(/\s+of\s+/i)[1] : args;
+    const inner = selector ? calculateSpecificity(selector) : [0, 0, 0];
+    return [inner[0], inner[1] + 1, inner[2]];
+  }
+  return [0, 1, 0];
+}
+
+/**
+ * Specificity of a selector; for a list, the most specific of its selectors
+ * @param {string} selector - Selector text
+ * @returns {Array<number>} [ids, classes / attributes / pseudo-classes, types / pseudo-elements]
+ */
+export function calculateSpecificity(selector) {
+  const selectors = splitSelectorList(selector);
+  if (selectors.length !== 1) return maxSpecificity(selectors.map(calculateSpecificity));
+
+  const text = selectors[0];
+  const counts = [0, 0, 0];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '#') {
+      counts[0]++;
+      i = skipIdent(text, i + 1);
+    } else if (ch === '.') {
+      counts[1]++;
+      i = skipIdent(text, i + 1);
+    } else if (ch === '[') {
+      counts[1]++;
+      i = skipBlock(text, i, '[', ']');
+    } else if (ch === ':') {
+      const isElement = text[i + 1] === ':';
+      const nameStart = i + (isElement ? 2 : 1);
+      const nameEnd = skipIdent(text, nameStart);
+      let args = null;
+      i = nameEnd;
+      if (text[nameEnd] === '(') {
+        i = skipBlock(text, nameEnd, '(', ')');
+        args = text.slice(nameEnd + 1, i - 1);
+      }
+      const added = pseudoSpecificity(
+        text.slice(nameStart, nameEnd).toLowerCase(),
+        isElement,
+        args
+      );
+      added.forEach((count, index) => (counts[index] += count));
+    } else if (/[A-Za-z_\\-]/.test(ch) || ch >= '\u0080') {
+      const end = skipIdent(text, i);
+      // "svg|rect": the namespace prefix doesn't count
+      if (text[end] !== '|') counts[2]++;
+      i = end;
+    } else {
+      i++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Specificity a rule applies to an element with: the most specific selector in its list
+ * that matches
+ * @returns {?Array<number>} null when the rule doesn't match the element
+ */
+export function getMatchingSpecificity(element, selectorText) {
+  try {
+    if (!element.matches(selectorText)) return null;
+  } catch (e) {
+    return null;
+  }
+  let best = null;
+  splitSelectorList(selectorText).forEach((selector) => {
+    try {
+      if (!element.matches(selector)) return;
+    } catch (e) {
+      return;
+    }
+    const specificity = calculateSpecificity(selector);
+    if (!best || compareSpecificity(specificity, best) > 0) best = specificity;
+  });
+  return best;
+}
+
+function toPixels(value, unit, fontSize) {
+  if (unit === 'px' || (unit === '' && value === 0)) return value;
+  if (unit === 'em') return value * fontSize;
+  if (unit === 'rem') {
+    return value * parseFloat(window.getComputedStyle(document.documentElement).fontSize);
+  }
+  return null;
+}
+
+const RANGE_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '=': (a, b) => a === b,
+};
+const FLIPPED_OPERATORS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' };
+
+// One size feature like "(min-width: 400px)" or "(width > 30em)"; null when unsupported
+function evaluateSizeFeature(feature, size, fontSize) {
+  const dimension = (name) =>
+    ({
+      width: size.width,
+      'inline-size': size.width,
+      height: size.height,
+      'block-size': size.height,
+    })[name];
+
+  const plain = feature.match(/^(min-|max-)?([a-z-]+)\s*:\s*(-?[\d.]+)([a-z]*)$/);
+  if (plain) {
+    const actual = dimension(plain[2]);
+    const limit = toPixels(parseFloat(plain[3]), plain[4], fontSize);
+    if (actual === undefined || actual === null || limit === null) return null;
+    if (plain[1] === 'min-') return actual >= limit;
+    if (plain[1] === 'max-') return actual <= limit;
+    return actual === limit;
+  }
+
+  const range = feature.match(
+    /^([a-z-]+|-?[\d.]+[a-z]*)\s*(<=|>=|<|>|=)\s*([a-z-]+|-?[\d.]+[a-z]*)$/
+  );
+  if (!range) return null;
+  const nameFirst = /^[a-z]/.test(range[1]);
+  const name = nameFirst ? range[1] : range[3];
+  const operator = nameFirst ? range[2] : FLIPPED_OPERATORS[range[2]];
+  const length = (nameFirst ? range[3] : range[1]).match(/^(-?[\d.]+)([a-z]*)$/);
+  const actual = dimension(name);
+  const limit = length ? toPixels(parseFloat(length[1]), length[2], fontSize) : null;
+  if (actual === undefined || actual === null || limit === null) return null;
+  return RANGE_OPERATORS[operator](actual, limit);
+}
+
+/**
+ * Whether an @container rule applies to an element
+ * Only size queries joined with "and" are understood; anything else (style queries, "or",
+ * "not") is unknown.
+ * @returns {?boolean} null when it can't be told
+ */
+function evaluateContainerQuery(rule, element) {
+  const conditionText = rule.conditionText || '';
+  const name = rule.containerName ?? conditionText.match(/^([\w-]+)\s*\(/)?.[1] ?? '';
+  const query = rule.containerQuery ?? conditionText.slice(name.length).trim();
+
+  let container = element.parentElement;
+  while (container) {
+    const styles = window.getComputedStyle(container);
+    const type = styles.getPropertyValue('container-type');
+    const names = styles.getPropertyValue('container-name').split(/\s+/);
+    if (type && type !== 'normal' && (!name || names.includes(name))) break;
+    container = container.parentElement;
+  }
+  if (!container) return false;
+
+  const styles = window.getComputedStyle(container);
+  const type = styles.getPropertyValue('container-type');
+  const size = {
+    width: container.clientWidth - parseFloat(styles.paddingLeft) - parseFloat(styles.paddingRight),
+    height:
+      type === 'size'
+        ? container.clientHeight - parseFloat(styles.paddingTop) - parseFloat(styles.paddingBottom)
+        : null,
+  };
+  const fontSize = parseFloat(styles.fontSize);
+
+  const features = query.split(/\s+and\s+/i);
+  let result = true;
+  for (const feature of features) {
+    const inner = feature.trim().match(/^\((.*)\)$/);
+    const value = inner ? evaluateSizeFeature(inner[1].trim().toLowerCase(), size, fontSize) : null;
+    if (value === null) return null;
+    result = result && value;
+  }
+  return result;
+}
+
+function evaluateMedia(mediaText) {
+  if (!mediaText || !window.matchMedia) return true;
+  return window.matchMedia(mediaText).matches;
+}
+
+function evaluateSupports(conditionText) {
+  if (typeof CSS === 'undefined' || !CSS.supports) return true;
+  try {
+    return CSS.supports(conditionText);
+  } catch (e) {
+    return true;
+  }
+}
+
+// Layer names in declaration order per parent layer, for ranking layers against each other
+function createLayerRegistry() {
+  const children = new Map();
+  let anonymous = 0;
+  return {
+    register(parentPath, name) {
+      const resolvedName = name || `<anonymous ${++anonymous}>`;
+      const key = parentPath.join('.');
+      if (!children.has(key)) children.set(key, []);
+      const siblings = children.get(key);
+      if (!siblings.includes(resolvedName)) siblings.push(resolvedName);
+      return [...parentPath, resolvedName];
+    },
+    registerPath(parentPath, dottedName) {
+      return dottedName
+        .split('.')
+        .reduce((path, segment) => this.register(path, segment.trim()), parentPath);
+    },
+    rank(path) {
+      return path.map((segment, depth) =>
+        children.get(path.slice(0, depth).join('.')).indexOf(segment)
+      );
+    },
+  };
+}
+
+/**
+ * Compare the layers of two declarations for normal (not !important) precedence
+ * Unlayered styles sit after every layer at their level.
+ * @returns {number} > 0 when a's layer comes later
+ */
+function compareLayers(a, b) {
+  const length = Math.max(a.length, b.length) + 1;
+  for (let i = 0; i < length; i++) {
+    const left = i < a.length ? a[i] : Infinity;
+    const right = i < b.length ? b[i] : Infinity;
+    if (left !== right) return left > right ? 1 : -1;
+    if (left === Infinity) return 0;
+  }
+  return 0;
+}
+
+function collectFromRules(rules, context, registry, result) {
+  Array.from(rules || []).forEach((rule) => {
+    if (rule instanceof CSSStyleRule) {
+      result.push({
+        rule,
+        sheet: context.sheet,
+        conditions: context.conditions,
+        layer: context.layer,
+        order: result.length,
+      });
+    } else if (isRule(rule, 'CSSImportRule')) {
+      if (!rule.styleSheet) return;
+      const conditions = [...context.conditions];
+      if (rule.media && rule.media.mediaText) {
+        const text = `@media ${rule.media.mediaText}`;
+        conditions.push({ text, active: evaluateMedia(rule.media.mediaText) });
+      }
+      if (rule.supportsText) {
+        const text = `@supports ${rule.supportsText}`;
+        conditions.push({ text, active: evaluateSupports(rule.supportsText) });
+      }
+      const layer =
+        typeof rule.layerName === 'string'
+          ? registry.registerPath(context.layer, rule.layerName)
+          : context.layer;
+      collectFromSheet(rule.styleSheet, { ...context, conditions, layer }, registry, result);
+    } else if (isRule(rule, 'CSSMediaRule')) {
+      const condition = {
+        text: `@media ${rule.media.mediaText}`,
+        active: evaluateMedia(rule.media.mediaText),
+      };
+      const conditions = [...context.conditions, condition];
+      collectFromRules(rule.cssRules, { ...context, conditions }, registry, result);
+    } else if (isRule(rule, 'CSSSupportsRule')) {
+      const condition = {
+        text: `@supports ${rule.conditionText}`,
+        active: evaluateSupports(rule.conditionText),
+      };
+      const conditions = [...context.conditions, condition];
+      collectFromRules(rule.cssRules, { ...context, conditions }, registry, result);
+    } else if (isRule(rule, 'CSSContainerRule')) {
+      // Whether it applies depends on the element's containers, so it's decided per element
+      const condition = { text: `@container ${rule.conditionText}`, container: rule };
+      const conditions = [...context.conditions, condition];
+      collectFromRules(rule.cssRules, { ...context, conditions }, registry, result);
+    } else if (isRule(rule, 'CSSLayerBlockRule')) {
+      const layer = registry.registerPath(context.layer, rule.name);
+      collectFromRules(rule.cssRules, { ...context, layer }, registry, result);
+    } else if (isRule(rule, 'CSSLayerStatementRule')) {
+      rule.nameList.forEach((name) => registry.registerPath(context.layer, name));
+    }
+  });
+}
+
+function collectFromSheet(sheet, context, registry, result) {
+  try {
+    collectFromRules(sheet.cssRules, { ...context, sheet }, registry, result);
+  } catch (e) {
+    // Cross-origin stylesheet
+  }
+}
+
+/**
+ * Every style rule on the page, in cascade source order, with the conditions and layer
+ * it sits in
+ * @returns {Array<Object>} { rule, sheet, conditions, layer, layerRank, order }
+ */
+export function collectStyleRules() {
+  const registry = createLayerRegistry();
+  const result = [];
+  try {
+    Array.from(document.styleSheets).forEach((sheet) => {
+      if (sheet.disabled) return;
+      const conditions = [];
+      if (sheet.media && sheet.media.mediaText) {
+        const text = `@media ${sheet.media.mediaText}`;
+        conditions.push({ text, active: evaluateMedia(sheet.media.mediaText) });
+      }
+      collectFromSheet(sheet, { conditions, layer: [] }, registry, result);
+    });
+  } catch (e) {
+    // Silent fail
+  }
+  // Layer order is only known once every layer has been seen
+  result.forEach((entry) => {
+    entry.layerRank = registry.rank(entry.layer);
+  });
+  return result;
+}
+
+/**
+ * Whether a collected rule's @media / @supports / @container conditions hold for an element
+ * @returns {?boolean} null when a container query can't be evaluated (treated as applying)
+ */
+export function getRuleActivity(entry, element) {
+  let active = true;
+  for (const condition of entry.conditions) {
+    const value = condition.container
+      ? evaluateContainerQuery(condition.container, element)
+      : condition.active;
+    if (value === false) return false;
+    if (value === null) active = null;
+  }
+  return active;
+}
+
+/**
+ * Cascade precedence of two declarations (or two rules, without importance)
+ * @param {Object} a - { important, inline, layerRank, specificity, order }
+ * @param {Object} b - Same shape
+ * @returns {number} > 0 when a wins
+ */
+export function compareCascadeOrder(a, b) {
+  if (!!a.important !== !!b.important) return a.important ? 1 : -1;
+  if (!!a.inline !== !!b.inline) return a.inline ? 1 : -1;
+  const layers = compareLayers(a.layerRank || [], b.layerRank || []);
+  // Layers flip for !important: earlier layers win, and any layer beats unlayered styles
+  if (layers) return a.important ? -layers : layers;
+  return compareSpecificity(a.specificity, b.specificity) || a.order - b.order;
+}
+
+function formatSpecificity(specificity) {
+  return specificity.join(',');
+}
+
+// Why the winner beats the next declaration in line
+function explainWin(winner, runnerUp) {
+  if (!runnerUp) return 'only declaration';
+  if (winner.important !== runnerUp.important) return '!important';
+  if (winner.inline !== runnerUp.inline) return 'style attribute';
+  if (compareLayers(winner.layerRank, runnerUp.layerRank) !== 0) {
+    if (!winner.layer) return 'unlayered styles beat @layer';
+    if (!runnerUp.layer) return '!important in @layer beats unlayered';
+    return winner.important ? 'earlier @layer (!important)' : 'later @layer';
+  }
+  if (compareSpecificity(winner.specificity, runnerUp.specificity) !== 0) {
+    const higher = formatSpecificity(winner.specificity);
+    return `higher specificity (${higher} > ${formatSpecificity(runnerUp.specificity)})`;
+  }
+  return 'later in source order';
+}
+
+/**
+ * Declarations that apply to an element, one per longhand property
+ * Shorthands come through the CSSOM as their longhands, so "margin" and "margin-top"
+ * compete the way the browser sees them.
+ */
+function getElementDeclarations(element, rules) {
+  const declarations = [];
+  rules.forEach((entry) => {
+    const specificity = getMatchingSpecificity(element, entry.rule.selectorText);
+    if (!specificity) return;
+    const active = getRuleActivity(entry, element);
+    const { style } = entry.rule;
+    for (let i = 0; i < style.length; i++) {
+      const property = style[i];
+      declarations.push({
+        property,
+        value: style.getPropertyValue(property).trim(),
+        important: style.getPropertyPriority(property) === 'important',
+        inline: false,
+        selector: entry.rule.selectorText,
+        source: entry.sheet.href || 'inline',
+        ruleId: getRuleId(entry.rule),
+        specificity,
+        layer: entry.layer.length ? entry.layer.join('.') : null,
+        layerRank: entry.layerRank,
+        conditions: entry.conditions.map((condition) => condition.text),
+        active: active !== false,
+        conditionUnknown: active === null,
+        order: entry.order,
+      });
+    }
+  });
+
+  const { style } = element;
+  for (let i = 0; i < (style ? style.length : 0); i++) {
+    const property = style[i];
+    declarations.push({
+      property,
+      value: style.getPropertyValue(property).trim(),
+      important: style.getPropertyPriority(property) === 'important',
+      inline: true,
+      selector: 'element.style',
+      source: 'style attribute',
+      ruleId: null,
+      specificity: [0, 0, 0],
+      layer: null,
+      layerRank: [],
+      conditions: [],
+      active: true,
+      conditionUnknown: false,
+      order: Infinity,
+    });
+  }
+  return declarations;
+}
+
+// One property's declarations, winner first, overridden next, inactive last
+function rankDeclarations(declarations) {
+  const active = declarations
+    .filter((declaration) => declaration.active)
+    .sort((a, b) => compareCascadeOrder(b, a));
+  const inactive = declarations.filter((declaration) => !declaration.active);
+  const [winner, runnerUp] = active;
+  return [
+    ...active.map((declaration) => ({
+      ...declaration,
+      status: declaration === winner ? 'winner' : 'overridden',
+      reason: declaration === winner ? explainWin(winner, runnerUp) : null,
+    })),
+    ...inactive.map((declaration) => ({ ...declaration, status: 'inactive', reason: null })),
+  ];
+}
+
+function groupByProperty(declarations) {
+  const groups = new Map();
+  declarations.forEach((declaration) => {
+    if (!groups.has(declaration.property)) groups.set(declaration.property, []);
+    groups.get(declaration.property).push(declaration);
+  });
+  return groups;
+}
+
+function describeElement(element) {
+  const id = element.id ? `#${element.id}` : '';
+  const classes = Array.from(element.classList)
+    .map((name) => `.${name}`)
+    .join('');
+  return `${element.tagName.toLowerCase()}${id}${classes}`;
+}
+
+// Drop internal ranking fields before the cascade goes to the panel
+function toPanelDeclaration(declaration) {
+  return {
+    value: declaration.value,
+    important: declaration.important,
+    selector: declaration.selector,
+    source: declaration.source,
+    ruleId: declaration.ruleId,
+    specificity: declaration.inline ? null : declaration.specificity,
+    layer: declaration.layer,
+    conditions: declaration.conditions,
+    conditionUnknown: declaration.conditionUnknown,
+    status: declaration.status,
+    reason: declaration.reason,
+  };
+}
+
+/**
+ * Per-property cascade of an element
+ * @param {HTMLElement} element - Inspected element
+ * @param {Array<Object>} rules - From collectStyleRules() (collected when left out)
+ * @returns {Array<Object>} { property, computed, inheritedFrom, declarations }, own properties
+ *   first, then inherited ones, each sorted by name
+ */
+export function getCssCascade(element, rules = collectStyleRules()) {
+  const computed = window.getComputedStyle(element);
+  const entries = [];
+
+  const own = groupByProperty(getElementDeclarations(element, rules));
+  Array.from(own.keys())
+    .sort()
+    .forEach((property) => {
+      entries.push({
+        property,
+        computed: computed.getPropertyValue(property).trim(),
+        inheritedFrom: null,
+        declarations: rankDeclarations(own.get(property)).map(toPanelDeclaration),
+      });
+    });
+
+  // Inherited values: the nearest ancestor whose winning declaration isn't "inherit"
+  const isDeclared = (declarations) =>
+    declarations.some((declaration) => declaration.active && declaration.value !== 'inherit');
+  let pending = INHERITED_PROPERTIES.filter(
+    (property) => !own.has(property) || !isDeclared(own.get(property))
+  );
+  const inheritableRules = rules.filter((entry) =>
+    INHERITED_PROPERTIES.some((property) => entry.rule.style.getPropertyValue(property))
+  );
+  const inherited = [];
+  let ancestor = element.parentElement;
+  while (ancestor && pending.length > 0) {
+    const groups = groupByProperty(getElementDeclarations(ancestor, inheritableRules));
+    const from = describeElement(ancestor);
+    pending = pending.filter((property) => {
+      const declarations = groups.get(property);
+      if (!declarations || !isDeclared(declarations)) return true;
+      inherited.push({
+        property,
+        computed: computed.getPropertyValue(property).trim(),
+        inheritedFrom: from,
+        declarations: rankDeclarations(declarations)
+          .filter((declaration) => declaration.status !== 'inactive')
+          .map(toPanelDeclaration),
+      });
+      return false;
+    });
+    ancestor = ancestor.parentElement;
+  }
+
+  inherited.sort((a, b) => (a.property < b.property ? -1 : 1));
+  return [...entries, ...inherited];
+}
@@ -0,0 +1,479 @@
+/**
+ * CSS change log: every stylesheet rule, inline style and class edited from the panel
+ * The original is kept the first time something is touched; the log is what differs from
+ * it now, so toggling a change back off drops it from the log and the exports.
+ */
+
+import { createUnifiedDiff } from './unifiedDiff.js';
+
+// CSSStyleRule → { original cssText, typed: Map<property, value as typed> }
+const ruleChanges = new Map();
+// Element → { style: original cssText, classes: original class list, typed }
+const elementChanges = new Map();
+
+// Matched rules are sent to the panel by id (the DevTools panel can't hold the rule)
+const ruleIds = new WeakMap();
+const rulesById = new Map();
+let nextRuleId = 1;
+
+/**
+ * Split a declaration block into declarations
+ * Semicolons inside strings, url() and other functions don't end a declaration.
+ * @param {string} cssText - e.g. rule.style.cssText
+ * @returns {Array<Object>} { property, value, important }
+ */
+export function parseDeclarations(cssText) {
+  const declarations = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  const push = (end) => {
+    const text = cssText.slice(start, end);
+    const colon = text.indexOf(':');
+    if (colon > 0) {
+      const property = text.slice(0, colon).trim();
+      const rawValue = text.slice(colon + 1).trim();
+      const important = /!\s*important$/i.test(rawValue);
+      const value = important ? rawValue.replace(/!\s*important$/i, '').trim() : rawValue;
+      if (property && value) declarations.push({ property, value, important });
+    }
+    start = end + 1;
+  };
+
+  for (let i = 0; i < cssText.length; i++) {
+    const char = cssText[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === ';' && depth === 0) {
+      push(i);
+    }
+  }
+  push(cssText.length);
+  return declarations;
+}
+
+function formatDeclarationValue(declaration) {
+  return declaration.important ? `${declaration.value} !important` : declaration.value;
+}
+
+/**
+ * Declarations that differ between two declaration blocks
+ * @returns {Array<Object>} { property, before, after }; before/after are null when absent
+ */
+function diffDeclarations(beforeText, afterText, typed) {
+  const before = new Map(parseDeclarations(beforeText).map((d) => [d.property, d]));
+  const after = new Map(parseDeclarations(afterText).map((d) => [d.property, d]));
+  const properties = [...new Set([...before.keys(), ...after.keys()])];
+
+  return properties
+    .map((property) => {
+      const from = before.has(property) ? formatDeclarationValue(before.get(property)) : null;
+      const to = after.has(property) ? formatDeclarationValue(after.get(property)) : null;
+      return { property, before: from, after: to };
+    })
+    .filter((change) => change.before !== change.after)
+    .map((change) =>
+      // The CSSOM rewrites values (#fff → rgb(255, 255, 255)); export what was typed
+      change.after !== null && typed.has(change.property)
+        ? { ...change, after: typed.get(change.property) }
+        : change
+    );
+}
+
+/**
+ * Id for a stylesheet rule (stable for the rule's lifetime)
+ */
+export function getRuleId(rule) {
+  if (!ruleIds.has(rule)) {
+    const id = `r${nextRuleId++}`;
+    ruleIds.set(rule, id);
+    rulesById.set(id, rule);
+  }
+  return ruleIds.get(rule);
+}
+
+export function getRuleById(id) {
+  return rulesById.get(id) || null;
+}
+
+function rememberTyped(typed, property, value) {
+  if (!property) return;
+  if (value) typed.set(property, value);
+  else typed.delete(property);
+}
+
+/**
+ * Remember a rule's declarations before the first edit
+ * @param {CSSStyleRule} rule - Rule about to change
+ * @param {string} [property] - Property being set, with the value as typed
+ * @param {string} [value]
+ */
+export function trackRuleChange(rule, property, value) {
+  if (!ruleChanges.has(rule)) {
+    ruleChanges.set(rule, { original: rule.style.cssText, typed: new Map() });
+  }
+  rememberTyped(ruleChanges.get(rule).typed, property, value);
+}
+
+/**
+ * Remember an element's inline style and classes before the first edit
+ * Called with the DevTools panel's stand-in element too; only real elements are tracked.
+ * @param {HTMLElement} element - Element about to change
+ * @param {string} [property] - Inline style property being set, with the value as typed
+ * @param {string} [value]
+ */
+export function trackElementChange(element, property, value) {
+  if (typeof Element === 'undefined' || !(element instanceof Element)) return;
+  if (!elementChanges.has(element)) {
+    elementChanges.set(element, {
+      style: element.style.cssText,
+      classes: Array.from(element.classList),
+      typed: new Map(),
+    });
+  }
+  rememberTyped(elementChanges.get(element).typed, property, value);
+}
+
+// tag#id.class as the element was before any class edits
+function describeTrackedElement(element, entry) {
+  const id = element.id ? `#${element.id}` : '';
+  const classes = entry.classes.map((name) => `.${name}`).join('');
+  return `${element.tagName.toLowerCase()}${id}${classes}`;
+}
+
+function getSheetLabel(sheet) {
+  const viteId = sheet.ownerNode?.getAttribute?.('data-vite-dev-id');
+  if (viteId) return viteId;
+  if (sheet.href) return sheet.href;
+  const index = Array.from(document.styleSheets).indexOf(sheet);
+  return `<style> #${index + 1}`;
+}
+
+/**
+ * Everything changed this session, one entry per property or class
+ * @returns {Array<Object>} { kind: 'rule' | 'inline' | 'class', target, source, property,
+ *   before, after }
+ */
+export function getCssChanges() {
+  const changes = [];
+
+  ruleChanges.forEach((entry, rule) => {
+    const source = rule.parentStyleSheet ? getSheetLabel(rule.parentStyleSheet) : 'removed';
+    diffDeclarations(entry.original, rule.style.cssText, entry.typed).forEach((change) => {
+      changes.push({ kind: 'rule', target: rule.selectorText, source, ...change });
+    });
+  });
+
+  elementChanges.forEach((entry, element) => {
+    const target = describeTrackedElement(element, entry);
+    diffDeclarations(entry.style, element.style.cssText, entry.typed).forEach((change) => {
+      changes.push({ kind: 'inline', target, source: 'inline style', ...change });
+    });
+
+    const classes = Array.from(element.classList);
+    const removed = entry.classes.filter((name) => !classes.includes(name));
+    const added = classes.filter((name) => !entry.classes.includes(name));
+    removed.forEach((name) => {
+      changes.push({
+        kind: 'class',
+        target,
+        source: 'class',
+        property: name,
+        before: name,
+        after: null,
+      });
+    });
+    added.forEach((name) => {
+      changes.push({
+        kind: 'class',
+        target,
+        source: 'class',
+        property: name,
+        before: null,
+        after: name,
+      });
+    });
+  });
+
+  return changes;
+}
+
+// Style rules of a sheet in source order, nested group rules (@media, @supports) included
+function flattenRules(rules, result = []) {
+  Array.from(rules || []).forEach((rule) => {
+    if (rule instanceof CSSStyleRule) result.push(rule);
+    else if (rule.cssRules) flattenRules(rule.cssRules, result);
+  });
+  return result;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Regex source for a selector that allows any spacing around combinators and commas
+function selectorPattern(selector) {
+  const tokens = selector
+    .trim()
+    .split(/\s*([,>+~])\s*|\s+/)
+    .filter((token) => token !== undefined && token !== '');
+  let pattern = '';
+  tokens.forEach((token, index) => {
+    if ([',', '>', '+', '~'].includes(token)) {
+      pattern += `\\s*${escapeRegExp(token)}\\s*`;
+    } else {
+      const previous = tokens[index - 1];
+      if (previous !== undefined && ![',', '>', '+', '~'].includes(previous)) pattern += '\\s+';
+      pattern += escapeRegExp(token);
+    }
+  });
+  return pattern;
+}
+
+/**
+ * Where a rule's declarations are in the stylesheet source
+ * @param {number} occurrence - How many rules with the same selector come before it
+ * @returns {?Object} { start, end } of the text between the braces
+ */
+function findRuleBody(text, selector, occurrence) {
+  const regex = new RegExp(`(^|[{};]|\\*/)\\s*${selectorPattern(selector)}\\s*\\{`, 'g');
+  let count = 0;
+  let match;
+  while ((match = regex.exec(text))) {
+    if (count === occurrence) {
+      const start = match.index + match[0].length;
+      const end = text.indexOf('}', start);
+      return end === -1 ? null : { start, end };
+    }
+    count++;
+  }
+  return null;
+}
+
+/**
+ * Apply declaration changes to a rule body, keeping its formatting
+ * @param {string} body - Text between the rule's braces
+ * @param {Array<Object>} changes - { property, after } (after null removes it)
+ * @returns {string} New body
+ */
+export function patchDeclarationBlock(body, changes) {
+  let result = body;
+  changes.forEach(({ property, after }) => {
+    const regex = new RegExp(
+      `(^|[;\\s])(${escapeRegExp(property)}\\s*:\\s*)([^;]*?)(\\s*)(;|$)`,
+      'gi'
+    );
+    const matches = [...result.matchAll(regex)];
+    const match = matches[matches.length - 1];
+
+    if (match && after === null) {
+      let start = match.index + match[1].length;
+      let end = match.index + match[0].length;
+      // Take the whole line when the declaration is alone on it
+      const lineStart = result.lastIndexOf('\n', start - 1) + 1;
+      const lineEnd = result.indexOf('\n', end);
+      if (
+        !result.slice(lineStart, start).trim() &&
+        !result.slice(end, lineEnd === -1 ? undefined : lineEnd).trim() &&
+        lineEnd !== -1
+      ) {
+        start = lineStart;
+        end = lineEnd + 1;
+      }
+      result = result.slice(0, start) + result.slice(end);
+    } else if (match) {
+      const valueStart = match.index + match[1].length + match[2].length;
+      result = result.slice(0, valueStart) + after + result.slice(valueStart + match[3].length);
+    } else if (after !== null) {
+      const contentEnd = result.trimEnd().length;
+      const content = result.slice(0, contentEnd);
+      const separator = content.trim() && !content.endsWith(';') ? ';' : '';
+      const declaration = `${property}: ${after};`;
+      if (result.includes('\n')) {
+        const indent = result.match(/\n([ \t]+)\S/)?.[1] || '  ';
+        result = `${content}${separator}\n${indent}${declaration}${result.slice(contentEnd)}`;
+      } else {
+        result = `${content}${separator} ${declaration}${result.slice(contentEnd) || ' '}`;
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * A stylesheet's source text, as far as the page lets us read it
+ * @returns {Promise<?string>}
+ */
+async function getSheetSource(sheet) {
+  const owner =
+    sheet.ownerNode ||
+    Array.from(document.querySelectorAll('style')).find((style) => style.sheet === sheet);
+  if (owner && owner.tagName === 'STYLE') {
+    return owner.textContent;
+  }
+  if (sheet.href) {
+    try {
+      const response = await fetch(sheet.href);
+      if (response.ok) return await response.text();
+    } catch (e) {
+      // Cross-origin without CORS
+    }
+  }
+  return null;
+}
+
+// Path for the diff headers: the Vite module id or the URL path
+function getSheetPath(sheet) {
+  const label = getSheetLabel(sheet);
+  try {
+    return new URL(label).pathname.replace(/^\//, '');
+  } catch (e) {
+    return (
+      label
+        .replace(/^\//, '')
+        .replace(/[<>#\s]+/g, '-')
+        .replace(/^-|-$/g, '') + '.css'
+    );
+  }
+}
+
+/**
+ * Changed rules as a unified diff per stylesheet
+ * Rules whose source can't be read or found (CSS-in-JS, cross-origin) are listed at the top;
+ * text before the first --- line is ignored by patch tools.
+ */
+async function formatStylesheetDiff() {
+  const sheets = new Map();
+  ruleChanges.forEach((entry, rule) => {
+    const sheet = rule.parentStyleSheet;
+    if (!sheet) return;
+    const changes = diffDeclarations(entry.original, rule.style.cssText, entry.typed);
+    if (changes.length === 0) return;
+    if (!sheets.has(sheet)) sheets.set(sheet, []);
+    sheets.get(sheet).push({ rule, changes });
+  });
+
+  const notes = [];
+  const diffs = [];
+  for (const [sheet, rules] of sheets) {
+    const original = await getSheetSource(sheet);
+    if (original === null) {
+      notes.push(`# ${getSheetLabel(sheet)}: source not readable; use the CSS patch`);
+      continue;
+    }
+
+    const styleRules = flattenRules(sheet.cssRules);
+    let patched = original;
+    rules.forEach(({ rule, changes }) => {
+      const occurrence = styleRules
+        .slice(0, styleRules.indexOf(rule))
+        .filter((other) => other.selectorText === rule.selectorText).length;
+      const body = findRuleBody(patched, rule.selectorText, occurrence);
+      if (!body) {
+        notes.push(
+          `# ${rule.selectorText} not found in ${getSheetLabel(sheet)}; use the CSS patch`
+        );
+        return;
+      }
+      const block = patchDeclarationBlock(patched.slice(body.start, body.end), changes);
+      patched = patched.slice(0, body.start) + block + patched.slice(body.end);
+    });
+    const diff = createUnifiedDiff(original, patched, getSheetPath(sheet));
+    if (diff) diffs.push(diff);
+  }
+
+  if (getCssChanges().some((change) => change.kind !== 'rule')) {
+    notes.push('# Inline style and class changes are not in a stylesheet; use the CSS patch');
+  }
+  return [notes.join('\n'), ...diffs].filter(Boolean).join('\n');
+}
+
+// @media / @supports around a rule, outermost first
+function getConditions(rule) {
+  const conditions = [];
+  let parent = rule.parentRule;
+  while (parent) {
+    conditions.unshift(parent.cssText.slice(0, parent.cssText.indexOf('{')).trim());
+    parent = parent.parentRule;
+  }
+  return conditions;
+}
+
+function formatPatchDeclaration({ property, before, after }, indent) {
+  if (after === null) return `${indent}/* removed: ${property}: ${before}; */`;
+  const note = before === null ? 'added' : `was: ${before}`;
+  return `${indent}${property}: ${after}; /* ${note} */`;
+}
+
+/**
+ * Changed declarations as CSS to paste into the source: one rule per changed stylesheet
+ * rule, and one per element for inline styles, with class edits as comments
+ */
+function formatCssPatch() {
+  const blocks = [`/* CSS changes made with HoverComp on ${window.location.href} */`];
+
+  ruleChanges.forEach((entry, rule) => {
+    const changes = diffDeclarations(entry.original, rule.style.cssText, entry.typed);
+    if (changes.length === 0) return;
+    const conditions = getConditions(rule);
+    const indent = '  '.repeat(conditions.length);
+    const lines = [
+      `/* ${rule.parentStyleSheet ? getSheetLabel(rule.parentStyleSheet) : 'removed stylesheet'} */`,
+    ];
+    conditions.forEach((condition, depth) => lines.push(`${'  '.repeat(depth)}${condition} {`));
+    lines.push(`${indent}${rule.selectorText} {`);
+    changes.forEach((change) => lines.push(formatPatchDeclaration(change, `${indent}  `)));
+    lines.push(`${indent}}`);
+    conditions.forEach((_condition, depth) =>
+      lines.push(`${'  '.repeat(conditions.length - depth - 1)}}`)
+    );
+    blocks.push(lines.join('\n'));
+  });
+
+  elementChanges.forEach((entry, element) => {
+    const target = describeTrackedElement(element, entry);
+    const changes = diffDeclarations(entry.style, element.style.cssText, entry.typed);
+    const lines = [];
+    if (changes.length > 0) {
+      lines.push(`/* Inline style on ${target} */`, `${target} {`);
+      changes.forEach((change) => lines.push(formatPatchDeclaration(change, '  ')));
+      lines.push('}');
+    }
+    const classes = Array.from(element.classList);
+    entry.classes
+      .filter((name) => !classes.includes(name))
+      .forEach((name) => lines.push(`/* ${target}: remove class "${name}" in the markup */`));
+    classes
+      .filter((name) => !entry.classes.includes(name))
+      .forEach((name) => lines.push(`/* ${target}: add class "${name}" in the markup */`));
+    if (lines.length > 0) blocks.push(lines.join('\n'));
+  });
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Export the change log
+ * @param {string} format - 'diff' (unified diff against the stylesheets) or 'patch' (CSS)
+ * @returns {Promise<Object>} { text, fileName, mimeType }
+ */
+export async function exportCssChanges(format) {
+  if (getCssChanges().length === 0) throw new Error('No CSS changes yet');
+
+  if (format === 'diff') {
+    const text = await formatStylesheetDiff();
+    return { text, fileName: 'hovercomp-css.diff', mimeType: 'text/x-diff' };
+  }
+  if (format === 'patch') {
+    return { text: formatCssPatch(), fileName: 'hovercomp-css-patch.css', mimeType: 'text/css' };
+  }
+  throw new Error(`Unknown CSS export format: ${format}`);
+}
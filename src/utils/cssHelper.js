@@ -2,6 +2,22 @@
  * CSS and style management utilities
  */
 
+import {
+  getCssChanges,
+  getRuleById,
+  getRuleId,
+  parseDeclarations,
+  trackElementChange,
+  trackRuleChange,
+} from './cssChangeLog.js';
+import {
+  collectStyleRules,
+  compareCascadeOrder,
+  getCssCascade,
+  getMatchingSpecificity,
+  getRuleActivity,
+} from './cssCascade.js';
+
 /**
  * Get CSS information for an element
  * @param {HTMLElement} element - Target element
@@ -9,12 +25,51 @@
  */
 export function getCSSInfo(element) {
   const styles = window.getComputedStyle(element);
+  const rules = collectStyleRules();
 
   return {
     classes: Array.from(element.classList),
     styles: getComputedStyles(styles),
     inlineStyles: element.style.cssText || '',
-    matchedRules: getMatchedCSSRules(element),
+    matchedRules: getMatchedCSSRules(element, rules),
+    cascade: getCssCascade(element, rules),
+    boxModel: getBoxModel(element),
+    changes: getCssChanges(),
+  };
+}
+
+/**
+ * Get the box model of an element in pixels
+ * @param {HTMLElement} element - Target element
+ * @returns {Object} { margin, border, padding } as { top, right, bottom, left }, the border
+ *   box's width and height, the content box's, and display / box-sizing
+ */
+export function getBoxModel(element) {
+  const styles = window.getComputedStyle(element);
+  const sides = (prefix, suffix = '') => {
+    const result = {};
+    ['top', 'right', 'bottom', 'left'].forEach((side) => {
+      result[side] = parseFloat(styles.getPropertyValue(`${prefix}-${side}${suffix}`)) || 0;
+    });
+    return result;
+  };
+  const rect = element.getBoundingClientRect();
+  const margin = sides('margin');
+  const border = sides('border', '-width');
+  const padding = sides('padding');
+
+  return {
+    margin,
+    border,
+    padding,
+    width: rect.width,
+    height: rect.height,
+    content: {
+      width: Math.max(0, rect.width - border.left - border.right - padding.left - padding.right),
+      height: Math.max(0, rect.height - border.top - border.bottom - padding.top - padding.bottom),
+    },
+    display: styles.display || '',
+    boxSizing: styles.boxSizing || '',
   };
 }
 
@@ -56,29 +111,38 @@ function getComputedStyles(styles) {
 }
 
 /**
- * Get matched CSS rules for an element
+ * Get matched CSS rules for an element, highest precedence first
+ * Rules inside @media, @supports, @container, @layer and @import are included when their
+ * conditions hold.
  * @param {HTMLElement} element - Target element
- * @returns {Array} Array of matched rules
+ * @param {Array<Object>} rules - From collectStyleRules() (collected when left out)
+ * @returns {Array} Array of matched rules; id and declarations are for editing them
  */
-function getMatchedCSSRules(element) {
+export function getMatchedCSSRules(element, rules = collectStyleRules()) {
   const matchedRules = [];
 
   try {
-    for (const sheet of document.styleSheets) {
-      try {
-        for (const rule of sheet.cssRules || []) {
-          if (rule instanceof CSSStyleRule && element.matches(rule.selectorText)) {
-            matchedRules.push({
-              selector: rule.selectorText,
-              source: sheet.href || 'inline',
-              styles: rule.style.cssText,
-            });
-          }
-        }
-      } catch (e) {
-        // Cross-origin stylesheet
-      }
-    }
+    rules.forEach((entry) => {
+      const specificity = getMatchingSpecificity(element, entry.rule.selectorText);
+      if (!specificity || getRuleActivity(entry, element) === false) return;
+      matchedRules.push({
+        id: getRuleId(entry.rule),
+        selector: entry.rule.selectorText,
+        source: entry.sheet.href || 'inline',
+        styles: entry.rule.style.cssText,
+        declarations: parseDeclarations(entry.rule.style.cssText),
+        specificity,
+        layer: entry.layer.length ? entry.layer.join('.') : null,
+        conditions: entry.conditions.map((condition) => condition.text),
+        layerRank: entry.layerRank,
+        order: entry.order,
+      });
+    });
+    matchedRules.sort((a, b) => compareCascadeOrder(b, a));
+    matchedRules.forEach((rule) => {
+      delete rule.layerRank;
+      delete rule.order;
+    });
   } catch (e) {
     // Silent fail
   }
@@ -95,6 +159,7 @@ function getMatchedCSSRules(element) {
  */
 export function applyInlineStyle(element, property, value, important = false) {
   const cleanValue = value.replace('!important', '').trim();
+  trackElementChange(element, property, important ? `${cleanValue} !important` : cleanValue);
   if (important) {
     element.style.setProperty(property, cleanValue, 'important');
   } else {
@@ -108,9 +173,37 @@ export function applyInlineStyle(element, property, value, important = false) {
  * @param {string} property - CSS property
  */
 export function removeInlineStyle(element, property) {
+  trackElementChange(element);
   element.style.removeProperty(property);
 }
 
+/**
+ * Set or remove a declaration in a matched stylesheet rule (see getMatchedCSSRules)
+ * @param {string} ruleId - Rule id from getMatchedCSSRules
+ * @param {string} property - CSS property
+ * @param {string} value - New value, "!important" allowed; empty removes the declaration
+ */
+export function setRuleProperty(ruleId, property, value) {
+  const rule = getRuleById(ruleId);
+  if (!rule || !rule.parentStyleSheet) {
+    throw new Error('This rule is no longer in the page; hover the element again');
+  }
+
+  const important = /!\s*important$/i.test(value);
+  const cleanValue = value.replace(/!\s*important$/i, '').trim();
+  trackRuleChange(rule);
+  if (!cleanValue) {
+    rule.style.removeProperty(property);
+    trackRuleChange(rule, property, null);
+    return;
+  }
+  rule.style.setProperty(property, cleanValue, important ? 'important' : '');
+  if (!rule.style.getPropertyValue(property)) {
+    throw new Error(`"${cleanValue}" is not a valid ${property} value`);
+  }
+  trackRuleChange(rule, property, important ? `${cleanValue} !important` : cleanValue);
+}
+
 /**
  * Toggle CSS class on element
  * @param {HTMLElement} element - Target element
@@ -118,6 +211,7 @@ export function removeInlineStyle(element, property) {
  * @param {boolean} enable - Enable or disable
  */
 export function toggleClass(element, className, enable) {
+  trackElementChange(element);
   if (enable) {
     element.classList.add(className);
   } else {
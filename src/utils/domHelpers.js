@@ -2,41 +2,6 @@
  * DOM manipulation helper functions
  */
 
-/**
- * Get XPath for an element
- * @param {HTMLElement} element - The element to get XPath for
- * @returns {string|null} XPath string or null
- */
-export function getXPath(element) {
-  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-    return null;
-  }
-
-  if (element.id) {
-    return `//*[@id="${element.id}"]`;
-  }
-
-  const parts = [];
-  while (element && element.nodeType === Node.ELEMENT_NODE) {
-    let index = 1; // XPath index starts at 1
-    let sibling = element.previousSibling;
-    while (sibling) {
-      if (sibling.nodeType === Node.ELEMENT_NODE && sibling.nodeName === element.nodeName) {
-        index++;
-      }
-      sibling = sibling.previousSibling;
-    }
-
-    const tagName = element.nodeName.toLowerCase();
-    const pathIndex = index > 1 ? `[${index}]` : '';
-    parts.unshift(tagName + pathIndex);
-
-    element = element.parentNode;
-  }
-
-  return parts.length ? '/' + parts.join('/') : null;
-}
-
 /**
  * Escape HTML special characters
  * @param {string} text - Text to escape
@@ -51,29 +16,16 @@ export function escapeHtml(text) {
 /**
  * Inject a script into the page
  * @param {string} scriptUrl - URL of the script to inject
+ * @param {Object} dataset - data-* attributes read by the script on startup
+ * @param {Function} onLoad - Called once the script has run
  */
-export function injectScript(scriptUrl) {
+export function injectScript(scriptUrl, dataset = {}, onLoad = null) {
   const script = document.createElement('script');
   script.src = scriptUrl;
+  Object.assign(script.dataset, dataset);
   script.onload = function () {
     this.remove();
+    if (onLoad) onLoad();
   };
   (document.head || document.documentElement).appendChild(script);
 }
-
-/**
- * Find element by XPath
- * @param {string} xpath - XPath string
- * @returns {HTMLElement|null} Found element or null
- */
-export function findElementByXPath(xpath) {
-  try {
-    if (xpath) {
-      return document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null)
-        .singleNodeValue;
-    }
-  } catch (e) {
-    console.error('Error resolving element:', e);
-  }
-  return null;
-}
@@ -0,0 +1,70 @@
+/**
+ * Open in editor - turns a component's source location into an editor URL
+ */
+
+import { EDITOR_URL_TEMPLATES } from '../config/constants.js';
+import { settings } from '../config/settings.js';
+
+function isAbsolutePath(path) {
+  return path.startsWith('/') || /^[a-zA-Z]:[\\/]/.test(path);
+}
+
+// Page-relative templates are dev server endpoints that resolve paths themselves
+function isEndpointTemplate(template) {
+  return template.startsWith('/');
+}
+
+/**
+ * Build the URL that opens a source location in the configured editor
+ * @param {Object} location - { fileName, line, column }
+ * @param {Object} [options] - { editor, projectRoot }; editor is a key of
+ *   EDITOR_URL_TEMPLATES or a template with {path}, {line} and {column}
+ * @returns {string|null} URL, or null when there is no file name
+ */
+export function buildEditorUrl(
+  location,
+  { editor = settings.EDITOR, projectRoot = settings.EDITOR_PROJECT_ROOT } = {}
+) {
+  if (!location || !location.fileName) return null;
+
+  const template = EDITOR_URL_TEMPLATES[editor] || editor;
+  const isEndpoint = isEndpointTemplate(template);
+  let path = location.fileName.replace(/^file:\/\//, '').replace(/\\/g, '/');
+  if (!isEndpoint && projectRoot && !isAbsolutePath(path)) {
+    path = `${projectRoot.replace(/[\\/]+$/, '')}/${path.replace(/^\.?\//, '')}`;
+  }
+
+  return template
+    .replace('{path}', () => (isEndpoint ? encodeURIComponent(path) : encodeURI(path)))
+    .replace('{line}', () => String(location.line || 1))
+    .replace('{column}', () => String(location.column || 1));
+}
+
+/**
+ * Open a source location in the configured editor
+ * @param {Object} location - { fileName, line, column }
+ * @returns {Promise<void>}
+ */
+export function openInEditor(location) {
+  const url = buildEditorUrl(location);
+  if (!url) {
+    return Promise.reject(new Error('No source location for this component'));
+  }
+
+  if (url.startsWith('/')) {
+    // The dev server launches the editor; nothing to navigate to
+    return fetch(url).then((response) => {
+      if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+    });
+  }
+
+  if (/^https?:\/\//i.test(url)) {
+    // A launcher on another origin (e.g. an IDE's local REST API): request it in the
+    // background so the inspected page stays put. The reply is opaque, so it can't be checked.
+    return fetch(url, { mode: 'no-cors' }).then(() => {});
+  }
+
+  // Protocol URLs (vscode://, webstorm://) are handed to the OS without leaving the page
+  window.location.assign(url);
+  return Promise.resolve();
+}
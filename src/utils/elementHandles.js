@@ -0,0 +1,120 @@
+/**
+ * Element handles shared between the content script and inpage.js
+ *
+ * JS properties are not shared between the isolated world and the page world,
+ * but DOM attributes are. The creating side tags the element with
+ * ELEMENT_HANDLE_ATTRIBUTE, and the other side looks the tag up and removes it,
+ * so tags never stay on the page. Both sides keep a WeakRef keyed by the handle ID. A handle whose
+ * element was garbage collected or detached is reported as stale. It never
+ * falls through to a different node.
+ */
+
+import { ELEMENT_HANDLE_ATTRIBUTE, ERROR_CODES } from '../config/constants.js';
+
+const handlesByElement = new WeakMap();
+const elementsByHandle = new Map();
+let nextHandleId = 1;
+
+/**
+ * Get (or create) the handle for an element
+ * @param {Element} element - Target element
+ * @returns {string} Handle ID
+ */
+export function getElementHandle(element) {
+  let id = handlesByElement.get(element);
+  if (!id) {
+    id = `c${nextHandleId++}`;
+    registerHandle(id, element);
+  }
+  // Re-tag on every use: the page side removes the attribute once it has registered the handle
+  if (!elementsByHandle.get(id)?.pageKnown) {
+    element.setAttribute(ELEMENT_HANDLE_ATTRIBUTE, id);
+  }
+  return id;
+}
+
+/**
+ * Describe an element for inpage.js: its handle plus the handles of the
+ * shadow hosts it lives under (outermost first)
+ * @param {Element} element - Target element
+ * @returns {{ handle: string, shadowPath: Array<string> }} Handle descriptor
+ */
+export function describeElement(element) {
+  const shadowPath = [];
+  let root = element.getRootNode();
+  while (root instanceof ShadowRoot) {
+    shadowPath.unshift(getElementHandle(root.host));
+    root = root.host.getRootNode();
+  }
+  return { handle: getElementHandle(element), shadowPath };
+}
+
+/**
+ * Mark a handle as registered on the page side so it no longer needs the attribute
+ * @param {string} id - Handle ID
+ */
+export function markHandleKnownToPage(id) {
+  const entry = elementsByHandle.get(id);
+  if (entry) entry.pageKnown = true;
+}
+
+/**
+ * Resolve a handle back to its element
+ * @param {string} id - Handle ID (created on either side)
+ * @param {Array<string>} shadowPath - Handles of enclosing shadow hosts
+ * @returns {Element|null} Element, or null if the handle is stale or unknown
+ */
+export function resolveElementHandle(id, shadowPath = []) {
+  if (!id) return null;
+
+  const entry = elementsByHandle.get(id);
+  if (entry) {
+    const element = entry.ref.deref();
+    if (!element || !element.isConnected) {
+      elementsByHandle.delete(id);
+      return null;
+    }
+    // inpage.js tags the element (and its shadow hosts) each time it hands the handle over
+    shadowPath.forEach((hostId) => resolveElementHandle(hostId));
+    if (entry.pageKnown && element.getAttribute(ELEMENT_HANDLE_ATTRIBUTE) === id) {
+      element.removeAttribute(ELEMENT_HANDLE_ATTRIBUTE);
+    }
+    return element;
+  }
+
+  // First sight of a page-created handle: find its tag, then drop the tag
+  const element = findTaggedElement(id, shadowPath);
+  if (!element) return null;
+  registerHandle(id, element);
+  elementsByHandle.get(id).pageKnown = true;
+  element.removeAttribute(ELEMENT_HANDLE_ATTRIBUTE);
+  return element;
+}
+
+/**
+ * Create an Error carrying the stale-handle code
+ * @returns {Error}
+ */
+export function createStaleHandleError() {
+  const error = new Error('Element is no longer in the page (re-rendered or removed)');
+  error.code = ERROR_CODES.STALE_HANDLE;
+  return error;
+}
+
+function registerHandle(id, element) {
+  handlesByElement.set(element, id);
+  elementsByHandle.set(id, { ref: new WeakRef(element), pageKnown: false });
+}
+
+function findTaggedElement(id, shadowPath) {
+  const selector = `[${ELEMENT_HANDLE_ATTRIBUTE}="${CSS.escape(id)}"]`;
+  let root = document;
+  for (const hostId of shadowPath) {
+    const host =
+      resolveElementHandle(hostId) ||
+      root.querySelector(`[${ELEMENT_HANDLE_ATTRIBUTE}="${CSS.escape(hostId)}"]`);
+    if (!host || !host.shadowRoot) return null;
+    root = host.shadowRoot;
+  }
+  return root.querySelector(selector);
+}
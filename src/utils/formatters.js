@@ -4,10 +4,15 @@
 
 import { escapeHtml } from './domHelpers.js';
 import { formatCSS } from '../overlay/cssFormatter.js';
-import { getLatestStateDiff, getLatestPropsDiff, formatDiff, getChangeCount } from './stateTracker.js';
-import { buildComponentTree, formatComponentTree } from './componentTree.js';
-import { detectReactContext, detectVueInject, detectSvelteContext, formatContextInfo } from './contextDetector.js';
-import { detectSvelteStores, formatSvelteStores } from './svelteStoreDetector.js';
+import {
+  getLatestStateDiff,
+  getLatestPropsDiff,
+  formatDiff,
+  getChangeCount,
+  getSnapshots,
+  getSnapshotDiff,
+} from './stateTracker.js';
+import { EXPORT_FORMATS } from './componentExport.js';
 
 /**
  * Format a value for display in the panel
@@ -58,35 +63,33 @@ export function formatComponentInfo(info, pinned = false, element) {
 
   let html = formatHeader(info, pinned);
   
-  // Component tree
-  if (info.framework && element) {
-    const tree = buildComponentTree(element, info.framework, 8);
-    if (tree && tree.length > 1) {
-      html += formatComponentTree(tree, info.name);
-    }
+  // Component tree (built in the page world by inpage.js)
+  if (info.tree && info.tree.length > 1) {
+    html += formatComponentTree(info.tree, info.name);
   }
   
   html += formatUserComponents(info.allUserComponents);
   html += formatHierarchy(info.hierarchy);
+  html += formatNameList('Outputs', info.outputs, '#ef9a9a');
+  html += formatNameList('Directives', info.directives, '#f48fb1');
+  html += formatShadowDom(info.shadow);
   
-  // Context/Inject detection
-  if (element) {
-    const contexts = detectContexts(element, info.framework);
-    if (contexts.length > 0) {
-      html += formatContextInfo(contexts, info.framework);
-    }
+  // Context/Inject (detected in the page world by inpage.js)
+  if (info.contexts && info.contexts.length > 0) {
+    html += formatContextInfo(info.contexts, info.framework);
   }
   
-  html += formatProps(info.props, element);
-  html += formatState(info.state, element);
+  html += formatProps(info.props, element, info);
+  html += formatState(info.state, element, info);
+  html += formatComputed(info);
   html += formatHooks(info.hooks);
+  html += formatHistory(element);
+  html += formatRenders(info.renders);
+  html += formatWhyRender(info.renders);
   
   // Svelte stores
-  if (info.framework && info.framework.toLowerCase().includes('svelte') && element) {
-    const storesInfo = detectSvelteStores(element);
-    if (storesInfo.hasStores) {
-      html += formatSvelteStores(storesInfo);
-    }
+  if (info.stores && info.stores.hasStores) {
+    html += formatSvelteStores(info.stores);
   }
   
   html += formatCSSSection(info.css);
@@ -95,25 +98,6 @@ export function formatComponentInfo(info, pinned = false, element) {
   return html;
 }
 
-/**
- * Detect contexts based on framework
- */
-function detectContexts(element, framework) {
-  if (!element || !framework) return [];
-  
-  const fw = framework.toLowerCase();
-  
-  if (fw.includes('react')) {
-    return detectReactContext(element);
-  } else if (fw.includes('vue')) {
-    return detectVueInject(element);
-  } else if (fw.includes('svelte')) {
-    return detectSvelteContext(element);
-  }
-  
-  return [];
-}
-
 /**
  * Format component header
  */
@@ -138,16 +122,21 @@ function formatHeader(info, pinned) {
   html += `<div style="color: #888; font-size: 10px; margin-top: 2px;">${escapeHtml(info.framework)}</div>`;
   html += `</div>`;
   
+  html += formatOpenInEditorButton(info.sourceLocation);
+  html += `<button class="export-toggle" style="background: rgba(165, 214, 167, 0.1); border: 1px solid rgba(165, 214, 167, 0.3); color: #a5d6a7; padding: 4px 8px; border-radius: 4px; font-size: 9px; cursor: pointer; font-family: inherit; flex-shrink: 0; height: fit-content;" title="Copy or export this component">⤓ Export</button>`;
+
   // Mode selector button
   html += `<button id="hovercomp-mode-btn" style="background: rgba(97, 218, 251, 0.1); border: 1px solid rgba(97, 218, 251, 0.3); color: #61dafb; padding: 4px 8px; border-radius: 4px; font-size: 9px; cursor: pointer; transition: all 0.2s; font-family: inherit; flex-shrink: 0; height: fit-content;" title="Change inspection mode (Alt+Shift+M)">🔧 Mode</button>`;
   
   html += `</div>`;
+  html += formatExportMenu();
 
-  if (info.fileName) {
+  // Production builds only have the location recovered from source maps
+  const fileName = info.fileName || info.sourceLocation?.fileName;
+  if (fileName) {
     const shortPath =
-      info.fileName.split('/').slice(-3).join('/') ||
-      info.fileName.split('\\').slice(-3).join('\\');
-    html += `<div style="color: #64b5f6; font-size: 9px; margin-top: 2px; word-break: break-all;" title="${escapeHtml(info.fileName)}">📁 ${escapeHtml(shortPath)}</div>`;
+      fileName.split('/').slice(-3).join('/') || fileName.split('\\').slice(-3).join('\\');
+    html += `<div style="color: #64b5f6; font-size: 9px; margin-top: 2px; word-break: break-all;" title="${escapeHtml(fileName)}">📁 ${escapeHtml(shortPath)}</div>`;
   } else if (info.detail) {
     html += `<div style="color: #888; font-size: 9px; margin-top: 2px; word-break: break-all;">${escapeHtml(info.detail)}</div>`;
   }
@@ -163,6 +152,34 @@ function formatHeader(info, pinned) {
   return html;
 }
 
+/**
+ * Format the Copy / Export menu (opened by the header's Export button)
+ */
+function formatExportMenu() {
+  const buttonStyle = `background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.15); color: #ccc; padding: 2px 8px; border-radius: 3px; font-size: 9px; cursor: pointer; font-family: inherit;`;
+  let html = `<div class="export-menu" style="display: none; margin: 6px 0; padding: 6px 8px; background: rgba(165, 214, 167, 0.08); border-radius: 4px; border-left: 3px solid #a5d6a7;">`;
+  EXPORT_FORMATS.forEach((format) => {
+    html += `<div style="display: flex; align-items: center; gap: 6px; margin: 3px 0;">`;
+    html += `<span style="flex: 1; color: #a5d6a7; font-size: 10px;">${escapeHtml(format.label)}</span>`;
+    html += `<button class="export-component" data-format="${format.id}" data-action="copy" style="${buttonStyle}">Copy</button>`;
+    html += `<button class="export-component" data-format="${format.id}" data-action="download" style="${buttonStyle}">Save</button>`;
+    html += `</div>`;
+  });
+  html += `<div style="color: #888; font-size: 9px; margin-top: 4px;">Functions and DOM nodes become typed placeholders</div>`;
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Format the "Open in editor" button (only when the adapter found a source location)
+ */
+function formatOpenInEditorButton(location) {
+  if (!location || !location.fileName) return '';
+
+  const where = location.line ? `${location.fileName}:${location.line}` : location.fileName;
+  return `<button class="open-in-editor" data-file="${escapeHtml(location.fileName)}" data-line="${escapeHtml(String(location.line || ''))}" data-column="${escapeHtml(String(location.column || ''))}" style="background: rgba(100, 181, 246, 0.1); border: 1px solid rgba(100, 181, 246, 0.3); color: #64b5f6; padding: 4px 8px; border-radius: 4px; font-size: 9px; cursor: pointer; font-family: inherit; flex-shrink: 0; height: fit-content;" title="Open ${escapeHtml(where)} in editor (Alt+Shift+O when pinned)">↗ Editor</button>`;
+}
+
 /**
  * Format user components section
  */
@@ -203,10 +220,87 @@ function formatHierarchy(hierarchy) {
   return html;
 }
 
+/**
+ * Format a collapsible list of names (Angular outputs and directives)
+ */
+function formatNameList(title, names, color) {
+  if (!names || names.length === 0) return '';
+
+  let html = `<div style="margin-bottom: 12px; padding: 8px; background: rgba(255,255,255,0.03); border-radius: 4px;">`;
+  html += `<div class="toggle-section" style="color: #888; font-size: 9px; margin-bottom: 0px; cursor: pointer;">▶ ${title} (${names.length})</div>`;
+  html += `<div style="font-size: 10px; color: ${color}; display: none; margin-top: 4px;">${names.map((name) => escapeHtml(name)).join(', ')}</div>`;
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Format a custom element's shadow root: slots, ::part names and adopted stylesheets
+ */
+function formatShadowDom(shadow) {
+  if (!shadow) return '';
+
+  const row = (label, value) =>
+    `<div style="margin: 2px 0;"><span style="color: #ce93d8;">${label}</span> <span style="color: #90caf9;">${value}</span></div>`;
+  const heading = (title) => `<div style="color: #888; font-size: 9px; margin-top: 6px;">${title}</div>`;
+
+  let html = `<div style="margin-bottom: 12px; padding: 8px; background: rgba(255,255,255,0.03); border-radius: 4px;">`;
+  html += `<div class="toggle-section" style="color: #888; font-size: 9px; margin-bottom: 0px; cursor: pointer;">▶ Shadow DOM (${escapeHtml(shadow.mode)})</div>`;
+  html += `<div style="font-size: 10px; display: none; margin-top: 4px;">`;
+
+  if (shadow.slots.length > 0) {
+    html += heading(`Slots (${shadow.slots.length})`);
+    shadow.slots.forEach((slot) => {
+      const assigned = slot.assigned.length > 0 ? slot.assigned.map((node) => escapeHtml(node)).join(', ') : '<em>empty</em>';
+      html += row(escapeHtml(slot.name), assigned);
+    });
+  }
+
+  if (shadow.parts.length > 0) {
+    html += heading(`Parts (${shadow.parts.length})`);
+    shadow.parts.forEach((part) => {
+      html += row(`::part(${escapeHtml(part.name)})`, escapeHtml(part.element));
+    });
+  }
+
+  if (shadow.adoptedStyleSheets.length > 0) {
+    html += heading(`Adopted stylesheets (${shadow.adoptedStyleSheets.length})`);
+    shadow.adoptedStyleSheets.forEach((sheet, i) => {
+      html += row(`#${i + 1}`, `${sheet.rules} rules${sheet.sample ? ` • ${escapeHtml(sheet.sample)}` : ''}`);
+    });
+  }
+
+  if (shadow.styleElements > 0) {
+    html += heading(`&lt;style&gt; elements: ${shadow.styleElements}`);
+  }
+
+  html += `</div></div>`;
+  return html;
+}
+
+/**
+ * Badge for a value backed by a Pinia/Vuex store or an Angular signal
+ */
+function formatSourceBadge(source) {
+  if (!source) return '';
+  if (/signal/i.test(source)) {
+    return ` <span style="background: rgba(221,0,49,0.2); color: #ef9a9a; padding: 1px 4px; border-radius: 2px; font-size: 8px; font-weight: normal;">⚡ ${escapeHtml(source)}</span>`;
+  }
+  const icon = source.startsWith('Pinia') ? '🍍' : '🗄️';
+  return ` <span style="background: rgba(255,213,79,0.2); color: #ffd54f; padding: 1px 4px; border-radius: 2px; font-size: 8px; font-weight: normal;" title="Value comes from a store - editing it changes the store for every component">${icon} ${escapeHtml(source)}</span>`;
+}
+
+/**
+ * Badge and reset button for an overridden prop/computed value
+ */
+function formatOverrideBadge(key, overrides) {
+  if (!overrides || !overrides.includes(key)) return '';
+  return ` <span style="background: #ff9800; color: white; padding: 1px 4px; border-radius: 2px; font-size: 8px; font-weight: normal;">OVERRIDDEN</span> <button class="reset-override" data-override-key="${escapeHtml(key)}" style="background: none; color: #ffb74d; border: 1px solid rgba(255,183,77,0.4); padding: 0 4px; border-radius: 2px; font-size: 9px; cursor: pointer;" title="Reset to the real value">↺</button>`;
+}
+
 /**
  * Format props section
  */
-function formatProps(props, element = null) {
+function formatProps(props, element = null, info = {}) {
   if (!props || Object.keys(props).length === 0) return '';
 
   const propsKeys = Object.keys(props).filter((k) => k !== 'children');
@@ -221,7 +315,8 @@ function formatProps(props, element = null) {
     }
   }
 
-  let html = `<div class="toggle-section" style="color: #ffa726; margin-top: 12px; font-weight: bold; padding: 6px 0; border-bottom: 1px solid rgba(255,167,38,0.3); cursor: pointer;">▶ Props (${propsKeys.length}) 🔒${changeInfo}</div>`;
+  const editable = !!info.canOverrideProps;
+  let html = `<div class="toggle-section" style="color: #ffa726; margin-top: 12px; font-weight: bold; padding: 6px 0; border-bottom: 1px solid rgba(255,167,38,0.3); cursor: pointer;">▶ Props (${propsKeys.length}) ${editable ? '✏️' : '🔒'}${changeInfo}</div>`;
   html += `<div style="margin-left: 0; margin-top: 8px; font-size: 10px; display: none;">`;
   
   // Show diff if available
@@ -233,6 +328,14 @@ function formatProps(props, element = null) {
   }
 
   propsKeys.forEach((key) => {
+    if (editable) {
+      html += `<div style="margin: 6px 0; padding: 6px; background: rgba(255,255,255,0.02); border-radius: 3px;">`;
+      html += `<div style="color: #ce93d8; font-weight: bold; margin-bottom: 4px;">${escapeHtml(key)}:${formatOverrideBadge(key, info.overrides)}</div>`;
+      html += `<div class="editable-prop" data-prop-key="${escapeHtml(key)}" contenteditable="true" spellcheck="false" style="color: #ffb74d; font-size: 11px; white-space: pre-wrap; padding: 8px; background: rgba(0,0,0,0.3); border: 1px solid transparent; border-radius: 3px; cursor: text; font-family: 'Courier New', monospace; transition: all 0.2s; max-height: 400px; overflow-y: auto;" title="Temporary override - the parent's next value replaces it (Enter to save, Esc to cancel)">${escapeHtml(formatStateValue(props[key]))}</div>`;
+      html += `</div>`;
+      return;
+    }
+
     const value = formatValue(props[key]);
     html += `<div style="margin: 6px 0; padding: 6px; background: rgba(255,255,255,0.02); border-radius: 3px;">`;
     html += `<div style="display: flex; align-items: start; gap: 8px;">`;
@@ -248,7 +351,7 @@ function formatProps(props, element = null) {
 /**
  * Format state section
  */
-function formatState(state, element = null) {
+function formatState(state, element = null, info = {}) {
   if (!state || typeof state !== 'object' || Object.keys(state).length === 0) return '';
 
   const stateKeys = Object.keys(state);
@@ -276,7 +379,7 @@ function formatState(state, element = null) {
   stateKeys.forEach((key) => {
     let displayValue = formatStateValue(state[key]);
     html += `<div style="margin: 6px 0; padding: 6px; background: rgba(255,255,255,0.02); border-radius: 3px;">`;
-    html += `<div style="color: #ce93d8; font-weight: bold; margin-bottom: 4px;">${escapeHtml(key)}:</div>`;
+    html += `<div style="color: #ce93d8; font-weight: bold; margin-bottom: 4px;">${escapeHtml(key)}:${formatSourceBadge(info.stateSources?.[key])}</div>`;
     html += `<div class="editable-state" data-state-key="${escapeHtml(key)}" contenteditable="true" spellcheck="false" style="color: #ba68c8; font-size: 11px; white-space: pre-wrap; padding: 8px; background: rgba(0,0,0,0.3); border: 1px solid transparent; border-radius: 3px; cursor: text; font-family: 'Courier New', monospace; transition: all 0.2s; max-height: 400px; overflow-y: auto; scrollbar-width: thin; scrollbar-color: rgba(171,71,188,0.5) rgba(0,0,0,0.3);" title="Edit directly (Enter to save, Esc to cancel)">${escapeHtml(displayValue)}</div>`;
     html += `</div>`;
   });
@@ -285,6 +388,36 @@ function formatState(state, element = null) {
   return html;
 }
 
+/**
+ * Format computed section (Vue, Angular computed signals); Vue values can be overridden until reset
+ */
+function formatComputed(info) {
+  const computed = info.computed;
+  if (!computed || Object.keys(computed).length === 0) return '';
+
+  const keys = Object.keys(computed);
+  let html = `<div class="toggle-section" style="color: #4db6ac; margin-top: 12px; font-weight: bold; padding: 6px 0; border-bottom: 1px solid rgba(77,182,172,0.3); cursor: pointer;">▶ Computed (${keys.length}) ${info.computedIsReadOnly ? '🔒' : '✏️'}</div>`;
+  html += `<div style="margin-left: 0; margin-top: 8px; font-size: 10px; display: none;">`;
+
+  keys.forEach((key) => {
+    if (info.computedIsReadOnly) {
+      html += `<div style="margin: 6px 0; padding: 6px; background: rgba(255,255,255,0.02); border-radius: 3px;">`;
+      html += `<div style="color: #ce93d8; font-weight: bold; margin-bottom: 4px;">${escapeHtml(key)}:${formatSourceBadge(info.stateSources?.[key])}</div>`;
+      html += `<div style="color: #80cbc4; opacity: 0.7; word-break: break-all;" title="Read-only. Edit the state it is computed from.">${formatValue(computed[key])}</div>`;
+      html += `</div>`;
+      return;
+    }
+
+    html += `<div style="margin: 6px 0; padding: 6px; background: rgba(255,255,255,0.02); border-radius: 3px;">`;
+    html += `<div style="color: #ce93d8; font-weight: bold; margin-bottom: 4px;">${escapeHtml(key)}:${formatSourceBadge(info.stateSources?.[key])}${formatOverrideBadge(key, info.overrides)}</div>`;
+    html += `<div class="editable-state" data-state-key="${escapeHtml(key)}" contenteditable="true" spellcheck="false" style="color: #80cbc4; font-size: 11px; white-space: pre-wrap; padding: 8px; background: rgba(0,0,0,0.3); border: 1px solid transparent; border-radius: 3px; cursor: text; font-family: 'Courier New', monospace; transition: all 0.2s; max-height: 400px; overflow-y: auto;" title="Override until reset (Enter to save, Esc to cancel)">${escapeHtml(formatStateValue(computed[key]))}</div>`;
+    html += `</div>`;
+  });
+
+  html += `</div>`;
+  return html;
+}
+
 /**
  * Format hooks section
  */
@@ -309,10 +442,123 @@ function formatHooks(hooks) {
     const typeLabel = hookType !== 'unknown' ? hookType : `Hook ${i}`;
     html += `<div style="margin: 6px 0; padding: 6px; background: rgba(255,255,255,0.02); border-radius: 3px;">`;
     html += `<div style="font-weight: bold; margin-bottom: 4px;"><span style="color: ${typeColor};">${typeLabel}</span><span style="color: #666; font-size: 9px; margin-left: 4px;">#${hook.index !== undefined ? hook.index : i}</span></div>`;
-    html += `<div class="editable-hook" data-hook-index="${i}" contenteditable="true" spellcheck="false" style="color: #a5d6a7; font-size: 11px; white-space: pre-wrap; padding: 8px; background: rgba(0,0,0,0.3); border: 1px solid transparent; border-radius: 3px; cursor: text; font-family: 'Courier New', monospace; transition: all 0.2s; max-height: 400px; overflow-y: auto; scrollbar-width: thin; scrollbar-color: rgba(102,187,106,0.5) rgba(0,0,0,0.3);" title="Edit directly (Enter to save, Esc to cancel)">${escapeHtml(displayValue)}</div>`;
+    html += `<div class="editable-hook" data-hook-index="${hook.index !== undefined ? hook.index : i}" contenteditable="true" spellcheck="false" style="color: #a5d6a7; font-size: 11px; white-space: pre-wrap; padding: 8px; background: rgba(0,0,0,0.3); border: 1px solid transparent; border-radius: 3px; cursor: text; font-family: 'Courier New', monospace; transition: all 0.2s; max-height: 400px; overflow-y: auto; scrollbar-width: thin; scrollbar-color: rgba(102,187,106,0.5) rgba(0,0,0,0.3);" title="Edit directly (Enter to save, Esc to cancel)">${escapeHtml(displayValue)}</div>`;
+    html += `</div>`;
+  });
+
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Format History timeline of the pinned component (one entry shown at a time, picked with the scrubber)
+ */
+function formatHistory(element) {
+  const snapshots = element ? getSnapshots(element) : [];
+  if (snapshots.length === 0) return '';
+
+  const last = snapshots.length - 1;
+  let html = `<div class="toggle-section" style="color: #4dd0e1; margin-top: 12px; font-weight: bold; padding: 6px 0; border-bottom: 1px solid rgba(77,208,225,0.3); cursor: pointer;">▶ History (${snapshots.length})</div>`;
+  html += `<div style="margin-top: 8px; font-size: 10px; display: none;">`;
+  html += `<input type="range" class="history-scrubber" min="0" max="${last}" value="${last}" style="width: 100%; accent-color: #4dd0e1; cursor: pointer;" title="Scrub through recorded changes" />`;
+
+  snapshots.forEach((snapshot, i) => {
+    const time = new Date(snapshot.timestamp).toLocaleTimeString();
+    html += `<div class="history-entry" data-history-index="${i}" data-history-timestamp="${snapshot.timestamp}" style="display: ${i === last ? 'block' : 'none'}; margin-top: 6px;">`;
+    html += `<div style="color: #888; font-size: 9px;">#${i + 1} of ${snapshots.length} • ${escapeHtml(time)}${i === last ? ' • current' : ''}</div>`;
+
+    if (i === 0) {
+      html += `<div style="color: #888; margin-top: 4px;">Pinned - recording changes from here</div>`;
+    } else {
+      html +=
+        formatDiff(getSnapshotDiff(snapshots[i - 1], snapshot), 'Changes:') ||
+        `<div style="color: #888; margin-top: 4px;">Re-rendered with the same values</div>`;
+    }
+
+    if (i !== last) {
+      html += `<button class="history-restore" data-history-index="${i}" style="margin-top: 6px; background: rgba(77,208,225,0.15); color: #4dd0e1; border: 1px solid rgba(77,208,225,0.4); padding: 3px 10px; border-radius: 3px; font-size: 10px; cursor: pointer;" title="Set state and hooks back to this snapshot (props come from the parent and are not restored)">⟲ Restore this snapshot</button>`;
+    }
+    html += `</div>`;
+  });
+
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Format a duration in milliseconds
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '–';
+  return ms < 10 ? `${ms.toFixed(2)}ms` : `${ms.toFixed(1)}ms`;
+}
+
+/**
+ * Build an inline SVG sparkline of render durations
+ */
+function formatSparkline(samples) {
+  if (!samples || samples.length < 2) return '';
+
+  const width = 160;
+  const height = 28;
+  const max = Math.max(...samples) || 1;
+  const step = width / (samples.length - 1);
+  const points = samples
+    .map((value, i) => `${(i * step).toFixed(1)},${(height - (value / max) * (height - 2) - 1).toFixed(1)}`)
+    .join(' ');
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block; margin-top: 6px; background: rgba(0,0,0,0.3); border-radius: 3px;"><polyline points="${points}" fill="none" stroke="#61dafb" stroke-width="1.5" /></svg>`;
+}
+
+/**
+ * Format React render profiler section
+ */
+function formatRenders(renders) {
+  if (!renders) return '';
+
+  const label = renders.recording ? '● REC' : '';
+  let html = `<div class="toggle-section" style="color: #61dafb; margin-top: 12px; font-weight: bold; padding: 6px 0; border-bottom: 1px solid rgba(97,218,251,0.3); cursor: pointer;">▶ Renders (${renders.count}) <span style="color: #f44336; font-size: 9px;">${label}</span></div>`;
+  html += `<div style="margin-top: 8px; font-size: 10px; display: none;">`;
+
+  if (renders.count > 0) {
+    html += `<div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px;">`;
+    html += `<div><span style="color: #888;">last</span> <span style="color: #90caf9;">${formatDuration(renders.last)}</span></div>`;
+    html += `<div><span style="color: #888;">avg</span> <span style="color: #90caf9;">${formatDuration(renders.avg)}</span></div>`;
+    html += `<div><span style="color: #888;">max</span> <span style="color: #ffa726;">${formatDuration(renders.max)}</span></div>`;
     html += `</div>`;
+    html += `<div style="color: #666; font-size: 9px; margin-top: 2px;">self ${formatDuration(renders.lastSelf)} • last ${renders.samples.length} of ${renders.count} renders • ${renders.commitCount} commits</div>`;
+    html += formatSparkline(renders.samples);
+  } else {
+    html += `<div style="color: #888;">${renders.recording ? 'No renders recorded for this component yet.' : 'Start recording to measure commit timings.'}</div>`;
+  }
+
+  html += `<button class="profiler-toggle" data-recording="${renders.recording}" style="margin-top: 8px; background: rgba(97,218,251,0.15); color: #61dafb; border: 1px solid rgba(97,218,251,0.4); padding: 3px 10px; border-radius: 3px; font-size: 10px; cursor: pointer;">${renders.recording ? '■ Stop recording' : '● Start recording'}</button>`;
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Format "Why did this render?" section from the last recorded render
+ */
+function formatWhyRender(renders) {
+  if (!renders || renders.count === 0) return '';
+
+  let html = `<div class="toggle-section" style="color: #ffb74d; margin-top: 12px; font-weight: bold; padding: 6px 0; border-bottom: 1px solid rgba(255,183,77,0.3); cursor: pointer;">▶ Why did this render?</div>`;
+  html += `<div style="margin-top: 8px; font-size: 10px; display: none;">`;
+
+  if (renders.lastNothingChanged) {
+    html += `<div style="background: rgba(255,152,0,0.15); border-left: 3px solid #ff9800; padding: 4px 6px; border-radius: 3px; color: #ffb74d; margin-bottom: 6px;">⚠ Nothing changed - re-rendered because its parent did</div>`;
+  }
+
+  renders.lastCauses.forEach((cause) => {
+    const color = cause.includes('shallow-equal') ? '#ffb74d' : '#e0e0e0';
+    html += `<div style="margin: 2px 0; color: ${color};">• ${escapeHtml(cause)}</div>`;
   });
 
+  if (renders.nothingChangedCount > 0) {
+    html += `<div style="color: #888; font-size: 9px; margin-top: 6px;">${renders.nothingChangedCount} of the last ${renders.samples.length} renders changed nothing</div>`;
+  }
+
   html += `</div>`;
   return html;
 }
@@ -338,6 +584,263 @@ function formatStateValue(value) {
   }
 }
 
+/**
+ * Format component tree as HTML
+ * @param {Array} tree - Component tree array
+ * @param {string} currentComponentName - Name of current component
+ * @returns {string} HTML string
+ */
+function formatComponentTree(tree, currentComponentName) {
+  if (!tree || tree.length === 0) return '';
+
+  let html =
+    '<div style="margin-bottom: 12px; padding: 8px; background: rgba(255,255,255,0.03); border-radius: 4px;">';
+  html +=
+    '<div class="toggle-section" style="color: #888; font-size: 10px; font-weight: bold; margin-bottom: 0px; cursor: pointer;">▶ Component Tree (' +
+    tree.length +
+    ')</div>';
+  html += '<div style="display: none; margin-top: 6px; font-size: 10px;">';
+
+  tree.forEach((node, index) => {
+    const indent = '  '.repeat(node.depth);
+    const isLast = index === tree.length - 1;
+    const connector = node.depth === 0 ? '📦 ' : isLast ? '└─ ' : '├─ ';
+    const isCurrent = node.name === currentComponentName;
+    const color = isCurrent ? '#61dafb' : node.isUserComponent ? '#a5d6a7' : '#999';
+    const weight = isCurrent ? 'bold' : 'normal';
+
+    html += '<div style="margin: 3px 0; color: ' + color + '; font-weight: ' + weight + ';">';
+    html += indent + connector + escapeHtml(node.name);
+
+    // Add badges
+    if (isCurrent) {
+      html +=
+        ' <span style="background: #61dafb; color: #000; padding: 1px 4px; border-radius: 2px; font-size: 8px; margin-left: 4px;">CURRENT</span>';
+    }
+    if (node.hasState) {
+      html +=
+        ' <span style="background: rgba(171,71,188,0.3); color: #ce93d8; padding: 1px 4px; border-radius: 2px; font-size: 8px; margin-left: 4px;">STATE</span>';
+    }
+    if (node.hasProps) {
+      html +=
+        ' <span style="background: rgba(255,167,38,0.3); color: #ffa726; padding: 1px 4px; border-radius: 2px; font-size: 8px; margin-left: 4px;">PROPS</span>';
+    }
+    if (node.key) {
+      html +=
+        ' <span style="color: #666; font-size: 9px; margin-left: 4px;">key=' +
+        escapeHtml(String(node.key)) +
+        '</span>';
+    }
+
+    html += '</div>';
+  });
+
+  html += '</div></div>';
+
+  return html;
+}
+
+/**
+ * Format context/injection info as HTML
+ * @param {Array} contexts - Array of context objects
+ * @param {string} framework - Framework name
+ * @returns {string} HTML string
+ */
+function formatContextInfo(contexts, framework) {
+  if (!contexts || contexts.length === 0) return '';
+
+  const title = framework.toLowerCase().includes('react')
+    ? 'Context'
+    : framework.toLowerCase().includes('vue')
+      ? 'Provide/Inject'
+      : framework.toLowerCase().includes('angular')
+        ? 'Injected Services'
+        : 'Context';
+
+  let html =
+    '<div style="margin-top: 12px; padding: 8px; background: rgba(156,39,176,0.1); border-radius: 4px; border-left: 3px solid #ab47bc;">';
+  html +=
+    '<div class="toggle-section" style="color: #ce93d8; font-size: 10px; font-weight: bold; margin-bottom: 0px; cursor: pointer;">▶ ' +
+    title +
+    ' (' +
+    contexts.length +
+    ')</div>';
+  html += '<div style="display: none; margin-top: 6px; font-size: 10px;">';
+
+  contexts.forEach((ctx) => {
+    html +=
+      '<div style="margin: 6px 0; padding: 6px; background: rgba(0,0,0,0.3); border-radius: 3px;">';
+
+    html += '<div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">';
+    html += '<span style="color: #ce93d8; font-weight: bold;">' + escapeHtml(ctx.name) + '</span>';
+
+    const typeColor =
+      ctx.type === 'Provider' || ctx.type === 'Provide'
+        ? '#4caf50'
+        : ctx.type === 'Consumer' || ctx.type === 'Inject'
+          ? '#ff9800'
+          : '#90caf9';
+    html +=
+      '<span style="background: ' +
+      typeColor +
+      '; color: white; padding: 1px 4px; border-radius: 2px; font-size: 8px;">' +
+      ctx.type +
+      '</span>';
+    html += '</div>';
+
+    if (ctx.value !== undefined) {
+      html +=
+        '<div style="color: #ba68c8; font-size: 9px; margin-top: 4px; padding: 4px; background: rgba(0,0,0,0.2); border-radius: 2px; word-break: break-all;">';
+      html += formatContextValue(ctx.value);
+      html += '</div>';
+    }
+
+    if (ctx.defaultValue !== undefined) {
+      html +=
+        '<div style="color: #888; font-size: 9px; margin-top: 2px;">Default: ' +
+        formatContextValue(ctx.defaultValue) +
+        '</div>';
+    }
+
+    if (ctx.from) {
+      html +=
+        '<div style="color: #888; font-size: 9px; margin-top: 2px;">From: ' +
+        escapeHtml(ctx.from) +
+        '</div>';
+    }
+
+    html += '</div>';
+  });
+
+  html += '</div></div>';
+
+  return html;
+}
+
+/**
+ * Format a context value for display
+ */
+function formatContextValue(value) {
+  if (value === null) return '<span style="color: #999;">null</span>';
+  if (value === undefined) return '<span style="color: #999;">undefined</span>';
+  if (typeof value === 'string')
+    return '<span style="color: #a5d6a7;">"' + escapeHtml(value) + '"</span>';
+  if (typeof value === 'number') return '<span style="color: #90caf9;">' + value + '</span>';
+  if (typeof value === 'boolean') return '<span style="color: #ce93d8;">' + value + '</span>';
+  if (typeof value === 'function') return '<span style="color: #999;">[Function]</span>';
+  if (typeof value === 'object') {
+    try {
+      const str = JSON.stringify(value, null, 2);
+      if (str.length > 100) {
+        return '<span style="color: #999;">{...}</span>';
+      }
+      return '<span style="color: #999;">' + escapeHtml(str) + '</span>';
+    } catch {
+      return '<span style="color: #999;">{Object}</span>';
+    }
+  }
+  return escapeHtml(String(value));
+}
+
+/**
+ * Format stores info as HTML
+ * @param {Object} storesInfo - Stores information
+ * @returns {string} HTML string
+ */
+function formatSvelteStores(storesInfo) {
+  if (!storesInfo || !storesInfo.hasStores) return '';
+
+  const { stores } = storesInfo;
+
+  let html =
+    '<div style="margin-top: 12px; padding: 8px; background: rgba(255,62,0,0.1); border-radius: 4px; border-left: 3px solid #ff3e00;">';
+  html +=
+    '<div class="toggle-section" style="color: #ff6633; font-size: 10px; font-weight: bold; margin-bottom: 0px; cursor: pointer;">▶ Stores (' +
+    stores.length +
+    ') 📦</div>';
+  html += '<div style="display: none; margin-top: 6px; font-size: 10px;">';
+
+  stores.forEach((store, idx) => {
+    html +=
+      '<div style="margin: 6px 0; padding: 6px; background: rgba(0,0,0,0.3); border-radius: 3px;">';
+
+    // Store header
+    html += '<div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">';
+    html += '<span style="color: #ff6633; font-weight: bold;">Store ' + idx + '</span>';
+
+    // Store type badge
+    const typeColors = {
+      writable: '#4caf50',
+      readable: '#2196f3',
+      derived: '#9c27b0',
+      custom: '#ff9800',
+    };
+    const typeColor = typeColors[store.type] || '#999';
+    html +=
+      '<span style="background: ' +
+      typeColor +
+      '; color: white; padding: 1px 4px; border-radius: 2px; font-size: 8px;">' +
+      store.type.toUpperCase() +
+      '</span>';
+
+    // Editable badge for writable stores
+    if (store.hasSet) {
+      html +=
+        '<span style="background: rgba(76,175,80,0.3); color: #4caf50; padding: 1px 4px; border-radius: 2px; font-size: 8px;">✏️ EDITABLE</span>';
+    }
+
+    html += '</div>';
+
+    // Store value
+    if (store.value !== undefined) {
+      const displayValue = formatStoreValue(store.value);
+
+      if (store.hasSet) {
+        // Editable store value
+        html +=
+          '<div class="editable-store" data-store-index="' +
+          store.index +
+          '" contenteditable="true" spellcheck="false" style="color: #ff6633; font-size: 11px; white-space: pre-wrap; padding: 8px; background: rgba(0,0,0,0.3); border: 1px solid transparent; border-radius: 3px; cursor: text; font-family: \'Courier New\', monospace; transition: all 0.2s; max-height: 200px; overflow-y: auto;" title="Edit directly (Enter to save, Esc to cancel)">' +
+          escapeHtml(displayValue) +
+          '</div>';
+      } else {
+        // Read-only store value
+        html +=
+          '<div style="color: #ff9966; font-size: 11px; white-space: pre-wrap; padding: 8px; background: rgba(0,0,0,0.3); border-radius: 3px; max-height: 200px; overflow-y: auto; opacity: 0.7;" title="Read-only store">' +
+          escapeHtml(displayValue) +
+          '</div>';
+      }
+    }
+
+    html += '</div>';
+  });
+
+  html += '</div></div>';
+
+  return html;
+}
+
+/**
+ * Format store value for display
+ */
+function formatStoreValue(value) {
+  if (typeof value === 'string') {
+    return `"${value}"`;
+  } else if (value === null) {
+    return 'null';
+  } else if (value === undefined) {
+    return 'undefined';
+  } else if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  } else {
+    try {
+      return JSON.stringify(value, null, 2);
+    } catch (err) {
+      return '{Object}';
+    }
+  }
+}
+
 /**
  * Format CSS section (imported from separate module)
  */
@@ -350,6 +853,6 @@ function formatCSSSection(css) {
  */
 function formatFooter(pinned) {
   return `<div style="margin-top: 14px; padding-top: 10px; border-top: 1px solid rgba(255,255,255,0.1); color: #666; font-size: 9px; text-align: center;">
-    Alt+Shift+C to toggle • Alt+Click to ${pinned ? 'unpin' : 'pin'} • 🔧 Mode
+    Alt+Shift+C to toggle • Alt+Click to ${pinned ? 'unpin • ↑↓←→ Tree' : 'pin'} • 🔧 Mode
   </div>`;
 }
@@ -2,6 +2,19 @@
  * Framework detection and management utilities
  */
 
+// Inspection modes in the order the toolbar popup lists them; framework modes need detection
+const INSPECTION_MODES = [
+  { value: 'auto', label: 'Auto (Framework First)', color: '#61dafb' },
+  { value: 'react', label: '⚛️ React', color: '#61dafb' },
+  { value: 'vue3', label: '💚 Vue 3', color: '#42b883' },
+  { value: 'vue2', label: '💚 Vue 2', color: '#42b883' },
+  { value: 'svelte', label: '🔥 Svelte', color: '#ff3e00' },
+  { value: 'angular', label: '🅰️ Angular', color: '#dd0031' },
+  { value: 'preact', label: '🟣 Preact', color: '#9575cd' },
+  { value: 'solid', label: '🔷 Solid', color: '#7fa6d9' },
+  { value: 'html', label: '📄 HTML', color: '#ff9800' },
+];
+
 /**
  * Detect frameworks on page
  * @param {Set} detectedFromInpage - Frameworks detected from inpage script
@@ -51,6 +64,19 @@ export function detectFrameworksOnPage(detectedFromInpage) {
     frameworks.push('angular');
   }
 
+  // Check for Preact (vnodes are only visible to inpage.js; Astro islands name their renderer)
+  if (
+    detectedFromInpage.has('preact') ||
+    document.querySelector('astro-island[renderer-url*="preact"]')
+  ) {
+    frameworks.push('preact');
+  }
+
+  // Check for Solid (islands and hydration keys)
+  if (detectedFromInpage.has('solid') || checkSolidOnPage()) {
+    frameworks.push('solid');
+  }
+
   return frameworks;
 }
 
@@ -135,6 +161,14 @@ function checkSvelteHydrationMarkers() {
   return !!hasHydrationMarker;
 }
 
+/**
+ * Check for Solid islands or Solid's hydration keys
+ * @returns {boolean} True if Solid markup found
+ */
+function checkSolidOnPage() {
+  return !!document.querySelector('solid-island, astro-island[renderer-url*="solid"], [data-hk]');
+}
+
 /**
  * Track detected framework from component info
  * @param {Object} componentInfo - Component information
@@ -143,7 +177,9 @@ function checkSvelteHydrationMarkers() {
 export function trackDetectedFramework(componentInfo, detectedSet) {
   if (componentInfo?.framework) {
     const framework = componentInfo.framework.toLowerCase();
-    if (framework.includes('react')) {
+    if (framework.includes('preact')) {
+      detectedSet.add('preact');
+    } else if (framework.includes('react')) {
       detectedSet.add('react');
     } else if (framework.includes('vue 3')) {
       detectedSet.add('vue3');
@@ -151,6 +187,8 @@ export function trackDetectedFramework(componentInfo, detectedSet) {
       detectedSet.add('vue2');
     } else if (framework.includes('svelte')) {
       detectedSet.add('svelte');
+    } else if (framework.includes('solid')) {
+      detectedSet.add('solid');
     }
   }
 }
@@ -165,3 +203,12 @@ export function validateInspectionMode(mode, detectedFrameworks) {
   const validModes = ['auto', 'html', ...detectedFrameworks];
   return validModes.includes(mode);
 }
+
+/**
+ * Inspection modes that can be picked on this page
+ * @param {Array<string>} detectedFrameworks - List of detected frameworks
+ * @returns {Array<Object>} { value, label, color } for each mode
+ */
+export function getAvailableModes(detectedFrameworks) {
+  return INSPECTION_MODES.filter((mode) => validateInspectionMode(mode.value, detectedFrameworks));
+}
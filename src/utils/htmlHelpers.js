@@ -3,6 +3,10 @@
  */
 
 import { escapeHtml } from './domHelpers.js';
+import { getCssChanges } from './cssChangeLog.js';
+import { collectStyleRules, getCssCascade } from './cssCascade.js';
+import { getBoxModel, getMatchedCSSRules } from './cssHelper.js';
+import { formatBoxModel, formatCascade, formatCssChanges } from '../overlay/cssFormatter.js';
 
 /**
  * Get basic HTML element information (no framework detection)
@@ -15,7 +19,7 @@ export function getHtmlElementInfo(element) {
   }
 
   // Check if element is still in the DOM
-  if (!document.body.contains(element)) {
+  if (!element.isConnected) {
     return null;
   }
 
@@ -55,33 +59,11 @@ export function getHtmlElementInfo(element) {
   // Get inline styles
   const inlineStyles = element.style.cssText || '';
 
-  // Find matched CSS rules
-  const matchedRules = [];
-  try {
-    for (const sheet of document.styleSheets) {
-      try {
-        for (const rule of sheet.cssRules || []) {
-          if (rule instanceof CSSStyleRule) {
-            try {
-              if (element.matches(rule.selectorText)) {
-                matchedRules.push({
-                  selector: rule.selectorText,
-                  source: sheet.href || 'inline',
-                  styles: rule.style.cssText,
-                });
-              }
-            } catch (e) {
-              // Invalid selector, skip
-            }
-          }
-        }
-      } catch (e) {
-        // Cross-origin stylesheet, skip
-      }
-    }
-  } catch (e) {
-    // Silent fail
-  }
+  // Find matched CSS rules and the per-property cascade
+  const rules = collectStyleRules();
+  const matchedRules = getMatchedCSSRules(element, rules);
+  const cascade = getCssCascade(element, rules);
+  const boxModel = getBoxModel(element);
 
   // Get element hierarchy (parent elements)
   const hierarchy = [];
@@ -118,6 +100,9 @@ export function getHtmlElementInfo(element) {
     styles: styles,
     inlineStyles: inlineStyles,
     matchedRules: matchedRules,
+    cascade: cascade,
+    boxModel: boxModel,
+    cssChanges: getCssChanges(),
     hierarchy: hierarchy,
     textContent: textContent,
     childElementsCount: childElementsCount,
@@ -214,6 +199,9 @@ export function formatHtmlElementInfo(info, pinned = false) {
     styles: info.styles,
     inlineStyles: info.inlineStyles,
     matchedRules: info.matchedRules,
+    cascade: info.cascade,
+    boxModel: info.boxModel,
+    changes: info.cssChanges,
   });
 
   // Footer
@@ -287,6 +275,9 @@ function formatCSSSection(css) {
     html += `</div>`;
   }
 
+  // Box model diagram
+  html += formatBoxModel(css.boxModel);
+
   // Computed Styles
   if (css.styles && Object.keys(css.styles).length > 0) {
     const styleKeys = Object.keys(css.styles).filter(
@@ -311,6 +302,9 @@ function formatCSSSection(css) {
     }
   }
 
+  html += formatCascade(css.cascade);
+  html += formatCssChanges(css.changes);
+
   return html;
 }
 
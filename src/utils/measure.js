@@ -0,0 +1,56 @@
+/**
+ * Distances between two elements' edges, for measurement mode
+ */
+
+// An element's extent on one axis and on the other (cross) axis
+function getSpan(rect, axis) {
+  return axis === 'x'
+    ? { start: rect.left, end: rect.right, crossStart: rect.top, crossEnd: rect.bottom }
+    : { start: rect.top, end: rect.bottom, crossStart: rect.left, crossEnd: rect.right };
+}
+
+/**
+ * Horizontal and vertical distances from one rect to another
+ * Apart on an axis: the gap between the facing edges. Overlapping (or one inside the other):
+ * the distance between the two start edges and between the two end edges.
+ * @param {DOMRect} from - Pinned element's rect
+ * @param {DOMRect} to - Hovered element's rect
+ * @returns {Array<Object>} { axis: 'x' | 'y', start, end, at, length, guide } in viewport px.
+ *   `at` is where the line sits on the other axis; `guide` ({ edge, start, end } or null)
+ *   extends the pinned element's edge to the line when they don't overlap on the other axis.
+ */
+export function measureDistances(from, to) {
+  const segments = [];
+
+  ['x', 'y'].forEach((axis) => {
+    const a = getSpan(from, axis);
+    const b = getSpan(to, axis);
+    const overlapStart = Math.max(a.crossStart, b.crossStart);
+    const overlapEnd = Math.min(a.crossEnd, b.crossEnd);
+    const overlaps = overlapStart < overlapEnd;
+    const at = overlaps ? (overlapStart + overlapEnd) / 2 : (b.crossStart + b.crossEnd) / 2;
+
+    const add = (start, end, edge) => {
+      if (end - start <= 0) return;
+      let guide = null;
+      if (!overlaps) {
+        guide =
+          at < a.crossStart
+            ? { edge, start: at, end: a.crossStart }
+            : { edge, start: a.crossEnd, end: at };
+      }
+      segments.push({ axis, start, end, at, length: end - start, guide });
+    };
+
+    if (b.start >= a.end) {
+      add(a.end, b.start, a.end);
+    } else if (a.start >= b.end) {
+      add(b.end, a.start, a.start);
+    } else {
+      add(Math.min(a.start, b.start), Math.max(a.start, b.start), a.start);
+      add(Math.min(a.end, b.end), Math.max(a.end, b.end), a.end);
+    }
+  });
+
+  return segments;
+}
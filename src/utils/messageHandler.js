@@ -2,114 +2,151 @@
  * Message handling for communication between content and inpage scripts
  */
 
-import { MESSAGE_TYPES } from '../config/constants.js';
-import { getXPath } from './domHelpers.js';
+import { MESSAGE_TYPES, RPC_TIMEOUT_MS } from '../config/constants.js';
+import { debugLog } from '../config/settings.js';
 import { trackStateChange, trackPropsChange } from './stateTracker.js';
+import { callInpage, onInpageEvent } from './rpc.js';
+import {
+  describeElement,
+  markHandleKnownToPage,
+  resolveElementHandle,
+  createStaleHandleError,
+} from './elementHandles.js';
+
+let updateOverlayCallback = null;
+let getCurrentTarget = () => null;
+let latestInfoRequestId = 0;
+let profilerRecording = false;
 
 /**
- * Create a message handler for the content script
- * @param {Function} updateOverlayCallback - Callback to update overlay
- * @param {Function} getCurrentTarget - Function to get current target element
- * @returns {Function} Message event handler
+ * Set up the content script's handling of inpage.js responses
+ * (the responses themselves arrive on the RPC channel, see rpc.js)
+ * @param {Function} onComponentInfo - Callback to update overlay
+ * @param {Function} currentTargetGetter - Function to get current target element
  */
-export function createContentMessageHandler(updateOverlayCallback, getCurrentTarget) {
-  return function handleMessage(event) {
-    if (event.source !== window) return;
-
-    const { type } = event.data;
-
-    switch (type) {
-      case MESSAGE_TYPES.COMPONENT_INFO_RESPONSE:
-        handleComponentInfoResponse(event.data, updateOverlayCallback, getCurrentTarget);
-        break;
-
-      case MESSAGE_TYPES.UPDATE_SUCCESS:
-        refreshOverlay(getCurrentTarget);
-        break;
-
-      case MESSAGE_TYPES.UPDATE_ERROR:
-        // Silent fail - error details are logged in inpage.js
-        break;
-    }
-  };
+export function createContentMessageHandler(onComponentInfo, currentTargetGetter) {
+  updateOverlayCallback = onComponentInfo;
+  getCurrentTarget = currentTargetGetter;
 }
 
 /**
  * Handle component info response
  */
-function handleComponentInfoResponse(
-  { componentInfo, reactComponentXPath },
-  updateOverlayCallback,
-  getCurrentTarget
-) {
+function handleComponentInfoResponse(element, { componentInfo, componentTarget }) {
   const currentTarget = getCurrentTarget();
-  if (currentTarget) {
-    const mouseX = currentTarget._mouseX || null;
-    const mouseY = currentTarget._mouseY || null;
-    
-    // Track state and props changes
-    if (componentInfo) {
-      if (componentInfo.state) {
-        trackStateChange(currentTarget, componentInfo.state);
-      }
-      if (componentInfo.props) {
-        trackPropsChange(currentTarget, componentInfo.props);
-      }
+  if (!currentTarget || currentTarget !== element || !updateOverlayCallback) return;
+
+  const mouseX = currentTarget._mouseX || null;
+  const mouseY = currentTarget._mouseY || null;
+
+  // Track state and props changes
+  if (componentInfo) {
+    if (componentInfo.state) {
+      trackStateChange(currentTarget, componentInfo.state);
+    }
+    if (componentInfo.props) {
+      trackPropsChange(currentTarget, componentInfo.props);
     }
-    
-    updateOverlayCallback(currentTarget, componentInfo, mouseX, mouseY, reactComponentXPath);
   }
+
+  const componentHandle = resolveComponentTarget(componentTarget) ? componentTarget.handle : null;
+
+  updateOverlayCallback(currentTarget, componentInfo, mouseX, mouseY, componentHandle);
+}
+
+/**
+ * Resolve an element handed over by inpage.js
+ * Call this for every reply that carries one, even a superseded reply: resolving registers
+ * the handle on this side and removes the tag inpage.js put on the element.
+ * @param {?Object} componentTarget - { handle, shadowPath } from inpage.js
+ * @returns {HTMLElement|null} Element, or null if there is none or it is gone
+ */
+function resolveComponentTarget(componentTarget) {
+  return componentTarget
+    ? resolveElementHandle(componentTarget.handle, componentTarget.shadowPath)
+    : null;
 }
 
 /**
  * Refresh overlay for current target
  */
-function refreshOverlay(getCurrentTarget) {
+function refreshOverlay() {
   const currentTarget = getCurrentTarget();
   if (currentTarget) {
-    const xpath = getXPath(currentTarget);
-    postMessage(MESSAGE_TYPES.GET_COMPONENT_INFO, { targetPath: xpath });
+    requestComponentInfo(currentTarget);
   }
 }
 
 /**
- * Send a message to inpage script
- * @param {string} type - Message type
- * @param {Object} data - Message data
+ * Send a request to inpage script for an element
+ * @param {string} type - Request type from MESSAGE_TYPES
+ * @param {HTMLElement} element - Target element
+ * @param {Object} data - Extra payload fields
+ * @returns {Promise<*>} Response payload
  */
-export function postMessage(type, data = {}) {
-  window.postMessage({ type, ...data }, '*');
+function requestForElement(type, element, data = {}) {
+  if (!element) {
+    return Promise.reject(new Error('No target element'));
+  }
+  if (!element.isConnected) {
+    return Promise.reject(createStaleHandleError());
+  }
+
+  const target = describeElement(element);
+  return callInpage(type, { target, ...data }).then((response) => {
+    markHandleKnownToPage(target.handle);
+    target.shadowPath.forEach(markHandleKnownToPage);
+    return response;
+  });
 }
 
 /**
  * Request component info for an element
+ * Only the response to the most recent request is applied to the overlay.
  * @param {HTMLElement} element - Target element
  * @param {string} inspectionMode - Inspection mode ('auto', 'react', 'html', etc.)
+ * @returns {Promise<Object|null>} Component info, or null if superseded or failed
  */
 export function requestComponentInfo(element, inspectionMode = 'auto') {
-  if (!element) {
-    return;
-  }
-  
-  const xpath = getXPath(element);
-  if (!xpath) {
-    return;
-  }
-  
-  postMessage(MESSAGE_TYPES.GET_COMPONENT_INFO, { targetPath: xpath, inspectionMode });
+  const requestId = ++latestInfoRequestId;
+
+  return requestForElement(MESSAGE_TYPES.GET_COMPONENT_INFO, element, { inspectionMode })
+    .then((response) => {
+      resolveComponentTarget(response.componentTarget);
+      if (requestId !== latestInfoRequestId) return null;
+      handleComponentInfoResponse(element, response);
+      return response.componentInfo;
+    })
+    .catch((error) => {
+      debugLog('Component info request failed:', error.message);
+      return null;
+    });
+}
+
+/**
+ * Fetch component info without applying it to the hover overlay
+ * @param {HTMLElement} element - Target element
+ * @param {string} inspectionMode - Inspection mode
+ * @returns {Promise<{componentInfo: Object|null, componentTarget: Object|null}>}
+ */
+export function fetchComponentInfo(element, inspectionMode = 'auto') {
+  return requestForElement(MESSAGE_TYPES.GET_COMPONENT_INFO, element, { inspectionMode }).then(
+    (response) => {
+      resolveComponentTarget(response.componentTarget);
+      return response;
+    }
+  );
 }
 
 /**
  * Invalidate cache for an element
  * @param {HTMLElement} element - Target element
+ * @returns {Promise<void>}
  */
 export function invalidateCache(element) {
-  if (!element) return;
-  
-  const xpath = getXPath(element);
-  if (!xpath) return;
-  
-  postMessage(MESSAGE_TYPES.INVALIDATE_CACHE, { targetPath: xpath });
+  return requestForElement(MESSAGE_TYPES.INVALIDATE_CACHE, element).catch(() => {
+    // Nothing cached for a missing element
+  });
 }
 
 /**
@@ -117,14 +154,12 @@ export function invalidateCache(element) {
  * @param {HTMLElement} element - Target element
  * @param {number} hookIndex - Hook index
  * @param {*} newValue - New value
+ * @returns {Promise<void>} Rejects with the inpage error message
  */
 export function updateHook(element, hookIndex, newValue) {
-  if (!element) return;
-  
-  const xpath = getXPath(element);
-  if (!xpath) return;
-  
-  postMessage(MESSAGE_TYPES.UPDATE_HOOK, { targetPath: xpath, hookIndex, newValue });
+  return requestForElement(MESSAGE_TYPES.UPDATE_HOOK, element, { hookIndex, newValue }).then(
+    refreshOverlay
+  );
 }
 
 /**
@@ -132,12 +167,151 @@ export function updateHook(element, hookIndex, newValue) {
  * @param {HTMLElement} element - Target element
  * @param {string} stateKey - State key
  * @param {*} newValue - New value
+ * @returns {Promise<void>} Rejects with the inpage error message
  */
 export function updateState(element, stateKey, newValue) {
-  if (!element) return;
-  
-  const xpath = getXPath(element);
-  if (!xpath) return;
-  
-  postMessage(MESSAGE_TYPES.UPDATE_STATE, { targetPath: xpath, stateKey, newValue });
+  return requestForElement(MESSAGE_TYPES.UPDATE_STATE, element, { stateKey, newValue }).then(
+    refreshOverlay
+  );
+}
+
+/**
+ * Temporarily override a prop (Vue) until the parent passes a new value
+ * @param {HTMLElement} element - Target element
+ * @param {string} propKey - Prop name
+ * @param {*} newValue - New value
+ * @returns {Promise<void>} Rejects with the inpage error message
+ */
+export function updateProp(element, propKey, newValue) {
+  return requestForElement(MESSAGE_TYPES.UPDATE_PROP, element, { propKey, newValue }).then(
+    refreshOverlay
+  );
+}
+
+/**
+ * Undo a prop or computed override (Vue)
+ * @param {HTMLElement} element - Target element
+ * @param {string} key - Overridden prop or computed name
+ * @returns {Promise<void>}
+ */
+export function resetOverride(element, key) {
+  return requestForElement(MESSAGE_TYPES.RESET_OVERRIDE, element, { key }).then(refreshOverlay);
+}
+
+/**
+ * Move from the component found for an element to its parent, first child or a sibling
+ * inpage.js keeps reporting that component for its element until clearComponentNavigation().
+ * @param {HTMLElement} element - Element the current component was found for
+ * @param {string} direction - 'parent', 'child', 'previous' or 'next'
+ * @param {string} inspectionMode - Inspection mode
+ * @returns {Promise<HTMLElement|null>} The new component's element, or null at the edge of the tree
+ */
+export function navigateComponent(element, direction, inspectionMode = 'auto') {
+  return requestForElement(MESSAGE_TYPES.NAVIGATE_COMPONENT, element, {
+    direction,
+    inspectionMode,
+  }).then(({ componentTarget }) => resolveComponentTarget(componentTarget));
+}
+
+/**
+ * Forget the component picked with navigateComponent()
+ * @returns {Promise<void>}
+ */
+export function clearComponentNavigation() {
+  return callInpage(MESSAGE_TYPES.CLEAR_NAVIGATION).catch(() => {
+    // Nothing to clear once the page is gone
+  });
+}
+
+/**
+ * Read the component tree of every app on the page
+ * @returns {Promise<{roots: Array, truncated: boolean}>} Nodes are
+ *   { id, name, framework, isUserComponent, children }
+ */
+export function getAppTree() {
+  // Walking a large app can outlast the usual RPC timeout
+  return callInpage(MESSAGE_TYPES.GET_APP_TREE, {}, { timeout: RPC_TIMEOUT_MS * 3 });
+}
+
+/**
+ * Find the element of a node from getAppTree()
+ * @param {string} nodeId - Tree node id
+ * @param {boolean} select - Also make inpage.js report that component for its element
+ * @returns {Promise<HTMLElement|null>} Element, or null if the component renders none
+ */
+export function resolveTreeNode(nodeId, select = false) {
+  return callInpage(MESSAGE_TYPES.RESOLVE_TREE_NODE, { nodeId, select }).then(
+    ({ componentTarget }) => resolveComponentTarget(componentTarget)
+  );
+}
+
+/**
+ * Start recording React commits in the page
+ * @returns {Promise<Object>} Rejects if the page has no React DevTools hook
+ */
+export function startProfiling() {
+  return callInpage(MESSAGE_TYPES.PROFILER_START).then(trackRecording);
+}
+
+/**
+ * Stop recording React commits (recorded renders are kept until the next start)
+ * @returns {Promise<Object>}
+ */
+export function stopProfiling() {
+  return callInpage(MESSAGE_TYPES.PROFILER_STOP).then(trackRecording);
+}
+
+function trackRecording(result) {
+  profilerRecording = !!result?.recording;
+  return result;
+}
+
+/**
+ * Whether the last profiler start/stop from this page left it recording
+ * @returns {boolean}
+ */
+export function isProfiling() {
+  return profilerRecording;
+}
+
+/**
+ * Start reporting every change to the component that owns an element
+ * @param {HTMLElement} element - Target element
+ * @returns {Promise<{watchId: number, snapshot: Object}>} Resolves with the starting snapshot
+ */
+export function watchComponent(element) {
+  return requestForElement(MESSAGE_TYPES.WATCH_START, element);
+}
+
+/**
+ * Stop reporting changes to the watched component
+ * @returns {Promise<null>}
+ */
+export function unwatchComponent() {
+  return callInpage(MESSAGE_TYPES.WATCH_STOP);
+}
+
+/**
+ * Listen for changes to the watched component
+ * @param {Function} listener - Called with { watchId, snapshot }
+ */
+export function onComponentChanged(listener) {
+  onInpageEvent(MESSAGE_TYPES.COMPONENT_CHANGED, listener);
+}
+
+/**
+ * Listen for inpage.js having read source maps that rename components
+ * @param {Function} listener - Called when previously fetched component info is outdated
+ */
+export function onSourcesResolved(listener) {
+  onInpageEvent(MESSAGE_TYPES.SOURCES_RESOLVED, listener);
+}
+
+/**
+ * Replace the settings inpage.js uses (user code paths, framework components, score threshold)
+ * @param {Object} values - Complete settings for this origin
+ * @returns {Promise<void>}
+ */
+export function applyInpageSettings(values) {
+  return callInpage(MESSAGE_TYPES.APPLY_SETTINGS, { settings: values });
 }
@@ -2,6 +2,8 @@
  * Overlay helper utilities
  */
 
+import { resolveElementHandle } from './elementHandles.js';
+
 /**
  * Get framework note HTML for non-framework elements
  * @param {Array<string>} detectedFrameworks - List of detected frameworks
@@ -30,30 +32,18 @@ export function getFrameworkNote(detectedFrameworks) {
 /**
  * Show framework-specific overlay
  * @param {string} framework - Framework name
- * @param {string} reactComponentXPath - XPath for React component
+ * @param {string} componentHandle - Element handle of the React component's root DOM node
  * @param {HTMLElement} element - Target element
  * @param {Object} overlays - Object containing overlay elements
  */
-export function showFrameworkOverlay(framework, reactComponentXPath, element, overlays) {
+export function showFrameworkOverlay(framework, componentHandle, element, overlays) {
   const { reactOverlay, vueOverlay, showReactOverlay, showComponentOverlay, hideReactOverlay, hideVueOverlay } = overlays;
 
-  if (framework === 'react' && reactComponentXPath) {
-    try {
-      const reactElement = document.evaluate(
-        reactComponentXPath,
-        document,
-        null,
-        XPathResult.FIRST_ORDERED_NODE_TYPE,
-        null
-      ).singleNodeValue;
-
-      if (reactElement && reactElement !== element) {
-        showReactOverlay(reactOverlay, reactElement);
-      } else {
-        hideReactOverlay(reactOverlay);
-      }
-    } catch (e) {
-      console.error('[HoverComp] Error showing React overlay:', e);
+  if (framework === 'react' && componentHandle) {
+    const reactElement = resolveElementHandle(componentHandle);
+    if (reactElement && reactElement !== element) {
+      showReactOverlay(reactOverlay, reactElement);
+    } else {
       hideReactOverlay(reactOverlay);
     }
     hideVueOverlay(vueOverlay);
@@ -77,22 +67,9 @@ export function showFrameworkOverlay(framework, reactComponentXPath, element, ov
  */
 export function updateReactOverlayPosition(panel, reactOverlay, showReactOverlay) {
   if (reactOverlay?.style.display !== 'none') {
-    const reactXPath = panel?.dataset?.reactComponentXPath;
-    if (reactXPath) {
-      try {
-        const reactElement = document.evaluate(
-          reactXPath,
-          document,
-          null,
-          XPathResult.FIRST_ORDERED_NODE_TYPE,
-          null
-        ).singleNodeValue;
-        if (reactElement) {
-          showReactOverlay(reactOverlay, reactElement);
-        }
-      } catch (e) {
-        // Ignore
-      }
+    const reactElement = resolveElementHandle(panel?.dataset?.componentHandle);
+    if (reactElement) {
+      showReactOverlay(reactOverlay, reactElement);
     }
   }
 }
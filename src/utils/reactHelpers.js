@@ -2,111 +2,19 @@
  * React-specific utilities for component detection and manipulation
  */
 
-import {
-  KNOWN_FRAMEWORK_COMPONENTS,
-  FRAMEWORK_PATTERNS,
-  USER_CODE_PATHS,
-  USER_COMPONENT_SCORE_THRESHOLD,
-} from '../config/constants.js';
+import { sanitizeValue } from './componentHelpers.js';
 
 /**
- * Check if a component is from user code
- * @param {string} fileName - File name/path
- * @returns {boolean} True if from user code
- */
-export function isFromUserCode(fileName) {
-  if (!fileName) return false;
-  return USER_CODE_PATHS.some((path) => fileName.includes(path));
-}
-
-/**
- * Check if a component is from node_modules
- * @param {string} fileName - File name/path
- * @returns {boolean} True if from node_modules
- */
-export function isFromNodeModules(fileName) {
-  return (
-    fileName.includes('node_modules') ||
-    fileName.includes('/next/') ||
-    fileName.includes('\\next\\')
-  );
-}
-
-/**
- * Check if component name matches known framework components
- * @param {string} name - Component name
- * @param {string} fileName - File name or path
- * @returns {boolean} True if known framework component
- */
-export function isKnownFrameworkComponent(name, fileName = '') {
-  return (
-    KNOWN_FRAMEWORK_COMPONENTS.includes(name) ||
-    (name.endsWith('Component') && KNOWN_FRAMEWORK_COMPONENTS.some((fw) => name.includes(fw))) ||
-    name.includes('ServerRoot') ||
-    name.includes('HotReload') ||
-    name.includes('AppRouter') ||
-    (name === 'Root' && fileName.includes('next')) ||
-    (name === 'Router' && (fileName.includes('next') || fileName.includes('react-router')))
-  );
-}
-
-/**
- * Check if component name has framework patterns
- * @param {string} name - Component name
- * @returns {boolean} True if has framework pattern
- */
-export function hasFrameworkPattern(name) {
-  const pattern = new RegExp(`^(${FRAMEWORK_PATTERNS.join('|')})$`);
-  return (
-    pattern.test(name) ||
-    name.includes('Router') ||
-    name.includes('Boundary') ||
-    name.includes('Handler') ||
-    name.includes('Provider') ||
-    name.includes('Context') ||
-    name.includes('Overlay') ||
-    name.includes('DevRoot') ||
-    name.includes('HotReload') ||
-    name.includes('ServerRoot') ||
-    name.includes('Segment') ||
-    name.includes('View') ||
-    name.includes('Scroll') ||
-    name.includes('Focus') ||
-    name.includes('Redirect') ||
-    name.includes('Template') ||
-    name.includes('Fallback') ||
-    name.includes('HTTPAccess') ||
-    name.includes('Loading') ||
-    name.startsWith('Inner') ||
-    name.startsWith('Outer') ||
-    name.startsWith('Render')
-  );
-}
-
-/**
- * Calculate component score for user component detection
+ * React-specific points for calculateComponentScore() in componentHelpers.js
  * @param {Object} params - Component parameters
- * @returns {number} Component score
+ * @returns {number} Points to add to the shared score
  */
-export function calculateComponentScore({
-  fileName,
-  ownerFileName,
-  source,
-  isKnownFramework,
-  hasFrameworkPattern,
-  componentType,
-}) {
+export function getReactScoreBonus({ name, fileName, hasDebugSource, source, componentType }) {
   let score = 0;
 
-  // Strong negative indicators
-  if (isKnownFramework) score -= 10;
-  if (hasFrameworkPattern) score -= 5;
-  if (isFromNodeModules(fileName)) score -= 10;
-  if (fileName.includes('next/dist')) score -= 15;
-
-  // Positive indicators
-  if (isFromUserCode(fileName) && !isFromNodeModules(fileName)) score += 10;
-  if (ownerFileName && ownerFileName.includes('/app/')) score += 5;
+  // Production builds have no source information; count them as components by default
+  // (enough on its own to reach the default USER_COMPONENT_SCORE_THRESHOLD)
+  if (!fileName && !hasDebugSource) score += 8;
 
   const hasUserCodePatterns =
     source.length > 200 || source.includes('jsx') || source.includes('tsx');
@@ -115,22 +23,14 @@ export function calculateComponentScore({
   if (hasUserCodePatterns) score += 3;
   if (!isMinified) score += 2;
 
-  // Boost score for functional components
+  // Boost score for functional components (React.memo, forwardRef)
   if (componentType.$$typeof || componentType._payload) score += 2;
   if (source.includes('function') || source.includes('=>')) score += 1;
 
-  return score;
-}
+  // Meaningful (capitalized) names survive minification
+  if (name.length > 2 && /[A-Z]/.test(name[0])) score += 3;
 
-/**
- * Check if component is a user component
- * @param {number} score - Component score
- * @param {boolean} isKnownFramework - Is known framework component
- * @param {boolean} hasFrameworkPattern - Has framework pattern
- * @returns {boolean} True if user component
- */
-export function isUserComponent(score, isKnownFramework, hasFrameworkPattern) {
-  return score >= USER_COMPONENT_SCORE_THRESHOLD && !isKnownFramework && !hasFrameworkPattern;
+  return score;
 }
 
 /**
@@ -141,8 +41,8 @@ export function isUserComponent(score, isKnownFramework, hasFrameworkPattern) {
 export function classifyHookType(hook) {
   const ms = hook.memoizedState;
 
-  // useRef: memoizedState is { current: ... } with no queue
-  if (ms !== null && typeof ms === 'object' && 'current' in ms && !hook.queue) {
+  // useRef: memoizedState is { current: ... } with no queue (on it or the next hook)
+  if (ms !== null && typeof ms === 'object' && 'current' in ms && !hook.queue && !hook.next?.queue) {
     return 'useRef';
   }
 
@@ -230,88 +130,6 @@ export function extractHooks(fiber) {
   }
 }
 
-const MAX_SERIALIZE_DEPTH = 5;
-const MAX_ARRAY_ITEMS = 50;
-const MAX_OBJECT_KEYS = 30;
-
-function deepClone(value, depth, seen) {
-  if (depth > MAX_SERIALIZE_DEPTH) return '[...]';
-  if (value === null) return null;
-  if (value === undefined) return 'undefined';
-  if (typeof value === 'function') return '[Function: ' + (value.name || 'anonymous') + ']';
-  if (typeof value === 'symbol') return '[Symbol]';
-  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
-    return value;
-  }
-  if (typeof value !== 'object') return String(value);
-  if (seen.has(value)) return '[Circular]';
-  seen.add(value);
-
-  if (Array.isArray(value)) {
-    const result = value.slice(0, MAX_ARRAY_ITEMS).map(v => deepClone(v, depth + 1, seen));
-    if (value.length > MAX_ARRAY_ITEMS) result.push(`... +${value.length - MAX_ARRAY_ITEMS} items`);
-    seen.delete(value);
-    return result;
-  }
-
-  const result = {};
-  const keys = Object.keys(value).slice(0, MAX_OBJECT_KEYS);
-  for (const key of keys) {
-    try {
-      result[key] = deepClone(value[key], depth + 1, seen);
-    } catch {
-      result[key] = '[Error reading property]';
-    }
-  }
-  const totalKeys = Object.keys(value).length;
-  if (totalKeys > MAX_OBJECT_KEYS) {
-    result['...'] = `+${totalKeys - MAX_OBJECT_KEYS} more keys`;
-  }
-  seen.delete(value);
-  return result;
-}
-
-/**
- * Sanitize a value for serialization (depth-limited, circular-safe)
- * @param {*} value - Value to sanitize
- * @returns {*} Sanitized value
- */
-export function sanitizeValue(value) {
-  return deepClone(value, 0, new WeakSet());
-}
-
-/**
- * Sanitize props object
- * @param {Object} props - Props object
- * @returns {Object} Sanitized props
- */
-export function sanitizeProps(props) {
-  const sanitized = {};
-  for (const key in props) {
-    if (typeof key === 'symbol') continue;
-    const value = props[key];
-    if (key === 'children') {
-      sanitized[key] = typeof value === 'object' ? '[React Children]' : String(value);
-    } else {
-      sanitized[key] = sanitizeValue(value);
-    }
-  }
-  return sanitized;
-}
-
-/**
- * Parse value from string (for updating hooks/state)
- * @param {string} value - String value
- * @returns {*} Parsed value
- */
-export function parseValue(value) {
-  try {
-    return JSON.parse(value);
-  } catch {
-    return value;
-  }
-}
-
 /**
  * Get React fiber root
  * @param {Object} fiber - React fiber
@@ -324,3 +142,17 @@ export function getFiberRoot(fiber) {
   }
   return current.stateNode;
 }
+
+/**
+ * Source location from the JSX dev transform (_debugSource / __source)
+ * @param {Object} source - { fileName, lineNumber, columnNumber }
+ * @returns {Object|null} { fileName, line, column } (React, Preact)
+ */
+export function getJsxSourceLocation(source) {
+  if (!source || !source.fileName) return null;
+  return {
+    fileName: source.fileName,
+    line: source.lineNumber || null,
+    column: source.columnNumber || null,
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Request/response RPC between the content script and inpage.js
+ *
+ * Requests and replies travel over a private MessageChannel, never as window messages.
+ * The content script creates the channel and, once inpage.js has loaded, transfers one
+ * port to it in a single CONNECT window message (the only window message either side sends).
+ * inpage.js proves it is the script we injected by answering on the port with the one-time
+ * token it read from its own <script> tag; nothing else on the port is accepted before that.
+ * Every request carries an ID and the protocol version; inpage.js answers with the same ID,
+ * so each call resolves its own promise.
+ *
+ * inpage.js can also post events (no ID), e.g. COMPONENT_CHANGED for the pinned component.
+ */
+
+import {
+  MESSAGE_TYPES,
+  RPC_PROTOCOL_VERSION,
+  RPC_TIMEOUT_MS,
+  RPC_SOURCES,
+  RPC_RESPONSE_TYPES,
+} from '../config/constants.js';
+
+const pendingRequests = new Map();
+const eventListeners = new Map();
+let port = null;
+let remotePort = null;
+let connectToken = null;
+let connected = false;
+let nextRequestId = 1;
+
+/**
+ * Open the channel for a new inpage.js session
+ * @returns {string} One-time connect token to hand to inpage.js on its <script> tag
+ */
+export function createRpcSession() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  connectToken = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  connected = false;
+
+  const channel = new MessageChannel();
+  port = channel.port1;
+  port.onmessage = handleRpcMessage;
+  remotePort = channel.port2;
+  return connectToken;
+}
+
+/**
+ * Transfer the page end of the channel to inpage.js (call once it has loaded)
+ */
+export function connectRpcSession() {
+  if (!remotePort) return;
+  window.postMessage(
+    { source: RPC_SOURCES.CONTENT, version: RPC_PROTOCOL_VERSION, type: MESSAGE_TYPES.RPC_CONNECT },
+    '*',
+    [remotePort]
+  );
+  remotePort = null;
+}
+
+/**
+ * Send a request to inpage.js
+ * @param {string} type - Request type from MESSAGE_TYPES
+ * @param {Object} payload - Request payload
+ * @param {Object} options - { timeout }
+ * @returns {Promise<*>} Resolves with the response payload, rejects on error or timeout
+ */
+export function callInpage(type, payload = {}, { timeout = RPC_TIMEOUT_MS } = {}) {
+  if (!port) {
+    return Promise.reject(new Error('RPC session not initialized'));
+  }
+
+  const id = nextRequestId++;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(new Error(`${type} timed out after ${timeout}ms`));
+    }, timeout);
+
+    pendingRequests.set(id, { type, resolve, reject, timer });
+
+    // Buffered by the port until inpage.js connects
+    port.postMessage({ version: RPC_PROTOCOL_VERSION, id, type, payload });
+  });
+}
+
+/**
+ * Handle a message from inpage.js on the channel: the handshake, a response or an event
+ * @param {MessageEvent} event - Port message event
+ * @returns {boolean} True if the message was a valid response or event
+ */
+export function handleRpcMessage(event) {
+  const response = event.data;
+  if (!response) return false;
+
+  if (!connected) {
+    if (response.type !== MESSAGE_TYPES.RPC_CONNECTED || response.token !== connectToken) {
+      return false;
+    }
+    connected = true;
+    connectToken = null;
+    return true;
+  }
+
+  if (response.id === undefined) {
+    if (response.version === RPC_PROTOCOL_VERSION) {
+      (eventListeners.get(response.type) || []).forEach((listener) => listener(response.payload));
+    }
+    return true;
+  }
+
+  const pending = pendingRequests.get(response.id);
+  if (!pending) return true; // Already timed out
+
+  pendingRequests.delete(response.id);
+  clearTimeout(pending.timer);
+
+  if (response.type === MESSAGE_TYPES.UPDATE_ERROR) {
+    const error = new Error(response.error || `${pending.type} failed`);
+    if (response.code) error.code = response.code;
+    pending.reject(error);
+  } else if (response.version !== RPC_PROTOCOL_VERSION) {
+    pending.reject(new Error(`Protocol version mismatch (page ${response.version})`));
+  } else if (response.type !== RPC_RESPONSE_TYPES[pending.type]) {
+    pending.reject(new Error(`Unexpected ${response.type} response to ${pending.type}`));
+  } else {
+    pending.resolve(response.payload);
+  }
+  return true;
+}
+
+/**
+ * Listen for an event posted by inpage.js
+ * @param {string} type - Event type from MESSAGE_TYPES
+ * @param {Function} listener - Called with the event payload
+ */
+export function onInpageEvent(type, listener) {
+  if (!eventListeners.has(type)) {
+    eventListeners.set(type, []);
+  }
+  eventListeners.get(type).push(listener);
+}
+
+/**
+ * Reject everything in flight (e.g. when the page unloads)
+ */
+export function rejectPendingRequests(reason = 'RPC session closed') {
+  pendingRequests.forEach((pending) => {
+    clearTimeout(pending.timer);
+    pending.reject(new Error(reason));
+  });
+  pendingRequests.clear();
+}
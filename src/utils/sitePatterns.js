@@ -0,0 +1,49 @@
+/**
+ * Site patterns for the auto-enable rules
+ * A host with an optional scheme and port; `*` matches any characters in the host,
+ * or any port. A pattern without a port matches every port.
+ * e.g. "localhost:*", "*.staging.internal", "127.0.0.1:5173", "https://app.example.com"
+ */
+
+const SITE_PATTERN = /^(?:(https?|\*):\/\/)?([^/:\s]+)(?::(\d+|\*))?\/?$/i;
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+function hostToRegExp(host) {
+  const escaped = host.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+/**
+ * Check a pattern before saving it
+ * @param {string} pattern - Site pattern
+ * @returns {boolean} True if the pattern can match sites
+ */
+export function isValidSitePattern(pattern) {
+  return SITE_PATTERN.test(String(pattern).trim());
+}
+
+/**
+ * Check whether a page URL matches a site pattern
+ * @param {string} url - Page URL (only http and https pages match)
+ * @param {string} pattern - Site pattern
+ * @returns {boolean} True if the URL matches
+ */
+export function matchesSitePattern(url, pattern) {
+  const match = SITE_PATTERN.exec(String(pattern).trim());
+  if (!match) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  if (!DEFAULT_PORTS[parsed.protocol]) return false;
+
+  const [, scheme, host, port] = match;
+  if (scheme && scheme !== '*' && `${scheme.toLowerCase()}:` !== parsed.protocol) return false;
+  if (port && port !== '*' && port !== (parsed.port || DEFAULT_PORTS[parsed.protocol])) {
+    return false;
+  }
+  return hostToRegExp(host).test(parsed.hostname);
+}
@@ -5,9 +5,11 @@
 
 const stateHistory = new WeakMap();
 const propsHistory = new WeakMap();
+const snapshotHistory = new WeakMap(); // Pinned component timeline
 
 const MAX_HISTORY_LENGTH = 10; // Reduced from 20 to save memory
 const MAX_HISTORY_AGE = 300000; // 5 minutes in milliseconds
+const MAX_SNAPSHOTS = 50; // Only the pinned component keeps a timeline
 
 /**
  * Clean old history entries
@@ -117,6 +119,86 @@ export function getPropsHistory(element) {
   return propsHistory.get(element) || [];
 }
 
+/**
+ * Record a snapshot of the pinned component ({ props, state, hooks } from inpage.js)
+ * @param {HTMLElement} element - DOM element
+ * @param {Object} snapshot - Component snapshot
+ */
+export function trackSnapshot(element, snapshot) {
+  if (!element || !snapshot) return;
+
+  let history = snapshotHistory.get(element);
+  if (!history) {
+    history = [];
+    snapshotHistory.set(element, history);
+  }
+
+  history.push({
+    timestamp: Date.now(),
+    props: snapshot.props || {},
+    state: snapshot.state || null,
+    hooks: snapshot.hooks || [],
+  });
+
+  if (history.length > MAX_SNAPSHOTS) {
+    history.shift();
+  }
+}
+
+/**
+ * Get the pinned component timeline for element
+ * @param {HTMLElement} element - DOM element
+ * @returns {Array} Snapshots, oldest first
+ */
+export function getSnapshots(element) {
+  return snapshotHistory.get(element) || [];
+}
+
+/**
+ * Drop the timeline for element
+ * @param {HTMLElement} element - DOM element
+ */
+export function clearSnapshots(element) {
+  if (!element) return;
+  snapshotHistory.delete(element);
+}
+
+/**
+ * Key hooks by type and index so they can be diffed like an object
+ */
+function hooksToObject(hooks) {
+  const result = {};
+  (hooks || []).forEach((hook) => {
+    result[`${hook.type} #${hook.index}`] = hook.value;
+  });
+  return result;
+}
+
+/**
+ * Diff two snapshots (props, state and hooks in one list)
+ * @param {Object} previous - Older snapshot
+ * @param {Object} next - Newer snapshot
+ * @returns {Object} Diff object with added, removed, changed
+ */
+export function getSnapshotDiff(previous, next) {
+  const prefixKeys = (diff, prefix) => ({
+    added: diff.added.map((item) => ({ ...item, key: prefix + item.key })),
+    removed: diff.removed.map((item) => ({ ...item, key: prefix + item.key })),
+    changed: diff.changed.map((item) => ({ ...item, key: prefix + item.key })),
+  });
+  const parts = [
+    prefixKeys(getDiff(previous.props || {}, next.props || {}), 'props.'),
+    prefixKeys(getDiff(previous.state || {}, next.state || {}), 'state.'),
+    getDiff(hooksToObject(previous.hooks), hooksToObject(next.hooks)),
+  ];
+
+  return {
+    added: parts.flatMap((part) => part.added),
+    removed: parts.flatMap((part) => part.removed),
+    changed: parts.flatMap((part) => part.changed),
+  };
+}
+
 /**
  * Compare two objects and return diff
  * @param {Object} oldObj - Old object
@@ -182,15 +264,16 @@ export function getLatestPropsDiff(element) {
 /**
  * Format diff for display
  * @param {Object} diff - Diff object
+ * @param {string} title - Heading above the changes
  * @returns {string} HTML string
  */
-export function formatDiff(diff) {
+export function formatDiff(diff, title = 'Latest Changes:') {
   if (!diff || (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0)) {
     return '';
   }
   
   let html = '<div style="margin-top: 6px; padding: 6px; background: rgba(0,0,0,0.3); border-radius: 3px; font-size: 9px;">';
-  html += '<div style="color: #888; margin-bottom: 4px;">Latest Changes:</div>';
+  html += '<div style="color: #888; margin-bottom: 4px;">' + escapeHtml(title) + '</div>';
   
   diff.added.forEach(item => {
     html += '<div style="color: #4caf50; margin: 2px 0;">+ ' + escapeHtml(item.key) + ': ' + formatValue(item.value) + '</div>';
@@ -248,6 +331,7 @@ export function clearHistory(element) {
   if (!element) return;
   stateHistory.delete(element);
   propsHistory.delete(element);
+  snapshotHistory.delete(element);
 }
 
 /**
@@ -105,6 +105,16 @@ export const FRAMEWORK_COLORS = {
     bg: 'rgba(221, 0, 49, 0.1)',
     border: 'rgba(221, 0, 49, 0.3)',
   },
+  preact: {
+    primary: '#673ab8',
+    bg: 'rgba(103, 58, 184, 0.1)',
+    border: 'rgba(103, 58, 184, 0.3)',
+  },
+  solid: {
+    primary: '#446b9e',
+    bg: 'rgba(68, 107, 158, 0.1)',
+    border: 'rgba(68, 107, 158, 0.3)',
+  },
   html: {
     primary: '#ff9800',
     bg: 'rgba(255, 152, 0, 0.1)',
@@ -120,7 +130,10 @@ export const FRAMEWORK_COLORS = {
 export function getFrameworkColors(framework) {
   const normalizedFramework = framework.toLowerCase();
   
-  if (normalizedFramework.includes('react')) {
+  // Checked before React: 'preact' contains 'react'
+  if (normalizedFramework.includes('preact')) {
+    return FRAMEWORK_COLORS.preact;
+  } else if (normalizedFramework.includes('react')) {
     return FRAMEWORK_COLORS.react;
   } else if (normalizedFramework.includes('vue')) {
     return FRAMEWORK_COLORS.vue;
@@ -128,6 +141,8 @@ export function getFrameworkColors(framework) {
     return FRAMEWORK_COLORS.svelte;
   } else if (normalizedFramework.includes('angular')) {
     return FRAMEWORK_COLORS.angular;
+  } else if (normalizedFramework.includes('solid')) {
+    return FRAMEWORK_COLORS.solid;
   }
   
   return FRAMEWORK_COLORS.html;
@@ -0,0 +1,113 @@
+/**
+ * Line diff (Myers) and unified diff output for the CSS change log export
+ */
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Edit script between two line arrays
+ * Cost grows with the number of changed lines, not the file size, so whole stylesheets are
+ * cheap as long as only a few rules were edited.
+ * @returns {Array<Object>} { type: ' ' | '-' | '+', line } in order
+ */
+export function diffLines(before, after) {
+  const max = before.length + after.length;
+  const offset = max + 1;
+  let v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < before.length && y < after.length && before[x] === after[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= before.length && y >= after.length) {
+        found = true;
+        break;
+      }
+    }
+  }
+  trace.push(v);
+
+  // Walk the trace back from the end to recover the edits
+  const edits = [];
+  let x = before.length;
+  let y = after.length;
+  for (let d = trace.length - 2; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const down = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]);
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      edits.push({ type: ' ', line: before[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (down) edits.push({ type: '+', line: after[--y] });
+      else edits.push({ type: '-', line: before[--x] });
+    }
+  }
+  return edits.reverse();
+}
+
+/**
+ * Unified diff of two texts (empty string when they are the same)
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @param {string} path - File path for the ---/+++ headers
+ * @returns {string} Diff text
+ */
+export function createUnifiedDiff(before, after, path) {
+  const edits = diffLines(before.split('\n'), after.split('\n'));
+  if (edits.every((edit) => edit.type === ' ')) return '';
+
+  // Number every edit with its line in each file, then cut hunks around the changes
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = edits.map((edit) => {
+    const entry = { ...edit, oldLine, newLine };
+    if (edit.type !== '+') oldLine++;
+    if (edit.type !== '-') newLine++;
+    return entry;
+  });
+
+  const hunks = [];
+  numbered.forEach((edit, index) => {
+    if (edit.type === ' ') return;
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(numbered.length, index + CONTEXT_LINES + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  let text = `--- a/${path}\n+++ b/${path}\n`;
+  hunks.forEach(({ start, end }) => {
+    const lines = numbered.slice(start, end);
+    const oldCount = lines.filter((edit) => edit.type !== '+').length;
+    const newCount = lines.filter((edit) => edit.type !== '-').length;
+    const oldStart = oldCount
+      ? lines.find((edit) => edit.type !== '+').oldLine
+      : lines[0].oldLine - 1;
+    const newStart = newCount
+      ? lines.find((edit) => edit.type !== '-').newLine
+      : lines[0].newLine - 1;
+    text += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+    text += lines.map((edit) => `${edit.type}${edit.line}`).join('\n') + '\n';
+  });
+  return text;
+}
@@ -0,0 +1,22 @@
+/**
+ * Framework adapter registry tests
+ */
+
+const { getAdapters } = require('../src/adapters/registry.js');
+require('../src/adapters/index.js');
+
+describe('Adapter registry', () => {
+  test('built-in framework adapters are registered in detection order', () => {
+    const adapters = getAdapters();
+    expect(adapters.map((adapter) => adapter.name)).toEqual([
+      'react',
+      'preact',
+      'vue',
+      'svelte',
+      'angular',
+      'solid',
+      'webComponent',
+    ]);
+    adapters.forEach((adapter) => expect(typeof adapter.detect).toBe('function'));
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Angular adapter edit tests, against stand-ins for Ivy components and signals
+ */
+
+const { angularAdapter } = require('../src/adapters/angular.js');
+
+const SIGNAL = Symbol('SIGNAL');
+
+function signal(initial) {
+  const node = { value: initial };
+  const read = () => node.value;
+  read[SIGNAL] = node;
+  read.set = (value) => {
+    node.value = value;
+  };
+  return read;
+}
+
+function computed(get) {
+  const read = () => get();
+  read[SIGNAL] = {};
+  return read;
+}
+
+function input(initial) {
+  const node = {
+    value: initial,
+    applyValueToInputSignal: (target, value) => {
+      target.value = value;
+    },
+  };
+  const read = () => node.value;
+  read[SIGNAL] = node;
+  return read;
+}
+
+function update(component, kind, key, value) {
+  return angularAdapter.update({ componentInstance: component }, { kind, key, value });
+}
+
+describe('Angular adapter updates', () => {
+  beforeEach(() => {
+    window.ng = { applyChanges: jest.fn() };
+  });
+
+  afterEach(() => {
+    delete window.ng;
+  });
+
+  test('sets writable signals and runs change detection', () => {
+    const component = { count: signal(1) };
+
+    expect(update(component, 'state', 'count', 5)).toBe(true);
+    expect(component.count()).toBe(5);
+    expect(window.ng.applyChanges).toHaveBeenCalledWith(component);
+  });
+
+  test('assigns plain fields and @Inputs', () => {
+    const component = { title: 'Milk', done: false };
+
+    update(component, 'state', 'title', 'Bread');
+    update(component, 'prop', 'done', true);
+    expect(component).toEqual({ title: 'Bread', done: true });
+    expect(window.ng.applyChanges).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects computed signals', () => {
+    const count = signal(2);
+    const component = { count, double: computed(() => count() * 2) };
+
+    expect(() => update(component, 'state', 'double', 10)).toThrow(
+      'double is a computed signal and cannot be set'
+    );
+    expect(window.ng.applyChanges).not.toHaveBeenCalled();
+  });
+
+  test('applies signal inputs through the input node', () => {
+    const component = { title: input('Milk') };
+
+    expect(update(component, 'prop', 'title', 'Bread')).toBe(true);
+    expect(component.title()).toBe('Bread');
+  });
+
+  test('leaves the component untouched on production builds', () => {
+    delete window.ng;
+    const component = { count: signal(1), title: 'Milk', label: input('a') };
+
+    expect(() => update(component, 'state', 'count', 5)).toThrow('development build');
+    expect(() => update(component, 'state', 'title', 'Bread')).toThrow('development build');
+    expect(() => update(component, 'prop', 'label', 'b')).toThrow('development build');
+    expect(component.count()).toBe(1);
+    expect(component.title).toBe('Milk');
+    expect(component.label()).toBe('a');
+  });
+});
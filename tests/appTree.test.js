@@ -0,0 +1,140 @@
+/**
+ * Component tree drawer tests: the page-world tree and resolving its nodes
+ */
+
+require('../src/adapters/index.js');
+const { registerAdapter } = require('../src/adapters/registry.js');
+const { MAX_APP_TREE_NODES } = require('../src/config/constants.js');
+const { getAppTree, resolveTreeNode } = require('../src/inpage/appTree.js');
+const { detectComponent } = require('../src/inpage/detect.js');
+const { resolveTarget } = require('../src/inpage/handles.js');
+const { clearNavigation } = require('../src/inpage/navigation.js');
+
+function App() {}
+function TodoList() {}
+function TodoItem() {}
+
+function link(parent, children) {
+  children.forEach((child, index) => {
+    child.return = parent;
+    child.sibling = children[index + 1] || null;
+  });
+  parent.child = children[0] || null;
+  return parent;
+}
+
+function component(type, props = {}) {
+  return { tag: 0, type, memoizedProps: props, memoizedState: null };
+}
+
+function host(tagName, text) {
+  const element = document.createElement(tagName);
+  element.textContent = text || '';
+  const fiber = { tag: 5, type: tagName, stateNode: element, memoizedProps: {} };
+  element.__reactFiber$fixture = fiber;
+  return fiber;
+}
+
+// createRoot(#root): App > TodoList > <ul> > [TodoItem > <li>Milk, TodoItem > <li>Bread]
+function renderFixture() {
+  const container = document.createElement('div');
+  container.id = 'root';
+  const root = { tag: 3, stateNode: {} };
+  root.stateNode.current = root;
+  container.__reactContainer$fixture = root;
+
+  const ul = host('ul');
+  const milk = host('li', 'Milk');
+  const bread = host('li', 'Bread');
+  link(root, [
+    link(component(App), [
+      link(component(TodoList), [
+        link(ul, [
+          link(component(TodoItem, { title: 'Milk' }), [milk]),
+          link(component(TodoItem, { title: 'Bread' }), [bread]),
+        ]),
+      ]),
+    ]),
+  ]);
+  ul.stateNode.append(milk.stateNode, bread.stateNode);
+  container.appendChild(ul.stateNode);
+  document.body.appendChild(container);
+  return { ul: ul.stateNode, milk: milk.stateNode, bread: bread.stateNode };
+}
+
+function summarize(node) {
+  return [node.id, node.name, node.framework, node.children.map(summarize)];
+}
+
+describe('Component tree', () => {
+  afterEach(() => {
+    clearNavigation();
+    document.body.innerHTML = '';
+  });
+
+  test('lists every component of the page from its root down', () => {
+    renderFixture();
+    const { roots, truncated } = getAppTree();
+
+    expect(truncated).toBe(false);
+    expect(roots.map(summarize)).toEqual([
+      [
+        't1',
+        'App',
+        'React',
+        [
+          [
+            't2',
+            'TodoList',
+            'React',
+            [
+              ['t3', 'TodoItem', 'React', []],
+              ['t4', 'TodoItem', 'React', []],
+            ],
+          ],
+        ],
+      ],
+    ]);
+  });
+
+  test('resolves nodes to their elements and pins the component when selected', () => {
+    const { ul, bread } = renderFixture();
+    getAppTree();
+
+    expect(resolveTarget(resolveTreeNode({ nodeId: 't2' }).componentTarget)).toBe(ul);
+    expect(detectComponent(bread).name).toBe('App');
+
+    expect(resolveTarget(resolveTreeNode({ nodeId: 't4', select: true }).componentTarget)).toBe(
+      bread
+    );
+    expect(detectComponent(bread)).toMatchObject({ name: 'TodoItem', props: { title: 'Bread' } });
+  });
+
+  test('rejects node ids from an earlier tree and skips detached elements', () => {
+    const { milk } = renderFixture();
+    getAppTree();
+    milk.remove();
+
+    expect(resolveTreeNode({ nodeId: 't3' })).toEqual({ componentTarget: null });
+    expect(() => resolveTreeNode({ nodeId: 't99' })).toThrow(
+      'The component tree is out of date; refresh it'
+    );
+  });
+
+  test('stops at the node limit and reports the tree as truncated', () => {
+    const items = Array.from({ length: MAX_APP_TREE_NODES + 10 }, (_, index) => ({ index }));
+    registerAdapter({
+      name: 'fixtureList',
+      detect: () => null,
+      getRoots: () => [{ index: -1 }],
+      getChildren: (item) => (item.index === -1 ? items : []),
+      getElement: () => null,
+      summarize: (item) => ({ name: `Item${item.index}`, framework: 'Fixture' }),
+    });
+    const { roots, truncated } = getAppTree();
+
+    expect(truncated).toBe(true);
+    expect(roots).toHaveLength(1);
+    expect(roots[0].children).toHaveLength(MAX_APP_TREE_NODES - 1);
+  });
+});
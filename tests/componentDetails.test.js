@@ -0,0 +1,103 @@
+/**
+ * Component tree and context tests: what detectComponent() attaches for the panel
+ */
+
+require('../src/adapters/index.js');
+const { detectComponent } = require('../src/inpage/detect.js');
+
+// React: HostRoot > App > ThemeContext.Provider > TodoItem > <li>
+function renderReactFixture() {
+  const ThemeContext = {
+    displayName: 'ThemeContext',
+    _currentValue: { mode: 'dark' },
+    _defaultValue: { mode: 'light' },
+  };
+  function App() {}
+  function TodoItem() {}
+
+  const root = { tag: 3, return: null, stateNode: {} };
+  root.stateNode.current = root;
+  const app = { tag: 0, type: App, return: root, memoizedProps: {}, memoizedState: null };
+  const provider = {
+    tag: 10,
+    type: { _context: ThemeContext },
+    return: app,
+    memoizedProps: { value: { mode: 'dark' } },
+  };
+  const item = {
+    tag: 0,
+    type: TodoItem,
+    key: 'milk',
+    return: provider,
+    memoizedProps: { title: 'Milk' },
+    memoizedState: null,
+    dependencies: { firstContext: { context: ThemeContext, next: null } },
+  };
+  const li = document.createElement('li');
+  li.__reactFiber$fixture = { tag: 5, type: 'li', return: item, stateNode: li };
+  document.body.appendChild(li);
+  return li;
+}
+
+// Vue 3: App (provides theme) > TodoItem (injects it as color) > <li>
+function renderVueFixture() {
+  const app = {
+    type: { name: 'App' },
+    parent: null,
+    props: {},
+    setupState: {},
+    provides: { theme: 'dark' },
+  };
+  const item = {
+    type: { name: 'TodoItem', inject: { color: { from: 'theme' } }, setup() {} },
+    parent: app,
+    props: { title: 'Milk' },
+    setupState: {},
+    provides: Object.create(app.provides),
+    proxy: { color: 'dark' },
+  };
+  const li = document.createElement('li');
+  li.__vueParentComponent = item;
+  document.body.appendChild(li);
+  return li;
+}
+
+describe('Component details', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('React: tree from the root down and the contexts the component reads', () => {
+    const info = detectComponent(renderReactFixture());
+
+    expect(info.framework).toBe('React');
+    expect(info.tree.map(({ name, depth }) => [name, depth])).toEqual([
+      ['App', 1],
+      ['TodoItem', 0],
+    ]);
+    expect(info.tree[1]).toMatchObject({ key: 'milk', hasProps: true, isUserComponent: true });
+    expect(info.contexts).toEqual([
+      {
+        name: 'ThemeContext',
+        type: 'Consumer',
+        value: { mode: 'dark' },
+        defaultValue: { mode: 'light' },
+      },
+    ]);
+  });
+
+  test('Vue: tree and the provided and injected values', () => {
+    const info = detectComponent(renderVueFixture());
+
+    expect(info.framework).toBe('Vue 3');
+    expect(info.tree.map(({ name, depth }) => [name, depth])).toEqual([
+      ['App', 1],
+      ['TodoItem', 0],
+    ]);
+    expect(info.contexts).toEqual([
+      { name: 'theme', type: 'Provide', value: 'dark', from: undefined },
+      { name: 'color', type: 'Inject', value: 'dark', from: 'theme' },
+    ]);
+    expect(info.stores).toBeUndefined();
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Component export tests
+ */
+
+const { formatComponentExport } = require('../src/utils/componentExport.js');
+
+describe('Component export', () => {
+  test('turns functions and DOM nodes into typed placeholders', () => {
+    const info = {
+      name: 'ForwardRef(TodoItem)',
+      framework: 'React',
+      sourceLocation: { fileName: '/app/src/components/TodoItem.tsx', line: 4 },
+      props: {
+        title: "Buy 'milk'",
+        onToggle: '[Function: onToggle]',
+        anchor: '[HTMLDivElement: div]',
+      },
+    };
+    const context = { url: 'http://localhost:3000/', tagName: 'li', exportedAt: 'now' };
+
+    const { component } = JSON.parse(formatComponentExport('json', info, context).text);
+    expect(component.props.onToggle).toEqual({ $type: 'function', name: 'onToggle' });
+    expect(component.props.anchor).toEqual({
+      $type: 'element',
+      constructor: 'HTMLDivElement',
+      tagName: 'div',
+    });
+
+    const test = formatComponentExport('test', info, context);
+    expect(test.fileName).toBe('TodoItem.test.jsx');
+    expect(test.text).toContain("import TodoItem from './TodoItem';");
+    expect(test.text).toContain("title: 'Buy \\'milk\\'',");
+    expect(test.text).toContain('onToggle: jest.fn(),');
+    expect(formatComponentExport('story', info, context).text).toContain('onToggle: fn(),');
+    expect(formatComponentExport('jest', info, context).text).toContain(
+      'anchor: expect.any(HTMLDivElement),'
+    );
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * User component scoring tests (shared scorer and framework bonuses)
+ */
+
+const { applySettings, DEFAULT_SETTINGS } = require('../src/config/settings.js');
+const {
+  calculateComponentScore,
+  isUserComponent,
+  isFromNodeModules,
+  isKnownFrameworkComponent,
+  sanitizeProps,
+} = require('../src/utils/componentHelpers.js');
+const { getReactScoreBonus } = require('../src/utils/reactHelpers.js');
+
+function scoreReactProductionComponent() {
+  function Checkout() {}
+  return calculateComponentScore({
+    fileName: '',
+    bonus: getReactScoreBonus({
+      name: 'Checkout',
+      fileName: '',
+      hasDebugSource: false,
+      source: Checkout.toString(),
+      componentType: Checkout,
+    }),
+  });
+}
+
+describe('Component score', () => {
+  afterEach(() => applySettings(DEFAULT_SETTINGS));
+
+  test('vendor and framework-build paths outweigh user code paths', () => {
+    const user = calculateComponentScore({ fileName: '/src/components/Card.jsx' });
+    const vendor = calculateComponentScore({
+      fileName: '/node_modules/ui/src/components/Card.jsx',
+      isFromNodeModules: true,
+    });
+    const framework = calculateComponentScore({
+      fileName: '/node_modules/next/dist/client/app.js',
+      isFromNodeModules: true,
+      isFrameworkBuild: true,
+    });
+
+    expect(user).toBeGreaterThan(vendor);
+    expect(vendor).toBeGreaterThan(framework);
+  });
+
+  test('React components follow the configured threshold', () => {
+    const score = scoreReactProductionComponent();
+    expect(isUserComponent(score, false, false)).toBe(true);
+
+    applySettings({ ...DEFAULT_SETTINGS, USER_COMPONENT_SCORE_THRESHOLD: score + 1 });
+    expect(isUserComponent(score, false, false)).toBe(false);
+  });
+
+  test('known framework components are never user components', () => {
+    expect(isUserComponent(100, true, false)).toBe(false);
+    expect(isUserComponent(100, false, true)).toBe(false);
+  });
+
+  test('framework components and vendor paths are recognised for React and Vue alike', () => {
+    expect(isKnownFrameworkComponent('AppRouter')).toBe(true);
+    expect(isKnownFrameworkComponent('RouterView')).toBe(true);
+    expect(isKnownFrameworkComponent('Router', '/node_modules/vue-router/dist/index.js')).toBe(
+      true
+    );
+    expect(isKnownFrameworkComponent('TodoList', '/src/TodoList.jsx')).toBe(false);
+    expect(isFromNodeModules('/app/.nuxt/components/nuxt/root.vue')).toBe(true);
+    expect(isFromNodeModules('/app/src/components/Card.vue')).toBe(false);
+  });
+});
+
+describe('Props sanitizing', () => {
+  test('JSX children become a placeholder; Vue internals are skipped', () => {
+    const onClick = function onClick() {};
+    expect(sanitizeProps({ children: { type: 'li' }, onClick }, { framework: 'jsx' })).toEqual({
+      children: '[React Children]',
+      onClick: '[Function: onClick]',
+    });
+    expect(sanitizeProps({ title: 'a', $attrs: {} }, { framework: 'vue' })).toEqual({ title: 'a' });
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * CSS cascade tests
+ */
+
+const { calculateSpecificity, compareCascadeOrder } = require('../src/utils/cssCascade.js');
+
+describe('CSS cascade', () => {
+  test('ranks specificity, !important and layers the way browsers do', () => {
+    expect(calculateSpecificity('#a .b > p::before')).toEqual([1, 1, 2]);
+    expect(calculateSpecificity(':is(#a, .b) p')).toEqual([1, 0, 1]);
+    expect(calculateSpecificity(':where(#a) p')).toEqual([0, 0, 1]);
+    expect(calculateSpecificity('li:nth-child(2n of .x)')).toEqual([0, 2, 1]);
+    expect(calculateSpecificity('a[title="a, b"], .c.d')).toEqual([0, 2, 0]);
+
+    const declaration = (overrides) => ({
+      important: false,
+      layerRank: [],
+      specificity: [0, 0, 0],
+      order: 0,
+      ...overrides,
+    });
+    const unlayered = declaration({ order: 0 });
+    const layered = declaration({ layerRank: [0], specificity: [1, 0, 0], order: 1 });
+    expect(compareCascadeOrder(unlayered, layered)).toBeGreaterThan(0);
+    const important = (layer) => declaration({ important: true, layerRank: layer });
+    expect(compareCascadeOrder(important([0]), important([1]))).toBeGreaterThan(0);
+    expect(compareCascadeOrder(important([1]), important([]))).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * CSS change log tests
+ */
+
+const { patchDeclarationBlock } = require('../src/utils/cssChangeLog.js');
+const { createUnifiedDiff } = require('../src/utils/unifiedDiff.js');
+
+describe('CSS changes', () => {
+  test('patches rule bodies in place and diffs against the original', () => {
+    const body = '\n  color: red;\n  padding: 4px;\n';
+    const patched = patchDeclarationBlock(body, [
+      { property: 'color', after: 'blue' },
+      { property: 'padding', after: null },
+      { property: 'margin', after: '0 auto' },
+    ]);
+    expect(patched).toBe('\n  color: blue;\n  margin: 0 auto;\n');
+    expect(patchDeclarationBlock(' margin: 0 ', [{ property: 'margin', after: '2px' }])).toBe(
+      ' margin: 2px '
+    );
+
+    const before = `.card {${body}}\n`;
+    const diff = createUnifiedDiff(before, `.card {${patched}}\n`, 'src/card.css');
+    expect(diff).toContain('--- a/src/card.css\n+++ b/src/card.css\n@@ -1,5 +1,5 @@\n');
+    expect(diff).toContain(
+      '-  color: red;\n-  padding: 4px;\n+  color: blue;\n+  margin: 0 auto;\n'
+    );
+    expect(createUnifiedDiff(before, before, 'src/card.css')).toBe('');
+  });
+});
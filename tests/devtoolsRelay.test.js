@@ -0,0 +1,144 @@
+/**
+ * DevTools panel relay tests: the background worker between the panel and the inspected tab
+ */
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    dispatch: (...args) => listeners.forEach((listener) => listener(...args)),
+  };
+}
+
+const storageArea = () => ({
+  get: jest.fn(() => Promise.resolve({})),
+  set: jest.fn(() => Promise.resolve()),
+  remove: jest.fn(() => Promise.resolve()),
+});
+
+global.chrome = {
+  action: {
+    openPopup: jest.fn(() => Promise.resolve()),
+    setBadgeText: jest.fn(),
+    setBadgeBackgroundColor: jest.fn(),
+  },
+  commands: { onCommand: createEvent() },
+  runtime: { onConnect: createEvent(), onMessage: createEvent() },
+  storage: { sync: storageArea(), session: storageArea(), onChanged: createEvent() },
+  tabs: {
+    onRemoved: createEvent(),
+    onUpdated: createEvent(),
+    query: jest.fn(() => Promise.resolve([])),
+    sendMessage: jest.fn(),
+  },
+};
+
+require('../src/background.js');
+
+let ports = [];
+
+function connectPanel(tabId, name = 'hovercomp-devtools') {
+  const port = {
+    name,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    postMessage: jest.fn(),
+  };
+  ports.push(port);
+  chrome.runtime.onConnect.dispatch(port);
+  port.onMessage.dispatch({ type: 'DEVTOOLS_INIT', tabId });
+  return port;
+}
+
+function sendFromPage(tabId, frameId, html) {
+  chrome.runtime.onMessage.dispatch(
+    { type: 'DEVTOOLS_COMPONENT_INFO', html, framework: 'React' },
+    { tab: { id: tabId }, frameId },
+    jest.fn()
+  );
+}
+
+// Let the relayed chrome.tabs.sendMessage() settle
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('DevTools relay', () => {
+  beforeEach(() => {
+    chrome.tabs.sendMessage.mockReset();
+  });
+
+  afterEach(() => {
+    ports.forEach((port) => port.onDisconnect.dispatch());
+    ports = [];
+  });
+
+  test('forwards the rendered selection to the panels of that tab only', () => {
+    const panel = connectPanel(7);
+    const sidebar = connectPanel(7);
+    const other = connectPanel(8);
+    const unrelated = connectPanel(7, 'some-other-port');
+
+    sendFromPage(7, 0, '<div>TodoItem</div>');
+
+    const forwarded = {
+      type: 'DEVTOOLS_COMPONENT_INFO',
+      html: '<div>TodoItem</div>',
+      framework: 'React',
+    };
+    expect(panel.postMessage).toHaveBeenCalledWith(forwarded);
+    expect(sidebar.postMessage).toHaveBeenCalledWith(forwarded);
+    expect(other.postMessage).not.toHaveBeenCalled();
+    expect(unrelated.postMessage).not.toHaveBeenCalled();
+  });
+
+  test('sends panel actions to the frame that rendered the selection and replies by id', async () => {
+    const panel = connectPanel(7);
+    sendFromPage(7, 3, '<div>TodoItem</div>');
+
+    chrome.tabs.sendMessage.mockResolvedValueOnce({ ok: true });
+    panel.onMessage.dispatch({ type: 'DEVTOOLS_ACTION', id: 1, action: 'refresh', args: [] });
+    chrome.tabs.sendMessage.mockRejectedValueOnce(new Error('Receiving end does not exist'));
+    panel.onMessage.dispatch({ type: 'DEVTOOLS_ACTION', id: 2, action: 'refresh', args: [] });
+    chrome.tabs.sendMessage.mockResolvedValueOnce(undefined);
+    panel.onMessage.dispatch({
+      type: 'DEVTOOLS_ACTION',
+      id: 3,
+      action: 'updateProp',
+      args: ['title', 'Bread'],
+    });
+    await flush();
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+      7,
+      { type: 'DEVTOOLS_ACTION', action: 'updateProp', args: ['title', 'Bread'] },
+      { frameId: 3 }
+    );
+    const replies = panel.postMessage.mock.calls.slice(1).map(([message]) => message);
+    // A failed send settles a tick later than a successful one
+    expect(replies.sort((a, b) => a.id - b.id)).toEqual([
+      { type: 'DEVTOOLS_ACTION_RESULT', id: 1, ok: true },
+      { type: 'DEVTOOLS_ACTION_RESULT', id: 2, error: 'Receiving end does not exist' },
+      { type: 'DEVTOOLS_ACTION_RESULT', id: 3, error: 'No response from page' },
+    ]);
+  });
+
+  test('forgets the tab once its last panel disconnects', async () => {
+    const panel = connectPanel(7);
+    sendFromPage(7, 3, '<div>TodoItem</div>');
+    panel.onDisconnect.dispatch();
+    sendFromPage(7, 3, '<div>TodoList</div>');
+    expect(panel.postMessage).toHaveBeenCalledTimes(1);
+
+    const reopened = connectPanel(7);
+    chrome.tabs.sendMessage.mockResolvedValueOnce({ ok: true });
+    reopened.onMessage.dispatch({ type: 'DEVTOOLS_ACTION', id: 1, action: 'refresh', args: [] });
+    await flush();
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, expect.any(Object), { frameId: 0 });
+    expect(reopened.postMessage).toHaveBeenCalledWith({
+      type: 'DEVTOOLS_ACTION_RESULT',
+      id: 1,
+      ok: true,
+    });
+  });
+});
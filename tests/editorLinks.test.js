@@ -0,0 +1,46 @@
+/**
+ * Open in editor tests
+ */
+
+const { applySettings, DEFAULT_SETTINGS } = require('../src/config/settings.js');
+const { buildEditorUrl, openInEditor } = require('../src/utils/editorLinks.js');
+
+describe('Open in editor', () => {
+  const location = { fileName: 'src/App.jsx', line: 12, column: 3 };
+
+  beforeEach(() => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+  });
+
+  afterEach(() => {
+    applySettings(DEFAULT_SETTINGS);
+    delete global.fetch;
+  });
+
+  test('fills the template and prefixes the project root for editor protocols', () => {
+    expect(buildEditorUrl(location, { editor: 'vscode', projectRoot: '/home/me/app/' })).toBe(
+      'vscode://file//home/me/app/src/App.jsx:12:3'
+    );
+  });
+
+  test('requests page-relative endpoints without navigating', async () => {
+    applySettings({ ...DEFAULT_SETTINGS, EDITOR: '/__open-in-editor?file={path}' });
+
+    await openInEditor(location);
+    expect(fetch).toHaveBeenCalledWith('/__open-in-editor?file=src%2FApp.jsx');
+  });
+
+  test('requests absolute http(s) templates in the background instead of leaving the page', async () => {
+    applySettings({
+      ...DEFAULT_SETTINGS,
+      EDITOR: 'http://localhost:63342/api/file/{path}:{line}:{column}',
+      EDITOR_PROJECT_ROOT: '/home/me/app',
+    });
+
+    await openInEditor(location);
+    expect(fetch).toHaveBeenCalledWith(
+      'http://localhost:63342/api/file//home/me/app/src/App.jsx:12:3',
+      { mode: 'no-cors' }
+    );
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Element handle tests: handles resolve across the two sides and tags don't stay on the page
+ */
+
+const { ELEMENT_HANDLE_ATTRIBUTE } = require('../src/config/constants.js');
+
+describe('Element handles', () => {
+  let content;
+  let page;
+
+  beforeAll(() => {
+    if (!global.CSS) global.CSS = {};
+    if (!global.CSS.escape) global.CSS.escape = (value) => value.replace(/["\\]/g, '\\$&');
+  });
+
+  beforeEach(() => {
+    jest.resetModules();
+    document.body.innerHTML = '<div id="app"><button id="hovered">Hi</button></div>';
+    content = require('../src/utils/elementHandles.js');
+    page = require('../src/inpage/handles.js');
+  });
+
+  test('page handles are untagged every time the content script resolves them', () => {
+    const button = document.getElementById('hovered');
+
+    // Hover twice: inpage.js hands over the same element on each reply
+    for (let hover = 0; hover < 2; hover++) {
+      const { handle, shadowPath } = page.exposeElement(button);
+      expect(button.getAttribute(ELEMENT_HANDLE_ATTRIBUTE)).toBe(handle);
+      expect(content.resolveElementHandle(handle, shadowPath)).toBe(button);
+      expect(button.hasAttribute(ELEMENT_HANDLE_ATTRIBUTE)).toBe(false);
+    }
+  });
+
+  test('shadow hosts are untagged along with the element', () => {
+    const host = document.getElementById('app');
+    const inner = document.createElement('span');
+    host.attachShadow({ mode: 'open' }).appendChild(inner);
+
+    for (let hover = 0; hover < 2; hover++) {
+      const { handle, shadowPath } = page.exposeElement(inner);
+      expect(content.resolveElementHandle(handle, shadowPath)).toBe(inner);
+      expect(host.hasAttribute(ELEMENT_HANDLE_ATTRIBUTE)).toBe(false);
+      expect(inner.hasAttribute(ELEMENT_HANDLE_ATTRIBUTE)).toBe(false);
+    }
+  });
+
+  test('content handles keep their tag until inpage.js has registered them', () => {
+    const button = document.getElementById('hovered');
+    const { handle, shadowPath } = content.describeElement(button);
+
+    expect(page.resolveTarget({ handle, shadowPath })).toBe(button);
+    expect(button.hasAttribute(ELEMENT_HANDLE_ATTRIBUTE)).toBe(false);
+
+    content.markHandleKnownToPage(handle);
+    expect(content.getElementHandle(button)).toBe(handle);
+    expect(button.hasAttribute(ELEMENT_HANDLE_ATTRIBUTE)).toBe(false);
+  });
+
+  test('a handle to a removed element is stale on both sides', () => {
+    const button = document.getElementById('hovered');
+    const { handle } = page.exposeElement(button);
+    content.resolveElementHandle(handle);
+    button.remove();
+
+    expect(content.resolveElementHandle(handle)).toBeNull();
+    expect(() => page.resolveTarget({ handle, shadowPath: [] })).toThrow(
+      expect.objectContaining({ code: 'STALE_HANDLE' })
+    );
+  });
+});
@@ -32,10 +32,11 @@ describe('Required Files', () => {
     const utilFiles = [
       'domHelpers.js',
       'messageHandler.js',
+      'rpc.js',
+      'elementHandles.js',
       'cssHelper.js',
       'formatters.js',
       'htmlHelpers.js',
-      'frameworkDetect.js',
       'reactHelpers.js',
       'vueHelpers.js',
       'componentHelpers.js',
@@ -0,0 +1,66 @@
+/**
+ * History timeline restore tests
+ */
+
+const { setupHistoryHandlers } = require('../src/overlay/eventHandlers.js');
+const { trackSnapshot, clearSnapshots } = require('../src/utils/stateTracker.js');
+
+describe('History restore', () => {
+  let element;
+  let panel;
+  let actions;
+
+  beforeEach(() => {
+    element = document.createElement('div');
+    document.body.innerHTML =
+      '<div id="panel"><input class="history-scrubber" type="range" min="0" max="1" value="1" />' +
+      '<div class="history-entry" data-history-index="0"><button class="history-restore" data-history-index="0"></button></div>' +
+      '<div class="history-entry" data-history-index="1"></div></div>';
+    panel = document.getElementById('panel');
+    actions = {
+      updateHook: jest.fn(() => Promise.resolve()),
+      updateState: jest.fn(() => Promise.resolve()),
+    };
+    clearSnapshots(element);
+  });
+
+  function restoreFirstSnapshot() {
+    setupHistoryHandlers(panel, element, actions);
+    panel.querySelector('.history-restore').click();
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  test('writes the recorded state and hook values back', async () => {
+    trackSnapshot(element, {
+      state: { count: 1 },
+      hooks: [{ index: 0, type: 'useState', value: ['a'] }],
+    });
+    trackSnapshot(element, {
+      state: { count: 2 },
+      hooks: [{ index: 0, type: 'useState', value: ['a', 'b'] }],
+    });
+
+    await restoreFirstSnapshot();
+
+    expect(actions.updateHook).toHaveBeenCalledWith(element, 0, '["a"]');
+    expect(actions.updateState).toHaveBeenCalledWith(element, 'count', '1');
+  });
+
+  test.each([
+    ['a function', { onSave: '[Function: onSave]' }],
+    ['a cut-off array', Array.from({ length: 50 }, (_, i) => i).concat('... +10 items')],
+    ['a cut-off object', { a: 1, '...': '+4 more keys' }],
+    ['a circular reference', { self: '[Circular]' }],
+    ['an undefined value', 'undefined'],
+  ])('refuses to write back %s and says why', async (_, recorded) => {
+    trackSnapshot(element, { state: { count: 1, form: recorded }, hooks: [] });
+    trackSnapshot(element, { state: { count: 2, form: {} }, hooks: [] });
+
+    await restoreFirstSnapshot();
+
+    expect(actions.updateState).not.toHaveBeenCalled();
+    expect(panel.querySelector('.history-restore-error').textContent).toMatch(
+      /^Can't restore form: the snapshot has ".+" in place of a value it didn't record$/
+    );
+  });
+});
@@ -0,0 +1,14 @@
+/**
+ * Inpage bundle tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildInpage } = require('../build-inpage.js');
+
+describe('Inpage bundle', () => {
+  test('src/inpage.js is up to date with src/inpage/ and src/adapters/', () => {
+    const built = fs.readFileSync(path.join(__dirname, '..', 'src', 'inpage.js'), 'utf8');
+    expect(built).toBe(buildInpage());
+  });
+});
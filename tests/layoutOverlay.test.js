@@ -0,0 +1,102 @@
+/**
+ * Box model, grid and flex overlay tests: where each shaded box, line and label is drawn
+ */
+
+const { showLayoutOverlay, hideLayoutOverlay } = require('../src/overlay/layoutOverlay.js');
+
+function render(html, rects) {
+  document.body.innerHTML = html;
+  Object.entries(rects).forEach(([selector, [left, top, width, height]]) => {
+    document.querySelector(selector).getBoundingClientRect = () => ({ left, top, width, height });
+  });
+  return document.querySelector(Object.keys(rects)[0]);
+}
+
+function getLayer() {
+  return document.getElementById('hovercomp-box-model');
+}
+
+// [left, top, width, height] of every box drawn whose style mentions the given text
+function boxes(styleText) {
+  return Array.from(getLayer().children)
+    .filter((child) => child.style.boxSizing === 'border-box')
+    .filter((child) => child.style.cssText.includes(styleText))
+    .map(({ style }) => [style.left, style.top, style.width, style.height].map(parseFloat));
+}
+
+function labels() {
+  return Array.from(getLayer().children)
+    .filter((child) => child.style.boxSizing !== 'border-box')
+    .map((child) => child.textContent);
+}
+
+describe('Layout overlay', () => {
+  afterEach(() => {
+    hideLayoutOverlay();
+    document.body.innerHTML = '';
+  });
+
+  test('shades margin, border, padding and content around the element', () => {
+    const card = render(
+      '<div id="card" class="todo" style="margin: 16px; border: 2px solid; padding: 12px 8px"></div>',
+      { '#card': [100, 50, 200, 84] }
+    );
+    showLayoutOverlay(card);
+
+    expect(boxes('border-width: 16px')).toEqual([[84, 34, 232, 116]]);
+    expect(boxes('border-width: 2px')).toEqual([[100, 50, 200, 84]]);
+    expect(boxes('border-width: 12px 8px')).toEqual([[102, 52, 196, 80]]);
+    expect(boxes('background: rgba(111, 168, 220')).toEqual([[110, 64, 180, 56]]);
+    // Sides thinner than 12px get no pixel label
+    expect(labels()).toEqual([
+      '16',
+      '16',
+      '16',
+      '16',
+      '12',
+      '12',
+      'div#card.todo 200 × 84 · margin 16 · border 2 · padding 12 8 12 8',
+    ]);
+
+    hideLayoutOverlay();
+    expect(getLayer().children).toHaveLength(0);
+    expect(getLayer().style.display).toBe('none');
+  });
+
+  test('draws grid track lines, gaps and sizes inside the content box', () => {
+    const grid = render(
+      '<div id="grid" style="display: grid; padding: 10px; grid-template-columns: 100px 50px;' +
+        ' column-gap: 10px; grid-template-rows: [top] 40px"></div>',
+      { '#grid': [0, 0, 200, 60] }
+    );
+    showLayoutOverlay(grid);
+
+    expect(boxes('border-left: 1px dashed').map(([left]) => left)).toEqual([10, 110, 120, 170]);
+    expect(boxes('background: rgba(186, 104, 200, 0.2)')).toEqual([[110, 10, 10, 40]]);
+    expect(boxes('border-top: 1px dashed').map(([, top]) => top)).toEqual([10, 50]);
+    expect(labels()).toEqual(expect.arrayContaining(['100px', '50px', '40px']));
+  });
+
+  test('outlines flex items and shades the space between them', () => {
+    const row = render(
+      '<div id="row" style="display: flex; flex-wrap: wrap">' +
+        '<span id="a"></span><span id="b"></span><span id="c" style="position: absolute"></span>' +
+        '</div>',
+      {
+        '#row': [0, 0, 300, 40],
+        '#a': [0, 0, 100, 40],
+        '#b': [120, 10, 100, 20],
+        '#c': [0, 0, 300, 40],
+      }
+    );
+    showLayoutOverlay(row);
+
+    expect(boxes('border: 1px dashed')).toEqual([
+      [0, 0, 100, 40],
+      [120, 10, 100, 20],
+    ]);
+    expect(boxes('background: rgba(77, 208, 225, 0.2)')).toEqual([[100, 10, 20, 20]]);
+    expect(boxes('background: rgba(77, 208, 225, 0.9)')).toEqual([[0, 19, 300, 2]]);
+    expect(labels()).toEqual(expect.arrayContaining(['▶', 'row · wrap']));
+  });
+});
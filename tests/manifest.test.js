@@ -35,6 +35,16 @@ describe('Manifest Validation', () => {
     expect(Array.isArray(manifest.web_accessible_resources)).toBe(true);
   });
 
+  test('should register a devtools page that exists', () => {
+    expect(manifest.devtools_page).toBeTruthy();
+    expect(fs.existsSync(path.join(__dirname, '..', manifest.devtools_page))).toBe(true);
+  });
+
+  test('should request activeTab for the popup screenshot', () => {
+    // captureVisibleTab needs <all_urls> or activeTab; the http/https host patterns aren't enough
+    expect(manifest.permissions).toContain('activeTab');
+  });
+
   test('should have valid icons', () => {
     expect(manifest.icons).toBeDefined();
     expect(manifest.icons['16']).toBeTruthy();
@@ -0,0 +1,32 @@
+/**
+ * Measurement mode tests
+ */
+
+const { measureDistances } = require('../src/utils/measure.js');
+
+describe('Measurement', () => {
+  test('gives the gaps between apart edges and the insets of nested ones', () => {
+    const rect = (left, top, width, height) => ({
+      left,
+      top,
+      right: left + width,
+      bottom: top + height,
+    });
+
+    const apart = measureDistances(rect(0, 0, 100, 50), rect(130, 80, 40, 40));
+    expect(apart.map(({ axis, length }) => [axis, length])).toEqual([
+      ['x', 30],
+      ['y', 30],
+    ]);
+    expect(apart[0].guide).toEqual({ edge: 100, start: 50, end: 100 });
+
+    const nested = measureDistances(rect(0, 0, 100, 100), rect(10, 20, 50, 50));
+    expect(nested.map(({ axis, length }) => [axis, length])).toEqual([
+      ['x', 10],
+      ['x', 40],
+      ['y', 20],
+      ['y', 30],
+    ]);
+    expect(nested.every(({ guide }) => guide === null)).toBe(true);
+  });
+});
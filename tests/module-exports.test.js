@@ -12,12 +12,14 @@ describe('Module Exports', () => {
     expect(constants.CSS_CLASSES).toBeDefined();
   });
 
-  test('frameworkDetect exports detection functions', () => {
-    const frameworkDetect = require('../src/utils/frameworkDetect.js');
+  test('framework adapters export their detectors', () => {
+    const { reactAdapter } = require('../src/adapters/react.js');
+    const { detectVue2, detectVue3 } = require('../src/adapters/vue.js');
+    const { detectComponent } = require('../src/inpage/detect.js');
 
-    expect(typeof frameworkDetect.detectComponent).toBe('function');
-    expect(typeof frameworkDetect.detectReact).toBe('function');
-    expect(typeof frameworkDetect.detectVue2).toBe('function');
-    expect(typeof frameworkDetect.detectVue3).toBe('function');
+    expect(typeof detectComponent).toBe('function');
+    expect(typeof reactAdapter.detect).toBe('function');
+    expect(typeof detectVue2).toBe('function');
+    expect(typeof detectVue3).toBe('function');
   });
 });
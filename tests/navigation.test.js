@@ -0,0 +1,105 @@
+/**
+ * Component tree navigation tests, against a React fiber fixture
+ */
+
+require('../src/adapters/index.js');
+const { detectComponent } = require('../src/inpage/detect.js');
+const { exposeElement, resolveTarget } = require('../src/inpage/handles.js');
+const { navigateComponent, clearNavigation } = require('../src/inpage/navigation.js');
+
+function TodoList() {}
+function Highlight() {}
+function TodoItem() {}
+function Spacer() {}
+
+function link(parent, children) {
+  children.forEach((child, index) => {
+    child.return = parent;
+    child.sibling = children[index + 1] || null;
+  });
+  parent.child = children[0] || null;
+  return parent;
+}
+
+function component(type, props = {}) {
+  return { tag: 0, type, memoizedProps: props, memoizedState: null };
+}
+
+function host(tagName, text) {
+  const element = document.createElement(tagName);
+  if (text) element.textContent = text;
+  const fiber = { tag: 5, type: tagName, stateNode: element, memoizedProps: {} };
+  element.__reactFiber$fixture = fiber;
+  return fiber;
+}
+
+// HostRoot > TodoList > <ul> > [Highlight > TodoItem > <li>Milk, Spacer (renders nothing),
+// TodoItem > <li>Bread]
+function renderFixture() {
+  const root = { tag: 3, stateNode: {} };
+  root.stateNode.current = root;
+  const list = component(TodoList);
+  const ul = host('ul');
+  const milk = host('li', 'Milk');
+  const bread = host('li', 'Bread');
+
+  link(root, [list]);
+  link(list, [ul]);
+  link(ul, [
+    link(component(Highlight), [link(component(TodoItem, { title: 'Milk' }), [milk])]),
+    component(Spacer),
+    link(component(TodoItem, { title: 'Bread' }), [bread]),
+  ]);
+  ul.stateNode.append(milk.stateNode, bread.stateNode);
+  document.body.appendChild(ul.stateNode);
+  return { ul: ul.stateNode, milk: milk.stateNode, bread: bread.stateNode };
+}
+
+function navigate(element, direction) {
+  const { componentTarget } = navigateComponent({ target: exposeElement(element), direction });
+  return componentTarget && resolveTarget(componentTarget);
+}
+
+describe('Component navigation', () => {
+  afterEach(() => {
+    clearNavigation();
+    document.body.innerHTML = '';
+  });
+
+  test('moves down to the first child and back up, remembering the component picked', () => {
+    const { ul, milk } = renderFixture();
+
+    expect(detectComponent(milk).name).toBe('TodoList');
+    expect(navigate(milk, 'child')).toBe(milk);
+    expect(detectComponent(milk).name).toBe('Highlight');
+    expect(navigate(milk, 'child')).toBe(milk);
+    expect(detectComponent(milk).name).toBe('TodoItem');
+
+    expect(navigate(milk, 'parent')).toBe(milk);
+    expect(navigate(milk, 'parent')).toBe(ul);
+    expect(detectComponent(ul).name).toBe('TodoList');
+    expect(navigate(ul, 'parent')).toBeNull();
+  });
+
+  test('moves between siblings, skipping components that render nothing', () => {
+    const { milk, bread } = renderFixture();
+
+    navigate(milk, 'child');
+    expect(navigate(milk, 'next')).toBe(bread);
+    expect(detectComponent(bread)).toMatchObject({ name: 'TodoItem', props: { title: 'Bread' } });
+    expect(navigate(bread, 'next')).toBeNull();
+    expect(navigate(bread, 'previous')).toBe(milk);
+    expect(detectComponent(milk).name).toBe('Highlight');
+
+    clearNavigation();
+    expect(detectComponent(milk).name).toBe('TodoList');
+  });
+
+  test('rejects unknown directions', () => {
+    const { milk } = renderFixture();
+
+    expect(() => navigateComponent({ target: exposeElement(milk), direction: 'up' })).toThrow(
+      'Unknown navigation direction: up'
+    );
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Preact adapter tests, against stand-ins for Preact 10's mangled vnode tree
+ */
+
+const { preactAdapter } = require('../src/adapters/preact.js');
+
+function Fragment() {}
+function Counter() {}
+
+// container.__k -> Fragment root -> Counter -> <button>
+function renderCounter(component) {
+  const container = document.createElement('div');
+  const button = document.createElement('button');
+  container.appendChild(button);
+
+  const root = { type: Fragment, props: {}, __e: null, __: null };
+  const counter = { type: Counter, props: { label: 'Add' }, __c: component, __e: button, __: root };
+  const element = { type: 'button', props: {}, __e: button, __k: [], __: counter };
+  root.__k = [counter];
+  counter.__k = [element];
+  container.__k = root;
+  return button;
+}
+
+describe('Preact adapter', () => {
+  test('finds the component and its hooks from a DOM node', () => {
+    const component = {
+      __H: { __: [{ __: [1, jest.fn()] }, { __: { current: 3 }, __H: [] }] },
+    };
+    const info = preactAdapter.detect(renderCounter(component));
+
+    expect(info).toMatchObject({ framework: 'Preact', name: 'Counter', props: { label: 'Add' } });
+    expect(info.hooks).toEqual([
+      { type: 'useState', index: 0, value: 1 },
+      { type: 'useRef', index: 1, value: 3 },
+    ]);
+  });
+
+  test('edits useState through its dispatch and refuses other hooks', () => {
+    const dispatch = jest.fn();
+    const component = {
+      __H: { __: [{ __: [1, dispatch] }, { __: { current: 3 }, __H: [] }] },
+    };
+    const info = { componentInstance: component };
+
+    expect(preactAdapter.update(info, { kind: 'hook', key: 0, value: 2 })).toBe(true);
+    expect(dispatch).toHaveBeenCalledWith(2);
+    expect(() => preactAdapter.update(info, { kind: 'hook', key: 1, value: 2 })).toThrow(
+      'Only useState/useReducer hooks can be edited'
+    );
+  });
+
+  test('edits class component state through setState', () => {
+    const component = { state: { open: false }, setState: jest.fn() };
+    const info = { componentInstance: component };
+
+    expect(preactAdapter.update(info, { kind: 'state', key: 'open', value: true })).toBe(true);
+    expect(component.setState).toHaveBeenCalledWith({ open: true });
+    expect(() => preactAdapter.update(info, { kind: 'state', key: 'missing', value: 1 })).toThrow(
+      'State not found'
+    );
+  });
+
+  test('reports every re-render through componentDidUpdate until unsubscribed', () => {
+    const onChange = jest.fn();
+    const component = { props: { label: 'Add' }, __H: { __: [{ __: [1, jest.fn()] }] } };
+
+    const stop = preactAdapter.subscribeToUpdates(component, onChange);
+    component.componentDidUpdate({}, {});
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(preactAdapter.getProps(component)).toEqual({ label: 'Add' });
+    expect(preactAdapter.getHooks(component)).toEqual([{ type: 'useState', index: 0, value: 1 }]);
+
+    stop();
+    expect('componentDidUpdate' in component).toBe(false);
+  });
+
+  test("keeps a class component's own componentDidUpdate working", () => {
+    const calls = [];
+    class Panel {
+      render() {}
+      componentDidUpdate(prevProps) {
+        calls.push(prevProps.open);
+      }
+    }
+    const component = new Panel();
+    component.state = { open: true };
+
+    const stop = preactAdapter.subscribeToUpdates(component, () => calls.push('changed'));
+    component.componentDidUpdate({ open: false });
+    expect(calls).toEqual([false, 'changed']);
+    expect(preactAdapter.getState(component)).toEqual({ open: true });
+
+    stop();
+    expect(component.componentDidUpdate).toBe(Panel.prototype.componentDidUpdate);
+  });
+});
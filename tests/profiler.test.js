@@ -0,0 +1,100 @@
+/**
+ * React render profiler tests, against commits sent through a stand-in DevTools hook
+ */
+
+const { startProfiling, stopProfiling, getRenderStats } = require('../src/inpage/profiler.js');
+
+const PERFORMED_WORK = 1;
+
+function Item() {}
+
+function commit(fiber) {
+  const hostRoot = { tag: 3, child: fiber };
+  window.__REACT_DEVTOOLS_GLOBAL_HOOK__.onCommitFiberRoot(1, { current: hostRoot });
+}
+
+function mount(overrides = {}) {
+  const fiber = { type: Item, memoizedProps: {}, memoizedState: null, ...overrides };
+  commit(fiber);
+  return fiber;
+}
+
+// React swaps between a fiber and its alternate on every update
+function rerender(fiber, changes = {}) {
+  const next = { ...fiber, flags: PERFORMED_WORK, ...changes, alternate: fiber };
+  commit(next);
+  return next;
+}
+
+describe('Render profiler', () => {
+  let originalOnCommit;
+
+  beforeEach(() => {
+    originalOnCommit = jest.fn();
+    window.__REACT_DEVTOOLS_GLOBAL_HOOK__ = { onCommitFiberRoot: originalOnCommit };
+    startProfiling();
+  });
+
+  afterEach(() => {
+    stopProfiling();
+    delete window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+  });
+
+  test('sums durations and reports the last, average and slowest render', () => {
+    let fiber = mount({ actualDuration: 4, selfBaseDuration: 1 });
+    fiber = rerender(fiber, { actualDuration: 2, selfBaseDuration: 0.5 });
+    fiber = rerender(fiber, { actualDuration: 6, selfBaseDuration: 3 });
+
+    expect(getRenderStats(fiber)).toMatchObject({
+      recording: true,
+      commitCount: 3,
+      count: 3,
+      last: 6,
+      avg: 4,
+      max: 6,
+      lastSelf: 3,
+      samples: [4, 2, 6],
+    });
+    expect(originalOnCommit).toHaveBeenCalledTimes(3);
+  });
+
+  test('keeps the last 30 renders but counts all of them', () => {
+    let fiber = mount({ actualDuration: 1 });
+    for (let duration = 2; duration <= 35; duration++) {
+      fiber = rerender(fiber, { actualDuration: duration });
+    }
+
+    const stats = getRenderStats(fiber);
+    expect(stats.count).toBe(35);
+    expect(stats.samples).toHaveLength(30);
+    expect(stats.samples[0]).toBe(6);
+    expect(stats.samples[29]).toBe(35);
+    expect(stats.max).toBe(35);
+  });
+
+  test('skips fibers React bailed out of', () => {
+    const fiber = mount();
+    const bailedOut = rerender(fiber, { flags: 0 });
+
+    expect(getRenderStats(bailedOut).count).toBe(1);
+  });
+
+  test('stops recording, restores the hook and starts over on the next run', () => {
+    const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    const fiber = mount({ actualDuration: 3 });
+
+    stopProfiling();
+    expect(hook.onCommitFiberRoot).toBe(originalOnCommit);
+    rerender(fiber, { actualDuration: 5 });
+    expect(getRenderStats(fiber)).toMatchObject({ recording: false, count: 1, samples: [3] });
+
+    startProfiling();
+    expect(getRenderStats(fiber)).toMatchObject({
+      recording: true,
+      commitCount: 0,
+      count: 0,
+      last: null,
+      samples: [],
+    });
+  });
+});
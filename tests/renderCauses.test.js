@@ -0,0 +1,112 @@
+/**
+ * "Why did this render?" tests: causes the profiler finds by comparing a fiber with its alternate
+ */
+
+const { startProfiling, stopProfiling, getRenderStats } = require('../src/inpage/profiler.js');
+
+const PERFORMED_WORK = 1;
+
+function Item() {}
+function basicStateReducer(state, action) {
+  return typeof action === 'function' ? action(state) : action;
+}
+
+function commit(fiber) {
+  const hostRoot = { tag: 3, child: fiber };
+  window.__REACT_DEVTOOLS_GLOBAL_HOOK__.onCommitFiberRoot(1, { current: hostRoot });
+}
+
+function rerender(fiber, changes = {}) {
+  const next = { ...fiber, flags: PERFORMED_WORK, ...changes, alternate: fiber };
+  commit(next);
+  return getRenderStats(next);
+}
+
+function fiberWith(overrides) {
+  return { type: Item, memoizedProps: {}, memoizedState: null, ...overrides };
+}
+
+function useStateHook(value, next = null) {
+  return { memoizedState: value, queue: { lastRenderedReducer: basicStateReducer }, next };
+}
+
+describe('Render causes', () => {
+  beforeEach(() => {
+    window.__REACT_DEVTOOLS_GLOBAL_HOOK__ = { onCommitFiberRoot: jest.fn() };
+    startProfiling();
+  });
+
+  afterEach(() => {
+    stopProfiling();
+    delete window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+  });
+
+  test('reports a mount', () => {
+    const fiber = fiberWith({});
+    commit(fiber);
+
+    expect(getRenderStats(fiber).lastCauses).toEqual(['Mounted']);
+  });
+
+  test('names changed, added and re-created props', () => {
+    const onClick = () => {};
+    const fiber = fiberWith({ memoizedProps: { title: 'a', style: { color: 'red' }, onClick } });
+
+    const stats = rerender(fiber, {
+      memoizedProps: { title: 'b', style: { color: 'red' }, onClick, done: true },
+    });
+    expect(stats.lastCauses).toEqual([
+      'props.title changed',
+      'props.style changed identity (shallow-equal)',
+      'props.done added',
+    ]);
+    expect(stats.lastNothingChanged).toBe(false);
+  });
+
+  test('names changed class state keys and changed state hooks', () => {
+    class Counter {}
+    Counter.prototype.isReactComponent = {};
+    const classFiber = fiberWith({ type: Counter, memoizedState: { count: 1, step: 1 } });
+    expect(rerender(classFiber, { memoizedState: { count: 2, step: 1 } }).lastCauses).toEqual([
+      'state.count changed',
+    ]);
+
+    const hooksFiber = fiberWith({ memoizedState: useStateHook('a', useStateHook(1)) });
+    const changed = rerender(hooksFiber, { memoizedState: useStateHook('a', useStateHook(2)) });
+    expect(changed.lastCauses).toEqual(['hook #1 useState changed']);
+  });
+
+  test('names a context whose value changed', () => {
+    const ThemeContext = { displayName: 'ThemeContext' };
+    const reading = (value) => ({
+      firstContext: { context: ThemeContext, memoizedValue: value, next: null },
+    });
+    const fiber = fiberWith({ dependencies: reading('light') });
+
+    expect(rerender(fiber, { dependencies: reading('dark') }).lastCauses).toEqual([
+      'ThemeContext value changed',
+    ]);
+  });
+
+  test('flags renders where nothing changed (the parent rendered)', () => {
+    const props = { title: 'a' };
+    const fiber = fiberWith({ memoizedProps: props, memoizedState: useStateHook(1) });
+
+    const stats = rerender(fiber);
+    expect(stats.lastCauses).toEqual([]);
+    expect(stats.lastNothingChanged).toBe(true);
+    expect(stats.nothingChangedCount).toBe(1);
+  });
+
+  test('stops walking a commit after 10000 fibers', () => {
+    const fibers = Array.from({ length: 10000 }, () => fiberWith({}));
+    fibers.forEach((fiber, index) => {
+      fiber.sibling = fibers[index + 1] || null;
+    });
+    commit(fibers[0]);
+
+    // The host root is the first fiber visited
+    expect(getRenderStats(fibers[9998]).count).toBe(1);
+    expect(getRenderStats(fibers[9999]).count).toBe(0);
+  });
+});
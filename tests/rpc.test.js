@@ -0,0 +1,91 @@
+/**
+ * Content <-> inpage RPC channel tests
+ */
+
+const { MessageChannel } = require('worker_threads');
+const { MESSAGE_TYPES, RPC_RESPONSE_TYPES } = require('../src/config/constants.js');
+
+describe('RPC channel', () => {
+  let rpc;
+  let pagePort;
+
+  beforeEach(() => {
+    jest.resetModules();
+    global.MessageChannel = MessageChannel;
+    rpc = require('../src/utils/rpc.js');
+  });
+
+  afterEach(() => {
+    pagePort?.close();
+    jest.restoreAllMocks();
+  });
+
+  function connect() {
+    const token = rpc.createRpcSession();
+    const postMessage = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+    rpc.connectRpcSession();
+    const [message, , transfer] = postMessage.mock.calls[0];
+    pagePort = transfer[0];
+    return { token, message };
+  }
+
+  test('hands over the port without putting the token in a window message', () => {
+    const { token, message } = connect();
+
+    expect(message.type).toBe('RPC_CONNECT');
+    expect(JSON.stringify(message)).not.toContain(token);
+  });
+
+  test('ignores replies until inpage.js answers with the connect token', async () => {
+    const { token } = connect();
+    const request = new Promise((resolve) => pagePort.once('message', resolve));
+
+    const reply = rpc.callInpage('GET_COMPONENT_INFO', { target: null });
+    const forged = { version: 1, id: 1, type: 'COMPONENT_INFO_RESPONSE', payload: 'forged' };
+    pagePort.postMessage(forged);
+    pagePort.postMessage({ type: 'RPC_CONNECTED', token: 'guess' });
+    pagePort.postMessage({ type: 'RPC_CONNECTED', token });
+    pagePort.postMessage({ ...forged, payload: 'real' });
+
+    await expect(reply).resolves.toBe('real');
+    await expect(request).resolves.toEqual({
+      version: 1,
+      id: 1,
+      type: 'GET_COMPONENT_INFO',
+      payload: { target: null },
+    });
+  });
+
+  test('rejects with the error inpage.js sends back', async () => {
+    const { token } = connect();
+    pagePort.postMessage({ type: 'RPC_CONNECTED', token });
+
+    const reply = rpc.callInpage('UPDATE_STATE', {});
+    pagePort.postMessage({ version: 1, id: 1, type: 'UPDATE_ERROR', error: 'Nope', code: 'X' });
+
+    await expect(reply).rejects.toMatchObject({ message: 'Nope', code: 'X' });
+  });
+
+  test('every RPC request type has a response type', () => {
+    const requestTypes = [
+      'GET_COMPONENT_INFO',
+      'UPDATE_HOOK',
+      'UPDATE_STATE',
+      'UPDATE_PROP',
+      'RESET_OVERRIDE',
+      'INVALIDATE_CACHE',
+      'PROFILER_START',
+      'PROFILER_STOP',
+      'WATCH_START',
+      'WATCH_STOP',
+      'APPLY_SETTINGS',
+      'NAVIGATE_COMPONENT',
+      'CLEAR_NAVIGATION',
+      'GET_APP_TREE',
+      'RESOLVE_TREE_NODE',
+    ];
+    requestTypes.forEach((type) => {
+      expect(Object.values(MESSAGE_TYPES)).toContain(RPC_RESPONSE_TYPES[type]);
+    });
+  });
+});
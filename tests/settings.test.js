@@ -0,0 +1,24 @@
+/**
+ * Settings resolution tests
+ */
+
+const { resolveSettings, DEFAULT_SETTINGS } = require('../src/config/settings.js');
+
+describe('Settings', () => {
+  test('resolves site overrides over global ones and drops invalid values', () => {
+    const stored = {
+      global: { THROTTLE_MS: 100, PANEL_MAX_WIDTH: 'wide' },
+      origins: {
+        'http://localhost:3000/': { THROTTLE_MS: 10, DEFAULT_EXPANDED_SECTIONS: { props: true } },
+      },
+    };
+    const site = resolveSettings(stored, 'http://localhost:3000');
+    expect(site.THROTTLE_MS).toBe(10);
+    expect(site.PANEL_MAX_WIDTH).toBe(DEFAULT_SETTINGS.PANEL_MAX_WIDTH);
+    expect(site.DEFAULT_EXPANDED_SECTIONS).toEqual({
+      ...DEFAULT_SETTINGS.DEFAULT_EXPANDED_SECTIONS,
+      props: true,
+    });
+    expect(resolveSettings(stored, 'https://example.com').THROTTLE_MS).toBe(100);
+  });
+});
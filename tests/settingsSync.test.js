@@ -0,0 +1,27 @@
+/**
+ * Settings sync tests
+ */
+
+const { applyStoredSettings } = require('../src/content/settingsSync.js');
+const { applySettings, DEFAULT_SETTINGS } = require('../src/config/settings.js');
+
+describe('Settings sync', () => {
+  afterEach(() => {
+    applySettings(DEFAULT_SETTINGS);
+  });
+
+  test('keeps the sections opened in the panel when other settings change', async () => {
+    const state = { overlay: null, expandedSections: { props: false, hooks: true } };
+
+    await applyStoredSettings({ global: { THROTTLE_MS: 50 } }, state);
+    expect(state.expandedSections).toEqual({ props: false, hooks: true });
+  });
+
+  test('resets the panel sections when the default sections change', async () => {
+    const state = { overlay: null, expandedSections: { props: false } };
+    const sections = { ...DEFAULT_SETTINGS.DEFAULT_EXPANDED_SECTIONS, props: true };
+
+    await applyStoredSettings({ global: { DEFAULT_EXPANDED_SECTIONS: sections } }, state);
+    expect(state.expandedSections).toEqual(sections);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Auto-enable site pattern tests
+ */
+
+const { matchesSitePattern } = require('../src/utils/sitePatterns.js');
+
+describe('Site patterns', () => {
+  test('matches hosts, ports and schemes', () => {
+    expect(matchesSitePattern('http://localhost:5173/app', 'localhost:*')).toBe(true);
+    expect(matchesSitePattern('https://api.staging.internal/', '*.staging.internal')).toBe(true);
+    expect(matchesSitePattern('https://staging.internal/', '*.staging.internal')).toBe(false);
+    expect(matchesSitePattern('http://localhost:3000/', 'localhost:8080')).toBe(false);
+    expect(matchesSitePattern('http://example.com/', 'https://example.com')).toBe(false);
+    expect(matchesSitePattern('chrome://extensions/', '*')).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Solid adapter tests: island props read from the island markup
+ */
+
+const { solidAdapter } = require('../src/adapters/solid.js');
+
+describe('Solid adapter', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('decodes Astro-serialized props, nested objects and arrays included', () => {
+    const props = {
+      title: [0, 'Cart'],
+      count: [0, 3],
+      items: [
+        1,
+        [
+          [0, 'a'],
+          [0, { id: [0, 1] }],
+        ],
+      ],
+      user: [0, { name: [0, 'Ada'], tags: [1, [[0, 'admin']]] }],
+    };
+    document.body.innerHTML = `
+      <astro-island component-url="/src/components/Cart.tsx?v=1" renderer-url="/@solid-js/client.js"
+        component-export="default"><button>Buy</button></astro-island>`;
+    document.querySelector('astro-island').setAttribute('props', JSON.stringify(props));
+
+    const info = solidAdapter.detect(document.querySelector('button'));
+    expect(info).toMatchObject({ framework: 'Solid', name: 'Cart', hierarchy: ['Cart'] });
+    expect(info.props).toEqual({
+      title: 'Cart',
+      count: 3,
+      items: ['a', { id: 1 }],
+      user: { name: 'Ada', tags: ['admin'] },
+    });
+  });
+
+  test('reads data-props on <solid-island> and ignores malformed JSON', () => {
+    document.body.innerHTML = `
+      <solid-island data-component="Counter" data-props='{"start":2}'>
+        <solid-island data-component="Broken" data-props="{oops"><span></span></solid-island>
+      </solid-island>`;
+
+    expect(solidAdapter.detect(document.querySelector('span'))).toMatchObject({
+      name: 'Broken',
+      hierarchy: ['Counter', 'Broken'],
+      props: {},
+    });
+    expect(solidAdapter.detect(document.querySelector('solid-island')).props).toEqual({
+      start: 2,
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Source map decoding and lookup tests
+ */
+
+const { decodeMappings, getOriginalSource } = require('../src/inpage/sourceMaps.js');
+
+describe('Source map mappings', () => {
+  test('decodes segments into absolute positions, resetting the column per line', () => {
+    expect(decodeMappings('AAAA,EACE;AAAA,GAAGA')).toEqual([
+      [
+        [0, 0, 0, 0],
+        [2, 0, 1, 2],
+      ],
+      [
+        [0, 0, 1, 2],
+        [3, 0, 1, 5, 0],
+      ],
+    ]);
+  });
+
+  test('keeps the column of one-field segments for the segments after them', () => {
+    expect(decodeMappings('AAAA,E,EACE')).toEqual([[[0, 0, 0, 0], [2], [4, 0, 1, 2]]]);
+  });
+});
+
+describe('Source map lookup', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+    delete global.fetch;
+    delete performance.getEntriesByType;
+  });
+
+  test('only fetches scripts on the page origin', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false }));
+    performance.getEntriesByType = jest.fn(() => [
+      { initiatorType: 'script', name: 'https://analytics.example.com/tag.js' },
+    ]);
+    document.body.innerHTML = `
+      <script src="${window.location.origin}/assets/app.js"></script>
+      <script src="https://cdn.example.com/vendor.js"></script>
+    `;
+
+    function a() {}
+    expect(getOriginalSource(a)).toBeNull();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      `${window.location.origin}/assets/app.js`,
+    ]);
+  });
+});
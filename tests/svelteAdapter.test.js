@@ -0,0 +1,112 @@
+/**
+ * Svelte adapter edit tests, against stand-ins for compiled Svelte components
+ */
+
+const { svelteAdapter } = require('../src/adapters/svelte.js');
+
+function update(component, kind, key, value, framework = 'Svelte') {
+  return svelteAdapter.update({ framework, componentInstance: component }, { kind, key, value });
+}
+
+// A production Svelte 3/4 component: state only by ctx index, no $capture_state
+function createComponent(ctx) {
+  return {
+    $$: {
+      ctx,
+      dirty: [-1],
+      update: jest.fn(),
+      fragment: { p: jest.fn() },
+      after_update: [jest.fn()],
+    },
+  };
+}
+
+describe('Svelte adapter updates', () => {
+  test('uses $inject_state in dev builds', () => {
+    const component = {
+      $$: { ctx: [] },
+      $capture_state: () => ({ count: 1 }),
+      $inject_state: jest.fn(),
+    };
+
+    expect(update(component, 'state', 'count', 2)).toBe(true);
+    expect(component.$inject_state).toHaveBeenCalledWith({ count: 2 });
+  });
+
+  test('writes ctx and patches the fragment for production state', () => {
+    const component = createComponent([1, 'a']);
+    const { $$ } = component;
+
+    expect(update(component, 'state', 'state_1', 'b')).toBe(true);
+    expect($$.ctx[1]).toBe('b');
+    expect($$.update).toHaveBeenCalled();
+    expect($$.fragment.p).toHaveBeenCalledWith($$.ctx, [2]);
+    expect($$.after_update[0]).toHaveBeenCalled();
+    expect($$.dirty).toEqual([-1]);
+  });
+
+  test('only marks ctx dirty when an update is already scheduled', () => {
+    const component = createComponent([1, 'a']);
+    component.$$.dirty = [1];
+
+    expect(update(component, 'state', 'state_1', 'b')).toBe(true);
+    expect(component.$$.dirty).toEqual([3]);
+    expect(component.$$.fragment.p).not.toHaveBeenCalled();
+  });
+
+  test('rejects ctx indices the component does not have', () => {
+    expect(() => update(createComponent([1]), 'state', 'state_4', 2)).toThrow('State not found');
+  });
+
+  test('writes Svelte 5 state through accessors or in place on $state objects', () => {
+    let count = 1;
+    const form = { name: 'a', extra: true };
+    const instance = {
+      get count() {
+        return count;
+      },
+      set count(value) {
+        count = value;
+      },
+      get form() {
+        return form;
+      },
+      get total() {
+        return 3;
+      },
+    };
+
+    expect(update(instance, 'state', 'count', 5, 'Svelte 5')).toBe(true);
+    expect(count).toBe(5);
+    expect(update(instance, 'state', 'form', { name: 'b' }, 'Svelte 5')).toBe(true);
+    expect(instance.form).toBe(form);
+    expect(form).toEqual({ name: 'b' });
+    expect(() => update(instance, 'state', 'total', 4, 'Svelte 5')).toThrow(/only writable/);
+  });
+
+  test('rejects Svelte 5 $state locals, which are not on the instance', () => {
+    const instance = { count: 1 };
+
+    expect(() => update(instance, 'state', 'draft', 'x', 'Svelte 5')).toThrow(
+      "draft is not on the component instance: Svelte 5 `let` $state locals can't be edited"
+    );
+  });
+
+  test('reads Svelte 5 props and state without $$', () => {
+    const instance = { title: 'Hi', count: 2, reset() {} };
+    const element = document.createElement('div');
+    element.__svelte_meta = { instance, props: ['title'] };
+    document.body.appendChild(element);
+
+    expect(svelteAdapter.getProps(instance)).toEqual({ title: 'Hi' });
+    expect(svelteAdapter.getState(instance)).toEqual({ count: 2 });
+    element.remove();
+  });
+
+  test('sets props with $set', () => {
+    const component = { $$: { ctx: [] }, $set: jest.fn() };
+
+    expect(update(component, 'prop', 'title', 'Hi')).toBe(true);
+    expect(component.$set).toHaveBeenCalledWith({ title: 'Hi' });
+  });
+});
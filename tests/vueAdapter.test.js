@@ -0,0 +1,94 @@
+/**
+ * Vue adapter edit tests, against stand-ins for Vue's internal instances
+ */
+
+const { vueAdapter } = require('../src/adapters/vue.js');
+
+// Same unwrapping as Vue's proxyRefs(): reads return ref.value, plain writes go into the ref
+function proxyRefs(raw) {
+  return new Proxy(raw, {
+    get: (target, key, receiver) => {
+      const value = Reflect.get(target, key, receiver);
+      return value && value.__v_isRef ? value.value : value;
+    },
+    set: (target, key, value, receiver) => {
+      const old = target[key];
+      if (old && old.__v_isRef && !(value && value.__v_isRef)) {
+        old.value = value;
+        return true;
+      }
+      return Reflect.set(target, key, value, receiver);
+    },
+  });
+}
+
+const ref = (value) => ({ __v_isRef: true, value });
+const computed = (get, extra = {}) => ({
+  __v_isRef: true,
+  __v_isReadonly: true,
+  get value() {
+    return get();
+  },
+  ...extra,
+});
+
+// A production Vue 3 instance: no devtoolsRawSetupState
+function createVue3Instance(setup) {
+  return {
+    type: {},
+    props: {},
+    data: {},
+    ctx: {},
+    setupState: proxyRefs(setup),
+    proxy: { $forceUpdate: jest.fn() },
+  };
+}
+
+function update(vm, key, value, framework = 'Vue 3') {
+  return vueAdapter.update({ framework, componentInstance: vm }, { kind: 'state', key, value });
+}
+
+describe('Vue adapter updates', () => {
+  test('writes <script setup> refs through setupState in production builds', () => {
+    const count = ref(1);
+    const vm = createVue3Instance({ count });
+
+    expect(update(vm, 'count', 5)).toBe(true);
+    expect(count.value).toBe(5);
+  });
+
+  test('reports a readonly ref as not editable instead of claiming success', () => {
+    const vm = createVue3Instance({ label: computed(() => 'fixed') });
+
+    expect(update(vm, 'label', 'changed')).toBe(false);
+    expect(vm.setupState.label).toBe('fixed');
+  });
+
+  test('overrides a production computed and resets it to the original ref', () => {
+    const count = ref(2);
+    const double = computed(() => count.value * 2, { effect: {} });
+    const vm = createVue3Instance({ count, double });
+    const info = { framework: 'Vue 3', componentInstance: vm };
+
+    expect(update(vm, 'double', 42)).toBe(true);
+    expect(vm.setupState.double).toBe(42);
+    expect(vueAdapter.getOverrides(vm)).toEqual(['double']);
+
+    expect(vueAdapter.resetOverride(info, 'double')).toBe(true);
+    expect(vm.setupState.double).toBe(4);
+    expect(vm.proxy.$forceUpdate).toHaveBeenCalled();
+  });
+
+  test('sets Vue 2 data with $set so new keys stay reactive', () => {
+    const vm = { $options: {}, $data: { items: [] }, $set: jest.fn() };
+
+    expect(update(vm, 'items', ['a'], 'Vue 2')).toBe(true);
+    expect(vm.$set).toHaveBeenCalledWith(vm.$data, 'items', ['a']);
+  });
+
+  test('rejects keys the component does not have', () => {
+    const vm = createVue3Instance({});
+
+    expect(() => update(vm, 'missing', 1)).toThrow('State not found');
+  });
+});
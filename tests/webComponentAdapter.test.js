@@ -0,0 +1,101 @@
+/**
+ * Web Component and Lit adapter tests, against jsdom custom elements
+ */
+
+const { webComponentAdapter } = require('../src/adapters/webComponent.js');
+
+// Stand-in for a LitElement: reactive properties on the class, requestUpdate() on the instance
+class TodoCard extends HTMLElement {
+  static elementProperties = new Map([
+    ['label', {}],
+    ['open', { state: true }],
+  ]);
+
+  constructor() {
+    super();
+    this.label = 'Milk';
+    this.open = false;
+    this.requestUpdate = jest.fn();
+    this.attachShadow({ mode: 'open' }).innerHTML =
+      '<style>:host { display: block; }</style>' +
+      '<slot></slot><slot name="footer"></slot>' +
+      '<button part="action" id="toggle" class="btn primary">Toggle</button>';
+  }
+}
+
+class PlainBadge extends HTMLElement {
+  static observedAttributes = ['count'];
+}
+
+customElements.define('todo-card', TodoCard);
+customElements.define('plain-badge', PlainBadge);
+
+function renderCard() {
+  document.body.innerHTML =
+    '<todo-card><span class="title">Milk</span><b slot="footer">2 left</b></todo-card>';
+  return document.querySelector('todo-card');
+}
+
+describe('Web Component adapter', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('reports the shadow host with its Lit properties and shadow root details', () => {
+    const card = renderCard();
+    const info = webComponentAdapter.detect(card.shadowRoot.querySelector('button'));
+
+    expect(info.componentInstance).toBe(card);
+    expect(info).toMatchObject({
+      framework: 'Lit',
+      name: 'TodoCard',
+      detail: '<todo-card> • Shadow DOM',
+      props: { label: 'Milk' },
+      state: { open: false },
+    });
+    expect(info.shadow).toEqual({
+      mode: 'open',
+      slots: [
+        { name: 'default', assigned: ['span.title'] },
+        { name: 'footer', assigned: ['b'] },
+      ],
+      parts: [{ name: 'action', element: 'button#toggle.btn.primary' }],
+      adoptedStyleSheets: [],
+      styleElements: 1,
+    });
+  });
+
+  test('sets Lit properties and requests an update', () => {
+    const card = renderCard();
+    const info = { framework: 'Lit', componentInstance: card };
+
+    expect(webComponentAdapter.update(info, { kind: 'prop', key: 'label', value: 'Bread' })).toBe(
+      true
+    );
+    expect(webComponentAdapter.update(info, { kind: 'state', key: 'open', value: true })).toBe(
+      true
+    );
+    expect(card.label).toBe('Bread');
+    expect(card.open).toBe(true);
+    expect(card.requestUpdate).toHaveBeenCalledTimes(2);
+    expect(() =>
+      webComponentAdapter.update(info, { kind: 'prop', key: 'missing', value: 1 })
+    ).toThrow('Property not found');
+  });
+
+  test('shows observed attributes of plain custom elements and does not edit them', () => {
+    document.body.innerHTML = '<plain-badge count="3"></plain-badge>';
+    const badge = document.querySelector('plain-badge');
+    const info = webComponentAdapter.detect(badge);
+
+    expect(info).toMatchObject({
+      framework: 'Web Component',
+      props: { count: '3' },
+      shadow: null,
+      canOverrideProps: false,
+    });
+    expect(webComponentAdapter.update(info, { kind: 'prop', key: 'count', value: '4' })).toBe(
+      false
+    );
+  });
+});